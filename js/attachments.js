@@ -0,0 +1,395 @@
+// Attachment storage module
+// Files are stored outside the `db` JSON: in the Supabase Storage bucket when the shared database is in use,
+// or in this browser's IndexedDB otherwise. Records only keep a small reference to the stored file:
+// {key, storage, fileName, contentType, size, uploadedAt}. Files added offline while the shared database is in
+// use already point at the bucket; they wait in IndexedDB and the outbox uploads them on reconnection.
+import {supabase} from './supabase.js';
+import {db} from './database.js';
+import {showNotification} from './ui.js';
+import {
+    getPersistenceDriver,
+    clientsRepository,
+    appointmentsRepository,
+    schedulesRepository,
+    stockMovementsRepository,
+    dailyNotesRepository,
+    generalDocumentsRepository
+} from './repository.js';
+import {enqueueOperation, hasPendingOperations, setAttachmentUploader} from './sync.js';
+
+const STORAGE_BUCKET = 'anexos';
+const SIGNED_URL_TTL_SECONDS = 60;
+const OBJECT_URL_TTL_MS = 60 * 1000;
+const IDB_NAME = 'gestaoClientesAnexos';
+const IDB_STORE = 'arquivos';
+
+// --- IndexedDB driver ---
+
+let idbConnection = null;
+
+function openAttachmentDb() {
+    if (idbConnection) return idbConnection;
+    idbConnection = new Promise((resolve, reject) => {
+        const request = indexedDB.open(IDB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(IDB_STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            idbConnection = null;
+            reject(request.error);
+        };
+    });
+    return idbConnection;
+}
+
+async function runIdbRequest(mode, createRequest) {
+    const database = await openAttachmentDb();
+    return new Promise((resolve, reject) => {
+        const transaction = database.transaction(IDB_STORE, mode);
+        const request = createRequest(transaction.objectStore(IDB_STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+const indexedDbDriver = {
+    name: 'indexeddb',
+
+    async put(key, file) {
+        await runIdbRequest('readwrite', store => store.put(file, key));
+    },
+
+    async getBlob(key) {
+        const blob = await runIdbRequest('readonly', store => store.get(key));
+        if (!blob) throw new Error('Arquivo não encontrado neste computador.');
+        return blob;
+    },
+
+    async getUrl(key) {
+        const url = URL.createObjectURL(await this.getBlob(key));
+        setTimeout(() => URL.revokeObjectURL(url), OBJECT_URL_TTL_MS);
+        return url;
+    },
+
+    async getStream(key) {
+        return (await this.getBlob(key)).stream();
+    },
+
+    async remove(key) {
+        await runIdbRequest('readwrite', store => store.delete(key));
+    }
+};
+
+// --- Supabase Storage driver ---
+
+const supabaseStorageDriver = {
+    name: 'supabase',
+
+    async put(key, file, overwrite = false) {
+        const {error} = await supabase.storage
+            .from(STORAGE_BUCKET)
+            .upload(key, file, {contentType: file.type || 'application/octet-stream', upsert: overwrite});
+        if (error) throw error;
+    },
+
+    async getUrl(key, downloadName = null) {
+        if (isUploadPending(key)) return indexedDbDriver.getUrl(key);
+        // Signed URLs let the browser stream the file straight from storage
+        const {data, error} = await supabase.storage
+            .from(STORAGE_BUCKET)
+            .createSignedUrl(key, SIGNED_URL_TTL_SECONDS, downloadName ? {download: downloadName} : undefined);
+        if (error) throw error;
+        return data.signedUrl;
+    },
+
+    async getStream(key) {
+        if (isUploadPending(key)) return indexedDbDriver.getStream(key);
+        const response = await fetch(await this.getUrl(key));
+        if (!response.ok) throw new Error(`Falha ao baixar o arquivo (${response.status}).`);
+        return response.body;
+    },
+
+    async remove(key) {
+        // Never uploaded: dropping the local copy also turns the queued upload into a no-op
+        if (isUploadPending(key)) return indexedDbDriver.remove(key);
+        const {error} = await supabase.storage.from(STORAGE_BUCKET).remove([key]);
+        if (error) throw error;
+    }
+};
+
+const STORAGE_DRIVERS = {indexeddb: indexedDbDriver, supabase: supabaseStorageDriver};
+
+// --- Offline uploads ---
+
+// Files added offline in Supabase mode keep a local copy until the outbox uploads them
+function isUploadPending(key) {
+    return hasPendingOperations('attachments', key);
+}
+
+// Replayed by the outbox, in order with the record that references the file
+async function uploadPendingAttachment(key) {
+    let blob;
+    try {
+        blob = await indexedDbDriver.getBlob(key);
+    } catch (error) {
+        // Removed before the connection came back; there is nothing to send
+        return;
+    }
+    // A retry after a dropped connection may find the file already in the bucket
+    await supabaseStorageDriver.put(key, blob, true);
+    await indexedDbDriver.remove(key);
+}
+
+setAttachmentUploader(uploadPendingAttachment);
+
+function driverFor(ref) {
+    const driver = STORAGE_DRIVERS[ref.storage];
+    if (!driver) throw new Error(`Armazenamento de anexos desconhecido: ${ref.storage}`);
+    return driver;
+}
+
+function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+}
+
+function buildKey(folder, fileName) {
+    const safeName = fileName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w.-]+/g, '_');
+    const unique = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    return `${folder}/${unique}-${safeName}`;
+}
+
+// --- Public API ---
+
+/**
+ * Stores a File/Blob and returns the reference to keep in the record.
+ * Without connection in Supabase mode the file is kept in this browser and queued for upload; other
+ * computers can only open it after this one is back online.
+ */
+export async function storeAttachment(file, folder, fileName = file.name) {
+    const useSupabase = getPersistenceDriver() === 'supabase';
+    const key = buildKey(folder, fileName);
+    if (useSupabase && !navigator.onLine) {
+        await indexedDbDriver.put(key, file);
+        enqueueOperation({type: 'upload', entityName: 'attachments', recordId: key, payload: {fileName}});
+        showNotification(`Sem conexão: o anexo "${fileName}" fica neste computador e será enviado quando a conexão voltar.`, 'warning');
+    } else {
+        await (useSupabase ? supabaseStorageDriver : indexedDbDriver).put(key, file);
+    }
+    return {
+        key,
+        storage: useSupabase ? supabaseStorageDriver.name : indexedDbDriver.name,
+        fileName,
+        contentType: file.type || 'application/octet-stream',
+        size: file.size,
+        uploadedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Stores every file of a FileList as `{fileName, fileRef, uploadDate}` entries (the shape of appointment attachments).
+ */
+export async function storeAttachmentList(files, folder) {
+    const entries = [];
+    for (const file of Array.from(files)) {
+        const fileRef = await storeAttachment(file, folder);
+        entries.push({fileName: file.name, fileRef, uploadDate: fileRef.uploadedAt});
+    }
+    return entries;
+}
+
+/**
+ * Returns a URL for showing or downloading an attachment (signed URL or object URL, both short-lived).
+ */
+export async function getAttachmentUrl(ref, downloadName = null) {
+    return driverFor(ref).getUrl(ref.key, downloadName);
+}
+
+/**
+ * Returns a ReadableStream with the attachment contents, for consumers that should not buffer whole files.
+ */
+export async function getAttachmentStream(ref) {
+    return driverFor(ref).getStream(ref.key);
+}
+
+/**
+ * Deletes a stored attachment. Legacy embedded files have nothing to delete.
+ */
+export async function removeAttachment(ref) {
+    if (!ref || !ref.key) return;
+    await driverFor(ref).remove(ref.key);
+}
+
+/**
+ * Returns the inline onclick code that downloads or previews an attachment.
+ * `source` is a stored reference, or a legacy data URL not migrated yet.
+ */
+export function attachmentAction(source, fileName, action = 'download', title = fileName) {
+    const payload = isDataUrl(source) ? {dataUrl: source, fileName, title} : {...source, fileName, title};
+    const encoded = encodeURIComponent(JSON.stringify(payload)).replace(/'/g, '%27');
+    return `event.preventDefault(); window.openAttachment('${encoded}', '${action}')`;
+}
+
+/**
+ * Returns the attributes of an <img> showing an attachment. Stored files get their short-lived URL
+ * from loadAttachmentImages() after rendering.
+ */
+export function attachmentImageAttributes(source) {
+    if (isDataUrl(source)) return `src="${source}"`;
+    return `data-attachment="${encodeURIComponent(JSON.stringify(source))}"`;
+}
+
+/**
+ * Resolves the URLs of the images rendered with attachmentImageAttributes() inside `container`.
+ */
+export function loadAttachmentImages(container) {
+    container.querySelectorAll('img[data-attachment]').forEach(image => {
+        const ref = JSON.parse(decodeURIComponent(image.dataset.attachment));
+        image.removeAttribute('data-attachment');
+        if (ref.archivedAt) return;
+        getAttachmentUrl(ref)
+            .then(url => {
+                image.src = url;
+            })
+            .catch(error => console.error('Erro ao carregar imagem anexada:', error));
+    });
+}
+
+/**
+ * Opens an attachment encoded by attachmentAction().
+ */
+export async function openAttachment(encodedPayload, action = 'download') {
+    const payload = JSON.parse(decodeURIComponent(encodedPayload));
+    if (payload.archivedAt) {
+        showNotification(`Este anexo foi arquivado em ${new Date(payload.archivedAt).toLocaleDateString('pt-BR')} no pacote "${payload.archiveName}".`, 'info', 'Anexo Arquivado');
+        return;
+    }
+    try {
+        if (action === 'preview') {
+            const url = payload.dataUrl || await getAttachmentUrl(payload);
+            window.previewFile(payload.title, url, payload.fileName);
+            return;
+        }
+
+        const url = payload.dataUrl || await getAttachmentUrl(payload, payload.fileName);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = payload.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    } catch (error) {
+        console.error('Erro ao abrir anexo:', error);
+        showNotification('Não foi possível abrir o anexo. Tente novamente.', 'error');
+    }
+}
+
+// --- Attachment locations ---
+
+/**
+ * Lists every attachment kept in `db`. Each slot exposes the item holding the file, its field names,
+ * the `db` collection it is saved in and `replace(newItem)`, which persists a changed copy through
+ * the owning record's repository.
+ */
+export function listAttachmentSlots() {
+    const slots = [];
+
+    db.clients.forEach(client => {
+        (client.documents || []).forEach(doc => slots.push({
+            label: `Documento de ${client.name}`,
+            collection: 'clients',
+            item: doc,
+            dataField: 'fileData',
+            refField: 'fileRef',
+            nameField: 'fileName',
+            folder: `clientes/${client.id}`,
+            replace: newItem => clientsRepository.update(client.id, {
+                documents: client.documents.map(current => current === doc ? newItem : current)
+            })
+        }));
+
+        (client.appointments || []).forEach(appointment => {
+            (appointment.attachments || []).forEach(attachment => slots.push({
+                label: `Atendimento de ${client.name}`,
+                collection: 'clients',
+                item: attachment,
+                dataField: 'fileData',
+                refField: 'fileRef',
+                nameField: 'fileName',
+                folder: `atendimentos/${client.id}`,
+                replace: newItem => appointmentsRepository.update(appointment.id, {
+                    attachments: appointment.attachments.map(current => current === attachment ? newItem : current)
+                })
+            }));
+        });
+    });
+
+    const singleFileSources = [
+        // Receipts of a patient's cancellation are kept with the patient, like their documents
+        {collection: 'schedules', label: 'Cancelamento', repository: schedulesRepository, dataField: 'cancelImage', refField: 'cancelImageRef', nameField: 'cancelImageName', folder: record => `cancelamentos/${record.clientId}`},
+        {collection: 'stockMovements', label: 'Comprovante de compra', repository: stockMovementsRepository, dataField: 'purchaseFileData', refField: 'purchaseFileRef', nameField: 'purchaseFileName', folder: 'estoque'},
+        {collection: 'dailyNotes', label: 'Nota financeira', repository: dailyNotesRepository, dataField: 'fileData', refField: 'fileRef', nameField: 'fileName', folder: 'financeiro'},
+        {collection: 'generalDocuments', label: 'Mural', repository: generalDocumentsRepository, dataField: 'fileData', refField: 'fileRef', nameField: 'fileName', folder: 'mural'}
+    ];
+
+    singleFileSources.forEach(source => {
+        (db[source.collection] || [])
+            .filter(record => record[source.dataField] || record[source.refField])
+            .forEach(record => slots.push({
+                label: `${source.label} #${record.id}`,
+                collection: source.collection,
+                item: record,
+                dataField: source.dataField,
+                refField: source.refField,
+                nameField: source.nameField,
+                folder: typeof source.folder === 'function' ? source.folder(record) : source.folder,
+                replace: newItem => source.repository.update(record.id, {
+                    [source.dataField]: newItem[source.dataField] ?? null,
+                    [source.refField]: newItem[source.refField] ?? null
+                })
+            }));
+    });
+
+    return slots;
+}
+
+/**
+ * Returns the contents of an attachment as a Blob, whether stored or still embedded as a data URL.
+ */
+export async function getAttachmentBlob(source) {
+    if (isDataUrl(source)) return (await fetch(source)).blob();
+    if (source.storage === 'indexeddb') return indexedDbDriver.getBlob(source.key);
+    return new Response(await getAttachmentStream(source)).blob();
+}
+
+/**
+ * Writes a file back into this browser's attachment store under its original key (used by backup restore).
+ */
+export async function restoreAttachmentLocally(key, blob) {
+    await indexedDbDriver.put(key, blob);
+}
+
+// --- Migration of embedded data URLs ---
+
+/**
+ * Moves files embedded as data URLs (older versions) into attachment storage, one at a time.
+ * Files that fail keep their data URL and are retried on the next start. Resolves to the number of files moved.
+ */
+export async function migrateEmbeddedAttachments() {
+    let migrated = 0;
+
+    for (const slot of listAttachmentSlots()) {
+        const dataUrl = slot.item[slot.dataField];
+        if (!isDataUrl(dataUrl)) continue;
+        try {
+            const fileRef = await storeAttachment(await getAttachmentBlob(dataUrl), slot.folder, slot.item[slot.nameField] || 'anexo');
+            await slot.replace({...slot.item, [slot.dataField]: null, [slot.refField]: fileRef});
+            migrated++;
+        } catch (error) {
+            console.error(`Erro ao migrar anexo (${slot.label}):`, error);
+        }
+    }
+
+    return migrated;
+}
+
+window.openAttachment = openAttachment;
@@ -0,0 +1,222 @@
+// Audit log module
+// Append-only record of every write made through the repositories: who made it, when, which record,
+// the fields before and after the change and the screen it came from. Only the director can read it.
+import {auditLogRepository, setAuditRecorder} from './repository.js';
+import {getCurrentUser, isRoleAllowed} from './auth.js';
+import {DIRECTOR_ONLY} from './roles.js';
+import {showNotification} from './ui.js';
+import {downloadBlob} from './utils.js';
+import {RETAINED_FIELDS} from './lgpd.js';
+
+const ENTITY_LABELS = {
+    clients: 'Cliente',
+    appointments: 'Atendimento',
+    schedules: 'Agendamento',
+    rooms: 'Sala ou equipamento',
+    stockItems: 'Item de estoque',
+    stockMovements: 'Movimentação de estoque',
+    dailyNotes: 'Nota financeira',
+    generalDocuments: 'Item do mural',
+    notifications: 'Notificação',
+    users: 'Funcionário',
+    roles: 'Cargo'
+};
+
+const ACTION_LABELS = {create: 'Criação', update: 'Alteração', remove: 'Exclusão'};
+
+// Long values (notes, embedded files, histories) are summarized so the log stays small
+const MAX_VALUE_LENGTH = 200;
+const REDACTED_FIELDS = ['password'];
+// Patient data is only marked as changed: the log is append-only, so it must not keep what anonymization erases
+const PERSONAL_DATA_MARK = '[dado pessoal]';
+// Rows shown at once in the viewer; the CSV export always has every filtered entry
+const VIEWER_ROW_LIMIT = 200;
+
+let auditEntries = [];
+
+function summarizeValue(value) {
+    if (value === undefined || value === null) return null;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (text.length <= MAX_VALUE_LENGTH) return value;
+    return `[${text.length} caracteres]`;
+}
+
+function diffRecords(entityName, before, after) {
+    const retainedFields = RETAINED_FIELDS[entityName];
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = {};
+    fields.forEach(field => {
+        if (REDACTED_FIELDS.includes(field)) return;
+        const previous = before ? before[field] ?? null : null;
+        const next = after ? after[field] ?? null : null;
+        if (JSON.stringify(previous) === JSON.stringify(next)) return;
+        if (retainedFields && !retainedFields.includes(field)) {
+            changes[field] = {before: previous === null ? null : PERSONAL_DATA_MARK, after: next === null ? null : PERSONAL_DATA_MARK};
+            return;
+        }
+        changes[field] = {before: summarizeValue(previous), after: summarizeValue(next)};
+    });
+    return changes;
+}
+
+// Active tab plus the open modal, e.g. "Agenda do Dia › Editar Agendamento"
+function currentScreen() {
+    const tab = document.querySelector('.tab-button.active');
+    const modal = Array.from(document.querySelectorAll('.modal-overlay')).find(overlay => overlay.style.display === 'flex');
+    const parts = [tab?.textContent.trim(), modal?.querySelector('h2')?.textContent.trim()];
+    return parts.filter(Boolean).join(' › ') || null;
+}
+
+async function recordMutation({entityName, type, recordId, before, after}) {
+    const changes = diffRecords(entityName, before, after);
+    if (type === 'update' && Object.keys(changes).length === 0) return;
+
+    const actor = getCurrentUser();
+    try {
+        await auditLogRepository.create({
+            actorId: actor ? actor.id : null,
+            actorName: actor ? actor.name : null,
+            entityName,
+            recordId,
+            action: type,
+            changes,
+            source: currentScreen(),
+            createdAt: new Date().toISOString()
+        });
+    } catch (error) {
+        // The change itself was saved; a missing log entry must not undo it
+        console.error('Erro ao registrar auditoria:', error);
+    }
+}
+
+// --- Viewer ---
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function getFilteredEntries() {
+    const actor = document.getElementById('audit-filter-user').value;
+    const entityName = document.getElementById('audit-filter-entity').value;
+    const from = document.getElementById('audit-filter-from').value;
+    const to = document.getElementById('audit-filter-to').value;
+    const search = document.getElementById('audit-filter-search').value.trim().toLowerCase();
+
+    return auditEntries.filter(entry => {
+        const day = (entry.createdAt || '').slice(0, 10);
+        if (actor !== 'all' && String(entry.actorId) !== actor) return false;
+        if (entityName !== 'all' && entry.entityName !== entityName) return false;
+        if (from && day < from) return false;
+        if (to && day > to) return false;
+        if (search && !JSON.stringify([entry.recordId, entry.source, entry.changes]).toLowerCase().includes(search)) return false;
+        return true;
+    });
+}
+
+function populateAuditFilters() {
+    const userSelect = document.getElementById('audit-filter-user');
+    const actors = new Map(auditEntries.filter(entry => entry.actorId !== null).map(entry => [String(entry.actorId), entry.actorName]));
+    userSelect.innerHTML = '<option value="all">Todos os usuários</option>' +
+        Array.from(actors).sort((a, b) => (a[1] || '').localeCompare(b[1] || ''))
+            .map(([id, name]) => `<option value="${id}">${name || `#${id}`}</option>`).join('');
+
+    document.getElementById('audit-filter-entity').innerHTML = '<option value="all">Todas as entidades</option>' +
+        Object.entries(ENTITY_LABELS).map(([entityName, label]) => `<option value="${entityName}">${label}</option>`).join('');
+}
+
+/**
+ * Renders the audit entries that match the viewer filters, newest first.
+ */
+export function renderAuditLog() {
+    const container = document.getElementById('audit-log-list');
+    if (!container) return;
+
+    const entries = getFilteredEntries();
+    document.getElementById('audit-log-count').textContent = entries.length > VIEWER_ROW_LIMIT
+        ? `Mostrando ${VIEWER_ROW_LIMIT} de ${entries.length} registros. Refine os filtros ou exporte o CSV para ver todos.`
+        : `${entries.length} registro(s).`;
+
+    if (entries.length === 0) {
+        container.innerHTML = '<p>Nenhum registro encontrado.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Data/Hora</th><th>Usuário</th><th>Registro</th><th>Ação</th><th>Alterações</th><th>Tela</th></tr></thead>
+                <tbody>
+                    ${entries.slice(0, VIEWER_ROW_LIMIT).map(entry => `
+                        <tr class="audit-entry ${entry.action}">
+                            <td>${new Date(entry.createdAt).toLocaleString('pt-BR')}</td>
+                            <td>${entry.actorName || '-'}</td>
+                            <td>${ENTITY_LABELS[entry.entityName] || entry.entityName} #${entry.recordId}</td>
+                            <td>${ACTION_LABELS[entry.action] || entry.action}</td>
+                            <td>
+                                <ul class="audit-changes">
+                                    ${Object.entries(entry.changes || {}).map(([field, change]) => `
+                                        <li><strong>${field}:</strong> ${formatAuditValue(change.before)} → ${formatAuditValue(change.after)}</li>
+                                    `).join('')}
+                                </ul>
+                            </td>
+                            <td>${entry.source || '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Opens the audit log viewer (director only).
+ */
+export async function showAuditLogModal() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para ver o registro de auditoria.', 'error');
+        return;
+    }
+
+    document.getElementById('audit-log-list').innerHTML = '<p>Carregando registros...</p>';
+    document.getElementById('modal-audit-log').style.display = 'flex';
+    try {
+        auditEntries = (await auditLogRepository.list())
+            .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+        populateAuditFilters();
+        renderAuditLog();
+    } catch (error) {
+        console.error('Erro ao carregar o registro de auditoria:', error);
+        showNotification('Não foi possível carregar o registro de auditoria.', 'error');
+    }
+}
+
+function csvCell(value) {
+    const text = formatAuditValue(value);
+    return /[";\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Downloads the filtered entries as CSV, one line per changed field.
+ */
+export function exportAuditLogCsv() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para exportar o registro de auditoria.', 'error');
+        return;
+    }
+
+    const header = ['Data/Hora', 'Usuário', 'Entidade', 'Registro', 'Ação', 'Campo', 'Antes', 'Depois', 'Tela'];
+    const lines = getFilteredEntries().flatMap(entry => {
+        const base = [entry.createdAt, entry.actorName, ENTITY_LABELS[entry.entityName] || entry.entityName, entry.recordId, ACTION_LABELS[entry.action] || entry.action];
+        const changes = Object.entries(entry.changes || {});
+        if (changes.length === 0) return [[...base, '', '', '', entry.source]];
+        return changes.map(([field, change]) => [...base, field, change.before, change.after, entry.source]);
+    });
+
+    // Semicolons and the BOM let spreadsheet apps configured for pt-BR open the file directly
+    const csv = [header, ...lines].map(line => line.map(csvCell).join(';')).join('\r\n');
+    downloadBlob(new Blob(['\uFEFF' + csv], {type: 'text/csv;charset=utf-8'}), `auditoria-${new Date().toISOString().slice(0, 10)}.csv`);
+}
+
+setAuditRecorder(recordMutation);
@@ -3,14 +3,19 @@
  * Gerencia o estado de autenticação do usuario e controle de acesso baseado em funções
  */
 
-import {getUserFuncionario, supabase} from './supabase.js'; // Correct import for the client
+import {createDetachedAuthClient, getUserFuncionario, supabase} from './supabase.js'; // Correct import for the client
+import {isAuthRetryableFetchError} from '@supabase/supabase-js';
 import {showNotification} from './ui.js';
 import {db, saveDb} from './database.js';
 
 import {
-    PROFESSIONAL_ROLES,
-    DIRECTOR_ONLY,
+    ROLE_UNITS,
 } from './roles.js';
+import {checkTabAccess, roleMatches} from './policy.js';
+import {fromRow} from './repository.js';
+
+// As verificações de permissão ficam em policy.js; reexportadas aqui para os módulos que já as importam de auth.js
+export {hasPermission, checkTabAccess, explainPermission, explainTabAccess, getEffectivePermissions} from './policy.js';
 
 // Estado global do usuario autenticado
 export let currentUser = null;
@@ -18,6 +23,21 @@ export let currentUser = null;
 // Inicializa o listener de estado de autenticação
 let authUnsubscribe = null;
 
+/**
+ * Monta o usuario da sessão a partir do usuario do Supabase Auth e da linha de funcionarios
+ * As colunas ficam como vieram do banco (usadas por profileFingerprint) e os campos do cadastro
+ * (cargo, unidades, tabAccess e permissions, guardados em extra_data) ficam no formato usado pelo app
+ * @param {Object} authUser - Usuário do Supabase Auth
+ * @param {Object} funcionario - Linha da tabela funcionarios
+ * @returns {Object} Usuário da sessão
+ */
+export const buildSessionUser = (authUser, funcionario) => ({
+    ...authUser,
+    ...funcionario,
+    ...fromRow('users', funcionario),
+    role: funcionario.role || funcionario.role_id || 'staff' // Prioriza o cargo do perfil
+});
+
 /**
  * Inicializa o gerenciamento de autenticação
  * Configura os listeners para mudanças de estado de autenticação
@@ -32,7 +52,13 @@ export const initAuth = () => {
     const {data} = supabase.auth.onAuthStateChange(async (event, session) => {
         console.log('Evento de autenticação:', event, session);
 
-        if (event === 'SIGNED_IN' || event === 'INITIAL_SESSION') {
+        if (event === 'PASSWORD_RECOVERY') {
+            passwordRecovery = true;
+            return;
+        }
+
+        // A sessão aberta pelo link de redefinição não dá acesso ao sistema
+        if ((event === 'SIGNED_IN' || event === 'INITIAL_SESSION') && !passwordRecovery) {
             // Usuário fez login ou a sessão foi restaurada
             if (session?.user) {
                 // Busca o perfil do funcionário pelo email (não pelo ID)
@@ -44,11 +70,7 @@ export const initAuth = () => {
                     return;
                 }
 
-                currentUser = {
-                    ...session.user,
-                    ...funcionario,
-                    role: funcionario.role || 'staff' // Prioriza o perfil, fallback para 'staff'
-                };
+                currentUser = buildSessionUser(session.user, funcionario);
                 // Armazena os dados do usuario no localStorage para persistência
                 localStorage.setItem('currentUser', JSON.stringify(currentUser));
                 console.log('Usuário autenticado:', currentUser);
@@ -97,6 +119,9 @@ export const login = async (email, password) => {
         console.log('Usuário autenticado, buscando perfil do funcionário...');
         console.log('Email do usuário:', data.user.email);
         
+        // Primeiro login da diretoria criada pelo assistente, depois de confirmar o email
+        await completePendingInitialSetup(data.user.email);
+
         // Busca o funcionário APENAS pelo email
         const funcionario = await getUserFuncionario(data.user.email);
         
@@ -107,8 +132,6 @@ export const login = async (email, password) => {
         
         console.log('Perfil do funcionário encontrado:', funcionario);
         
-        console.log('Perfil do funcionário encontrado:', funcionario);
-
         if (!funcionario) {
             console.error('Perfil não encontrado para o usuário:', data.user.id, 'ou email:', data.user.email);
             console.log('Listando todos os funcionários disponíveis:');
@@ -120,12 +143,13 @@ export const login = async (email, password) => {
             throw new Error('Perfil de usuário não encontrado. Acesso negado.');
         }
 
+        if (funcionario.is_active === false) {
+            await supabase.auth.signOut();
+            throw new Error('Esta conta foi desativada. Procure a diretoria.');
+        }
+
         // Atualiza o usuario atual com os dados do perfil
-        currentUser = {
-            ...data.user,
-            ...funcionario,
-            role: funcionario.role || 'staff' // Prioriza o cargo do perfil
-        };
+        currentUser = buildSessionUser(data.user, funcionario);
 
         console.log('Usuário atual definido:', currentUser);
         
@@ -173,59 +197,29 @@ export const logout = async () => {
 
 /**
  * Verifica se o usuario está autenticado
- * @returns {Promise<Object>} Status de autenticação e dados do usuario
+ * O perfil guardado no localStorage só é usado depois de conferido com o Supabase (revalidateSession);
+ * sem conexão, ele vale enquanto a sessão guardada não tiver expirado
+ * @returns {Promise<Object>} Status de autenticação, dados do usuario e, quando a sessão foi encerrada, o motivo
  */
 export const checkLogin = async () => {
     try {
-        // Primeiro, verifica se há um usuario armazenado no localStorage
-        const storedUser = localStorage.getItem('currentUser');
-
-        if (storedUser) {
-            const user = JSON.parse(storedUser);
-            currentUser = user;
-            return {isAuthenticated: true, user};
-        }
-
-        // Se não há usuario armazenado, verifica se há uma sessão ativa no Supabase
+        const hadStoredUser = localStorage.getItem('currentUser') !== null;
         const {data: {session}, error} = await supabase.auth.getSession();
 
-        if (error) {
-            console.error('Erro ao verificar sessão:', error);
-            return {isAuthenticated: false};
+        if (error && isAuthRetryableFetchError(error) && getCurrentUser()) {
+            return {isAuthenticated: true, user: currentUser, offline: true};
         }
-
-        if (session?.user) {
-            // Se há uma sessão ativa, busca os dados completos do usuario
-            const {data: {user}} = await supabase.auth.getUser();
-
-            if (!user) {
-                return {isAuthenticated: false};
-            }
-
-            // Busca o perfil do funcionário pelo email (não pelo ID)
-            const funcionario = await getUserFuncionario(user.email);
-
-            if (!funcionario) {
-                console.error('Perfil não encontrado para o email:', user.email);
-                // Se não há perfil, a sessão pode ser inválida, então limpamos.
-                await logout();
-                return {isAuthenticated: false};
-            }
-
-            // Atualiza o usuario atual
-            currentUser = {
-                ...user,
-                ...funcionario,
-                role: funcionario.role || 'staff' // Prioriza o cargo do perfil
+        if (error || !session?.user) {
+            if (error) console.error('Erro ao verificar sessão:', error);
+            clearStoredUser();
+            return {
+                isAuthenticated: false,
+                reason: hadStoredUser ? 'Sua sessão expirou. Faça login novamente.' : null
             };
-
-            // Armazena os dados do usuario no localStorage para persistência
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
-
-            return {isAuthenticated: true, user: currentUser};
         }
 
-        return {isAuthenticated: false};
+        const result = await revalidateSession();
+        return {isAuthenticated: result.valid, user: currentUser, offline: result.offline, reason: result.reason};
 
     } catch (error) {
         console.error('Erro ao verificar autenticação:', error);
@@ -236,6 +230,65 @@ export const checkLogin = async () => {
     }
 };
 
+const clearStoredUser = () => {
+    currentUser = null;
+    localStorage.removeItem('currentUser');
+};
+
+// Cargo, acessos, unidades e situação da conta: se mudarem, a interface precisa ser montada de novo
+const profileFingerprint = (user) => user
+    ? JSON.stringify([user.role_id, user.unit, user.is_active, user.extra_data?.tabAccess, user.extra_data?.permissions])
+    : null;
+
+/**
+ * Confere a sessão e o perfil do usuario com o Supabase
+ * Sessão expirada ou encerrada pela diretoria, conta desativada ou sem perfil encerram o acesso;
+ * cargo, acessos e troca de senha pendente são atualizados no perfil guardado.
+ * Sem conexão, o perfil guardado continua valendo até a próxima verificação.
+ * @returns {Promise<Object>} {valid, offline, changed, reason}; changed indica que cargo ou acessos mudaram
+ */
+export const revalidateSession = async () => {
+    const {data: {user}, error} = await supabase.auth.getUser();
+    if (error && isAuthRetryableFetchError(error)) {
+        return {valid: getCurrentUser() !== null, offline: true, changed: false};
+    }
+    if (error || !user) {
+        await supabase.auth.signOut({scope: 'local'});
+        clearStoredUser();
+        return {valid: false, offline: false, changed: false, reason: 'Sua sessão expirou ou foi encerrada. Faça login novamente.'};
+    }
+
+    const funcionario = await getUserFuncionario(user.email);
+    if (!funcionario || funcionario.is_active === false) {
+        await supabase.auth.signOut({scope: 'local'});
+        clearStoredUser();
+        return {valid: false, offline: false, changed: false, reason: 'Sua conta foi desativada ou removida. Procure a diretoria.'};
+    }
+
+    const previous = getCurrentUser();
+    currentUser = buildSessionUser(user, funcionario);
+    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+
+    const changed = previous !== null && profileFingerprint(previous) !== profileFingerprint(currentUser);
+    return {valid: true, offline: false, changed};
+};
+
+/**
+ * Obtém o ID da sessão atual do Supabase Auth (claim session_id do token de acesso)
+ * @returns {Promise<string|null>} ID da sessão ou null sem sessão
+ */
+export const getCurrentSessionId = async () => {
+    const {data: {session}} = await supabase.auth.getSession();
+    if (!session?.access_token) return null;
+    try {
+        const payload = session.access_token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        return JSON.parse(atob(payload)).session_id || null;
+    } catch (error) {
+        console.error('Erro ao ler o token de acesso:', error);
+        return null;
+    }
+};
+
 /**
  * Obtém o usuario atualmente autenticado
  * @returns {Object|null} Dados do usuario ou null se não estiver autenticado
@@ -267,85 +320,90 @@ export const isRoleAllowed = (allowedRoles) => {
     const user = getCurrentUser();
     if (!user) return false;
 
-    // Se for um array, verifica se o usuario tem alguma das funções
+    // Se for um array, verifica se o usuario tem alguma das funções (diretamente ou pelo grupo, ex: 'coordinator')
     if (Array.isArray(allowedRoles)) {
-        return allowedRoles.some(role => {
-            if (role === 'authenticated') return true;
-            return user.role === role;
-        });
+        if (allowedRoles.includes('authenticated')) return true;
+        return roleMatches(user.role, allowedRoles);
     }
 
     // Se for uma string, verifica se o usuario tem essa função específica
     if (typeof allowedRoles === 'string') {
         if (allowedRoles === 'authenticated') return true;
-        return user.role === allowedRoles;
+        return roleMatches(user.role, [allowedRoles]);
     }
 
     return false;
 };
 
+// Aceita tanto a lista de unidades dos registros locais quanto o texto da coluna funcionarios.unit
+const parseUnits = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(unit => unit.trim())
+    .filter(Boolean);
+
 /**
- * Verifica se o usuario tem permissão para acessar uma aba específica
- * @param {string} tabId - ID da aba
- * @param {string} requiredAccess - Nível de acesso necessário ('view' ou 'edit')
+ * Obtém as unidades cujos dados o usuario pode ver
+ * A diretoria vê todas; os demais veem as unidades atribuídas a eles ou, sem atribuição, a unidade
+ * do seu cargo de coordenação. Sem nenhuma das duas o acesso não é restrito por unidade.
  * @param {Object} user - Usuário a ser verificado (opcional, pega o usuario atual se não informado)
- * @returns {boolean} Verdadeiro se o usuario tiver permissão
+ * @returns {Array|null} Lista de unidades ou null quando o usuario vê todas
  */
-export const checkTabAccess = (tabId, requiredAccess = 'view', user = null) => {
+export const getUserUnits = (user = null) => {
     if (!user) {
         user = getCurrentUser();
     }
 
-    if (!user) return false;
+    if (!user || user.role === 'director') return null;
 
-    // 1. Acesso de Diretor (acesso total)
-    if (user.role === 'director') return true;
+    // O cadastro local é a fonte mais atual; o perfil da sessão guarda a coluna como veio do banco
+    const profile = db.users.find(u => u.id === user.id) || user;
+    const units = parseUnits(profile.units ?? profile.unit);
+    if (units.length > 0) return units;
+    return ROLE_UNITS[user.role] || null;
+};
 
-    // 2. Verificar permissões personalizadas do usuário
-    if (user.tabAccess && user.tabAccess[tabId]) {
-        const userAccessLevel = user.tabAccess[tabId];
-        if (requiredAccess === 'view') {
-            // Se o usuário tem permissão de 'view' ou 'edit', ele pode visualizar.
-            return userAccessLevel === 'view' || userAccessLevel === 'edit';
-        }
-        if (requiredAccess === 'edit') {
-            // Apenas a permissão 'edit' concede acesso de edição.
-            return userAccessLevel === 'edit';
-        }
-    }
+/**
+ * Verifica se o usuario pode ver dados de uma unidade
+ * Registros sem unidade (cadastros antigos) não pertencem a nenhuma unidade e ficam visíveis a todos
+ * @param {string} unit - Unidade do registro
+ * @param {Object} user - Usuário a ser verificado (opcional)
+ * @returns {boolean} Verdadeiro se o usuario puder ver a unidade
+ */
+export const canAccessUnit = (unit, user = null) => {
+    const units = getUserUnits(user);
+    return !units || !unit || units.includes(unit);
+};
 
-    // 3. Fallback para permissões padrão baseadas no cargo (role)
-    const defaultTabPermissions = {
-        'cadastro': {
-            view: ['director', 'coordinator', 'professional', 'staff', 'receptionist'],
-            edit: ['director', 'coordinator', 'receptionist']
-        },
-        'agenda': {
-            view: ['director', 'coordinator', 'professional', 'staff', 'receptionist'],
-            edit: ['director', 'coordinator', 'professional', 'receptionist']
-        },
-        'historico': {
-            view: ['director', 'coordinator', 'professional', 'staff', 'receptionist'],
-            edit: ['director', 'coordinator']
-        },
-        'meus-pacientes': {view: PROFESSIONAL_ROLES, edit: PROFESSIONAL_ROLES},
-        'relatorios': {view: ['director', 'financeiro', 'coordinator'], edit: ['director']},
-        'financeiro': {view: ['director', 'financeiro'], edit: ['director', 'financeiro']},
-        'estoque': {
-            view: ['director', 'financeiro', 'staff', 'coordinator'],
-            edit: ['director', 'financeiro', 'coordinator']
-        },
-        'funcionarios': {view: ['director', 'coordinator'], edit: ['director']},
-        'documentos': {view: ['director', 'coordinator'], edit: ['director', 'coordinator']}
-    };
+/**
+ * Obtém os clientes das unidades do usuario atual
+ * @returns {Array} Clientes visíveis
+ */
+export const getVisibleClients = () => {
+    return db.clients.filter(client => canAccessUnit(client.unit));
+};
 
-    if (!defaultTabPermissions[tabId]) {
-        console.warn(`Aba '${tabId}' não encontrada no mapeamento de permissões padrão.`);
-        return false;
-    }
+/**
+ * Obtém os agendamentos de clientes das unidades do usuario atual
+ * @returns {Array} Agendamentos visíveis
+ */
+export const getVisibleSchedules = () => {
+    if (!getUserUnits()) return db.schedules;
+    const visibleClientIds = new Set(getVisibleClients().map(client => client.id));
+    return db.schedules.filter(schedule => visibleClientIds.has(schedule.clientId));
+};
 
-    const requiredRoles = defaultTabPermissions[tabId][requiredAccess] || [];
-    return requiredRoles.includes(user.role);
+/**
+ * Obtém os funcionários que compartilham alguma unidade com o usuario atual
+ * (funcionários sem unidade, como a diretoria, aparecem para todos)
+ * @param {Array} users - Lista a filtrar (opcional, usa todos os funcionários se não informada)
+ * @returns {Array} Funcionários visíveis
+ */
+export const getVisibleUsers = (users = db.users) => {
+    const units = getUserUnits();
+    if (!units) return users;
+    return users.filter(user => {
+        const userUnits = getUserUnits(user);
+        return !userUnits || userUnits.some(unit => units.includes(unit));
+    });
 };
 
 /**
@@ -358,57 +416,214 @@ export const hasEditAccess = (tabId) => {
 };
 
 /**
- * Atualiza a senha do usuario
- * @param {string} userId - ID do usuario
+ * Regras de senha, aplicadas na configuração inicial, nas senhas provisórias criadas pela diretoria,
+ * na troca de senha e na redefinição por email
+ */
+export const PASSWORD_RULES = [
+    {test: (password) => password.length >= 8, message: 'ter pelo menos 8 caracteres'},
+    {test: (password) => /[a-z]/.test(password), message: 'ter uma letra minúscula'},
+    {test: (password) => /[A-Z]/.test(password), message: 'ter uma letra maiúscula'},
+    {test: (password) => /\d/.test(password), message: 'ter um número'},
+    {
+        test: (password, email) => {
+            const localPart = (email || '').split('@')[0].toLowerCase();
+            return localPart.length < 3 || !password.toLowerCase().includes(localPart);
+        },
+        message: 'não conter o seu email'
+    }
+];
+
+export const PASSWORD_RULES_HINT = 'Mínimo de 8 caracteres, com letras maiúsculas, minúsculas e números, sem conter o email.';
+
+/**
+ * Verifica uma senha contra as regras de senha
+ * @param {string} password - Senha proposta
+ * @param {string} email - Email da conta (a senha não pode contê-lo)
+ * @returns {string|null} Mensagem com as regras não atendidas ou null se a senha for válida
+ */
+export const validatePasswordStrength = (password, email = '') => {
+    const unmet = PASSWORD_RULES.filter(rule => !rule.test(password || '', email)).map(rule => rule.message);
+    return unmet.length > 0 ? `A senha deve ${unmet.join(', ')}.` : null;
+};
+
+// Link de redefinição de senha aberto nesta página (fluxo implícito: #access_token=...&type=recovery).
+// Lido no carregamento do módulo, antes de o cliente do Supabase limpar o endereço.
+let passwordRecovery = window.location.hash.includes('type=recovery');
+const authLinkError = new URLSearchParams(window.location.hash.slice(1)).get('error_description');
+
+/**
+ * Indica se a página foi aberta por um link de redefinição de senha
+ * A sessão criada pelo link só serve para definir a nova senha; o app não é aberto com ela
+ * @returns {boolean} Verdadeiro durante a redefinição
+ */
+export const isPasswordRecovery = () => passwordRecovery;
+
+/**
+ * Erro informado pelo Supabase Auth ao abrir um link de email (ex: link expirado ou já utilizado)
+ * @returns {string|null} Descrição do erro ou null
+ */
+export const getAuthLinkError = () => authLinkError;
+
+/**
+ * Indica se o usuario atual precisa trocar a senha antes de usar o sistema
+ * (senha provisória criada pela diretoria ou redefinição exigida por ela)
+ * @returns {boolean} Verdadeiro se a troca for obrigatória
+ */
+export const needsPasswordChange = () => getCurrentUser()?.must_change_password === true;
+
+/**
+ * Envia o email com o link de redefinição de senha
+ * Com o Supabase local (`supabase start`), os emails chegam ao Inbucket em http://localhost:54324
+ * @param {string} email - Email da conta
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export const requestPasswordReset = async (email) => {
+    try {
+        if (!email) throw new Error('Informe o email da conta');
+
+        // O link volta para esta mesma página, que mostra o formulário de nova senha; o endereço precisa estar
+        // nas Redirect URLs do projeto (additional_redirect_urls no supabase/config.toml local)
+        const {error} = await supabase.auth.resetPasswordForEmail(email, {
+            redirectTo: window.location.origin + window.location.pathname
+        });
+        if (error) throw error;
+
+        return {success: true};
+    } catch (error) {
+        console.error('Erro ao solicitar redefinição de senha:', error);
+        return {
+            success: false,
+            error: error.message || 'Erro ao solicitar a redefinição de senha'
+        };
+    }
+};
+
+/**
+ * Define a nova senha da sessão atual e libera a conta da troca obrigatória
+ * @param {string} newPassword - Nova senha
+ * @returns {Promise<void>} Rejeita com a mensagem de erro a exibir
+ */
+const setSessionPassword = async (newPassword) => {
+    const {data: {user}, error: userError} = await supabase.auth.getUser();
+    if (userError) throw userError;
+    if (!user) throw new Error('Sessão expirada. Faça login novamente.');
+
+    const weakness = validatePasswordStrength(newPassword, user.email);
+    if (weakness) throw new Error(weakness);
+
+    const {error} = await supabase.auth.updateUser({password: newPassword});
+    if (error?.code === 'same_password') throw new Error('A nova senha deve ser diferente da atual.');
+    if (error) throw error;
+
+    // funcionarios só pode ser alterada por quem edita a aba de funcionários; a função limpa apenas a própria marca
+    const {error: flagError} = await supabase.rpc('complete_password_change');
+    if (flagError) throw flagError;
+
+    if (currentUser) {
+        currentUser.must_change_password = false;
+        localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    }
+};
+
+/**
+ * Altera a senha do usuario atual, confirmando antes a senha atual
+ * @param {string} currentPassword - Senha atual
  * @param {string} newPassword - Nova senha
  * @returns {Promise<Object>} Resultado da operação
  */
-export const updateUserPassword = async (userId, newPassword) => {
+export const changePassword = async (currentPassword, newPassword) => {
     try {
-        // Validação dos parâmetros
-        if (!userId || !newPassword) {
-            throw new Error('ID do usuario e nova senha são obrigatórios');
-        }
+        const user = getCurrentUser();
+        if (!user) throw new Error('Nenhum usuário autenticado');
+        if (!currentPassword || !newPassword) throw new Error('Senha atual e nova senha são obrigatórias');
+        if (currentPassword === newPassword) throw new Error('A nova senha deve ser diferente da atual.');
 
-        // Verifica se o usuario atual tem permissão para atualizar a senha
-        const currentUser = getCurrentUser();
-        if (!currentUser || (currentUser.id !== userId && !isRoleAllowed(DIRECTOR_ONLY))) {
-            throw new Error('Sem permissão para atualizar esta senha');
-        }
+        const {error} = await supabase.auth.signInWithPassword({email: user.email, password: currentPassword});
+        if (error) throw new Error('A senha atual está incorreta.');
 
-        // Atualiza a senha usando o Supabase
-        const {data, error} = await supabase.auth.updateUser({
-            id: userId,
-            password: newPassword
-        });
+        await setSessionPassword(newPassword);
+        return {success: true};
+    } catch (error) {
+        console.error('Erro ao alterar senha:', error);
+        return {
+            success: false,
+            error: error.message || 'Erro ao alterar a senha'
+        };
+    }
+};
 
-        if (error) throw error;
+/**
+ * Conclui a troca obrigatória de senha logo após o login (a senha atual acabou de ser confirmada no login)
+ * @param {string} newPassword - Nova senha
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export const completeRequiredPasswordChange = async (newPassword) => {
+    try {
+        if (!needsPasswordChange()) throw new Error('Esta conta não precisa trocar a senha.');
 
-        // Registra a alteração no histórico, se disponível
-        if (currentUser.changeHistory) {
-            currentUser.changeHistory.push({
-                id: Date.now(),
-                date: new Date().toISOString(),
-                changedBy: getCurrentUser()?.name || 'Sistema',
-                changes: [
-                    {field: 'password', oldValue: '********', newValue: '********'}
-                ]
-            });
-
-            // Atualiza o usuario no localStorage
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
-        }
+        await setSessionPassword(newPassword);
+        return {success: true};
+    } catch (error) {
+        console.error('Erro na troca obrigatória de senha:', error);
+        return {
+            success: false,
+            error: error.message || 'Erro ao alterar a senha'
+        };
+    }
+};
+
+/**
+ * Conclui a redefinição aberta pelo link do email e encerra a sessão de recuperação
+ * @param {string} newPassword - Nova senha
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export const completePasswordReset = async (newPassword) => {
+    try {
+        if (!passwordRecovery) throw new Error('Link de redefinição inválido. Solicite um novo.');
 
+        await setSessionPassword(newPassword);
+        passwordRecovery = false;
+        await logout();
+        return {success: true};
+    } catch (error) {
+        console.error('Erro ao redefinir senha:', error);
         return {
-            success: true,
-            message: 'Senha atualizada com sucesso'
+            success: false,
+            error: error.message || 'Erro ao redefinir a senha'
         };
+    }
+};
+
+/**
+ * Cria a conta de acesso (Supabase Auth) de um novo funcionário com uma senha provisória
+ * Usa um cliente sem sessão persistida para que a sessão da diretoria não seja substituída pela nova conta
+ * @param {string} email - Email do funcionário
+ * @param {string} temporaryPassword - Senha provisória, trocada no primeiro login
+ * @param {string} name - Nome do funcionário
+ * @returns {Promise<Object>} Resultado da operação
+ */
+export const createEmployeeAccount = async (email, temporaryPassword, name) => {
+    try {
+        const weakness = validatePasswordStrength(temporaryPassword, email);
+        if (weakness) throw new Error(weakness);
+
+        const {data, error} = await createDetachedAuthClient().auth.signUp({
+            email,
+            password: temporaryPassword,
+            options: {data: {full_name: name}}
+        });
+        if (error) throw error;
+        // Com confirmação de email ativa, um email já cadastrado volta sem identidades em vez de dar erro
+        if (!data.user || data.user.identities?.length === 0) {
+            throw new Error('Já existe uma conta de acesso com este email.');
+        }
 
+        return {success: true, needsConfirmation: !data.session};
     } catch (error) {
-        console.error('Erro ao atualizar senha:', error);
+        console.error('Erro ao criar conta de acesso:', error);
         return {
             success: false,
-            error: error.message || 'Erro ao atualizar a senha'
+            error: error.message || 'Erro ao criar a conta de acesso'
         };
     }
 };
@@ -416,7 +631,7 @@ export const updateUserPassword = async (userId, newPassword) => {
 // Funções auxiliares para verificação de funções
 const hasAnyRole = (user, roles) => {
     if (!user || !user.role) return false;
-    return roles.includes(user.role);
+    return roleMatches(user.role, roles);
 };
 
 // Função para verificar se o usuario tem permissão para acessar recursos financeiros
@@ -431,12 +646,12 @@ export const isAdmin = (user) => {
 
 // Função para verificar se o usuario é um coordenador ou superior
 export const isCoordinatorOrHigher = (user) => {
-    return hasAnyRole(user, ['director', 'coordinator_madre', 'coordinator_floresta']);
+    return hasAnyRole(user, ['director', 'coordinator']);
 };
 
 // Função para verificar se o usuario é um profissional
 export const isProfessional = (user) => {
-    return hasAnyRole(user, PROFESSIONAL_ROLES);
+    return hasAnyRole(user, ['professional']);
 };
 
 // Inicializa a autenticação quando o módulo for carregado
@@ -491,11 +706,7 @@ export const signUp = async (email, password, funcionarioData = {}) => {
         }
 
         // 3. Atualiza o usuário atual com os dados do perfil
-        currentUser = {
-            ...authData.user,
-            ...funcionario,
-            role: funcionario.role || 'staff'
-        };
+        currentUser = buildSessionUser(authData.user, funcionario);
 
         // Armazena os dados do usuário no localStorage
         localStorage.setItem('currentUser', JSON.stringify(currentUser));
@@ -515,6 +726,77 @@ export const signUp = async (email, password, funcionarioData = {}) => {
     }
 };
 
+/**
+ * Verifica se o sistema ainda não tem nenhuma conta de diretoria ativa (primeiro acesso)
+ * @returns {Promise<boolean>} Verdadeiro se o assistente de configuração inicial deve ser exibido
+ */
+export const needsInitialSetup = async () => {
+    try {
+        const {data, error} = await supabase.rpc('needs_initial_setup');
+        if (error) throw error;
+        return data === true;
+    } catch (error) {
+        // Sem conexão não é possível saber; a tela de login continua disponível
+        console.error('Erro ao verificar a configuração inicial:', error);
+        return false;
+    }
+};
+
+/**
+ * Cria a conta da primeira diretoria no Supabase Auth e o perfil correspondente em funcionarios
+ * @param {string} name - Nome exibido da diretoria
+ * @param {string} email - Email de acesso
+ * @param {string} password - Senha de acesso
+ * @returns {Promise<Object>} Objeto com o resultado; `needsConfirmation` indica que o email precisa ser confirmado antes do login
+ */
+export const createInitialDirector = async (name, email, password) => {
+    try {
+        if (!name || !email || !password) {
+            throw new Error('Nome, email e senha são obrigatórios');
+        }
+
+        const {data: authData, error: signUpError} = await supabase.auth.signUp({
+            email,
+            password,
+            options: {data: {full_name: name}}
+        });
+        if (signUpError) throw signUpError;
+
+        // Com confirmação de email ativa não há sessão; o perfil é criado no primeiro login
+        if (!authData.session) {
+            localStorage.setItem('pendingInitialDirector', JSON.stringify({name, email}));
+            return {success: true, needsConfirmation: true};
+        }
+
+        const {error: profileError} = await supabase.rpc('create_initial_director', {director_name: name});
+        if (profileError) throw profileError;
+
+        return await login(email, password);
+    } catch (error) {
+        console.error('Erro na configuração inicial:', error);
+        return {
+            success: false,
+            error: error.message || 'Erro ao criar a conta da diretoria'
+        };
+    }
+};
+
+/**
+ * Conclui a configuração inicial adiada pela confirmação de email, antes do primeiro login da diretoria
+ * @param {string} email - Email informado no login
+ */
+export const completePendingInitialSetup = async (email) => {
+    const pending = JSON.parse(localStorage.getItem('pendingInitialDirector') || 'null');
+    if (!pending || pending.email !== email) return;
+
+    const {error} = await supabase.rpc('create_initial_director', {director_name: pending.name});
+    if (error) {
+        console.error('Erro ao concluir a configuração inicial:', error);
+        return;
+    }
+    localStorage.removeItem('pendingInitialDirector');
+};
+
 // Função para se inscrever nas mudanças de estado de autenticação
 export const onAuthStateChange = (callback) => {
     return supabase.auth.onAuthStateChange(callback);
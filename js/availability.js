@@ -0,0 +1,386 @@
+// Professional availability module
+// Weekly working hours of each employee per unit and their absences (vacation, sick leave, holidays).
+// The schedule forms only offer professionals available at the chosen slot, and the free slot search
+// walks these hours looking for the next time without conflicts.
+import {db} from './database.js';
+import {hasPermission, getVisibleUsers} from './auth.js';
+import {PROFESSIONAL_ROLES, UNITS, getRoleName} from './roles.js';
+import {showNotification} from './ui.js';
+import {usersRepository} from './repository.js';
+import {findScheduleConflicts, getDefaultDurationHours, toMinutes, formatMinutes} from './conflicts.js';
+
+export const ABSENCE_TYPES = {
+    ferias: 'Férias',
+    licenca: 'Licença médica',
+    feriado: 'Feriado',
+    outro: 'Outra ausência'
+};
+const WEEKDAY_LABELS = ['Domingo', 'Segunda', 'Terça', 'Quarta', 'Quinta', 'Sexta', 'Sábado'];
+// Granularity of the free slot search, and how far ahead it looks
+const SLOT_STEP_MINUTES = 15;
+const SLOT_SEARCH_DAYS = 60;
+const SLOT_RESULTS_LIMIT = 8;
+
+// Copy of the hours and absences being edited in the availability modal
+let editingAvailability = null;
+let foundSlots = [];
+
+function weekdayOf(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+// Today's date in the clinic's time zone, to compare with getHours()/getMinutes() (toISOString() is UTC)
+function localDateString(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString('pt-BR', {timeZone: 'UTC'});
+}
+
+export function getAbsence(user, date) {
+    return (user.availabilityExceptions || []).find(absence => absence.startDate <= date && date <= absence.endDate) || null;
+}
+
+/**
+ * Why `user` cannot take a session at `date`/`time` lasting `durationHours` in `unit`, or null when they can.
+ * Employees whose working hours were never filled in are treated as always available, so the agenda keeps
+ * working until the hours of everyone are registered; absences apply to them as well.
+ */
+export function getUnavailabilityReason(user, date, time, durationHours, unit = null) {
+    const absence = getAbsence(user, date);
+    if (absence) return `${ABSENCE_TYPES[absence.type] || 'Ausência'} até ${formatDate(absence.endDate)}`;
+
+    const blocks = user.availability || [];
+    if (blocks.length === 0) return null;
+
+    const start = toMinutes(time);
+    const end = start + Math.round(durationHours * 60);
+    const weekday = weekdayOf(date);
+    const fits = blocks.some(block => block.weekday === weekday &&
+        (!unit || !block.unit || block.unit === unit) &&
+        toMinutes(block.start) <= start && end <= toMinutes(block.end));
+    return fits ? null : 'Fora do horário de trabalho';
+}
+
+export function isAvailable(user, date, time, durationHours, unit = null) {
+    return getUnavailabilityReason(user, date, time, durationHours, unit) === null;
+}
+
+/**
+ * Professionals the current user may assign, split by whether they can take every one of `slots`
+ * ({date, time, durationHours}) in `unit`.
+ */
+export function splitProfessionalsByAvailability(slots, unit = null) {
+    const available = [];
+    const unavailable = [];
+    getVisibleUsers().filter(user => PROFESSIONAL_ROLES.includes(user.role) && user.isActive !== false).forEach(user => {
+        const fits = slots.every(slot => isAvailable(user, slot.date, slot.time, slot.durationHours, unit));
+        (fits ? available : unavailable).push(user);
+    });
+    return {available, unavailable};
+}
+
+// --- Free slot search ---
+
+/**
+ * Earliest free slots from `fromDate` on for a service: inside the working hours of the matching professionals,
+ * outside their absences and without conflicts for the professional or the patient. Only professionals with
+ * working hours registered are searched.
+ */
+export function findFreeSlots({serviceType, role = 'all', professionalId = null, clientId = null, unit = null, fromDate, limit = SLOT_RESULTS_LIMIT}) {
+    const durationMinutes = Math.round(getDefaultDurationHours(serviceType) * 60);
+    const professionals = getVisibleUsers().filter(user =>
+        PROFESSIONAL_ROLES.includes(user.role) && user.isActive !== false && (user.availability || []).length > 0 &&
+        (role === 'all' || user.role === role) && (!professionalId || user.id === professionalId));
+
+    const now = new Date();
+    const today = localDateString(now);
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const slots = [];
+
+    for (let offset = 0; offset < SLOT_SEARCH_DAYS && slots.length < limit; offset++) {
+        const date = addDays(fromDate, offset);
+        if (date < today) continue;
+        const daySchedules = db.schedules.filter(schedule => schedule.date === date);
+        const weekday = weekdayOf(date);
+
+        professionals.forEach(user => {
+            if (getAbsence(user, date)) return;
+            user.availability
+                .filter(block => block.weekday === weekday && (!unit || !block.unit || block.unit === unit))
+                .forEach(block => {
+                    for (let start = toMinutes(block.start); start + durationMinutes <= toMinutes(block.end); start += SLOT_STEP_MINUTES) {
+                        if (date === today && start <= nowMinutes) continue;
+                        const candidate = {
+                            date,
+                            time: formatMinutes(start),
+                            durationHours: durationMinutes / 60,
+                            serviceType,
+                            clientId,
+                            assignedToUserId: user.id
+                        };
+                        const checks = clientId ? ['professional', 'patient'] : ['professional'];
+                        if (findScheduleConflicts([candidate], {checks, schedules: daySchedules}).length > 0) continue;
+                        slots.push({...candidate, professionalName: user.name, unit: block.unit || null});
+                    }
+                });
+        });
+    }
+
+    // Collected day by day, so sorting the whole list keeps the earliest ones
+    return slots
+        .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time) || a.professionalName.localeCompare(b.professionalName))
+        .slice(0, limit);
+}
+
+/**
+ * Runs the search of the "find next free slot" modal and lists the results, each with a button to use it.
+ */
+export function searchFreeSlots() {
+    const serviceType = document.getElementById('find-slot-service').value;
+    const role = document.getElementById('find-slot-role').value;
+    const professionalId = parseInt(document.getElementById('find-slot-professional').value) || null;
+    const fromDate = document.getElementById('find-slot-from').value || localDateString();
+    const clientId = parseInt(document.getElementById('select-cliente-agenda').value) || null;
+    const client = db.clients.find(c => c.id === clientId);
+    const container = document.getElementById('find-slot-results');
+
+    foundSlots = findFreeSlots({serviceType, role, professionalId, clientId, unit: client?.unit || null, fromDate});
+    if (foundSlots.length === 0) {
+        container.innerHTML = `<p>Nenhum horário livre nos próximos ${SLOT_SEARCH_DAYS} dias. Verifique os horários de trabalho cadastrados para os profissionais.</p>`;
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Data</th><th>Horário</th><th>Profissional</th><th>Unidade</th><th></th></tr></thead>
+                <tbody>
+                    ${foundSlots.map((slot, index) => `
+                        <tr>
+                            <td>${WEEKDAY_LABELS[weekdayOf(slot.date)]}, ${formatDate(slot.date)}</td>
+                            <td>${slot.time}</td>
+                            <td>${slot.professionalName}</td>
+                            <td>${slot.unit ? UNITS[slot.unit] : 'Qualquer'}</td>
+                            <td><button type="button" class="btn-primary btn-small" onclick="useFreeSlot(${index})">Usar</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+export function populateFindSlotProfessionals() {
+    const role = document.getElementById('find-slot-role').value;
+    const select = document.getElementById('find-slot-professional');
+    const professionals = getVisibleUsers()
+        .filter(user => PROFESSIONAL_ROLES.includes(user.role) && user.isActive !== false && (role === 'all' || user.role === role))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    select.innerHTML = '<option value="">Qualquer profissional</option>' +
+        professionals.map(user => `<option value="${user.id}">${user.name}</option>`).join('');
+}
+
+/**
+ * Opens the free slot search from the new schedule form, starting from the service and date chosen there.
+ */
+export function showFindSlotModal(serviceOptions) {
+    document.getElementById('find-slot-service').innerHTML = Object.entries(serviceOptions)
+        .map(([value, text]) => `<option value="${value}">${text}</option>`).join('');
+    document.getElementById('find-slot-service').value = document.getElementById('tipo-servico').value;
+
+    const roles = [...new Set(getVisibleUsers().filter(user => PROFESSIONAL_ROLES.includes(user.role)).map(user => user.role))];
+    document.getElementById('find-slot-role').innerHTML = '<option value="all">Todos os cargos</option>' +
+        roles.map(role => `<option value="${role}">${getRoleName(role)}</option>`).join('');
+    populateFindSlotProfessionals();
+    document.getElementById('find-slot-professional').value = document.getElementById('select-assigned-professional').value;
+
+    document.getElementById('find-slot-from').value = document.getElementById('data-agendamento').value || localDateString();
+    document.getElementById('find-slot-results').innerHTML = '';
+    document.getElementById('modal-find-slot').style.display = 'flex';
+}
+
+/**
+ * Takes a found slot to the new schedule form. Returns the slot so the caller can refresh the form.
+ */
+export function takeFreeSlot(index) {
+    const slot = foundSlots[index];
+    if (!slot) return null;
+    document.getElementById('data-agendamento').value = slot.date;
+    document.getElementById('hora-agendamento').value = slot.time;
+    document.getElementById('tipo-servico').value = slot.serviceType;
+    document.getElementById('modal-find-slot').style.display = 'none';
+    return slot;
+}
+
+// --- Working hours and absences editor ---
+
+function canEditAvailability() {
+    return hasPermission('staff.availability.edit');
+}
+
+function renderAvailabilityEditor() {
+    const {availability, availabilityExceptions} = editingAvailability;
+    const blocks = [...availability].sort((a, b) => a.weekday - b.weekday || a.start.localeCompare(b.start));
+    document.getElementById('availability-blocks-list').innerHTML = blocks.length === 0
+        ? '<p class="modal-description">Nenhum horário cadastrado: o profissional aparece como disponível em qualquer horário.</p>'
+        : `<ul class="availability-list">
+            ${blocks.map(block => `
+                <li>
+                    <span>${WEEKDAY_LABELS[block.weekday]}, ${block.start} - ${block.end} · ${block.unit ? UNITS[block.unit] : 'Qualquer unidade'}</span>
+                    <button type="button" class="btn-danger btn-small" onclick="removeAvailabilityBlock('${block.id}')"><i class="fa-solid fa-trash"></i></button>
+                </li>
+            `).join('')}
+        </ul>`;
+
+    const absences = [...availabilityExceptions].sort((a, b) => b.startDate.localeCompare(a.startDate));
+    document.getElementById('availability-absences-list').innerHTML = absences.length === 0
+        ? '<p class="modal-description">Nenhuma ausência cadastrada.</p>'
+        : `<ul class="availability-list">
+            ${absences.map(absence => `
+                <li>
+                    <span>${ABSENCE_TYPES[absence.type]}: ${formatDate(absence.startDate)}${absence.endDate !== absence.startDate ? ` a ${formatDate(absence.endDate)}` : ''}${absence.note ? ` · ${absence.note}` : ''}</span>
+                    <button type="button" class="btn-danger btn-small" onclick="removeAvailabilityException('${absence.id}')"><i class="fa-solid fa-trash"></i></button>
+                </li>
+            `).join('')}
+        </ul>`;
+}
+
+/**
+ * Opens the working hours and absences of an employee.
+ */
+export function showAvailabilityModal(userId) {
+    if (!canEditAvailability()) {
+        showNotification('Você não tem permissão para definir horários de funcionários.', 'error');
+        return;
+    }
+    const user = db.users.find(u => u.id === userId);
+    if (!user) {
+        showNotification('Funcionário não encontrado.', 'error');
+        return;
+    }
+
+    editingAvailability = {
+        userId,
+        availability: (user.availability || []).map(block => ({...block})),
+        availabilityExceptions: (user.availabilityExceptions || []).map(absence => ({...absence})),
+        holidaysForEveryone: []
+    };
+    document.getElementById('availability-employee-name').textContent = `${user.name} (${getRoleName(user.role)})`;
+    document.getElementById('availability-block-unit').innerHTML = '<option value="">Qualquer unidade</option>' +
+        Object.entries(UNITS).map(([unit, label]) => `<option value="${unit}">${label}</option>`).join('');
+    document.getElementById('form-availability-block').reset();
+    document.getElementById('form-availability-exception').reset();
+    updateAbsenceTypeFields();
+    renderAvailabilityEditor();
+    document.getElementById('modal-availability').style.display = 'flex';
+}
+
+export function addAvailabilityBlock() {
+    const weekday = parseInt(document.getElementById('availability-block-weekday').value);
+    const start = document.getElementById('availability-block-start').value;
+    const end = document.getElementById('availability-block-end').value;
+    const unit = document.getElementById('availability-block-unit').value || null;
+
+    if (!start || !end || start >= end) {
+        showNotification('Informe um horário de início anterior ao de término.', 'warning');
+        return;
+    }
+    const overlaps = editingAvailability.availability.some(block => block.weekday === weekday && block.start < end && start < block.end);
+    if (overlaps) {
+        showNotification('Este horário se sobrepõe a outro já cadastrado no mesmo dia.', 'warning');
+        return;
+    }
+
+    editingAvailability.availability.push({id: crypto.randomUUID(), weekday, start, end, unit});
+    renderAvailabilityEditor();
+}
+
+export function removeAvailabilityBlock(blockId) {
+    editingAvailability.availability = editingAvailability.availability.filter(block => block.id !== blockId);
+    renderAvailabilityEditor();
+}
+
+// "Apply to every employee" only makes sense for holidays
+export function updateAbsenceTypeFields() {
+    const isHoliday = document.getElementById('availability-exception-type').value === 'feriado';
+    document.getElementById('availability-exception-everyone-group').style.display = isHoliday ? 'flex' : 'none';
+    if (!isHoliday) document.getElementById('availability-exception-everyone').checked = false;
+}
+
+export function addAvailabilityException() {
+    const type = document.getElementById('availability-exception-type').value;
+    const startDate = document.getElementById('availability-exception-start').value;
+    const endDate = document.getElementById('availability-exception-end').value || startDate;
+    const note = document.getElementById('availability-exception-note').value.trim();
+    const forEveryone = document.getElementById('availability-exception-everyone').checked;
+
+    if (!startDate || endDate < startDate) {
+        showNotification('Informe o período da ausência, com a data final igual ou posterior à inicial.', 'warning');
+        return;
+    }
+
+    const absence = {id: crypto.randomUUID(), type, startDate, endDate, note};
+    editingAvailability.availabilityExceptions.push(absence);
+    if (forEveryone) editingAvailability.holidaysForEveryone.push(absence);
+    document.getElementById('form-availability-exception').reset();
+    updateAbsenceTypeFields();
+    renderAvailabilityEditor();
+}
+
+export function removeAvailabilityException(absenceId) {
+    editingAvailability.availabilityExceptions = editingAvailability.availabilityExceptions.filter(absence => absence.id !== absenceId);
+    editingAvailability.holidaysForEveryone = editingAvailability.holidaysForEveryone.filter(absence => absence.id !== absenceId);
+    renderAvailabilityEditor();
+}
+
+/**
+ * Saves the edited hours and absences; holidays marked for everyone are also added to the other active employees.
+ */
+export async function saveAvailability() {
+    if (!canEditAvailability() || !editingAvailability) {
+        showNotification('Você não tem permissão para definir horários de funcionários.', 'error');
+        return;
+    }
+
+    const {userId, availability, availabilityExceptions, holidaysForEveryone} = editingAvailability;
+    try {
+        await usersRepository.update(userId, {availability, availabilityExceptions});
+    } catch (error) {
+        console.error('Erro ao salvar horários do funcionário:', error);
+        showNotification('Erro ao salvar os horários. Tente novamente.', 'error');
+        return;
+    }
+
+    let failures = 0;
+    if (holidaysForEveryone.length > 0) {
+        const others = getVisibleUsers().filter(user => user.id !== userId && user.isActive !== false);
+        for (const user of others) {
+            const current = user.availabilityExceptions || [];
+            const missing = holidaysForEveryone.filter(holiday =>
+                !current.some(absence => absence.type === 'feriado' && absence.startDate === holiday.startDate && absence.endDate === holiday.endDate));
+            if (missing.length === 0) continue;
+            try {
+                await usersRepository.update(user.id, {availabilityExceptions: [...current, ...missing.map(holiday => ({...holiday, id: crypto.randomUUID()}))]});
+            } catch (error) {
+                failures++;
+                console.error(`Erro ao adicionar feriado para ${user.name}:`, error);
+            }
+        }
+    }
+
+    editingAvailability = null;
+    document.getElementById('modal-availability').style.display = 'none';
+    if (failures > 0) {
+        showNotification(`Horários salvos, mas o feriado não foi adicionado para ${failures} funcionário(s).`, 'warning');
+    } else {
+        showNotification('Horários e ausências salvos com sucesso!', 'success');
+    }
+}
@@ -0,0 +1,453 @@
+// Backup module
+// Director-only encrypted backup of the whole clinic database: every collection plus the attachment files,
+// sealed with a password (PBKDF2 + AES-GCM from Web Crypto) into a single file. The restore wizard decrypts
+// and validates a backup, shows what differs from the current data and then merges or replaces it.
+import {db, saveDb} from './database.js';
+import {runMigrations, LATEST_SCHEMA_VERSION} from './migrations.js';
+import {getCurrentUser, isRoleAllowed} from './auth.js';
+import {DIRECTOR_ONLY} from './roles.js';
+import {showNotification} from './ui.js';
+import {getPersistenceDriver} from './repository.js';
+import {listAttachmentSlots, getAttachmentBlob, restoreAttachmentLocally} from './attachments.js';
+import {downloadBlob} from './utils.js';
+
+const BACKUP_FORMAT = 'dom-bosco-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const SETTINGS_KEY = 'gestaoClientesBackupSettings';
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_REMINDER_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLLECTION_LABELS = {
+    clients: 'Clientes',
+    appointments: 'Atendimentos',
+    schedules: 'Agendamentos',
+    rooms: 'Salas e equipamentos',
+    dailyNotes: 'Notas financeiras',
+    generalDocuments: 'Mural',
+    notifications: 'Notificações',
+    stockItems: 'Itens de estoque',
+    stockMovements: 'Movimentações de estoque',
+    users: 'Usuários',
+    roles: 'Cargos personalizados',
+    anamnesisTypes: 'Tipos de anamnese',
+    auditLog: 'Registro de auditoria'
+};
+
+// Collections saved as top-level arrays of `db`; appointments live inside their client
+const TOP_LEVEL_COLLECTIONS = Object.keys(COLLECTION_LABELS).filter(collection => collection !== 'appointments');
+
+let pendingRestore = null;
+let reminderShown = false;
+
+// --- Encoding helpers ---
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked so large files do not overflow the argument list of fromCharCode
+    for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+// The envelope header (everything except the ciphertext) is authenticated, so it cannot be edited either
+function envelopeHeader(envelope) {
+    const {payload, ...header} = envelope;
+    return new TextEncoder().encode(JSON.stringify(header));
+}
+
+async function deriveKey(password, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        {name: 'PBKDF2', hash: 'SHA-256', salt, iterations},
+        baseKey,
+        {name: 'AES-GCM', length: 256},
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// --- Settings and reminder ---
+
+function readSettings() {
+    try {
+        return {intervalDays: DEFAULT_REMINDER_DAYS, lastBackupAt: null, ...JSON.parse(localStorage.getItem(SETTINGS_KEY))};
+    } catch (error) {
+        console.error('Erro ao ler as configurações de backup:', error);
+        return {intervalDays: DEFAULT_REMINDER_DAYS, lastBackupAt: null};
+    }
+}
+
+function writeSettings(changes) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({...readSettings(), ...changes}));
+}
+
+/**
+ * Saves how often the director wants to be reminded to make a backup (0 turns the reminder off).
+ */
+export function setBackupReminderInterval(intervalDays) {
+    writeSettings({intervalDays: Math.max(0, parseInt(intervalDays) || 0)});
+    renderBackupStatus();
+}
+
+/**
+ * Reminds the director once per session when the last backup is older than the chosen interval.
+ */
+export function checkBackupReminder() {
+    if (reminderShown || !isRoleAllowed(DIRECTOR_ONLY)) return;
+    const {intervalDays, lastBackupAt} = readSettings();
+    if (!intervalDays) return;
+    if (lastBackupAt && Date.now() - new Date(lastBackupAt).getTime() < intervalDays * DAY_MS) return;
+
+    reminderShown = true;
+    const message = lastBackupAt
+        ? `O último backup foi feito em ${new Date(lastBackupAt).toLocaleDateString('pt-BR')}. Gere um novo backup em Funcionários > Backup.`
+        : 'Nenhum backup foi gerado neste computador ainda. Gere um backup em Funcionários > Backup.';
+    showNotification(message, 'warning', 'Backup', 10000);
+}
+
+// --- Creating a backup ---
+
+async function collectAttachments() {
+    const attachments = [];
+    const seenKeys = new Set();
+    let missing = 0;
+
+    for (const slot of listAttachmentSlots()) {
+        const ref = slot.item[slot.refField];
+        // Embedded files are already part of `db`; archived ones only exist in their archive bundle
+        if (!ref || ref.archivedAt || seenKeys.has(ref.key)) continue;
+        seenKeys.add(ref.key);
+        try {
+            const blob = await getAttachmentBlob(ref);
+            attachments.push({
+                key: ref.key,
+                contentType: ref.contentType || blob.type,
+                data: bytesToBase64(new Uint8Array(await blob.arrayBuffer()))
+            });
+        } catch (error) {
+            console.error(`Erro ao incluir o anexo ${ref.key} no backup:`, error);
+            missing++;
+        }
+    }
+
+    return {attachments, missing};
+}
+
+/**
+ * Builds the encrypted backup of the whole database and its attachments and downloads it.
+ */
+export async function createBackup() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerar backups.', 'error');
+        return;
+    }
+
+    const password = document.getElementById('backup-password').value;
+    const confirmation = document.getElementById('backup-password-confirm').value;
+    if (password.length < MIN_PASSWORD_LENGTH) {
+        showNotification(`A senha do backup deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres.`, 'warning');
+        return;
+    }
+    if (password !== confirmation) {
+        showNotification('As senhas informadas não conferem.', 'warning');
+        return;
+    }
+
+    const button = document.getElementById('btn-create-backup');
+    button.disabled = true;
+    try {
+        const {attachments, missing} = await collectAttachments();
+        const createdAt = new Date().toISOString();
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+
+        const envelope = {
+            format: BACKUP_FORMAT,
+            version: BACKUP_FORMAT_VERSION,
+            createdAt,
+            createdBy: getCurrentUser()?.name || null,
+            schemaVersion: db.schemaVersion,
+            kdf: {name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt)},
+            cipher: {name: 'AES-GCM', iv: bytesToBase64(iv)}
+        };
+        const key = await deriveKey(password, salt, PBKDF2_ITERATIONS);
+        const plaintext = new TextEncoder().encode(JSON.stringify({db, attachments}));
+        const ciphertext = await crypto.subtle.encrypt({name: 'AES-GCM', iv, additionalData: envelopeHeader(envelope)}, key, plaintext);
+        envelope.payload = bytesToBase64(new Uint8Array(ciphertext));
+
+        downloadBlob(new Blob([JSON.stringify(envelope)], {type: 'application/json'}), `backup-dom-bosco-${createdAt.slice(0, 10)}.backup`);
+        writeSettings({lastBackupAt: createdAt});
+        document.getElementById('form-create-backup').reset();
+        renderBackupStatus();
+
+        if (missing > 0) {
+            showNotification(`Backup gerado, mas ${missing} anexo(s) não puderam ser lidos e ficaram de fora.`, 'warning');
+        } else {
+            showNotification('Backup gerado. Guarde o arquivo e a senha em locais separados; sem a senha ele não pode ser restaurado.', 'success');
+        }
+    } catch (error) {
+        console.error('Erro ao gerar backup:', error);
+        showNotification('Não foi possível gerar o backup.', 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// --- Reading a backup ---
+
+async function decryptBackup(fileText, password) {
+    let envelope;
+    try {
+        envelope = JSON.parse(fileText);
+    } catch (error) {
+        throw new Error('O arquivo escolhido não é um backup do sistema.');
+    }
+    if (envelope.format !== BACKUP_FORMAT || !envelope.payload || !envelope.kdf || !envelope.cipher) {
+        throw new Error('O arquivo escolhido não é um backup do sistema.');
+    }
+    if (envelope.version > BACKUP_FORMAT_VERSION) {
+        throw new Error('O backup foi gerado por uma versão mais nova do sistema.');
+    }
+
+    try {
+        const key = await deriveKey(password, base64ToBytes(envelope.kdf.salt), envelope.kdf.iterations);
+        const plaintext = await crypto.subtle.decrypt(
+            {name: 'AES-GCM', iv: base64ToBytes(envelope.cipher.iv), additionalData: envelopeHeader(envelope)},
+            key,
+            base64ToBytes(envelope.payload)
+        );
+        return {envelope, contents: JSON.parse(new TextDecoder().decode(plaintext))};
+    } catch (error) {
+        console.error('Erro ao decifrar backup:', error);
+        throw new Error('Senha incorreta ou arquivo corrompido.');
+    }
+}
+
+// Brings the backed-up data to the current schema and checks it has every collection
+function validateBackupData(data) {
+    if (!data || typeof data !== 'object') throw new Error('O backup não contém dados.');
+    if ((data.schemaVersion || 0) > LATEST_SCHEMA_VERSION) {
+        throw new Error('O backup foi gerado por uma versão mais nova do sistema.');
+    }
+    const {data: migrated, error, failedMigration} = runMigrations(data);
+    if (error) throw new Error(`Não foi possível atualizar os dados do backup (${failedMigration.description}).`);
+
+    const missing = TOP_LEVEL_COLLECTIONS.filter(collection => !Array.isArray(migrated[collection]));
+    if (missing.length > 0) {
+        throw new Error(`O backup está incompleto: faltam ${missing.map(collection => COLLECTION_LABELS[collection]).join(', ')}.`);
+    }
+    migrated.clients.forEach(client => {
+        client.appointments = client.appointments || [];
+    });
+    return migrated;
+}
+
+function collectionRecords(data, collection) {
+    if (collection === 'appointments') return data.clients.flatMap(client => client.appointments || []);
+    return data[collection] || [];
+}
+
+/**
+ * Counts, per collection, the records only in the backup, only in the current data and present in both with differences.
+ */
+function compareWithCurrent(backupData) {
+    return Object.keys(COLLECTION_LABELS).map(collection => {
+        const backupRecords = new Map(collectionRecords(backupData, collection).map(record => [record.id, record]));
+        const currentRecords = new Map(collectionRecords(db, collection).map(record => [record.id, record]));
+        let changed = 0;
+        backupRecords.forEach((record, id) => {
+            if (currentRecords.has(id) && JSON.stringify(currentRecords.get(id)) !== JSON.stringify(record)) changed++;
+        });
+        return {
+            collection,
+            label: COLLECTION_LABELS[collection],
+            backupCount: backupRecords.size,
+            currentCount: currentRecords.size,
+            onlyInBackup: [...backupRecords.keys()].filter(id => !currentRecords.has(id)).length,
+            onlyInCurrent: [...currentRecords.keys()].filter(id => !backupRecords.has(id)).length,
+            changed
+        };
+    });
+}
+
+/**
+ * Decrypts and validates the chosen backup file and shows how it differs from the current data.
+ */
+export async function verifyBackupFile() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode restaurar backups.', 'error');
+        return;
+    }
+
+    const file = document.getElementById('backup-restore-file').files[0];
+    const password = document.getElementById('backup-restore-password').value;
+    pendingRestore = null;
+    document.getElementById('backup-restore-options').style.display = 'none';
+    if (!file || !password) {
+        showNotification('Escolha o arquivo de backup e informe a senha.', 'warning');
+        return;
+    }
+
+    const summary = document.getElementById('backup-restore-summary');
+    summary.innerHTML = '<p>Verificando backup...</p>';
+    try {
+        const {envelope, contents} = await decryptBackup(await file.text(), password);
+        const data = validateBackupData(contents.db);
+        pendingRestore = {envelope, data, attachments: contents.attachments || []};
+        renderRestoreSummary();
+    } catch (error) {
+        summary.innerHTML = '';
+        showNotification(error.message, 'error');
+    }
+}
+
+function renderRestoreSummary() {
+    const {envelope, data, attachments} = pendingRestore;
+    const comparison = compareWithCurrent(data);
+
+    document.getElementById('backup-restore-summary').innerHTML = `
+        <p>Backup de <strong>${new Date(envelope.createdAt).toLocaleString('pt-BR')}</strong>${envelope.createdBy ? `, gerado por ${envelope.createdBy}` : ''}, com ${attachments.length} anexo(s).</p>
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Dados</th><th>No Backup</th><th>Atuais</th><th>Só no Backup</th><th>Só nos Atuais</th><th>Diferentes</th></tr></thead>
+                <tbody>
+                    ${comparison.map(row => `
+                        <tr>
+                            <td>${row.label}</td>
+                            <td>${row.backupCount}</td>
+                            <td>${row.currentCount}</td>
+                            <td>${row.onlyInBackup}</td>
+                            <td>${row.onlyInCurrent}</td>
+                            <td>${row.changed}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    document.getElementById('backup-restore-options').style.display = 'block';
+}
+
+// --- Restoring ---
+
+// Merge keeps every current record and adds the ones that only exist in the backup
+function mergeIntoCurrent(data) {
+    TOP_LEVEL_COLLECTIONS.filter(collection => collection !== 'clients').forEach(collection => {
+        const currentIds = new Set(db[collection].map(record => record.id));
+        db[collection].push(...data[collection].filter(record => !currentIds.has(record.id)));
+    });
+
+    data.clients.forEach(backupClient => {
+        const currentClient = db.clients.find(client => client.id === backupClient.id);
+        if (!currentClient) {
+            db.clients.push(backupClient);
+            return;
+        }
+        currentClient.appointments = currentClient.appointments || [];
+        const appointmentIds = new Set(currentClient.appointments.map(appointment => appointment.id));
+        currentClient.appointments.push(...backupClient.appointments.filter(appointment => !appointmentIds.has(appointment.id)));
+    });
+
+    // Id counters must stay ahead of the ids from both sides
+    Object.keys(data).filter(key => /^next[A-Z]\w*Id$/.test(key) && key !== 'nextTempId').forEach(key => {
+        db[key] = Math.max(db[key] || 1, data[key] || 1);
+    });
+}
+
+function replaceCurrent(data) {
+    const {nextTempId, auditLog, nextAuditLogId} = db;
+    Object.keys(db).forEach(key => delete db[key]);
+    Object.assign(db, data);
+    if (nextTempId !== undefined) db.nextTempId = nextTempId;
+
+    // The audit log is append-only, so the entries written after the backup are kept
+    const restoredIds = new Set(db.auditLog.map(entry => entry.id));
+    db.auditLog.push(...(auditLog || []).filter(entry => !restoredIds.has(entry.id)));
+    db.nextAuditLogId = Math.max(db.nextAuditLogId || 1, nextAuditLogId || 1);
+}
+
+/**
+ * Applies the verified backup with the chosen mode and reloads the app.
+ */
+export async function restoreBackup() {
+    if (!pendingRestore) {
+        showNotification('Verifique o arquivo de backup antes de restaurar.', 'warning');
+        return;
+    }
+    if (getPersistenceDriver() === 'supabase') {
+        showNotification('Com o banco compartilhado ativo, use "Importar Dados Locais" para enviar os dados do backup.', 'warning');
+        return;
+    }
+
+    const mode = document.querySelector('input[name="backup-restore-mode"]:checked').value;
+    const confirmMessage = mode === 'replace'
+        ? 'Substituir TODOS os dados atuais pelos dados do backup? Registros criados depois do backup serão perdidos.'
+        : 'Adicionar aos dados atuais os registros que só existem no backup? Os registros atuais não serão alterados.';
+    if (!confirm(confirmMessage)) return;
+
+    try {
+        const restoredKeys = new Set();
+        for (const attachment of pendingRestore.attachments) {
+            await restoreAttachmentLocally(attachment.key, new Blob([base64ToBytes(attachment.data)], {type: attachment.contentType}));
+            restoredKeys.add(attachment.key);
+        }
+
+        if (mode === 'replace') {
+            replaceCurrent(pendingRestore.data);
+        } else {
+            mergeIntoCurrent(pendingRestore.data);
+        }
+
+        // Restored files now live in this browser, whatever storage they came from
+        listAttachmentSlots().forEach(slot => {
+            const ref = slot.item[slot.refField];
+            if (ref && !ref.archivedAt && restoredKeys.has(ref.key)) {
+                slot.item[slot.refField] = {...ref, storage: 'indexeddb'};
+            }
+        });
+
+        if (!saveDb()) return;
+        pendingRestore = null;
+        showNotification('Backup restaurado. A página será recarregada.', 'success');
+        setTimeout(() => window.location.reload(), 1500);
+    } catch (error) {
+        console.error('Erro ao restaurar backup:', error);
+        showNotification('Não foi possível restaurar o backup. Recarregue a página antes de tentar novamente.', 'error');
+    }
+}
+
+// --- Modal ---
+
+function renderBackupStatus() {
+    const {intervalDays, lastBackupAt} = readSettings();
+    document.getElementById('backup-last-info').textContent = lastBackupAt
+        ? `Último backup neste computador: ${new Date(lastBackupAt).toLocaleString('pt-BR')}.`
+        : 'Nenhum backup gerado neste computador.';
+    document.getElementById('backup-reminder-interval').value = String(intervalDays);
+}
+
+/**
+ * Opens the backup modal (director only).
+ */
+export function showBackupModal() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerenciar backups.', 'error');
+        return;
+    }
+    pendingRestore = null;
+    document.getElementById('form-restore-backup').reset();
+    document.getElementById('backup-restore-summary').innerHTML = '';
+    document.getElementById('backup-restore-options').style.display = 'none';
+    renderBackupStatus();
+    document.getElementById('modal-backup').style.display = 'flex';
+}
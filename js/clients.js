@@ -1,9 +1,15 @@
 // Client management module
-import { db, saveDb } from './database.js';
-import { getCurrentUser, isRoleAllowed, checkTabAccess } from './auth.js'; // Import new constants
-import { PROFESSIONAL_ROLES, DIRECTOR_ONLY, FINANCE_ONLY, DIRECTOR_OR_FINANCE, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, COORDINATOR_AND_HIGHER } from './roles.js';
+import { db } from './database.js';
+import { getCurrentUser, isRoleAllowed, checkTabAccess, hasPermission, canAccessUnit, getVisibleClients, getVisibleSchedules, getVisibleUsers } from './auth.js'; // Import new constants
+import { PROFESSIONAL_ROLES, FINANCE_ONLY, DIRECTOR_OR_FINANCE, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES } from './roles.js';
 import { showNotification, updateGlobalSearchDatalist, switchTab } from './ui.js';
 import { formatDuration } from './utils.js'; // Import the new utility function
+import { clientsRepository, notificationsRepository } from './repository.js';
+import { storeAttachment, removeAttachment, attachmentAction } from './attachments.js';
+import { ensureUploadSpace } from './quota.js';
+import { anonymizeClient } from './lgpd.js';
+import { readClinical, hasClinicalAccess, RESTRICTED_CONTENT } from './encryption.js';
+import { renderRoomUtilization } from './rooms.js';
 
 export function renderClientList(filter = '', activityFilter = 'all', professionalFilter = 'all', unitFilter = 'all') {
     const clientListContainer = document.getElementById('client-list-container');
@@ -13,7 +19,7 @@ export function renderClientList(filter = '', activityFilter = 'all', profession
     const lowerCaseFilter = filter.toLowerCase();
     const currentUser = getCurrentUser(); // Get the current user
 
-    let clientsToShow = db.clients; // Start with all clients
+    let clientsToShow = getVisibleClients(); // Start with the clients of the user's units
 
     // Apply role-based filtering:
     // Professionals (staff, intern, musictherapist, etc.) only see clients assigned to them.
@@ -28,7 +34,8 @@ export function renderClientList(filter = '', activityFilter = 'all', profession
     // For other roles (Director, Coordinators, Receptionists), clientsToShow remains all clients.
 
     // Apply text search filter on the already role-filtered clients
-    let filteredClients = clientsToShow.filter(client => 
+    // Anonymized patients only remain for the financial reports
+    let filteredClients = clientsToShow.filter(client => !client.anonymizedAt).filter(client => 
         client.name.toLowerCase().includes(lowerCaseFilter) ||
         (client.cpf && client.cpf.includes(filter)) ||
         client.id.toString().includes(filter)
@@ -146,7 +153,7 @@ export function showClientDetails(clientId) {
     const canViewAll = checkTabAccess('historico', 'view');
     const isMyPatient = client.assignedProfessionalIds && client.assignedProfessionalIds.includes(currentUser.id) && checkTabAccess('meus-pacientes', 'view');
 
-    if (!canViewAll && !isMyPatient) {
+    if ((!canViewAll && !isMyPatient) || !canAccessUnit(client.unit)) {
         showNotification('Você não tem permissão para ver os detalhes deste paciente.', 'error');
         return;
     }
@@ -189,10 +196,10 @@ export function showClientDetails(clientId) {
     const clinicalInfoSection = document.querySelector('.modal-obs');
     if (client.diagnosticoPrincipal || client.historicoMedico || client.queixaNeuropsicologica || client.expectativasTratamento) {
         let clinicalInfo = '';
-        if (client.diagnosticoPrincipal) clinicalInfo += `<strong>Diagnóstico Principal:</strong> ${client.diagnosticoPrincipal}\n\n`;
-        if (client.historicoMedico) clinicalInfo += `<strong>Histórico Médico:</strong> ${client.historicoMedico}\n\n`;
-        if (client.queixaNeuropsicologica) clinicalInfo += `<strong>Queixa Neuropsicológica:</strong> ${client.queixaNeuropsicologica}\n\n`;
-        if (client.expectativasTratamento) clinicalInfo += `<strong>Expectativas do Tratamento:</strong> ${client.expectativasTratamento}`;
+        if (client.diagnosticoPrincipal) clinicalInfo += `<strong>Diagnóstico Principal:</strong> ${readClinical(client.diagnosticoPrincipal)}\n\n`;
+        if (client.historicoMedico) clinicalInfo += `<strong>Histórico Médico:</strong> ${readClinical(client.historicoMedico)}\n\n`;
+        if (client.queixaNeuropsicologica) clinicalInfo += `<strong>Queixa Neuropsicológica:</strong> ${readClinical(client.queixaNeuropsicologica)}\n\n`;
+        if (client.expectativasTratamento) clinicalInfo += `<strong>Expectativas do Tratamento:</strong> ${readClinical(client.expectativasTratamento)}`;
         
         if (clinicalInfo) {
             const existingObs = client.observations || 'Nenhuma observação.';
@@ -232,7 +239,7 @@ export function showClientDetails(clientId) {
     // Disable/enable "Vincular Profissional" button based on user role
     const assignButton = document.getElementById('btn-assign-professional-to-client');
     if (assignButton) {
-        if (checkTabAccess('historico', 'edit')) {
+        if (hasPermission('client.edit')) {
             assignButton.style.display = 'inline-flex';
         } else {
             assignButton.style.display = 'none';
@@ -243,17 +250,22 @@ export function showClientDetails(clientId) {
     const deleteClientButton = document.getElementById('btn-delete-client');
 
     if (deleteClientButton) {
-        if (checkTabAccess('historico', 'edit') && isRoleAllowed(DIRECTOR_ONLY)) { // Only Director can delete
+        if (hasPermission('client.delete')) {
             deleteClientButton.style.display = 'inline-flex';
         } else {
             deleteClientButton.style.display = 'none';
         }
     }
 
+    const lgpdButton = document.getElementById('btn-client-lgpd');
+    if (lgpdButton) {
+        lgpdButton.style.display = hasPermission('client.data.export') || hasPermission('client.delete') ? 'inline-flex' : 'none';
+    }
+
     // Show/hide "Editar Dados" button based on user role
     const editClientButton = document.getElementById('btn-edit-client');
     if (editClientButton) {
-        if (checkTabAccess('historico', 'edit')) {
+        if (hasPermission('client.edit')) {
             editClientButton.style.display = 'inline-flex';
         } else {
             editClientButton.style.display = 'none';
@@ -263,7 +275,7 @@ export function showClientDetails(clientId) {
     // NEW: Show/hide "Duplicar Cliente" button
     const duplicateClientButton = document.getElementById('btn-duplicate-client');
     if (duplicateClientButton) {
-        if (checkTabAccess('cadastro', 'edit')) { // If they can access registration, they can duplicate
+        if (hasPermission('client.create')) {
             duplicateClientButton.style.display = 'inline-flex';
         } else {
             duplicateClientButton.style.display = 'none';
@@ -273,7 +285,7 @@ export function showClientDetails(clientId) {
     // Show/hide "Adicionar Nota" button
     const addNoteButton = document.getElementById('btn-add-note');
     if (addNoteButton) {
-        if (checkTabAccess('historico', 'edit') || checkTabAccess('meus-pacientes', 'edit')) {
+        if (hasPermission('client.note.create') && hasClinicalAccess()) {
             addNoteButton.style.display = 'inline-flex';
         } else {
             addNoteButton.style.display = 'none';
@@ -283,7 +295,7 @@ export function showClientDetails(clientId) {
     // Show/hide "Anexar Documento" button
     const addDocumentButton = document.getElementById('btn-add-document');
     if (addDocumentButton) {
-        if (checkTabAccess('historico', 'edit') || checkTabAccess('meus-pacientes', 'edit')) {
+        if (hasPermission('client.document.create')) {
             addDocumentButton.style.display = 'inline-flex';
         } else {
             addDocumentButton.style.display = 'none';
@@ -293,7 +305,7 @@ export function showClientDetails(clientId) {
     // Show/hide "Adicionar ao Histórico" button
     const addHistoryButton = document.getElementById('btn-novo-atendimento');
     if (addHistoryButton) {
-        if (checkTabAccess('historico', 'edit') || checkTabAccess('meus-pacientes', 'edit')) {
+        if (hasPermission('client.note.create')) {
             addHistoryButton.style.display = 'inline-flex';
         } else {
             addHistoryButton.style.display = 'none';
@@ -303,7 +315,7 @@ export function showClientDetails(clientId) {
     // Show/hide "Agendar Novo Atendimento" button
     const scheduleNewAppointmentButton = document.getElementById('btn-schedule-new-appointment');
     if (scheduleNewAppointmentButton) {
-        if (checkTabAccess('agenda', 'edit')) {
+        if (hasPermission('schedule.create')) {
             scheduleNewAppointmentButton.style.display = 'inline-flex';
         } else {
             scheduleNewAppointmentButton.style.display = 'none';
@@ -334,7 +346,7 @@ function renderAppointmentHistory(appointments) {
                     <strong><i class="fa-solid fa-paperclip"></i> Anexos:</strong>
                     <div class="attachment-list">
                         ${app.attachments.map(attachment => `
-                            <a href="${attachment.fileData}" download="${attachment.fileName}" class="attachment-link">
+                            <a href="#" onclick="${attachmentAction(attachment.fileRef || attachment.fileData, attachment.fileName)}" class="attachment-link">
                                 <i class="fa-solid fa-download"></i> ${attachment.fileName}
                             </a>
                         `).join('')}
@@ -354,7 +366,7 @@ function renderAppointmentHistory(appointments) {
             <div class="appointment-details">
                 <p><strong><i class="fa-solid fa-clipboard-list"></i> Sessão/Serviço:</strong> ${anamnesis ? anamnesis.name : (app.serviceType || 'Não especificado')}</p>
                 <p><strong><i class="fa-solid fa-user-md"></i> Atendido por:</strong> ${app.attendedBy || 'Não informado'}</p>
-                ${app.notes ? `<p><strong><i class="fa-solid fa-sticky-note"></i> Notas:</strong> ${app.notes}</p>` : ''}
+                ${app.notes ? `<p><strong><i class="fa-solid fa-sticky-note"></i> Notas:</strong> ${readClinical(app.notes)}</p>` : ''}
                 ${app.value !== undefined ? `<p><strong><i class="fa-solid fa-dollar-sign"></i> Valor:</strong> R$ ${(app.value || 0).toFixed(2).replace('.', ',')}</p>` : ''}
                 ${app.durationHours !== undefined ? `<p><strong><i class="fa-solid fa-clock"></i> Duração:</strong> ${formatDuration(app.durationHours)}</p>` : ''}
             </div>
@@ -383,7 +395,7 @@ function renderClientNotes(notes) {
             <div class="note-meta">
                 ${new Date(note.date).toLocaleDateString('pt-BR')} - ${note.author || 'Sistema'}
             </div>
-            <div class="note-content">${note.content}</div>
+            <div class="note-content">${readClinical(note.content)}</div>
         `;
         notesContainer.appendChild(noteCard);
     });
@@ -399,6 +411,7 @@ function renderClientDocuments(documents) {
     }
 
     const sortedDocuments = [...documents].sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate));
+    const canDeleteDocuments = hasPermission('client.document.delete');
 
     sortedDocuments.forEach(doc => {
         const documentCard = document.createElement('div');
@@ -413,9 +426,10 @@ function renderClientDocuments(documents) {
             'outros': 'Outros'
         };
 
+        const fileSource = doc.fileRef || doc.fileData;
         const isImage = doc.fileName && /\.(jpe?g|png|gif|webp)$/i.test(doc.fileName);
         const previewButtonHtml = isImage ? `
-            <button class="btn-preview" onclick="window.previewFile('${doc.title}', '${doc.fileData}', '${doc.fileName}')">
+            <button class="btn-preview" onclick="${attachmentAction(fileSource, doc.fileName, 'preview', doc.title)}">
                 <i class="fa-solid fa-eye"></i> Visualizar
             </button>
         ` : '';
@@ -431,22 +445,25 @@ function renderClientDocuments(documents) {
             </div>
             <div class="document-actions">
                 ${previewButtonHtml}
-                <a href="${doc.fileData}" download="${doc.fileName}" class="btn-download">
+                <a href="#" onclick="${attachmentAction(fileSource, doc.fileName)}" class="btn-download">
                     <i class="fa-solid fa-download"></i> Baixar
                 </a>
-                <button class="btn-delete-doc" onclick="deleteClientDocument(${doc.id})">
-                    <i class="fa-solid fa-trash"></i> Excluir
-                </button>
+                ${canDeleteDocuments ? `
+                    <button class="btn-delete-doc" onclick="deleteClientDocument(${doc.id})">
+                        <i class="fa-solid fa-trash"></i> Excluir
+                    </button>
+                ` : ''}
             </div>
         `;
         documentsContainer.appendChild(documentCard);
     });
 }
 
-export function addClientNote() {
+export async function addClientNote() {
     // Check if current user is allowed to add notes (anyone who can access client details modal should be allowed)
     const currentUserRole = getCurrentUser().role;
-    if (!(checkTabAccess('historico', 'edit') || checkTabAccess('meus-pacientes', 'edit'))) {
+    // Note contents are clinical and encrypted with the clinic key, which only clinical roles hold
+    if (!hasPermission('client.note.create') || !hasClinicalAccess()) {
         showNotification('Você não tem permissão para adicionar notas de cliente.', 'error');
         return;
     }
@@ -462,28 +479,30 @@ export function addClientNote() {
         return;
     }
 
-    if (!client.notes) {
-        client.notes = [];
-    }
-
-    client.notes.push({
+    const notes = [...(client.notes || []), {
         id: db.nextNoteId++,
         title: title,
         content: content,
         date: new Date().toISOString(),
         author: getCurrentUser().name
-    });
+    }];
 
-    saveDb();
+    try {
+        await clientsRepository.update(client.id, { notes });
+    } catch (error) {
+        console.error('Erro ao adicionar nota do cliente:', error);
+        showNotification('Erro ao salvar a nota. Tente novamente.', 'error');
+        return;
+    }
     document.getElementById('modal-add-note').style.display = 'none';
     showClientDetails(window.currentClientId);
     showNotification('Nota adicionada com sucesso!', 'success');
 }
 
-export function addClientDocument() {
+export async function addClientDocument() {
     // Check if current user is allowed to add documents
     const currentUserRole = getCurrentUser().role;
-    if (!(isRoleAllowed(ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES) || isRoleAllowed(PROFESSIONAL_ROLES))) {
+    if (!hasPermission('client.document.create')) {
         showNotification('Você não tem permissão para anexar documentos a clientes.', 'error');
         return;
     }
@@ -509,49 +528,52 @@ export function addClientDocument() {
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        if (!client.documents) {
-            client.documents = [];
-        }
+    if (!(await ensureUploadSpace([file]))) return;
 
-        client.documents.push({
+    try {
+        const fileRef = await storeAttachment(file, `clientes/${client.id}`);
+        const documents = [...(client.documents || []), {
             id: db.nextDocumentId++,
             title: title,
             type: type,
             description: description,
             fileName: file.name,
-            fileData: e.target.result,
+            fileRef: fileRef,
             uploadDate: new Date().toISOString(),
             uploadedBy: getCurrentUser().name
-        });
-
-        saveDb();
-        document.getElementById('modal-add-document').style.display = 'none';
-        document.getElementById('form-add-document').reset();
-        showClientDetails(window.currentClientId);
-        showNotification('Documento anexado com sucesso!', 'success');
-    };
-
-    reader.onerror = function() {
-        showNotification('Erro ao processar o arquivo. Tente novamente.', 'error');
-    };
-
-    reader.readAsDataURL(file);
+        }];
+        await clientsRepository.update(client.id, { documents });
+    } catch (error) {
+        console.error('Erro ao anexar documento do cliente:', error);
+        showNotification('Erro ao salvar o documento. Tente novamente.', 'error');
+        return;
+    }
+    document.getElementById('modal-add-document').style.display = 'none';
+    document.getElementById('form-add-document').reset();
+    showClientDetails(window.currentClientId);
+    showNotification('Documento anexado com sucesso!', 'success');
 }
 
-export function deleteClientDocument(documentId) {
-    // Only Director and Coordinators can delete client documents
-    if (!isRoleAllowed(COORDINATOR_AND_HIGHER)) {
+export async function deleteClientDocument(documentId) {
+    if (!hasPermission('client.document.delete')) {
         showNotification('Você não tem permissão para excluir documentos de cliente.', 'error');
         return;
     }
 
     const client = db.clients.find(c => c.id === window.currentClientId);
     if (!client || !client.documents) return;
+    const removedDocument = client.documents.find(doc => doc.id === documentId);
 
-    client.documents = client.documents.filter(doc => doc.id !== documentId);
-    saveDb();
+    try {
+        await clientsRepository.update(client.id, {
+            documents: client.documents.filter(doc => doc.id !== documentId)
+        });
+    } catch (error) {
+        console.error('Erro ao excluir documento do cliente:', error);
+        showNotification('Erro ao excluir o documento. Tente novamente.', 'error');
+        return;
+    }
+    removeAttachment(removedDocument?.fileRef).catch(error => console.error('Erro ao excluir arquivo do documento:', error));
     showClientDetails(window.currentClientId);
     showNotification('Documento excluído com sucesso!', 'success');
 }
@@ -568,7 +590,7 @@ export function renderMeusPacientes(filter = '') {
     const lowerCaseFilter = filter.toLowerCase();
 
     // Filter clients that are *currently assigned* to the current intern/staff/musictherapist
-    const filteredClients = db.clients.filter(client => {
+    const filteredClients = getVisibleClients().filter(client => {
         const isAssignedToMe = client.assignedProfessionalIds && client.assignedProfessionalIds.includes(currentUser.id);
         const matchesFilter = lowerCaseFilter === '' || 
                             client.name.toLowerCase().includes(lowerCaseFilter) ||
@@ -588,7 +610,7 @@ export function renderMeusPacientes(filter = '') {
         card.dataset.clientId = client.id;
 
         // Count *all* scheduled appointments for this client with this intern
-        const professionalSchedulesCount = db.schedules.filter(s => 
+        const professionalSchedulesCount = getVisibleSchedules().filter(s => 
             s.clientId === client.id && s.assignedToUserId === currentUser.id
         ).length;
 
@@ -629,6 +651,8 @@ export function renderClientReport(selectedPeriod = 'all') {
         // Hide professional statistics if not allowed
         const statsSection = document.getElementById('professional-statistics-section');
         if (statsSection) statsSection.innerHTML = ''; // Clear contents
+        const roomsSection = document.getElementById('room-utilization-section');
+        if (roomsSection) roomsSection.innerHTML = '';
         return;
     }
     
@@ -679,14 +703,15 @@ export function renderClientReport(selectedPeriod = 'all') {
             break;
     }
 
-    let totalClients = db.clients.length;
-    let adultClients = db.clients.filter(client => client.type === 'adult').length;
-    let minorClients = db.clients.filter(client => client.type === 'minor').length;
+    const visibleClients = getVisibleClients();
+    let totalClients = visibleClients.length;
+    let adultClients = visibleClients.filter(client => client.type === 'adult').length;
+    let minorClients = visibleClients.filter(client => client.type === 'minor').length;
     
     let clientsWithAppointments = new Set();
     let clientsWithRecentAppointments = new Set();
     
-    db.clients.forEach(client => {
+    visibleClients.forEach(client => {
         if (client.appointments) {
             client.appointments.forEach(app => {
                 const appointmentDate = new Date(app.date);
@@ -716,7 +741,7 @@ export function renderClientReport(selectedPeriod = 'all') {
     // Calculate clients with future schedules
     const today = new Date().toISOString().split('T')[0];
     const clientsWithSchedulesSet = new Set();
-    db.schedules.forEach(schedule => {
+    getVisibleSchedules().forEach(schedule => {
         const client = db.clients.find(c => c.id === schedule.clientId); // Get client for schedule
         if (client && // Ensure client exists
             schedule.date >= today && 
@@ -757,6 +782,8 @@ export function renderClientReport(selectedPeriod = 'all') {
 
     // Render professional statistics with filter
     renderProfessionalStatistics(professionalFilter, startDate, endDate);
+
+    renderRoomUtilization(startDate, endDate);
     
     // Render client details with filter
     renderClientReportDetails(startDate, endDate, clientFilter);
@@ -765,7 +792,7 @@ export function renderClientReport(selectedPeriod = 'all') {
     const clientDatalist = document.getElementById('client-report-datalist');
     if (clientDatalist) {
         clientDatalist.innerHTML = '';
-        db.clients.forEach(client => {
+        visibleClients.forEach(client => {
             const option = document.createElement('option');
             option.value = client.name;
             clientDatalist.appendChild(option);
@@ -775,7 +802,7 @@ export function renderClientReport(selectedPeriod = 'all') {
     const professionalDatalist = document.getElementById('professional-report-datalist');
     if (professionalDatalist) {
         professionalDatalist.innerHTML = '';
-        const professionals = db.users.filter(user => PROFESSIONAL_ROLES.includes(user.role));
+        const professionals = getVisibleUsers().filter(user => PROFESSIONAL_ROLES.includes(user.role));
         professionals.forEach(prof => {
             const option = document.createElement('option');
             option.value = prof.name;
@@ -806,7 +833,7 @@ function renderProfessionalStatistics(filter = '', startDate, endDate) {
     }
     
     // Get all professionals (staff and interns)
-    const professionals = db.users.filter(user => PROFESSIONAL_ROLES.includes(user.role)); // Use imported constant
+    const professionals = getVisibleUsers().filter(user => PROFESSIONAL_ROLES.includes(user.role)); // Use imported constant
     
     if (professionals.length === 0) {
         statsSection.innerHTML = '<h3>Estatísticas dos Profissionais</h3><p>Nenhum funcionário cadastrado.</p>';
@@ -819,13 +846,13 @@ function renderProfessionalStatistics(filter = '', startDate, endDate) {
     // Calculate statistics for each professional
     const professionalStats = filteredProfessionals.map(professional => {
         // Get unique clients *currently assigned* to this professional
-        const assignedClients = db.clients.filter(client => 
+        const assignedClients = getVisibleClients().filter(client => 
             client.assignedProfessionalIds && client.assignedProfessionalIds.includes(professional.id)
         );
         
         // Get all appointments performed by this professional
         const attendedAppointments = [];
-        db.clients.forEach(client => {
+        getVisibleClients().forEach(client => {
             if (client.appointments) {
                 client.appointments.forEach(app => {
                     const attendedByUser = db.users.find(u => u.name === app.attendedBy);
@@ -846,7 +873,7 @@ function renderProfessionalStatistics(filter = '', startDate, endDate) {
         
         // Count active schedules
         const today = new Date().toISOString().split('T')[0];
-        const activeSchedules = db.schedules.filter(schedule => 
+        const activeSchedules = getVisibleSchedules().filter(schedule => 
             schedule.assignedToUserId === professional.id &&
             schedule.date >= today &&
             schedule.status !== 'cancelado'
@@ -947,13 +974,13 @@ function renderClientReportDetails(startDate, endDate, filter = '') {
     const clientReportList = document.getElementById('client-report-list');
     clientReportList.innerHTML = '';
     
-    if (db.clients.length === 0) {
+    if (getVisibleClients().length === 0) {
         clientReportList.innerHTML = '<p>Nenhum cliente cadastrado.</p>';
         return;
     }
     
     const lowerCaseFilter = filter.toLowerCase();
-    const filteredClients = db.clients.filter(client => client.name.toLowerCase().includes(lowerCaseFilter));
+    const filteredClients = getVisibleClients().filter(client => client.name.toLowerCase().includes(lowerCaseFilter));
 
     if (filteredClients.length === 0) {
         clientReportList.innerHTML = '<p class="empty-state-message">Nenhum cliente encontrado.</p>';
@@ -987,7 +1014,7 @@ function renderClientReportDetails(startDate, endDate, filter = '') {
         // Count future schedules for this client
         const today = new Date().toISOString().split('T')[0];
         const clientsWithSchedulesSet = new Set();
-        db.schedules.forEach(schedule => {
+        getVisibleSchedules().forEach(schedule => {
             if (schedule.clientId === client.id && 
                 schedule.date >= today && 
                 schedule.status !== 'cancelado'
@@ -1146,7 +1173,12 @@ export function showAssignProfessionalModal(clientId) {
     document.getElementById('modal-assign-professional').style.display = 'flex';
 }
 
-export function assignProfessionalToClient() { // This function is now for saving the assignments
+export async function assignProfessionalToClient() { // This function is now for saving the assignments
+    if (!hasPermission('client.edit')) {
+        showNotification('Você não tem permissão para vincular profissionais.', 'error');
+        return;
+    }
+
     const clientId = window.currentClientToAssign;
     const client = db.clients.find(c => c.id === clientId);
     if (!client) {
@@ -1176,8 +1208,7 @@ export function assignProfessionalToClient() { // This function is now for savin
     }).join(', ') || 'Nenhum';
     
     // Add change history
-    if (!client.changeHistory) client.changeHistory = [];
-    client.changeHistory.push({
+    const changeHistory = [...(client.changeHistory || []), {
         id: db.nextChangeId++,
         date: new Date().toISOString(),
         changedBy: getCurrentUser().name,
@@ -1186,13 +1217,23 @@ export function assignProfessionalToClient() { // This function is now for savin
             oldValue: getProfNames(oldAssignedIds),
             newValue: getProfNames(newAssignedIds)
         }]
-    });
+    }];
+
+    // Update client data
+    try {
+        await clientsRepository.update(client.id, {
+            assignedProfessionalIds: newAssignedIds,
+            changeHistory
+        });
+    } catch (error) {
+        console.error('Erro ao atualizar vínculos do paciente:', error);
+        showNotification('Erro ao salvar os vínculos do paciente. Tente novamente.', 'error');
+        return;
+    }
 
     // Send notifications to newly assigned professionals
-    addedProfIds.forEach(profId => {
-        if (!db.notifications) db.notifications = [];
-        db.notifications.push({
-            id: db.nextNotificationId++,
+    for (const profId of addedProfIds) {
+        await notificationsRepository.create({
             userId: profId,
             type: 'client_assignment',
             title: 'Novo Paciente Vinculado',
@@ -1200,13 +1241,9 @@ export function assignProfessionalToClient() { // This function is now for savin
             relatedId: client.id,
             createdAt: new Date().toISOString(),
             isRead: false
-        });
-    });
-
-    // Update client data
-    client.assignedProfessionalIds = newAssignedIds;
+        }).catch(error => console.error('Erro ao notificar profissional vinculado:', error));
+    }
 
-    saveDb();
     document.getElementById('modal-assign-professional').style.display = 'none';
     showClientDetails(clientId); // Refresh client details
     renderClientList(); // Refresh client list to show updated count
@@ -1219,9 +1256,10 @@ export function unassignProfessionalFromClient() {
     console.warn('unassignProfessionalFromClient is deprecated.');
 }
 
-// NEW: Delete client (Coordinator only)
-export function deleteClient(clientId) {
-    if (!checkTabAccess('historico', 'edit') || !isRoleAllowed(DIRECTOR_ONLY)) { // Only Director can delete
+// Delete client (Director only). Patients are anonymized instead of removed (LGPD) so their
+// attendances keep counting in the financial reports.
+export async function deleteClient(clientId) {
+    if (!hasPermission('client.delete')) {
         showNotification('Você não tem permissão para excluir clientes.', 'error');
         return;
     }
@@ -1234,18 +1272,20 @@ export function deleteClient(clientId) {
 
     const clientName = clientToDelete.name;
 
-    // Remove client from clients array
-    db.clients = db.clients.filter(c => c.id !== clientId);
-
-    // Remove any schedules associated with this client
-    db.schedules = db.schedules.filter(s => s.clientId !== clientId);
-
-    // Appointments are stored *within* the client object, so they are removed automatically.
-    
-    saveDb();
+    try {
+        const failedFiles = await anonymizeClient(clientId);
+        if (failedFiles.length > 0) {
+            console.warn(`${failedFiles.length} arquivo(s) do paciente ${clientId} não puderam ser excluídos.`, failedFiles);
+        }
+    } catch (error) {
+        console.error('Erro ao anonimizar cliente:', error);
+        showNotification('Erro ao excluir o cliente. Tente novamente.', 'error');
+        return;
+    }
     document.getElementById('modal-detalhes-cliente').style.display = 'none'; // Close details modal
+    document.getElementById('modal-lgpd').style.display = 'none';
     renderClientList(); // Re-render the client list
-    showNotification(`Cliente "${clientName}" excluído com sucesso!`, 'success');
+    showNotification(`Dados pessoais de "${clientName}" anonimizados. Os valores dos atendimentos continuam nos relatórios financeiros.`, 'success');
     updateGlobalSearchDatalist();
 }
 
@@ -1281,8 +1321,19 @@ function renderClientChangeHistory(history) {
     });
 }
 
+// Clinical text copied into the registration form; content the user cannot read is left blank
+function duplicableClinical(value) {
+    const text = readClinical(value);
+    return text && text !== RESTRICTED_CONTENT ? text : '';
+}
+
 // NEW FUNCTION: Duplicate Client
 export function duplicateClient(clientId) {
+    if (!hasPermission('client.create')) {
+        showNotification('Você não tem permissão para duplicar clientes.', 'error');
+        return;
+    }
+
     const client = db.clients.find(c => c.id === clientId);
     if (!client) {
         showNotification('Cliente não encontrado para duplicação.', 'error');
@@ -1323,10 +1374,10 @@ export function duplicateClient(clientId) {
         document.getElementById('cidade-cliente-adulto').value = client.city || '';
         document.getElementById('estado-cidade-adulto').value = client.state || '';
         document.getElementById('observacoes-cliente-adulto').value = client.observations || '';
-        document.getElementById('diagnostico-principal-adulto').value = client.diagnosticoPrincipal || '';
-        document.getElementById('historico-medico-adulto').value = client.historicoMedico || '';
-        document.getElementById('queixa-neuropsicologica-adulto').value = client.queixaNeuropsicologica || '';
-        document.getElementById('expectativas-tratamento-adulto').value = client.expectativasTratamento || '';
+        document.getElementById('diagnostico-principal-adulto').value = duplicableClinical(client.diagnosticoPrincipal);
+        document.getElementById('historico-medico-adulto').value = duplicableClinical(client.historicoMedico);
+        document.getElementById('queixa-neuropsicologica-adulto').value = duplicableClinical(client.queixaNeuropsicologica);
+        document.getElementById('expectativas-tratamento-adulto').value = duplicableClinical(client.expectativasTratamento);
     } else { // minor
         // Show minor form
         document.querySelector('input[name="age-type"][value="minor"]').checked = true;
@@ -1359,10 +1410,10 @@ export function duplicateClient(clientId) {
         document.getElementById('cidade-cliente-menor').value = client.city || '';
         document.getElementById('estado-cliente-menor').value = client.state || '';
         document.getElementById('observacoes-cliente-menor').value = client.observations || '';
-        document.getElementById('diagnostico-principal-menor').value = client.diagnosticoPrincipal || '';
-        document.getElementById('historico-medico-menor').value = client.historicoMedico || '';
-        document.getElementById('queixa-neuropsicologica-menor').value = client.queixaNeuropsicologica || '';
-        document.getElementById('expectativas-tratamento-menor').value = client.expectativasTratamento || '';
+        document.getElementById('diagnostico-principal-menor').value = duplicableClinical(client.diagnosticoPrincipal);
+        document.getElementById('historico-medico-menor').value = duplicableClinical(client.historicoMedico);
+        document.getElementById('queixa-neuropsicologica-menor').value = duplicableClinical(client.queixaNeuropsicologica);
+        document.getElementById('expectativas-tratamento-menor').value = duplicableClinical(client.expectativasTratamento);
     }
 
     showNotification('Dados do cliente pré-preenchidos. Edite e salve como um novo cliente.', 'info', 'Cliente Duplicado', 7000);
@@ -1481,10 +1532,10 @@ export function generateClientReport(clientId, selectedPeriod) {
         <div class="report-section">
             <h3>Informações Clínicas</h3>
             <div class="client-report-clinical-info">
-                <p><strong>Diagnóstico Principal:</strong> ${client.diagnosticoPrincipal || 'Não informado'}</p>
-                <p><strong>Histórico Médico Relevante:</strong> ${client.historicoMedico || 'Não informado'}</p>
-                <p><strong>Queixa Principal Neuropsicológica:</strong> ${client.queixaNeuropsicologica || 'Não informada'}</p>
-                <p><strong>Expectativas do Tratamento:</strong> ${client.expectativasTratamento || 'Não informadas'}</p>
+                <p><strong>Diagnóstico Principal:</strong> ${readClinical(client.diagnosticoPrincipal) || 'Não informado'}</p>
+                <p><strong>Histórico Médico Relevante:</strong> ${readClinical(client.historicoMedico) || 'Não informado'}</p>
+                <p><strong>Queixa Principal Neuropsicológica:</strong> ${readClinical(client.queixaNeuropsicologica) || 'Não informada'}</p>
+                <p><strong>Expectativas do Tratamento:</strong> ${readClinical(client.expectativasTratamento) || 'Não informadas'}</p>
             </div>
         </div>
 
@@ -1532,7 +1583,7 @@ export function generateClientReport(clientId, selectedPeriod) {
                                 ${app.notes ? `
                                 <tr class="appointment-notes-row">
                                     <td colspan="5">
-                                        <div class="appointment-notes-content"><strong>Anotações:</strong> ${app.notes}</div>
+                                        <div class="appointment-notes-content"><strong>Anotações:</strong> ${readClinical(app.notes)}</div>
                                     </td>
                                 </tr>
                                 ` : ''}
@@ -1553,7 +1604,7 @@ export function generateClientReport(clientId, selectedPeriod) {
                                 <span class="note-date">${new Date(note.date).toLocaleDateString('pt-BR')}</span>
                                 <span class="note-title">${note.title}</span>
                             </div>
-                            <div class="note-content">${note.content}</div>
+                            <div class="note-content">${readClinical(note.content)}</div>
                             <small class="note-author">Por: ${note.author}</small>
                         </div>
                     `).join('')}
@@ -1661,11 +1712,11 @@ function generateEmployeeReport(employeeId, selectedPeriod) {
 
     // --- Gather Data ---
     // 1. Assigned Clients (total, not period-dependent)
-    const assignedClients = db.clients.filter(client => client.assignedProfessionalIds && client.assignedProfessionalIds.includes(employee.id));
+    const assignedClients = getVisibleClients().filter(client => client.assignedProfessionalIds && client.assignedProfessionalIds.includes(employee.id));
     
     // 2. Appointments in period
     const attendedAppointments = [];
-    db.clients.forEach(client => {
+    getVisibleClients().forEach(client => {
         if (client.appointments) {
             client.appointments.forEach(app => {
                 const attendedByUser = db.users.find(u => u.name === app.attendedBy);
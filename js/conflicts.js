@@ -0,0 +1,208 @@
+// Schedule conflicts module
+// Every schedule occupies its start time plus a duration (by default the usual length of its service).
+// Before a schedule is saved, the sessions that overlap it for the same professional, patient or room, or that
+// already use every unit of a resource it books, are listed; only users allowed to override may book anyway,
+// and they must say why.
+import {db} from './database.js';
+import {getCurrentUser, hasPermission} from './auth.js';
+import {showNotification} from './ui.js';
+
+// Usual length of each service, in minutes
+const SERVICE_DURATION_MINUTES = {
+    'avaliacao-neuropsicologica': 90,
+    'reabilitacao-cognitiva': 50,
+    'terapia-cognitiva': 50,
+    'orientacao-familiar': 60,
+    'psicoterapia': 50,
+    'musicoterapia': 50,
+    'psicanalise': 50,
+    'terapia-cognitivo-comportamental': 50,
+    'terapia-junguiana': 50,
+    'terapia-comportamental': 50,
+    'gestalt-terapia': 50,
+    'terapia-familiar': 60,
+    'terapia-de-casal': 60
+};
+const DEFAULT_DURATION_MINUTES = 60;
+
+const CONFLICT_LABELS = {
+    professional: 'Mesmo profissional',
+    patient: 'Mesmo paciente',
+    room: 'Mesma sala',
+    resource: 'Equipamento esgotado'
+};
+
+let pendingDecision = null;
+
+export function getDefaultDurationHours(serviceType) {
+    return (SERVICE_DURATION_MINUTES[serviceType] || DEFAULT_DURATION_MINUTES) / 60;
+}
+
+/**
+ * Duration of a schedule in decimal hours; schedules saved before durations existed use their service default.
+ */
+export function getScheduleDurationHours(schedule) {
+    return schedule.durationHours || getDefaultDurationHours(schedule.serviceType);
+}
+
+export function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+export function formatMinutes(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+function scheduleInterval(schedule) {
+    const start = toMinutes(schedule.time);
+    return [start, start + Math.round(getScheduleDurationHours(schedule) * 60)];
+}
+
+// Catalog entry (js/rooms.js) of a room or resource id
+function catalogItem(id) {
+    return (db.rooms || []).find(room => room.id === id) || null;
+}
+
+function roomName(schedule) {
+    return catalogItem(schedule.roomId)?.name || schedule.room || '';
+}
+
+// Rooms from the catalog are compared by id; schedules saved before the catalog only have the typed name
+function sameRoom(a, b) {
+    if (a.roomId && b.roomId) return a.roomId === b.roomId;
+    const nameA = roomName(a);
+    const nameB = roomName(b);
+    return Boolean(nameA && nameB) && nameA.trim().toLowerCase() === nameB.trim().toLowerCase();
+}
+
+// Resources of `candidate` already taken by as many overlapping sessions as there are units of them (sessions
+// overlapping the candidate at different moments are counted together, which errs on the side of warning)
+function exhaustedResources(candidate, overlapping) {
+    return (candidate.resourceIds || []).filter(resourceId => {
+        const quantity = catalogItem(resourceId)?.quantity || 1;
+        return overlapping.filter(schedule => (schedule.resourceIds || []).includes(resourceId)).length >= quantity;
+    });
+}
+
+/**
+ * Existing schedules that overlap any of `candidates` (schedules about to be saved), as
+ * {candidate, schedule, reasons} with reasons among 'professional', 'patient', 'room' and 'resource'.
+ * Cancelled schedules never conflict; `ignoreIds` leaves out the schedules being changed themselves,
+ * `checks` limits the kinds of conflict looked for and `schedules` the schedules compared (all by default).
+ */
+export function findScheduleConflicts(candidates, {ignoreIds = [], checks = Object.keys(CONFLICT_LABELS), schedules = db.schedules} = {}) {
+    const conflicts = [];
+    candidates.forEach(candidate => {
+        const [start, end] = scheduleInterval(candidate);
+        const overlapping = schedules.filter(schedule => {
+            if (schedule.date !== candidate.date || schedule.status === 'cancelado' || ignoreIds.includes(schedule.id)) return false;
+            const [otherStart, otherEnd] = scheduleInterval(schedule);
+            return start < otherEnd && otherStart < end;
+        });
+        const exhausted = exhaustedResources(candidate, overlapping);
+
+        overlapping.forEach(schedule => {
+            const reasons = [];
+            if (candidate.assignedToUserId && schedule.assignedToUserId === candidate.assignedToUserId) reasons.push('professional');
+            if (schedule.clientId === candidate.clientId) reasons.push('patient');
+            if (sameRoom(candidate, schedule)) reasons.push('room');
+            if ((schedule.resourceIds || []).some(resourceId => exhausted.includes(resourceId))) reasons.push('resource');
+            const checkedReasons = reasons.filter(reason => checks.includes(reason));
+            if (checkedReasons.length > 0) conflicts.push({candidate, schedule, reasons: checkedReasons});
+        });
+    });
+    return conflicts;
+}
+
+function renderConflicts(conflicts) {
+    document.getElementById('schedule-conflicts-list').innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Data</th><th>Horário</th><th>Paciente</th><th>Profissional</th><th>Sala e equipamentos</th><th>Conflito</th></tr></thead>
+                <tbody>
+                    ${conflicts.map(({schedule, reasons}) => {
+                        const client = db.clients.find(c => c.id === schedule.clientId);
+                        const [start, end] = scheduleInterval(schedule);
+                        return `
+                            <tr>
+                                <td>${new Date(schedule.date).toLocaleDateString('pt-BR', {timeZone: 'UTC'})}</td>
+                                <td>${formatMinutes(start)} - ${formatMinutes(end)}</td>
+                                <td>${client ? client.name : 'Paciente não disponível'}</td>
+                                <td>${schedule.assignedToUserName || 'Não atribuído'}</td>
+                                <td>${[roomName(schedule), ...(schedule.resourceIds || []).map(id => catalogItem(id)?.name)].filter(Boolean).join(', ') || '-'}</td>
+                                <td>${reasons.map(reason => CONFLICT_LABELS[reason]).join(', ')}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function closeConflictModal(decision) {
+    document.getElementById('modal-schedule-conflicts').style.display = 'none';
+    const resolve = pendingDecision;
+    pendingDecision = null;
+    if (resolve) resolve(decision);
+}
+
+/**
+ * Checks `candidates` for conflicts and, when there are any, shows them and waits for the user.
+ * Resolves with null when the schedules can be saved as they are, with the override record to store on them
+ * when a user allowed to override books anyway, or with false when the booking was abandoned.
+ */
+export function resolveScheduleConflicts(candidates, options) {
+    const conflicts = findScheduleConflicts(candidates, options);
+    if (conflicts.length === 0) return Promise.resolve(null);
+
+    // A new check replaces the open one, whose booking is abandoned instead of waiting forever
+    if (pendingDecision) {
+        const abandon = pendingDecision;
+        pendingDecision = null;
+        abandon(false);
+    }
+
+    const canOverride = hasPermission('schedule.override_conflicts');
+    renderConflicts(conflicts);
+    document.getElementById('schedule-conflict-count').textContent = conflicts.length === 1
+        ? 'Já existe 1 agendamento neste horário:'
+        : `Já existem ${conflicts.length} agendamentos nestes horários:`;
+    document.getElementById('schedule-conflict-override').style.display = canOverride ? 'block' : 'none';
+    document.getElementById('schedule-conflict-blocked').style.display = canOverride ? 'none' : 'block';
+    document.getElementById('btn-conflict-override').style.display = canOverride ? '' : 'none';
+    document.getElementById('conflict-override-reason').value = '';
+    document.getElementById('modal-schedule-conflicts').style.display = 'flex';
+
+    return new Promise(resolve => {
+        pendingDecision = decision => resolve(decision && {
+            ...decision,
+            conflictingScheduleIds: [...new Set(conflicts.map(conflict => conflict.schedule.id))]
+        });
+    });
+}
+
+/**
+ * "Agendar mesmo assim": requires the justification, which is stored on the saved schedules.
+ */
+export function confirmConflictOverride() {
+    if (!hasPermission('schedule.override_conflicts')) {
+        showNotification('Você não tem permissão para agendar sobre um conflito.', 'error');
+        return;
+    }
+    const reason = document.getElementById('conflict-override-reason').value.trim();
+    if (!reason) {
+        showNotification('Informe a justificativa para agendar mesmo com o conflito.', 'warning');
+        return;
+    }
+    const currentUser = getCurrentUser();
+    closeConflictModal({reason, overriddenBy: currentUser.name, overriddenByUserId: currentUser.id, overriddenAt: new Date().toISOString()});
+}
+
+/**
+ * "Voltar e alterar": closes the conflict list without saving.
+ */
+export function dismissScheduleConflicts() {
+    closeConflictModal(false);
+}
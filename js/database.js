@@ -1,471 +1,75 @@
 // Database module for neuropsychology system
+import { runMigrations, getPendingMigrations, LATEST_SCHEMA_VERSION } from './migrations.js';
+
+const MIGRATION_BACKUP_KEY = 'gestaoClientesDbBackup';
+
 export const db = {
+    schemaVersion: LATEST_SCHEMA_VERSION, // Fresh installs start with every migration applied
     clients: [],
     appointments: [],
     schedules: [],
+    rooms: [], // Rooms and shared equipment of each unit (see js/rooms.js)
     dailyNotes: [], // New array for daily financial notes
     generalDocuments: [], // New array for general documents, notes, and meetings
     notifications: [], // NEW: Centralized notifications
     roles: [], // NEW: For custom roles
-    users: [
-        {id: 1, username: 'director', password: 'admin123', name: 'Diretoria Geral', role: 'director'},
-        {id: 3, username: 'financeiro', password: 'admin123', name: 'Financeiro', role: 'financeiro'},
-        {id: 2, username: 'staff', password: 'staff123', name: 'Funcionário', role: 'staff'},
-        {
-            id: 18,
-            username: 'raquel',
-            password: 'admin123',
-            name: 'Coordenadora Raquel (Floresta)',
-            role: 'coordinator_floresta'
-        },
-        {id: 19, username: 'tatiana_admin', password: 'admin123', name: 'Tatiane', role: 'coordinator_madre'},
-        {
-            id: 4,
-            username: 'tatiana_neuro',
-            password: 'admin123',
-            name: 'Coordenadora Tatiana (Floresta)',
-            role: 'coordinator_floresta'
-        },
-        // Music Therapist
-        {
-            id: 21,
-            username: 'musica',
-            password: 'teste123',
-            name: 'Maria Melodia',
-            role: 'musictherapist',
-            address: 'Rua da Harmonia, 123',
-            institution: 'Conservatório Musical',
-            graduationPeriod: 'Pós-graduação',
-            education: 'Musicoterapia',
-            discipline: 'Musicoterapia Clínica',
-            phone: '(31) 98877-6655',
-            email: 'maria.melodia@example.com',
-            cpf: '111.222.333-44'
-        },
-        // Interns
-        {
-            id: 5,
-            username: 'frances',
-            password: 'intern123',
-            name: 'Frances Jane Bifano Freddi',
-            role: 'intern',
-            address: 'rua Castelo de Windsor 475/301 - bairro Castelo - Belo Horizonte MG.',
-            institution: 'IESLA',
-            graduationPeriod: '5°',
-            education: 'Análise e Desenvolvimento de Sistemas',
-            discipline: 'Neuropsicologia Infantil',
-            phone: '(31)99826-6514',
-            email: 'fjanebifano@gmail.com',
-            cpf: '629.398.156-15'
-        },
-        {
-            id: 6,
-            username: 'vanessa',
-            password: 'intern123',
-            name: 'Vanessa',
-            role: 'intern',
-            address: 'Av. B, 456',
-            institution: 'Centro Universitário',
-            graduationPeriod: '7º Semestre',
-            education: 'Psicologia',
-            discipline: 'Reabilitação Cognitiva',
-            phone: '(21) 92222-2222',
-            email: 'vanessa@example.com',
-            cpf: '222.333.444-55'
-        },
-        {
-            id: 7,
-            username: 'luciana',
-            password: 'intern123',
-            name: 'Luciana Villela Moyses',
-            role: 'intern',
-            address: 'Rua Deputado Gregoriano Canedo 18 Trevo',
-            institution: 'IESLA',
-            graduationPeriod: '7º Semestre',
-            education: 'Letras',
-            discipline: 'Psicodiagnóstico',
-            phone: '(31) 99745-2225',
-            email: 'luttivillela@gmail.com',
-            cpf: '781.904.106-44'
-        },
-        {
-            id: 8,
-            username: 'debora',
-            password: 'intern123',
-            name: 'Debora',
-            role: 'intern',
-            address: 'Travessa D, 101',
-            institution: 'Universidade Estadual',
-            graduationPeriod: '8º Semestre',
-            education: 'Psicologia',
-            discipline: 'Neurociências',
-            phone: '(21) 94444-4444',
-            email: 'debora@example.com',
-            cpf: '444.555.666-77'
-        },
-        {
-            id: 9,
-            username: 'renata',
-            password: 'intern123',
-            name: 'Renata',
-            role: 'intern',
-            address: 'Estrada E, 202',
-            institution: 'Universidade Federal',
-            graduationPeriod: '5º Semestre',
-            education: 'Terapia Ocupacional',
-            discipline: 'Cognição',
-            phone: '(21) 95555-5555',
-            email: 'renata@example.com',
-            cpf: '555.666.777-88'
-        },
-        {
-            id: 10,
-            username: 'nathalia',
-            password: 'intern123',
-            name: 'Nathalia',
-            role: 'intern',
-            address: 'Rua F, 303',
-            institution: 'Centro Universitário',
-            graduationPeriod: '7º Semestre',
-            education: 'Psicopedagogia',
-            discipline: 'Aprendizagem',
-            phone: '(21) 96666-6666',
-            email: 'nathalia@example.com',
-            cpf: '666.777.888-99'
-        },
-        {
-            id: 11,
-            username: 'walisson',
-            password: 'intern123',
-            name: 'Walisson',
-            role: 'intern',
-            address: 'Av. G, 404',
-            institution: 'Faculdade Particular',
-            graduationPeriod: '6º Semestre',
-            education: 'Fonoaudiologia',
-            discipline: 'Linguagem',
-            phone: '(21) 97777-7777',
-            email: 'walisson@example.com',
-            cpf: '777.888.999-00'
-        },
-        {
-            id: 12,
-            username: 'tatiana',
-            password: 'intern123',
-            name: 'Tatiana',
-            role: 'intern',
-            address: 'Rua H, 505',
-            institution: 'Universidade Estadual',
-            graduationPeriod: '8º Semestre',
-            education: 'Psicologia',
-            discipline: 'Saúde Mental',
-            phone: '(21) 98888-8888',
-            email: 'tatiana@example.com',
-            cpf: '888.999.000-11'
-        },
-        {
-            id: 13,
-            username: 'luiz',
-            password: 'intern123',
-            name: 'Luiz',
-            role: 'intern',
-            address: 'Alameda I, 606',
-            institution: 'Universidade Federal',
-            graduationPeriod: '5º Semestre',
-            education: 'Psicologia',
-            discipline: 'Avaliação Psicológica',
-            phone: '(21) 99999-9999',
-            email: 'luiz@example.com',
-            cpf: '999.000.111-22'
-        },
-        {
-            id: 14,
-            username: 'pedro',
-            password: 'intern123',
-            name: 'Pedro',
-            role: 'intern',
-            address: 'Rua J, 707',
-            institution: 'Centro Universitário',
-            graduationPeriod: '7º Semestre',
-            education: 'Psicologia',
-            discipline: 'Neuropsicologia Adulto',
-            phone: '(21) 90000-0000',
-            email: 'pedro@example.com',
-            cpf: '000.111.222-33'
-        },
-        {
-            id: 15,
-            username: 'pedro_alexandre',
-            password: 'intern123',
-            name: 'Pedro Alexandre Carneiro',
-            role: 'intern',
-            address: 'Rua Perdoes 781',
-            institution: 'PUC Minas coração eucarístico',
-            graduationPeriod: '4°',
-            education: 'Psicologia',
-            discipline: 'Neuropsicologia Adulto',
-            phone: '(31)992384630',
-            email: 'pedrinalex@gmail.com',
-            cpf: '018.582.366-14',
-            changeHistory: []
-        },
-        {
-            id: 16,
-            username: 'wallisson',
-            password: 'intern123',
-            name: 'Wallisson Henrique Santos',
-            role: 'intern',
-            address: 'Rua Higienópolis, 137, Piratininga. Ibirité',
-            institution: 'Pós graduação - Fumec',
-            graduationPeriod: 'N/A',
-            education: 'Psicólogo',
-            discipline: 'N/A',
-            phone: '99889-7105 / 98693-3477',
-            email: 'wallissonpsicologo@gmail.com',
-            cpf: '011.922.196-12',
-            changeHistory: []
-        },
-        {
-            id: 20,
-            username: 'renata_cantagalli',
-            password: 'intern123',
-            name: 'Renata Grichtolik Cantagalli Paiva',
-            role: 'intern',
-            address: 'Rua Bibliotecários, Bairro Alipio de Melo, BH/MG - 30840-070',
-            institution: 'IESLA',
-            graduationPeriod: 'Pós-Graduação / último semestre',
-            education: '08/2025',
-            discipline: 'N/A',
-            phone: '(31) 98598-7608',
-            email: 'renatacantagalli@gmail.com',
-            cpf: '06050524688',
-            changeHistory: []
-        },
-        {id: 22, username: 'rachel', password: 'rachel123', name: 'Rachel Silva', role: 'staff'},
-        // NEW USERS: Re-assigning roles based on user request
-        {id: 23, username: 'tatiane', password: 'tatiane123', name: 'Tatiane', role: 'coordinator_madre'},
-        {id: 24, username: 'christopher', password: 'christopher123', name: 'Christopher', role: 'receptionist'},
-        {id: 25, username: 'yuri', password: 'yuri123', name: 'Yuri', role: 'receptionist'},
-        {id: 26, username: 'kimberly', password: 'kimberly123', name: 'Kimberly', role: 'psychologist'},
-        {id: 27, username: 'beethoven', password: 'beethoven123', name: 'Beethoven', role: 'musictherapist'},
-        {id: 28, username: 'cristine', password: 'cristine123', name: 'Cristine', role: 'psychopedagogue'},
-        {id: 29, username: 'viviane', password: 'viviane123', name: 'Viviane', role: 'nutritionist'},
-        {id: 30, username: 'renata_fono', password: 'renatafono123', name: 'Renata', role: 'speech_therapist'},
-        {id: 31, username: 'daniella', password: 'daniella123', name: 'Daniella', role: 'speech_therapist'},
-        {id: 32, username: 'jeferson', password: 'jeferson123', name: 'Jeferson', role: 'physiotherapist'}
-    ],
+    users: [], // Accounts come from the `funcionarios` table (Supabase Auth); the first director is created by the setup wizard
     anamnesisTypes: [
         ...Array.from({length: 40}, (_, i) => ({id: `anamnese-${i + 1}`, name: `Sessão ${i + 1}`}))
     ],
     stockItems: [],
     stockMovements: [],
+    auditLog: [], // Append-only record of every write (see js/audit.js)
     nextClientId: 1,
     nextAppointmentId: 1,
     nextScheduleId: 1,
+    nextRoomId: 1,
     nextNoteId: 1,
     nextChangeId: 1, // This is a general change ID for all history, including client and user changes
     nextDocumentId: 1,
     nextStockItemId: 1,
     nextMovementId: 1,
-    nextUserId: 33,
+    nextUserId: 1,
     nextDailyNoteId: 1,
     nextGeneralDocumentId: 1,
-    nextNotificationId: 1 // NEW: ID for notifications
+    nextNotificationId: 1, // NEW: ID for notifications
+    nextAuditLogId: 1
 };
 
+// Called with the error when the snapshot cannot be written (usually a full localStorage quota)
+let saveErrorHandler = null;
+
+export function setSaveErrorHandler(handler) {
+    saveErrorHandler = handler;
+}
+
+// Returns false when the snapshot could not be persisted; the in-memory data is kept either way
 export function saveDb() {
-    localStorage.setItem('gestaoClientesDb', JSON.stringify(db));
+    try {
+        localStorage.setItem('gestaoClientesDb', JSON.stringify(db));
+        return true;
+    } catch (error) {
+        console.error('Erro ao salvar os dados locais:', error);
+        if (saveErrorHandler) saveErrorHandler(error);
+        return false;
+    }
 }
 
 export function loadDb() {
     const storedDb = localStorage.getItem('gestaoClientesDb');
+    let migrationError = null;
     if (storedDb) {
-        const parsedDb = JSON.parse(storedDb);
-
-        // Ensure new fields are present after loading old data
-        if (!parsedDb.schedules) parsedDb.schedules = [];
-        if (!parsedDb.dailyNotes) parsedDb.dailyNotes = [];
-        if (!parsedDb.nextDailyNoteId) parsedDb.nextDailyNoteId = 1;
-        if (!parsedDb.generalDocuments) parsedDb.generalDocuments = [];
-        if (!parsedDb.nextGeneralDocumentId) parsedDb.nextGeneralDocumentId = 1;
-        if (!parsedDb.nextChangeId) parsedDb.nextChangeId = 1; // Ensure nextChangeId exists
-        if (!parsedDb.notifications) parsedDb.notifications = []; // NEW: Initialize notifications
-        if (!parsedDb.nextNotificationId) parsedDb.nextNotificationId = 1; // NEW: Initialize notification ID
-        if (!parsedDb.roles) parsedDb.roles = []; // NEW: Initialize custom roles
-
-        parsedDb.schedules.forEach(schedule => {
-            if (schedule.assignedToUserId === undefined) {
-                schedule.assignedToUserId = null;
-                schedule.assignedToUserName = null;
-            }
-        });
-
-        // NEW MIGRATION: from visibleTabs array to tabAccess object
-        parsedDb.users.forEach(user => {
-            if (user.visibleTabs && Array.isArray(user.visibleTabs)) {
-                if (!user.tabAccess) { // Only set if tabAccess doesn't exist
-                    user.tabAccess = {};
-                    user.visibleTabs.forEach(tabId => {
-                        user.tabAccess[tabId] = 'edit'; // Assume old visible tabs grant full edit access
-                    });
-                }
-                delete user.visibleTabs; // Remove the old property
-            } else if (user.visibleTabs === null) {
-                // If visibleTabs was explicitly null, make tabAccess null too
-                user.tabAccess = null;
-            }
-
-            if (user.tabAccess === undefined) {
-                user.tabAccess = null; // Initialize if it doesn't exist at all
-            }
-        });
+        let parsedDb = JSON.parse(storedDb);
 
-        // Merge users to ensure new demo users are added and roles are updated if needed
-        // IMPORTANT: When merging, ensure existing custom roles from user-created entries are preserved.
-        const defaultUsersMap = new Map(db.users.map(u => [u.id, u]));
-        const updatedUsers = parsedDb.users.map(existingUser => {
-            const defaultUser = defaultUsersMap.get(existingUser.id);
-            if (defaultUser) {
-                // For predefined roles, take the default role. For custom roles, keep the existing one.
-                const roleToKeep = allPredefinedRoles().includes(existingUser.role) ? defaultUser.role : existingUser.role;
-
-                const mergedUser = {
-                    ...defaultUser,
-                    ...existingUser,
-                    role: roleToKeep // Prioritize default role if it's predefined
-                };
-                // Explicitly retain tabAccess and changeHistory from the existing user if they exist
-                mergedUser.tabAccess = existingUser.tabAccess !== undefined ? existingUser.tabAccess : defaultUser.tabAccess;
-                mergedUser.changeHistory = existingUser.changeHistory || [];
-                return mergedUser;
-            }
-            return existingUser; // If no match in default, keep existing user as is (including custom roles)
-        });
-
-        // Add new default users that might not be in parsedDb.users
-        defaultUsersMap.forEach((defaultUser, id) => {
-            if (!updatedUsers.some(u => u.id === id)) {
-                updatedUsers.push({
-                    ...defaultUser,
-                    changeHistory: [],
-                    academicInfo: defaultUser.academicInfo || {},
-                    tabAccess: defaultUser.tabAccess || null
-                });
-            }
-        });
-        parsedDb.users = updatedUsers;
-
-        // Ensure all users have the new fields initialized (e.g., to empty string or empty array for history) if missing
-        parsedDb.users.forEach(user => {
-            user.address = user.address !== undefined ? user.address : '';
-            user.academicInfo = user.academicInfo !== undefined ? user.academicInfo : {}; // Ensure academicInfo is an object
-            user.academicInfo.institution = (user.academicInfo && user.academicInfo.institution) !== undefined ? user.academicInfo.institution : '';
-            user.academicInfo.graduationPeriod = (user.academicInfo && user.academicInfo.graduationPeriod) !== undefined ? user.academicInfo.graduationPeriod : '';
-            user.academicInfo.education = (user.academicInfo && user.academicInfo.education) !== undefined ? user.academicInfo.education : '';
-            user.academicInfo.discipline = (user.academicInfo && user.academicInfo.discipline) !== undefined ? user.academicInfo.discipline : '';
-            user.phone = user.phone !== undefined ? user.phone : '';
-            user.email = user.email !== undefined ? user.email : '';
-            user.cpf = user.cpf !== undefined ? user.cpf : '';
-            user.changeHistory = user.changeHistory !== undefined ? user.changeHistory : []; // Initialize changeHistory
-            user.tabAccess = user.tabAccess !== undefined ? user.tabAccess : null; // Initialize tabAccess
-        });
-
-        // Ensure stockItems have unitValue and unit as 'unidade'
-        if (!parsedDb.stockItems) parsedDb.stockItems = [];
-        parsedDb.stockItems.forEach(item => {
-            if (item.unitValue === undefined) {
-                item.unitValue = 0;
-            }
-            if (item.unit !== 'unidade') {
-                const conversionFactor = {
-                    'unidade': 1,
-                    'pacote': 5,
-                    'caixa': 10,
-                    'resma': 15,
-                    'kit': 20,
-                    'lote': 25
-                }[item.unit] || 1;
-                item.quantity = item.quantity * conversionFactor;
-                item.unit = 'unidade';
-            }
-        });
-
-        // Ensure stockMovements have itemUnitValue and quantity adjusted if unit was converted
-        if (!parsedDb.stockMovements) parsedDb.stockMovements = [];
-        parsedDb.stockMovements.forEach(movement => {
-            if (movement.itemUnitValue === undefined) {
-                // Try to derive from stockItems if possible, otherwise default to 0
-                const relatedItem = parsedDb.stockItems.find(item => item.id === movement.itemId);
-                movement.itemUnitValue = relatedItem ? relatedItem.unitValue : 0;
-            }
-            // Migration: Ensure itemName exists for movements
-            if (movement.itemName === undefined) {
-                const relatedItem = parsedDb.stockItems.find(item => item.id === movement.itemId);
-                movement.itemName = relatedItem ? relatedItem.name : (movement.type === 'exclusao' ? 'Item Removido' : 'Item Desconhecido');
-            }
-            // NEW: Initialize new fields
-            if (movement.purchaseNotes === undefined) {
-                movement.purchaseNotes = null;
-            }
-            if (movement.purchaseFileData === undefined) {
-                movement.purchaseFileData = null;
-            }
-            if (movement.purchaseFileName === undefined) {
-                movement.purchaseFileName = null;
-            }
-        });
-
-        // Ensure appointments have durationHours
-        if (!parsedDb.appointments) parsedDb.appointments = [];
-        parsedDb.appointments.forEach(app => {
-            if (app.durationHours === undefined) {
-                app.durationHours = 0;
-            }
-        });
-
-        // NEW: Ensure clients have assignedProfessionalId, assignedProfessionalName, unit, createdByUserId AND changeHistory
-        parsedDb.clients.forEach(client => {
-            if (client.assignedInternId !== undefined) {
-                client.assignedProfessionalId = client.assignedInternId;
-                delete client.assignedInternId;
-            }
-            if (client.assignedInternName !== undefined) {
-                client.assignedProfessionalName = client.assignedInternName;
-                delete client.assignedInternName;
-            }
-            if (client.assignedProfessionalId !== undefined) {
-                // MIGRATION: from single professional to multiple
-                if (client.assignedProfessionalIds === undefined) {
-                    client.assignedProfessionalIds = [];
-                    if (client.assignedProfessionalId !== null) {
-                        client.assignedProfessionalIds.push(client.assignedProfessionalId);
-                    }
-                }
-                delete client.assignedProfessionalId;
-                delete client.assignedProfessionalName;
-            }
-            if (client.assignedProfessionalIds === undefined) {
-                client.assignedProfessionalIds = [];
-            }
-            if (client.unit === undefined) {
-                client.unit = null;
-            }
-            if (client.changeHistory === undefined) { // Initialize client changeHistory if missing
-                client.changeHistory = [];
-            }
-            if (client.createdByUserId === undefined) { // Initialize createdByUserId if missing
-                // This assumes old clients were created by director (ID 1) or no specific user
-                client.createdByUserId = 1; // Default to director for old clients
-            }
-            // If old 'observacoes' daily notes type exists, change to 'nota'
-            if (parsedDb.dailyNotes) {
-                parsedDb.dailyNotes.forEach(note => {
-                    if (note.type === 'observacao') {
-                        note.type = 'nota';
-                    }
-                });
-            }
-        });
+        // Apply pending schema migrations (each one runs once, see js/migrations.js)
+        if (getPendingMigrations(parsedDb).length > 0) {
+            backupSnapshot(storedDb, parsedDb.schemaVersion || 0);
+        }
+        const migrationResult = runMigrations(parsedDb);
+        parsedDb = migrationResult.data;
+        migrationError = migrationResult.error
+            ? `${migrationResult.failedMigration.description} (versão ${migrationResult.failedMigration.version})`
+            : null;
 
         Object.assign(db, parsedDb);
 
@@ -1918,21 +1522,9 @@ export function loadDb() {
             notes: [],
             documents: [],
             changeHistory: [], // Initialize change history for test client
-            createdByUserId: 1, // Created by Director (ID 1)
-            assignedProfessionalIds: [2], // Assign to 'staff' user (ID 2)
-        });
-
-        // NEW: Add a test notification for the staff user about the test client
-        if (!db.notifications) db.notifications = [];
-        db.notifications.push({
-            id: db.nextNotificationId++,
-            userId: 2, // For 'staff' user (ID: 2)
-            type: 'client_assignment',
-            title: 'Novo Paciente Vinculado',
-            message: `O "Cliente Teste" foi vinculado a você.`,
-            relatedId: 1, // client id
-            createdAt: new Date().toISOString(),
-            isRead: false
+            // A fresh install has no users yet: the first director is created by the initial setup
+            createdByUserId: null,
+            assignedProfessionalIds: [],
         });
 
         // Update nextClientId to be after the last client added (which is the test client, ID 1)
@@ -1941,19 +1533,42 @@ export function loadDb() {
         // Update nextStockItemId to be after the last new item added
         db.nextStockItemId = 144;
 
-        // Calculate nextUserId based on the hardcoded users if no storedDb existed
-        const maxUserId = db.users.reduce((maxId, user) => Math.max(maxId, user.id), 0);
-        db.nextUserId = Math.max(db.nextUserId, maxUserId + 1);
+        saveDb(); // Save the initial state with only anamnesis types and sample stock
+    }
 
-        saveDb(); // Save the initial state with only users, anamnesis, and sample stock
+    return { migrationError };
+}
+
+// Keeps the snapshot as it was before migrating, overwriting any older backup.
+// Plaintext passwords seeded by old versions are the only thing left out.
+function backupSnapshot(rawSnapshot, schemaVersion) {
+    try {
+        const snapshot = JSON.parse(rawSnapshot);
+        (snapshot.users || []).forEach(user => delete user.password);
+        localStorage.setItem(MIGRATION_BACKUP_KEY, JSON.stringify({
+            schemaVersion: schemaVersion,
+            createdAt: new Date().toISOString(),
+            data: JSON.stringify(snapshot)
+        }));
+    } catch (error) {
+        console.error('Não foi possível salvar o backup anterior à migração:', error);
     }
 }
 
-// Helper to get all predefined roles for migrations/checks
-function allPredefinedRoles() {
-    return [
-        'director', 'coordinator_madre', 'coordinator_floresta', 'staff', 'intern',
-        'musictherapist', 'financeiro', 'receptionist', 'psychologist',
-        'psychopedagogue', 'speech_therapist', 'nutritionist', 'physiotherapist'
-    ];
-}
\ No newline at end of file
+// True while the snapshot saved before the last migration run is still kept
+export function hasPreMigrationBackup() {
+    return localStorage.getItem(MIGRATION_BACKUP_KEY) !== null;
+}
+
+// Restores the snapshot saved before the last migration run; it is migrated again on the next load
+export function restorePreMigrationBackup() {
+    const backup = localStorage.getItem(MIGRATION_BACKUP_KEY);
+    if (!backup) return false;
+    localStorage.setItem('gestaoClientesDb', JSON.parse(backup).data);
+    return true;
+}
+
+// Frees the space used by the pre-migration backup once the migrated data is known to be good
+export function discardPreMigrationBackup() {
+    localStorage.removeItem(MIGRATION_BACKUP_KEY);
+}
@@ -0,0 +1,276 @@
+// Clinical data encryption module
+// Diagnoses, medical history, complaints and the notes of clients and attendances are encrypted in the browser
+// (AES-GCM, Web Crypto) before they reach localStorage or Supabase. The per-clinic keys live in the
+// `chaves_clinicas` table, which only roles with clinical access can read, and are kept in memory only.
+import {db} from './database.js';
+import {supabase} from './supabase.js';
+import {getCurrentUser, hasPermission, isRoleAllowed} from './auth.js';
+import {DIRECTOR_ONLY} from './roles.js';
+import {showNotification} from './ui.js';
+import {setFieldCipher, clientsRepository, appointmentsRepository} from './repository.js';
+
+export const CLINICAL_FIELDS = {
+    clients: ['diagnosticoPrincipal', 'historicoMedico', 'queixaNeuropsicologica', 'expectativasTratamento'],
+    appointments: ['notes']
+};
+// Lists whose items keep clinical text in one field (client notes keep title, date and author readable)
+const CLINICAL_LIST_FIELDS = {
+    clients: {notes: 'content'}
+};
+
+export const RESTRICTED_CONTENT = 'Conteúdo clínico restrito';
+// enc:v1:<key version>:<iv>:<ciphertext>, in base64; a string fits both the TEXT columns and extra_data
+const ENVELOPE_PREFIX = 'enc:v1:';
+const KEY_TABLE = 'chaves_clinicas';
+
+const clinicKeys = new Map(); // key version -> CryptoKey
+let activeKeyVersion = null;
+// True once the key table was read; an empty table means encryption was not set up yet
+let keysLoaded = false;
+// Decrypted values by envelope, so rendering can stay synchronous
+const plaintextCache = new Map();
+
+function toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+function importKey(rawKey) {
+    return crypto.subtle.importKey('raw', fromBase64(rawKey), {name: 'AES-GCM'}, false, ['encrypt', 'decrypt']);
+}
+
+export function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX);
+}
+
+function envelopeVersion(envelope) {
+    return parseInt(envelope.slice(ENVELOPE_PREFIX.length).split(':')[0]);
+}
+
+async function encryptValue(text, version) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({name: 'AES-GCM', iv}, clinicKeys.get(version), new TextEncoder().encode(text));
+    const envelope = `${ENVELOPE_PREFIX}${version}:${toBase64(iv)}:${toBase64(new Uint8Array(data))}`;
+    plaintextCache.set(envelope, text);
+    return envelope;
+}
+
+async function decryptValue(envelope) {
+    if (plaintextCache.has(envelope)) return plaintextCache.get(envelope);
+    const [version, iv, data] = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+    const key = clinicKeys.get(parseInt(version));
+    if (!key) throw new Error(`Chave clínica versão ${version} indisponível.`);
+    const plain = await crypto.subtle.decrypt({name: 'AES-GCM', iv: fromBase64(iv)}, key, fromBase64(data));
+    const text = new TextDecoder().decode(plain);
+    plaintextCache.set(envelope, text);
+    return text;
+}
+
+/**
+ * Whether the current user may read and write clinical content.
+ */
+export function hasClinicalAccess() {
+    return hasPermission('client.clinical.view');
+}
+
+/**
+ * Returns a clinical value ready to display: the decrypted text for users with clinical access,
+ * or RESTRICTED_CONTENT when the user has no access or the key is not available.
+ */
+export function readClinical(value) {
+    if (value === null || value === undefined || value === '') return value;
+    if (!hasClinicalAccess()) return RESTRICTED_CONTENT;
+    if (!isEncrypted(value)) return value; // Saved before encryption was set up
+    return plaintextCache.has(value) ? plaintextCache.get(value) : RESTRICTED_CONTENT;
+}
+
+// Every clinical value of a record, as [field, item index or null, value]
+function clinicalValues(entityName, record) {
+    const values = (CLINICAL_FIELDS[entityName] || []).map(field => [field, null, record[field]]);
+    Object.entries(CLINICAL_LIST_FIELDS[entityName] || {}).forEach(([listField, textField]) => {
+        (record[listField] || []).forEach((item, index) => values.push([listField, index, item[textField]]));
+    });
+    return values.filter(([, , value]) => value !== null && value !== undefined && value !== '');
+}
+
+function clinicalRecords() {
+    return [
+        ...db.clients.map(client => ['clients', client]),
+        ...db.clients.flatMap(client => (client.appointments || []).map(appointment => ['appointments', appointment]))
+    ];
+}
+
+async function decryptCachedValues() {
+    let failures = 0;
+    for (const [entityName, record] of clinicalRecords()) {
+        for (const [, , value] of clinicalValues(entityName, record)) {
+            if (!isEncrypted(value) || plaintextCache.has(value)) continue;
+            try {
+                await decryptValue(value);
+            } catch (error) {
+                failures++;
+            }
+        }
+    }
+    if (failures > 0) console.error(`${failures} valor(es) clínico(s) não puderam ser descriptografados.`);
+}
+
+/**
+ * Loads the clinic keys for users with clinical access and decrypts the clinical content already in `db`.
+ * Called after login; other users get no key at all.
+ */
+export async function loadClinicKeys() {
+    clearClinicKeys();
+    if (!hasClinicalAccess()) return;
+
+    const {data, error} = await supabase.from(KEY_TABLE).select('version, key_material, retired_at').order('version');
+    if (error) throw error;
+    for (const row of data) {
+        clinicKeys.set(row.version, await importKey(row.key_material));
+        if (!row.retired_at) activeKeyVersion = row.version;
+    }
+    keysLoaded = true;
+    await decryptCachedValues();
+}
+
+/**
+ * Forgets the keys and every decrypted value (used on logout).
+ */
+export function clearClinicKeys() {
+    clinicKeys.clear();
+    plaintextCache.clear();
+    activeKeyVersion = null;
+    keysLoaded = false;
+}
+
+async function encryptText(value, currentEnvelope) {
+    if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+    // Unchanged text keeps its ciphertext, so saving a record does not look like an edit of every clinical field
+    if (isEncrypted(currentEnvelope) && plaintextCache.get(currentEnvelope) === value) return currentEnvelope;
+    if (activeKeyVersion !== null) return encryptValue(value, activeKeyVersion);
+    if (keysLoaded) return value; // No key created yet: the first rotation encrypts what was saved meanwhile
+    throw new Error('A chave clínica não está disponível para este usuário; o conteúdo clínico não pode ser salvo.');
+}
+
+// Installed as the repository field cipher
+async function encryptClinicalFields(entityName, fields, current) {
+    const clinicalFields = CLINICAL_FIELDS[entityName];
+    if (!clinicalFields) return fields;
+
+    const prepared = {...fields};
+    for (const field of clinicalFields) {
+        if (field in prepared) prepared[field] = await encryptText(prepared[field], current?.[field]);
+    }
+    for (const [listField, textField] of Object.entries(CLINICAL_LIST_FIELDS[entityName] || {})) {
+        if (!Array.isArray(prepared[listField])) continue;
+        const currentItems = current?.[listField] || [];
+        const items = [];
+        for (const item of prepared[listField]) {
+            const previous = currentItems.find(currentItem => currentItem.id === item.id);
+            items.push({...item, [textField]: await encryptText(item[textField], previous?.[textField])});
+        }
+        prepared[listField] = items;
+    }
+    return prepared;
+}
+
+/**
+ * Returns a copy of a record with its clinical fields decrypted where the key is available (for exports).
+ */
+export async function revealClinicalFields(entityName, record) {
+    const revealed = {...record};
+    Object.entries(CLINICAL_LIST_FIELDS[entityName] || {}).forEach(([listField]) => {
+        if (Array.isArray(revealed[listField])) revealed[listField] = revealed[listField].map(item => ({...item}));
+    });
+    for (const [field, index, value] of clinicalValues(entityName, record)) {
+        if (!isEncrypted(value)) continue;
+        let text;
+        try {
+            text = await decryptValue(value);
+        } catch (error) {
+            continue; // Left encrypted; the export still lists the record
+        }
+        if (index === null) revealed[field] = text;
+        else revealed[field][index][CLINICAL_LIST_FIELDS[entityName][field]] = text;
+    }
+    return revealed;
+}
+
+// Fields to update so every clinical value of the record is encrypted with `version`; null when nothing changes
+async function reencryptRecord(entityName, record, version) {
+    const changes = {};
+    for (const [field, index, value] of clinicalValues(entityName, record)) {
+        if (isEncrypted(value) && envelopeVersion(value) === version) continue;
+        const envelope = await encryptValue(isEncrypted(value) ? await decryptValue(value) : value, version);
+        if (index === null) {
+            changes[field] = envelope;
+        } else {
+            changes[field] = changes[field] || record[field].map(item => ({...item}));
+            changes[field][index][CLINICAL_LIST_FIELDS[entityName][field]] = envelope;
+        }
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Creates a new clinic key and re-encrypts every clinical value with it, including values still in clear text.
+ * Previous keys are only marked as retired: backups taken before the rotation still need them.
+ */
+export async function rotateClinicKey() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode rotacionar a chave clínica.', 'error');
+        return;
+    }
+    if (!confirm('Criar uma nova chave clínica e recriptografar todo o conteúdo clínico com ela? Mantenha o sistema aberto até o fim.')) {
+        return;
+    }
+
+    let version;
+    try {
+        await loadClinicKeys();
+        const key = await crypto.subtle.generateKey({name: 'AES-GCM', length: 256}, true, ['encrypt', 'decrypt']);
+        const keyMaterial = toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+        version = Math.max(0, ...clinicKeys.keys()) + 1;
+        const {error} = await supabase.from(KEY_TABLE).insert({version, key_material: keyMaterial, created_by: getCurrentUser().id});
+        if (error) throw error;
+        clinicKeys.set(version, await importKey(keyMaterial));
+        activeKeyVersion = version;
+    } catch (error) {
+        console.error('Erro ao criar a chave clínica:', error);
+        showNotification('Não foi possível criar a nova chave clínica. Nada foi alterado.', 'error');
+        return;
+    }
+
+    let updated = 0;
+    let failures = 0;
+    for (const [entityName, record] of clinicalRecords()) {
+        try {
+            const changes = await reencryptRecord(entityName, record, version);
+            if (!changes) continue;
+            const repository = entityName === 'clients' ? clientsRepository : appointmentsRepository;
+            await repository.update(record.id, changes);
+            updated++;
+        } catch (error) {
+            failures++;
+            console.error(`Erro ao recriptografar ${entityName} #${record.id}:`, error);
+        }
+    }
+
+    if (failures > 0) {
+        showNotification(`Nova chave (versão ${version}) criada, mas ${failures} registro(s) não foram recriptografados. As chaves anteriores foram mantidas; tente rotacionar novamente.`, 'warning');
+        return;
+    }
+
+    const {error} = await supabase.from(KEY_TABLE).update({retired_at: new Date().toISOString()}).lt('version', version).is('retired_at', null);
+    if (error) console.error('Erro ao retirar as chaves clínicas anteriores:', error);
+    showNotification(`Chave clínica rotacionada (versão ${version}). ${updated} registro(s) recriptografados.`, 'success');
+}
+
+setFieldCipher(encryptClinicalFields);
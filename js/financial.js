@@ -1,13 +1,14 @@
 // Financial reporting module
-import { db, saveDb } from './database.js';
-import { getCurrentUser, isRoleAllowed } from './auth.js'; // Import isRoleAllowed
-import { DIRECTOR_OR_FINANCE, DIRECTOR_ONLY } from './roles.js';
+import { db } from './database.js';
+import { getCurrentUser, hasPermission, getVisibleClients, getVisibleSchedules } from './auth.js';
 import { showNotification } from './ui.js';
 import { serviceNames } from './schedule.js'; // Import serviceNames for detailed reports
+import { dailyNotesRepository } from './repository.js';
+import { storeAttachment, removeAttachment, attachmentAction } from './attachments.js';
+import { ensureUploadSpace } from './quota.js';
 
 export function renderFinancialReport(selectedPeriod = 'current-month') {
-    // Only Director and Finance roles can view financial reports
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+    if (!hasPermission('finance.view')) {
         const financialList = document.getElementById('financial-list');
         if (financialList) {
             financialList.innerHTML = '<p>Você não tem permissão para visualizar relatórios financeiros.</p>';
@@ -65,7 +66,7 @@ export function renderFinancialReport(selectedPeriod = 'current-month') {
     let totalSchedulesInPeriod = 0;
     
     // Calculate appointments and revenue
-    db.clients.forEach(client => {
+    getVisibleClients().forEach(client => {
         if (client.appointments) {
             client.appointments.forEach(appointment => {
                 const appointmentDate = new Date(appointment.date);
@@ -130,7 +131,7 @@ export function renderFinancialReport(selectedPeriod = 'current-month') {
     const netResult = totalRevenue - totalExpenses;
     
     // Calculate schedules for the period
-    db.schedules.forEach(schedule => {
+    getVisibleSchedules().forEach(schedule => {
         const scheduleDate = new Date(schedule.date);
         if (isNaN(scheduleDate.getTime())) {
             console.warn(`Invalid schedule date for schedule ${schedule.id}: ${schedule.date}`);
@@ -147,7 +148,7 @@ export function renderFinancialReport(selectedPeriod = 'current-month') {
     document.getElementById('stock-entries-value').textContent = `R$ ${totalStockPurchases.toFixed(2).replace('.', ',')}`;
     document.getElementById('stock-exits-value').textContent = `R$ ${totalMaterialsCost.toFixed(2).replace('.', ',')}`;
     document.getElementById('net-result').textContent = `R$ ${netResult.toFixed(2).replace('.', ',')}`;
-    document.getElementById('active-clients').textContent = db.clients.length;
+    document.getElementById('active-clients').textContent = getVisibleClients().length;
     document.getElementById('total-schedules').textContent = totalSchedulesInPeriod;
     
     // Update period display
@@ -185,14 +186,14 @@ function renderFinancialDetails(startDate, endDate) {
     const financialList = document.getElementById('financial-list');
     financialList.innerHTML = '';
     
-    if (db.clients.length === 0) {
+    if (getVisibleClients().length === 0) {
         financialList.innerHTML = '<p>Nenhum cliente cadastrado.</p>';
         return;
     }
 
     let clientsWithActivityInPeriod = false;
 
-    db.clients.forEach(client => {
+    getVisibleClients().forEach(client => {
         let clientAppointmentsValue = 0;
         let clientAppointmentsCount = 0;
         
@@ -236,8 +237,7 @@ function renderFinancialDetails(startDate, endDate) {
 }
 
 export function renderDailyNotes(selectedPeriod = 'current-month') {
-    // Only Director and Finance roles can view daily notes
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+    if (!hasPermission('finance.view')) {
         const dailyNotesList = document.getElementById('daily-notes-list');
         if (dailyNotesList) {
             dailyNotesList.innerHTML = '<p>Você não tem permissão para visualizar notas diárias.</p>';
@@ -307,9 +307,10 @@ export function renderDailyNotes(selectedPeriod = 'current-month') {
             'nota': 'Nota'
         };
         
+        const fileSource = note.fileRef || note.fileData;
         const isImage = note.fileName && /\.(jpe?g|png|gif|webp)$/i.test(note.fileName);
         const previewButtonHtml = isImage ? `
-             <button class="btn-preview-small" onclick="window.previewFile('${note.title.replace(/'/g, "\\'")}', '${note.fileData}', '${note.fileName.replace(/'/g, "\\'")}')">
+             <button class="btn-preview-small" onclick="${attachmentAction(fileSource, note.fileName, 'preview', note.title)}">
                 <i class="fa-solid fa-eye"></i> Visualizar
             </button>
         ` : '';
@@ -329,19 +330,21 @@ export function renderDailyNotes(selectedPeriod = 'current-month') {
             <div class="note-content">
                 ${note.content}
             </div>
-            ${note.fileName && note.fileData ? `
+            ${note.fileName && fileSource ? `
                 <div class="note-attachment">
                     ${previewButtonHtml}
-                    <a href="${note.fileData}" download="${note.fileName}" class="btn-download">
+                    <a href="#" onclick="${attachmentAction(fileSource, note.fileName)}" class="btn-download">
                         <i class="fa-solid fa-download"></i> ${note.fileName}
                     </a>
                 </div>
             ` : ''}
             <div class="note-footer">
                 <small>Por ${note.createdBy} em ${new Date(note.createdAt).toLocaleDateString('pt-BR')} às ${new Date(note.createdAt).toLocaleTimeString('pt-BR')}</small>
-                <button class="btn-delete-note" onclick="deleteDailyNote(${note.id})">
-                    <i class="fa-solid fa-trash"></i>
-                </button>
+                ${hasPermission('finance.note.delete') ? `
+                    <button class="btn-delete-note" onclick="deleteDailyNote(${note.id})">
+                        <i class="fa-solid fa-trash"></i>
+                    </button>
+                ` : ''}
             </div>
         `;
         
@@ -350,8 +353,7 @@ export function renderDailyNotes(selectedPeriod = 'current-month') {
 }
 
 export function addDailyNote() {
-    // Only Director and Finance roles can add daily notes
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+    if (!hasPermission('finance.note.create')) {
         showNotification('Você não tem permissão para adicionar notas diárias financeiras.', 'error');
         return;
     }
@@ -374,12 +376,7 @@ export function addDailyNote() {
         return;
     }
     
-    if (!db.dailyNotes) {
-        db.dailyNotes = [];
-    }
-    
     const newNote = {
-        id: db.nextDailyNoteId++,
         date: date,
         title: title,
         type: type,
@@ -394,64 +391,55 @@ export function addDailyNote() {
         newNote.category = document.getElementById('daily-note-expense-category').value;
     }
 
-    if (fileInput.files[0]) {
-        const file = fileInput.files[0];
-        
-        // Check file size (5MB limit)
-        if (file.size > 5 * 1024 * 1024) {
-            showNotification('O arquivo deve ter no máximo 5MB.', 'error');
+    // Check file size (5MB limit)
+    if (fileInput.files[0] && fileInput.files[0].size > 5 * 1024 * 1024) {
+        showNotification('O arquivo deve ter no máximo 5MB.', 'error');
+        return;
+    }
+    persistDailyNote();
+
+    async function persistDailyNote() {
+        if (fileInput.files[0] && !(await ensureUploadSpace(fileInput.files))) return;
+        try {
+            if (fileInput.files[0]) {
+                newNote.fileName = fileInput.files[0].name;
+                newNote.fileRef = await storeAttachment(fileInput.files[0], 'financeiro');
+            }
+            await dailyNotesRepository.create(newNote);
+        } catch (error) {
+            console.error('Erro ao salvar nota diária:', error);
+            showNotification('Erro ao salvar a nota diária. Tente novamente.', 'error');
             return;
         }
 
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            newNote.fileName = file.name;
-            newNote.fileData = e.target.result;
-            
-            db.dailyNotes.push(newNote);
-            saveDb();
-            
-            document.getElementById('form-add-daily-note').reset();
-            document.getElementById('modal-add-daily-note').style.display = 'none';
-            
-            const selectedPeriod = document.getElementById('financial-period-selector').value;
-            renderDailyNotes(selectedPeriod);
-            renderFinancialReport(selectedPeriod);
-            
-            showNotification('Nota diária adicionada com sucesso!', 'success');
-        };
-
-        reader.onerror = function() {
-            showNotification('Erro ao processar o arquivo. Tente novamente.', 'error');
-        };
-
-        reader.readAsDataURL(file);
-    } else {
-        db.dailyNotes.push(newNote);
-        saveDb();
-        
         document.getElementById('form-add-daily-note').reset();
         document.getElementById('modal-add-daily-note').style.display = 'none';
-        
+
         const selectedPeriod = document.getElementById('financial-period-selector').value;
         renderDailyNotes(selectedPeriod);
         renderFinancialReport(selectedPeriod);
-        
+
         showNotification('Nota diária adicionada com sucesso!', 'success');
     }
 }
 
-export function deleteDailyNote(noteId) {
-    // Only Director and Finance roles can delete daily notes
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+export async function deleteDailyNote(noteId) {
+    if (!hasPermission('finance.note.delete')) {
         showNotification('Você não tem permissão para excluir notas diárias financeiras.', 'error');
         return;
     }
 
     if (!confirm('Tem certeza que deseja excluir esta nota?')) return;
+    const removedNote = db.dailyNotes.find(note => note.id === noteId);
     
-    db.dailyNotes = db.dailyNotes.filter(note => note.id !== noteId);
-    saveDb();
+    try {
+        await dailyNotesRepository.remove(noteId);
+    } catch (error) {
+        console.error('Erro ao excluir nota diária:', error);
+        showNotification('Erro ao excluir a nota. Tente novamente.', 'error');
+        return;
+    }
+    removeAttachment(removedNote?.fileRef).catch(error => console.error('Erro ao excluir anexo da nota:', error));
     
     const selectedPeriod = document.getElementById('financial-period-selector').value;
     renderDailyNotes(selectedPeriod);
@@ -461,8 +449,7 @@ export function deleteDailyNote(noteId) {
 }
 
 export function generateDetailedFinancialReport(selectedPeriod) {
-    // Only Director and Finance roles can generate detailed financial reports
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+    if (!hasPermission('finance.view')) {
         showNotification('Você não tem permissão para gerar relatórios financeiros.', 'error');
         return;
     }
@@ -523,7 +510,7 @@ export function generateDetailedFinancialReport(selectedPeriod) {
     const periodDailyNotes = []; // NEW: Collect daily notes for the period
 
     // Collect appointments and revenue
-    db.clients.forEach(client => {
+    getVisibleClients().forEach(client => {
         if (client.appointments) {
             client.appointments.forEach(appointment => {
                 const appointmentDate = new Date(appointment.date);
@@ -879,7 +866,7 @@ export function generateDetailedFinancialReport(selectedPeriod) {
                                 </div>
                                 ${note.value !== null ? `<div class="note-value">R$ ${note.value.toFixed(2).replace('.', ',')}</div>` : ''}
                                 <div class="note-content">${note.content}</div>
-                                ${note.fileName && note.fileData ? `<div class="note-attachment-link"><a href="${note.fileData}" download="${note.fileName}"><i class="fa-solid fa-download"></i> ${note.fileName}</a></div>` : ''}
+                                ${note.fileName && (note.fileRef || note.fileData) ? `<div class="note-attachment-link"><a href="#" onclick="${attachmentAction(note.fileRef || note.fileData, note.fileName)}"><i class="fa-solid fa-download"></i> ${note.fileName}</a></div>` : ''}
                             </div>
                         `;
                     }).join('')}
@@ -894,7 +881,7 @@ export function generateDetailedFinancialReport(selectedPeriod) {
 }
 
 export function downloadDailyNotes(selectedPeriod = 'all') {
-    if (!isRoleAllowed(DIRECTOR_OR_FINANCE)) {
+    if (!hasPermission('report.export')) {
         showNotification('Você não tem permissão para baixar notas diárias.', 'error');
         return;
     }
@@ -1,8 +1,10 @@
 // Form handling module
-import { db, saveDb } from './database.js';
+import { db } from './database.js';
 import { renderClientList } from './clients.js';
-import { switchTab, showNotification, updateGlobalSearchDatalist } from './ui.js';
+import { switchTab, showNotification, updateGlobalSearchDatalist, restrictUnitOptions } from './ui.js';
 import { getCurrentUser } from './auth.js';
+import { clientsRepository } from './repository.js';
+import { buildConsent } from './lgpd.js';
 
 export function setupFormHandlers() {
     setupAgeSelection();
@@ -79,7 +81,7 @@ async function handleCepInputMinor(e) {
 }
 
 function setupClientForms() {
-    document.getElementById('form-novo-cliente-adulto').addEventListener('submit', (e) => {
+    document.getElementById('form-novo-cliente-adulto').addEventListener('submit', async (e) => {
         e.preventDefault();
         
         try {
@@ -93,7 +95,6 @@ function setupClientForms() {
             }
 
             const newClient = {
-                id: db.nextClientId++,
                 type: 'adult',
                 name: document.getElementById('nome-cliente-adulto').value,
                 email: document.getElementById('email-cliente-adulto').value,
@@ -126,6 +127,7 @@ function setupClientForms() {
                 changeHistory: [], // Initialize change history for new clients
                 createdByUserId: currentUser.id, // Store the ID of the user who created this client
                 assignedProfessionalIds: [], // New clients start unassigned
+                consents: [buildConsent('adult')] // LGPD consent given at registration
             };
             
             if (!newClient.name || !newClient.birthDate) {
@@ -136,9 +138,12 @@ function setupClientForms() {
                 showNotification('Por favor, selecione a unidade de atendimento.', 'warning');
                 return;
             }
+            if (!document.getElementById('consentimento-lgpd-adulto').checked) {
+                showNotification('É necessário registrar o consentimento para o tratamento dos dados (LGPD).', 'warning');
+                return;
+            }
             
-            db.clients.push(newClient);
-            saveDb();
+            await clientsRepository.create(newClient);
             e.target.reset();
             showNotification(`Cliente "${newClient.name}" cadastrado com sucesso!`, 'success');
             renderClientList();
@@ -150,13 +155,12 @@ function setupClientForms() {
         }
     });
 
-    document.getElementById('form-novo-cliente-menor').addEventListener('submit', (e) => {
+    document.getElementById('form-novo-cliente-menor').addEventListener('submit', async (e) => {
         e.preventDefault();
         
         try {
             const currentUser = getCurrentUser(); // Get the current user
             const newClient = {
-                id: db.nextClientId++,
                 type: 'minor',
                 name: document.getElementById('nome-cliente-menor').value,
                 birthDate: document.getElementById('data-nascimento-menor').value,
@@ -193,6 +197,7 @@ function setupClientForms() {
                 changeHistory: [], // Initialize change history for new clients
                 createdByUserId: currentUser.id, // Store the ID of the user who created this client
                 assignedProfessionalIds: [], // New clients start unassigned
+                consents: [buildConsent('minor')] // LGPD consent given at registration
             };
             
             if (!newClient.name || !newClient.birthDate) {
@@ -203,9 +208,12 @@ function setupClientForms() {
                 showNotification('Por favor, selecione a unidade de atendimento.', 'warning');
                 return;
             }
+            if (!document.getElementById('consentimento-lgpd-menor').checked) {
+                showNotification('É necessário registrar o consentimento para o tratamento dos dados (LGPD).', 'warning');
+                return;
+            }
             
-            db.clients.push(newClient);
-            saveDb();
+            await clientsRepository.create(newClient);
             e.target.reset();
             showNotification(`Cliente "${newClient.name}" cadastrado com sucesso!`, 'success');
             renderClientList();
@@ -424,6 +432,8 @@ function showEditClientModal() {
         `;
     }
 
+    restrictUnitOptions(container);
+
     // Set the selected value for the unit dropdown
     const editUnitSelect = document.getElementById('edit-unidade');
     if (editUnitSelect) {
@@ -461,11 +471,12 @@ function showEditClientModal() {
     document.getElementById('modal-editar-cliente').style.display = 'flex';
 }
 
-function saveClientChanges() {
+async function saveClientChanges() {
     const client = db.clients.find(c => c.id === window.currentClientId);
     if (!client) return;
 
     const changes = [];
+    const updatedFields = {};
     const originalClient = { ...client };
 
     const fieldsToCheck = client.type === 'adult' 
@@ -508,24 +519,26 @@ function saveClientChanges() {
                     oldValue: oldValue,
                     newValue: newValue
                 });
-                client[clientField] = newValue;
+                updatedFields[clientField] = newValue;
             }
         }
     });
 
     if (changes.length > 0) {
-        if (!client.changeHistory) {
-            client.changeHistory = [];
-        }
-        
-        client.changeHistory.push({
+        updatedFields.changeHistory = [...(client.changeHistory || []), {
             id: db.nextChangeId++,
             date: new Date().toISOString(),
             changedBy: getCurrentUser().name,
             changes: changes
-        });
+        }];
         
-        saveDb();
+        try {
+            await clientsRepository.update(client.id, updatedFields);
+        } catch (error) {
+            console.error('Erro ao salvar alterações do cliente:', error);
+            showNotification('Erro ao salvar as alterações do cliente. Tente novamente.', 'error');
+            return;
+        }
         document.getElementById('modal-editar-cliente').style.display = 'none';
         showClientDetails(window.currentClientId);
         showNotification('Dados do cliente atualizados com sucesso!', 'success');
@@ -1,27 +1,22 @@
 // Employee management module
-import {supabase} from './supabase.js';
 import {showNotification} from './ui.js';
 import {
     getCurrentUser,
     isRoleAllowed,
     checkTabAccess,
+    explainPermission,
+    explainTabAccess,
+    getEffectivePermissions,
+    getVisibleUsers,
+    hasPermission,
+    validatePasswordStrength,
+    createEmployeeAccount,
+    requestPasswordReset,
 } from './auth.js';
-import {DIRECTOR_ONLY, COORDINATOR_AND_HIGHER, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES} from './roles.js';
-import {db, saveDb} from './database.js';
-
-// --- Constants ---
-const allSystemTabs = [
-    {id: 'cadastro', label: 'Cadastrar Cliente'},
-    {id: 'agenda', label: 'Agenda do Dia'},
-    {id: 'historico', label: 'Todos os pacientes'},
-    {id: 'meus-pacientes', label: 'Meus Pacientes'},
-    {id: 'financeiro', label: 'Financeiro'},
-    {id: 'relatorios', label: 'Relatórios'},
-    {id: 'estoque', label: 'Estoque'},
-    {id: 'funcionarios', label: 'Funcionários'},
-    {id: 'documentos', label: 'Mural do Coordenador'}
-];
-
+import {DIRECTOR_ONLY, COORDINATOR_AND_HIGHER, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, SYSTEM_TABS, UNITS, ACCESS_LEVEL_LABELS, ACTION_PERMISSIONS, PREDEFINED_ROLE_NAMES, getRoleName, getRoleTabAccess, getRolePermissions} from './roles.js';
+import {db} from './database.js';
+import {usersRepository} from './repository.js';
+import {showAvailabilityModal} from './availability.js';
 
 // --- Helper Rendering Functions (Top Level) ---
 
@@ -41,8 +36,7 @@ function renderSimpleFuncionarioView(funcionarios, container) {
             client.assignedProfessionalId === func.id
         ).length;
 
-        const customRole = db.roles.find(r => r.id === func.role);
-        const roleDisplayText = customRole ? customRole.name : (func.role || 'N/A');
+        const roleDisplayText = getRoleName(func.role);
 
         card.innerHTML = `
             <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 8px;">
@@ -52,8 +46,13 @@ function renderSimpleFuncionarioView(funcionarios, container) {
             <p><strong>Email:</strong> ${func.email || 'N/A'}</p>
             <p><strong>Celular:</strong> ${func.phone || 'N/A'}</p>
             <p><strong>Pacientes Vinculados:</strong> ${clientsAssignedCount}</p>
+            ${hasPermission('staff.availability.edit') ? '<button type="button" class="btn-secondary btn-small btn-availability"><i class="fa-solid fa-calendar-days"></i> Horários</button>' : ''}
         `;
         card.addEventListener('click', () => showFuncionarioDetails(func.id));
+        card.querySelector('.btn-availability')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showAvailabilityModal(func.id);
+        });
         container.appendChild(card);
     });
 }
@@ -74,8 +73,7 @@ function renderPermissionsView(funcionarios, container, isSelfView = false) {
         const card = document.createElement('div');
         card.className = 'permission-card';
 
-        const customRole = db.roles.find(r => r.id === user.role);
-        const roleDisplayText = customRole ? customRole.name : (user.role || 'N/A');
+        const roleDisplayText = getRoleName(user.role);
 
         card.innerHTML = `
             <div class="permission-card-header">
@@ -83,25 +81,193 @@ function renderPermissionsView(funcionarios, container, isSelfView = false) {
                 <span class="role-badge">${roleDisplayText}</span>
             </div>
             <div class="permission-access-container">
+                <div class="permission-access-group">
+                    <label>Unidades</label>
+                    <div class="permission-checkboxes">
+                        ${Object.entries(UNITS).map(([unit, label]) => `
+                            <div class="checkbox-group">
+                                <input type="checkbox" id="units-for-user-${user.id}-${unit}" data-unit="${unit}" ${(user.units || []).includes(unit) ? 'checked' : ''} ${isSelf ? 'disabled' : ''}>
+                                <label for="units-for-user-${user.id}-${unit}">${label}</label>
+                            </div>
+                        `).join('')}
+                    </div>
+                    <small>Sem unidade marcada, vale a unidade do cargo de coordenação ou, nos demais cargos, todas.</small>
+                </div>
                 <div id="tab-permissions-for-user-${user.id}" class="user-tab-permissions-container"></div>
+                <details class="action-permissions-details">
+                    <summary>Ações específicas</summary>
+                    <div id="action-permissions-for-user-${user.id}" class="user-tab-permissions-container"></div>
+                </details>
             </div>
             <div class="permission-card-actions">
                 <button class="btn-secondary btn-view-details"><i class="fa-solid fa-eye"></i> Ver Detalhes</button>
+                <button class="btn-secondary btn-effective-permissions"><i class="fa-solid fa-table-list"></i> Acesso Efetivo</button>
+                <button class="btn-secondary btn-availability"><i class="fa-solid fa-calendar-days"></i> Horários</button>
                 <button class="btn-primary btn-save-permissions" ${isSelf ? 'disabled title="Você não pode alterar suas próprias permissões aqui."' : ''}><i class="fa-solid fa-save"></i> Salvar Permissões</button>
             </div>
         `;
 
         card.querySelector('.btn-view-details').addEventListener('click', () => showFuncionarioDetails(user.id));
+        card.querySelector('.btn-effective-permissions').addEventListener('click', () => showEffectivePermissions(user.id));
+        card.querySelector('.btn-availability').addEventListener('click', () => showAvailabilityModal(user.id));
         if (!isSelf) {
             card.querySelector('.btn-save-permissions').addEventListener('click', () => saveUserPermissions(user.id));
         }
 
         container.appendChild(card);
-        populateTabPermissions(`tab-permissions-for-user-${user.id}`, user.tabAccess || {}, isSelf, user.role);
+        populateTabPermissions(`tab-permissions-for-user-${user.id}`, user.tabAccess || {}, isSelf, user.role, user);
+        populateActionPermissions(`action-permissions-for-user-${user.id}`, user.permissions || {}, isSelf, user.role, user);
     });
 }
 
 
+function renderTabExplanation(tabId, user) {
+    const {access, reason} = explainTabAccess(tabId, user);
+    return `<small class="permission-explanation ${access}">${ACCESS_LEVEL_LABELS[access]}: ${reason}</small>`;
+}
+
+function renderActionExplanation(actionId, user) {
+    const {allowed, reason} = explainPermission(actionId, user);
+    return `<small class="permission-explanation ${allowed ? 'allowed' : 'none'}">${allowed ? 'Permitido' : 'Negado'}: ${reason}</small>`;
+}
+
+// Where a resolved permission comes from (the `source` returned by explainPermission)
+const PERMISSION_SOURCE_LABELS = {
+    director: 'Diretoria',
+    user: 'Ajuste do funcionário',
+    customRole: 'Cargo personalizado',
+    role: 'Padrão do cargo',
+    inherited: 'Herdado',
+    default: 'Padrão do cargo'
+};
+
+// Change collected by saveUserPermissions, waiting for confirmation in the diff preview
+let pendingPermissionChange = null;
+
+// Tabs and actions as a single list of rows with a comparable access label
+function effectivePermissionRows(user) {
+    const {tabs, actions} = getEffectivePermissions(user);
+    return [
+        ...tabs.map(tab => ({...tab, group: 'Abas', accessLabel: ACCESS_LEVEL_LABELS[tab.access], granted: tab.access !== 'none'})),
+        ...actions.map(action => ({...action, accessLabel: action.allowed ? 'Permitido' : 'Negado', granted: action.allowed}))
+    ];
+}
+
+function renderSourceCell(row) {
+    return `<strong>${PERMISSION_SOURCE_LABELS[row.source] || '-'}</strong><br><small>${row.reason}</small>`;
+}
+
+function showEffectivePermissionsModal(title, user) {
+    document.getElementById('effective-permissions-title').textContent = title;
+    document.getElementById('effective-permissions-content').innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Grupo</th><th>Permissão</th><th>Acesso</th><th>Origem</th></tr></thead>
+                <tbody>
+                    ${effectivePermissionRows(user).map(row => `
+                        <tr>
+                            <td>${row.group}</td>
+                            <td>${row.label}</td>
+                            <td><span class="effective-access ${row.granted ? 'granted' : 'denied'}">${row.accessLabel}</span></td>
+                            <td>${renderSourceCell(row)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    document.getElementById('modal-effective-permissions').style.display = 'flex';
+}
+
+function renderPermissionsDiff(user, changes) {
+    const before = effectivePermissionRows(user);
+    const after = effectivePermissionRows({...user, ...changes});
+    // Rows whose access or origin changes; after[i] and before[i] always describe the same permission
+    const changed = after
+        .map((row, index) => ({before: before[index], after: row}))
+        .filter(({before, after}) => before.accessLabel !== after.accessLabel || before.source !== after.source);
+
+    const unitNames = units => units.length > 0 ? units.map(unit => UNITS[unit] || unit).join(', ') : 'Nenhuma';
+    const unitsBefore = unitNames(user.units || []);
+    const unitsAfter = unitNames(changes.units);
+
+    document.getElementById('permissions-diff-user').textContent = `${user.name} (${getRoleName(user.role)})`;
+    document.getElementById('permissions-diff-content').innerHTML = `
+        ${unitsBefore !== unitsAfter ? `<p><strong>Unidades:</strong> ${unitsBefore} → ${unitsAfter}</p>` : ''}
+        ${changed.length === 0 ? '<p>Nenhuma mudança no acesso às abas e ações.</p>' : `
+            <div class="report-table-container">
+                <table>
+                    <thead><tr><th>Permissão</th><th>Antes</th><th>Depois</th><th>Nova origem</th></tr></thead>
+                    <tbody>
+                        ${changed.map(({before, after}) => `
+                            <tr class="${before.accessLabel !== after.accessLabel ? 'permission-diff-changed' : ''}">
+                                <td>${after.group}: ${after.label}</td>
+                                <td><span class="effective-access ${before.granted ? 'granted' : 'denied'}">${before.accessLabel}</span></td>
+                                <td><span class="effective-access ${after.granted ? 'granted' : 'denied'}">${after.accessLabel}</span></td>
+                                <td>${renderSourceCell(after)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `}
+    `;
+}
+
+/**
+ * Renders one access selector per tab. 'default' keeps the access inherited from the role, which is
+ * shown next to it; any other value overrides it for this user only. When `user` is given, the saved
+ * effective access and the rule that decides it are shown under each selector.
+ */
+export function populateTabPermissions(containerId, tabAccess, isDisabled, roleId, user = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const inherited = roleId ? getRoleTabAccess(roleId) : null;
+    container.innerHTML = SYSTEM_TABS.map(tab => {
+        const selected = tabAccess[tab.id] || 'default';
+        const defaultLabel = inherited ? `Padrão do cargo (${ACCESS_LEVEL_LABELS[inherited[tab.id]]})` : 'Padrão do cargo';
+        return `
+            <div class="permission-access-group">
+                <label for="${containerId}-${tab.id}-select">${tab.label}</label>
+                <select id="${containerId}-${tab.id}-select" data-tab-id="${tab.id}" ${isDisabled ? 'disabled' : ''}>
+                    <option value="default" ${selected === 'default' ? 'selected' : ''}>${defaultLabel}</option>
+                    ${Object.entries(ACCESS_LEVEL_LABELS).map(([level, label]) => `
+                        <option value="${level}" ${selected === level ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                ${user ? renderTabExplanation(tab.id, user) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Renders one selector per action of the permission catalog. 'default' keeps what the role grants;
+ * 'allow' and 'deny' override it for this user only.
+ */
+export function populateActionPermissions(containerId, permissions, isDisabled, roleId, user = null) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    const inherited = roleId ? getRolePermissions(roleId) : null;
+    container.innerHTML = ACTION_PERMISSIONS.map(action => {
+        const selected = typeof permissions[action.id] === 'boolean' ? (permissions[action.id] ? 'allow' : 'deny') : 'default';
+        const defaultLabel = inherited ? `Padrão do cargo (${inherited[action.id] ? 'Permitido' : 'Negado'})` : 'Padrão do cargo';
+        return `
+            <div class="permission-access-group">
+                <label for="${containerId}-${action.id}-select">${action.group}: ${action.label}</label>
+                <select id="${containerId}-${action.id}-select" data-action-id="${action.id}" ${isDisabled ? 'disabled' : ''}>
+                    <option value="default" ${selected === 'default' ? 'selected' : ''}>${defaultLabel}</option>
+                    <option value="allow" ${selected === 'allow' ? 'selected' : ''}>Permitido</option>
+                    <option value="deny" ${selected === 'deny' ? 'selected' : ''}>Negado</option>
+                </select>
+                ${user ? renderActionExplanation(action.id, user) : ''}
+            </div>
+        `;
+    }).join('');
+}
+
 /**
  * Populates the role filter dropdown with available roles.
  */
@@ -110,29 +276,15 @@ function populateFuncionarioRoleFilter() {
     if (!roleFilterSelect) return;
 
     const currentFilterValue = roleFilterSelect.value;
-    const roleMap = {
-        'director': 'Diretoria',
-        'coordinator': 'Coordenação',
-        'professional': 'Profissional',
-        'staff': 'Apoio',
-        'financeiro': 'Financeiro'
-    };
-    const predefinedRoles = Object.keys(roleMap);
     const customRoleIds = db.roles.filter(r => r.isCustom).map(r => r.id);
-    const allAvailableRoles = [...new Set([...predefinedRoles, ...customRoleIds])];
-
-    allAvailableRoles.sort((a, b) => {
-        const roleA = db.roles.find(r => r.id === a)?.name || roleMap[a] || a;
-        const roleB = db.roles.find(r => r.id === b)?.name || roleMap[b] || b;
-        return roleA.localeCompare(roleB);
-    });
+    const allAvailableRoles = [...new Set([...Object.keys(PREDEFINED_ROLE_NAMES), ...customRoleIds])];
+    allAvailableRoles.sort((a, b) => getRoleName(a).localeCompare(getRoleName(b)));
 
     roleFilterSelect.innerHTML = '<option value="all">Todos os Cargos</option>';
     allAvailableRoles.forEach(roleId => {
         const option = document.createElement('option');
         option.value = roleId;
-        const customRole = db.roles.find(r => r.id === roleId);
-        option.textContent = customRole ? customRole.name : (roleMap[roleId] || roleId);
+        option.textContent = getRoleName(roleId);
         roleFilterSelect.appendChild(option);
     });
 
@@ -143,8 +295,41 @@ function populateFuncionarioRoleFilter() {
     }
 }
 
+function renderDemoAccountsNotice(demoAccounts) {
+    const notice = document.getElementById('demo-accounts-notice');
+    if (!notice) return;
+    notice.style.display = demoAccounts.length > 0 ? 'flex' : 'none';
+    document.getElementById('demo-accounts-notice-text').textContent =
+        `${demoAccounts.length} conta(s) de demonstração de versões anteriores ainda estão ativas: ${demoAccounts.map(user => user.name).join(', ')}.`;
+}
+
 // --- Exported Functions ---
 
+/**
+ * Deactivates every demo account flagged by the data migration (director only).
+ */
+export async function deactivateDemoAccounts() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para desativar contas.', 'error');
+        return;
+    }
+
+    const demoAccounts = db.users.filter(user => user.deactivationPending);
+    if (demoAccounts.length === 0) return;
+    if (!confirm(`Desativar ${demoAccounts.length} conta(s) de demonstração? Elas deixarão de aparecer na lista de funcionários.`)) return;
+
+    try {
+        for (const user of demoAccounts) {
+            await usersRepository.update(user.id, {isActive: false, deactivationPending: false});
+        }
+        showNotification('Contas de demonstração desativadas.', 'success');
+    } catch (error) {
+        console.error('Erro ao desativar contas de demonstração:', error);
+        showNotification('Não foi possível desativar todas as contas de demonstração.', 'error');
+    }
+    renderFuncionarioList();
+}
+
 /**
  * Main function to render the list of employees based on filters and user role.
  */
@@ -165,12 +350,20 @@ export async function renderFuncionarioList(filter = '', roleFilter = 'all') {
     if (permissionsInfo) {
         permissionsInfo.style.display = isDirector ? 'flex' : 'none';
     }
+    ['btn-import-legacy', 'btn-storage-health', 'btn-backup', 'btn-audit-log', 'btn-rotate-clinic-key', 'btn-sessions'].forEach(buttonId => {
+        const button = document.getElementById(buttonId);
+        if (button) {
+            button.style.display = isDirector ? '' : 'none';
+        }
+    });
 
     try {
-        const {data: users, error} = await supabase.from('users').select('*');
-        if (error) throw error;
+        const allUsers = await usersRepository.list();
+        renderDemoAccountsNotice(isDirector ? allUsers.filter(user => user.deactivationPending) : []);
+        // Deactivated accounts cannot log in and are no longer listed; coordinators only see their units
+        const users = getVisibleUsers(allUsers).filter(user => user.isActive !== false);
 
-        if (!users || users.length === 0) {
+        if (users.length === 0) {
             funcionarioListContainer.innerHTML = '<p>Nenhum funcionário cadastrado ainda.</p>';
             return;
         }
@@ -211,7 +404,8 @@ export async function renderFuncionarioList(filter = '', roleFilter = 'all') {
 }
 
 /**
- * Saves the permissions for a specific user.
+ * Collects the units and permissions edited on a user's card and opens the diff preview;
+ * nothing is saved until the preview is confirmed (confirmUserPermissionsChange).
  */
 export function saveUserPermissions(userId) {
     if (!isRoleAllowed(DIRECTOR_ONLY)) {
@@ -234,7 +428,7 @@ export function saveUserPermissions(userId) {
     const newTabAccess = {};
     let hasCustomAccess = false;
 
-    allSystemTabs.forEach(tab => {
+    SYSTEM_TABS.forEach(tab => {
         const selectElement = document.getElementById(`tab-permissions-for-user-${userId}-${tab.id}-select`);
         if (selectElement) {
             const accessLevel = selectElement.value;
@@ -245,10 +439,76 @@ export function saveUserPermissions(userId) {
         }
     });
 
-    user.tabAccess = hasCustomAccess ? newTabAccess : null;
-    saveDb();
-    showNotification(`Permissões de ${user.name} atualizadas com sucesso!`, 'success');
-    renderFuncionarioList();
+    const newPermissions = {};
+    document.querySelectorAll(`#action-permissions-for-user-${userId} select`).forEach(selectElement => {
+        if (selectElement.value !== 'default') {
+            newPermissions[selectElement.dataset.actionId] = selectElement.value === 'allow';
+        }
+    });
+
+    const units = Array.from(document.querySelectorAll(`[id^="units-for-user-${userId}-"]:checked`)).map(checkbox => checkbox.dataset.unit);
+
+    pendingPermissionChange = {
+        userId: user.id,
+        changes: {
+            units,
+            tabAccess: hasCustomAccess ? newTabAccess : null,
+            permissions: Object.keys(newPermissions).length > 0 ? newPermissions : null
+        }
+    };
+    renderPermissionsDiff(user, pendingPermissionChange.changes);
+    document.getElementById('modal-permissions-diff').style.display = 'flex';
+}
+
+/**
+ * Applies the change previewed by saveUserPermissions.
+ */
+export async function confirmUserPermissionsChange() {
+    if (!pendingPermissionChange) return;
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para alterar permissões.', 'error');
+        return;
+    }
+
+    const {userId, changes} = pendingPermissionChange;
+    const user = db.users.find(u => u.id === userId);
+    try {
+        await usersRepository.update(userId, changes);
+        pendingPermissionChange = null;
+        document.getElementById('modal-permissions-diff').style.display = 'none';
+        showNotification(`Permissões de ${user ? user.name : 'funcionário'} atualizadas com sucesso!`, 'success');
+        renderFuncionarioList();
+    } catch (error) {
+        console.error('Erro ao salvar permissões:', error);
+        showNotification('Não foi possível salvar as permissões.', 'error');
+    }
+}
+
+/**
+ * Discards the change previewed by saveUserPermissions.
+ */
+export function cancelUserPermissionsChange() {
+    pendingPermissionChange = null;
+    document.getElementById('modal-permissions-diff').style.display = 'none';
+}
+
+/**
+ * Opens the read-only effective access matrix of an employee.
+ */
+export function showEffectivePermissions(userId) {
+    const user = db.users.find(u => u.id === userId);
+    if (!user) {
+        showNotification('Usuário não encontrado.', 'error');
+        return;
+    }
+    showEffectivePermissionsModal(`Acesso efetivo de ${user.name}`, user);
+}
+
+/**
+ * Opens the read-only effective access matrix of a role, before any per-user override.
+ */
+export function showRoleEffectivePermissions(roleId) {
+    showEffectivePermissionsModal(`Acesso efetivo do cargo ${getRoleName(roleId)}`, {role: roleId});
 }
 
 /**
@@ -302,19 +562,119 @@ export function deleteFuncionario(funcionarioId) {
 }
 
 /**
- * Shows the modal for adding a new employee.
+ * Creates a new employee: the profile in funcionarios, flagged to change the temporary password on first
+ * login, and the matching Supabase Auth account. Returns true when both were created.
  */
-export function addFuncionario() {
-    // TODO: Implementar a lógica para mostrar um modal de adição de funcionário.
-    console.log('Adicionando novo funcionário');
-    alert('Placeholder para adicionar novo funcionário.');
+export async function addFuncionario(funcionarioData) {
+    if (!checkTabAccess('funcionarios', 'edit')) {
+        showNotification('Você não tem permissão para adicionar funcionários.', 'error');
+        return false;
+    }
+
+    const {password, ...profile} = funcionarioData;
+    if (!profile.email) {
+        showNotification('O email é obrigatório: é com ele que o funcionário entra no sistema.', 'warning');
+        return false;
+    }
+    if (db.users.some(user => user.email?.toLowerCase() === profile.email.toLowerCase())) {
+        showNotification('Já existe um funcionário com este email.', 'warning');
+        return false;
+    }
+    const weakness = validatePasswordStrength(password, profile.email);
+    if (weakness) {
+        showNotification(`Senha provisória inválida. ${weakness}`, 'warning');
+        return false;
+    }
+
+    let created;
+    try {
+        created = await usersRepository.create({
+            ...profile,
+            isActive: true,
+            mustChangePassword: true,
+            createdAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('Erro ao cadastrar funcionário:', error);
+        showNotification('Não foi possível cadastrar o funcionário.', 'error');
+        return false;
+    }
+
+    const account = await createEmployeeAccount(profile.email, password, profile.name);
+    if (!account.success) {
+        // Without an account the profile could never log in; remove it so the form can be sent again
+        try {
+            await usersRepository.remove(created.id);
+        } catch (error) {
+            console.error('Erro ao desfazer o cadastro do funcionário:', error);
+        }
+        showNotification(`Não foi possível criar a conta de acesso: ${account.error}`, 'error');
+        return false;
+    }
+
+    showNotification(account.needsConfirmation
+        ? `${profile.name} cadastrado(a). É preciso confirmar o email recebido e trocar a senha provisória no primeiro login.`
+        : `${profile.name} cadastrado(a). A senha provisória deverá ser trocada no primeiro login.`, 'success', 'Novo Funcionário', 8000);
+    return true;
 }
 
 /**
- * Shows the modal for editing a user's password.
+ * Opens the password modal. For the current user it changes their own password; for another employee
+ * the director can only force a reset, since nobody sees or sets someone else's password.
  */
 export function showEditPasswordModal(userId) {
-    // TODO: Implementar a lógica para mostrar um modal de edição de senha.
-    console.log(`Editando senha para o usuário com ID: ${userId}`);
-    alert(`Placeholder para editar a senha do usuário ${userId}.`);
-}
\ No newline at end of file
+    const currentUser = getCurrentUser();
+    const user = db.users.find(u => u.id === parseInt(userId)) || (currentUser?.id === parseInt(userId) ? currentUser : null);
+    if (!currentUser || !user) {
+        showNotification('Funcionário não encontrado.', 'error');
+        return;
+    }
+
+    const isOwnAccount = user.id === currentUser.id;
+    if (!isOwnAccount && !isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode redefinir a senha de outro funcionário.', 'error');
+        return;
+    }
+
+    window.currentPasswordUserId = user.id;
+    document.getElementById('edit-password-user-info').textContent = `${user.name} (${user.email || 'sem email'})`;
+    document.getElementById('form-edit-password').reset();
+    document.getElementById('form-edit-password').style.display = isOwnAccount ? '' : 'none';
+    document.getElementById('edit-password-force-reset').style.display = isOwnAccount ? 'none' : '';
+    document.getElementById('modal-edit-password').style.display = 'flex';
+}
+
+/**
+ * Director action: the employee gets a reset link by email and must choose a new password on the next login.
+ */
+export async function forcePasswordReset(userId) {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode forçar a redefinição de senha.', 'error');
+        return;
+    }
+
+    const user = db.users.find(u => u.id === parseInt(userId));
+    if (!user || !user.email) {
+        showNotification('Funcionário não encontrado ou sem email cadastrado.', 'error');
+        return;
+    }
+    if (!confirm(`Forçar a redefinição de senha de ${user.name}? Um link será enviado para ${user.email} e a senha atual precisará ser trocada no próximo login.`)) {
+        return;
+    }
+
+    try {
+        await usersRepository.update(user.id, {mustChangePassword: true});
+    } catch (error) {
+        console.error('Erro ao forçar redefinição de senha:', error);
+        showNotification('Não foi possível forçar a redefinição de senha.', 'error');
+        return;
+    }
+
+    document.getElementById('modal-edit-password').style.display = 'none';
+    const result = await requestPasswordReset(user.email);
+    if (!result.success) {
+        showNotification(`A troca de senha será exigida no próximo login, mas o email não foi enviado: ${result.error}`, 'warning');
+        return;
+    }
+    showNotification(`Link de redefinição enviado para ${user.email}.`, 'success');
+}
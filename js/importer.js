@@ -0,0 +1,463 @@
+// Legacy data import module
+// One-time import of a localStorage `gestaoClientesDb` snapshot into the shared Supabase tables.
+// The import is planned first (dry run) so conflicts can be reviewed before anything is written.
+// Every row written is recorded, so running it again after a failure only sends what is still missing.
+import {supabase} from './supabase.js';
+import {toRow, tableFor, prepareNewRecord} from './repository.js';
+import {isRoleAllowed} from './auth.js';
+import {DIRECTOR_ONLY} from './roles.js';
+import {showNotification} from './ui.js';
+import {runMigrations} from './migrations.js';
+
+const SNAPSHOT_KEY = 'gestaoClientesDb';
+const IMPORT_MARKER_KEY = 'gestaoClientesDbImport';
+const IMPORT_PROGRESS_KEY = 'gestaoClientesDbImportProgress';
+
+let currentPlan = null;
+
+// --- Normalization ---
+
+/**
+ * Returns a copy of a raw snapshot with the legacy shapes converted to the current ones.
+ */
+export function normalizeLegacySnapshot(rawSnapshot) {
+    const {data: snapshot, error} = runMigrations(JSON.parse(JSON.stringify(rawSnapshot || {})));
+    if (error) throw error;
+    snapshot.clients.forEach(client => {
+        client.appointments = client.appointments || [];
+    });
+
+    // Confirmed schedules point to their attendance; the shared schema stores the link on the attendance
+    snapshot.schedules.forEach(schedule => {
+        if (schedule.attendanceId === undefined) return;
+        snapshot.clients.forEach(client => {
+            const appointment = client.appointments.find(a => a.id === schedule.attendanceId);
+            if (appointment) appointment.scheduleId = schedule.id;
+        });
+        delete schedule.attendanceId;
+    });
+
+    return snapshot;
+}
+
+function normalizeCpf(cpf) {
+    return (cpf || '').replace(/\D/g, '');
+}
+
+function normalizeText(text) {
+    return (text || '').trim().toLowerCase();
+}
+
+// Identifies the snapshot an interrupted import belongs to
+async function snapshotFingerprint(rawSnapshot) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(rawSnapshot)));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function readImportProgress() {
+    return JSON.parse(localStorage.getItem(IMPORT_PROGRESS_KEY) || 'null');
+}
+
+// --- Planning (dry run) ---
+
+/**
+ * Compares a snapshot with the shared database and returns the import plan plus a conflict report.
+ * Nothing is written to Supabase.
+ */
+export async function buildImportPlan(rawSnapshot) {
+    const snapshot = normalizeLegacySnapshot(rawSnapshot);
+    const conflicts = [];
+    const addConflict = (severity, entity, localId, message) => conflicts.push({severity, entity, localId, message});
+
+    const [existingClients, existingStock, funcionarios, existingRooms] = await Promise.all([
+        fetchAll('clientes', 'id, name, cpf'),
+        fetchAll('estoque', 'id, name'),
+        fetchAll('funcionarios', 'id, name, email'),
+        fetchAll('salas_recursos', 'id, name, unit')
+    ]);
+
+    const previousImport = JSON.parse(localStorage.getItem(IMPORT_MARKER_KEY) || 'null');
+    if (previousImport) {
+        addConflict('warning', 'snapshot', null,
+            `Os dados deste navegador já foram importados em ${new Date(previousImport.importedAt).toLocaleString('pt-BR')}. Importar novamente pode duplicar agendamentos e notas.`);
+    }
+
+    const fingerprint = await snapshotFingerprint(rawSnapshot);
+    const progress = readImportProgress();
+    if (progress) {
+        const written = Object.values(progress.ids).reduce((total, ids) => total + Object.keys(ids).length, 0);
+        addConflict('warning', 'snapshot', null, progress.fingerprint === fingerprint
+            ? `Uma importação destes dados foi interrompida em ${new Date(progress.updatedAt).toLocaleString('pt-BR')}; os ${written} registro(s) já enviados não serão enviados de novo.`
+            : `Uma importação de outros dados foi interrompida em ${new Date(progress.updatedAt).toLocaleString('pt-BR')} com ${written} registro(s) enviados; importar estes dados descarta esse andamento.`);
+    }
+
+    // Files stored in this browser's IndexedDB cannot be read from other computers
+    const localOnlyAttachments = JSON.stringify(snapshot).match(/"storage":"indexeddb"/g) || [];
+    if (localOnlyAttachments.length > 0) {
+        addConflict('warning', 'anexo', null,
+            `${localOnlyAttachments.length} anexo(s) estão salvos apenas no navegador de origem e não poderão ser abertos em outros computadores.`);
+    }
+
+    // Users are matched to employees by email, then by name
+    const userMap = new Map();
+    snapshot.users.forEach(user => {
+        const match = funcionarios.find(f => user.email && normalizeText(f.email) === normalizeText(user.email))
+            || funcionarios.find(f => normalizeText(f.name) === normalizeText(user.name));
+        if (match) {
+            userMap.set(user.id, match.id);
+        } else {
+            addConflict('warning', 'usuário', user.id,
+                `"${user.name}" não corresponde a nenhum funcionário cadastrado; vínculos e notificações deste usuário serão ignorados.`);
+        }
+    });
+
+    // Clients are de-duplicated by CPF, both inside the snapshot and against the shared database
+    const clientPlan = {toInsert: [], existingIds: new Map(), aliases: new Map()};
+    const firstByCpf = new Map();
+    snapshot.clients.forEach(client => {
+        const cpf = normalizeCpf(client.cpf);
+        if (!client.unit) {
+            addConflict('error', 'cliente', client.id, `"${client.name}" não tem unidade de atendimento e não será importado.`);
+            return;
+        }
+        if (cpf && firstByCpf.has(cpf)) {
+            const kept = firstByCpf.get(cpf);
+            addConflict('warning', 'cliente', client.id,
+                `"${client.name}" tem o mesmo CPF de "${kept.name}" (ID ${kept.id}); os dois cadastros serão mesclados.`);
+            kept.appointments.push(...client.appointments);
+            kept.notes = [...(kept.notes || []), ...(client.notes || [])];
+            kept.documents = [...(kept.documents || []), ...(client.documents || [])];
+            kept.assignedProfessionalIds = [...new Set([...kept.assignedProfessionalIds, ...client.assignedProfessionalIds])];
+            clientPlan.aliases.set(client.id, kept.id);
+            return;
+        }
+        if (cpf) firstByCpf.set(cpf, client);
+
+        const existing = cpf && existingClients.find(c => normalizeCpf(c.cpf) === cpf);
+        if (existing) {
+            addConflict('warning', 'cliente', client.id,
+                `"${client.name}" já existe no banco compartilhado como "${existing.name}" (ID ${existing.id}); o histórico local será anexado ao cadastro existente.`);
+            clientPlan.existingIds.set(client.id, existing.id);
+        } else {
+            clientPlan.toInsert.push(client);
+        }
+    });
+    const importedClients = [...clientPlan.toInsert, ...snapshot.clients.filter(c => clientPlan.existingIds.has(c.id))];
+    const knownClientIds = new Set([...importedClients.map(c => c.id), ...clientPlan.aliases.keys()]);
+
+    const schedules = snapshot.schedules.filter(schedule => {
+        if (knownClientIds.has(schedule.clientId)) return true;
+        addConflict('error', 'agendamento', schedule.id, `Agendamento de ${schedule.date} aponta para um cliente inexistente ou ignorado e não será importado.`);
+        return false;
+    });
+
+    const stockPlan = {toInsert: [], existingIds: new Map()};
+    snapshot.stockItems.forEach(item => {
+        const existing = existingStock.find(s => normalizeText(s.name) === normalizeText(item.name));
+        if (existing) {
+            addConflict('warning', 'estoque', item.id,
+                `O item "${item.name}" já existe no estoque compartilhado; a quantidade local (${item.quantity}) não será somada, apenas as movimentações serão importadas.`);
+            stockPlan.existingIds.set(item.id, existing.id);
+        } else {
+            stockPlan.toInsert.push(item);
+        }
+    });
+
+    // Rooms and equipment are matched by name within the same unit
+    const roomPlan = {toInsert: [], existingIds: new Map()};
+    snapshot.rooms.forEach(room => {
+        const existing = existingRooms.find(r => (r.unit || null) === (room.unit || null) && normalizeText(r.name) === normalizeText(room.name));
+        if (existing) {
+            addConflict('warning', 'sala', room.id, `"${room.name}" já está no catálogo compartilhado; os agendamentos locais passarão a reservar o item já cadastrado.`);
+            roomPlan.existingIds.set(room.id, existing.id);
+        } else {
+            roomPlan.toInsert.push(room);
+        }
+    });
+
+    const notifications = snapshot.notifications.filter(notification => userMap.has(notification.userId));
+    const skippedNotifications = snapshot.notifications.length - notifications.length;
+    if (skippedNotifications > 0) {
+        addConflict('warning', 'notificação', null, `${skippedNotifications} notificação(ões) de usuários sem correspondência serão ignoradas.`);
+    }
+
+    const appointmentsCount = importedClients.reduce((total, client) => total + client.appointments.length, 0);
+
+    currentPlan = {
+        fingerprint,
+        snapshot,
+        userMap,
+        clientPlan,
+        importedClients,
+        schedules,
+        roomPlan,
+        stockPlan,
+        notifications,
+        conflicts,
+        counts: {
+            clientsNew: clientPlan.toInsert.length,
+            clientsMerged: clientPlan.existingIds.size + clientPlan.aliases.size,
+            appointments: appointmentsCount,
+            schedules: schedules.length,
+            roomsNew: roomPlan.toInsert.length,
+            stockItemsNew: stockPlan.toInsert.length,
+            stockMovements: snapshot.stockMovements.length,
+            dailyNotes: snapshot.dailyNotes.length,
+            generalDocuments: snapshot.generalDocuments.length,
+            notifications: notifications.length
+        }
+    };
+    return currentPlan;
+}
+
+async function fetchAll(table, columns) {
+    const {data, error} = await supabase.from(table).select(columns);
+    if (error) throw error;
+    return data || [];
+}
+
+// --- Execution ---
+
+// Clinical fields go through the same cipher as the repositories, so legacy plaintext is never stored as is
+async function insertNewRow(entityName, record) {
+    const {id, ...fields} = record;
+    const {data, error} = await supabase
+        .from(tableFor(entityName))
+        .insert(toRow(entityName, await prepareNewRecord(entityName, fields)))
+        .select('id')
+        .single();
+    if (error) throw error;
+    return data.id;
+}
+
+/**
+ * Writes a previously built plan to Supabase, remapping every local ID to the new SERIAL keys.
+ * The new key of each row is saved as soon as it is written; a retry of the same snapshot reuses them.
+ */
+export async function executeImportPlan(plan) {
+    const {snapshot, userMap, clientPlan, importedClients, schedules, roomPlan, stockPlan, notifications} = plan;
+    const mapUser = (userId) => userMap.get(userId) ?? null;
+
+    const storedProgress = readImportProgress();
+    const progress = storedProgress?.fingerprint === plan.fingerprint ? storedProgress : {fingerprint: plan.fingerprint, ids: {}};
+    const insertRow = async (entityName, record) => {
+        const writtenIds = progress.ids[entityName] || (progress.ids[entityName] = {});
+        if (record.id != null && writtenIds[record.id] !== undefined) return writtenIds[record.id];
+        const newId = await insertNewRow(entityName, record);
+        if (record.id != null) {
+            writtenIds[record.id] = newId;
+            progress.updatedAt = new Date().toISOString();
+            localStorage.setItem(IMPORT_PROGRESS_KEY, JSON.stringify(progress));
+        }
+        return newId;
+    };
+
+    const clientIds = new Map(clientPlan.existingIds);
+    for (const client of clientPlan.toInsert) {
+        const {appointments, ...clientFields} = client;
+        // Professional links are written separately below, after every client has its new ID
+        clientIds.set(client.id, await insertRow('clients', {
+            ...clientFields,
+            createdByUserId: mapUser(client.createdByUserId)
+        }));
+    }
+    clientPlan.aliases.forEach((keptId, aliasId) => clientIds.set(aliasId, clientIds.get(keptId)));
+
+    const links = importedClients.flatMap(client => client.assignedProfessionalIds
+        .filter(userId => userMap.has(userId))
+        .map(userId => ({cliente_id: clientIds.get(client.id), funcionario_id: mapUser(userId)})));
+    if (links.length > 0) {
+        const {error} = await supabase.from('clientes_profissionais').upsert(links, {ignoreDuplicates: true});
+        if (error) throw error;
+    }
+
+    const roomIds = new Map(roomPlan.existingIds);
+    for (const room of roomPlan.toInsert) {
+        roomIds.set(room.id, await insertRow('rooms', room));
+    }
+
+    const scheduleIds = new Map();
+    for (const schedule of schedules) {
+        scheduleIds.set(schedule.id, await insertRow('schedules', {
+            ...schedule,
+            clientId: clientIds.get(schedule.clientId),
+            assignedToUserId: mapUser(schedule.assignedToUserId),
+            roomId: roomIds.get(schedule.roomId) ?? null,
+            resourceIds: (schedule.resourceIds || []).map(id => roomIds.get(id)).filter(Boolean)
+        }));
+    }
+
+    for (const client of importedClients) {
+        for (const appointment of client.appointments) {
+            await insertRow('appointments', {
+                ...appointment,
+                clientId: clientIds.get(client.id),
+                scheduleId: scheduleIds.get(appointment.scheduleId) ?? null,
+                internId: mapUser(appointment.internId)
+            });
+        }
+    }
+
+    const stockIds = new Map(stockPlan.existingIds);
+    for (const item of stockPlan.toInsert) {
+        stockIds.set(item.id, await insertRow('stockItems', item));
+    }
+    for (const movement of snapshot.stockMovements) {
+        await insertRow('stockMovements', {
+            ...movement,
+            itemId: stockIds.get(movement.itemId) ?? null,
+            scheduleId: scheduleIds.get(movement.scheduleId) ?? null
+        });
+    }
+
+    for (const note of snapshot.dailyNotes) {
+        await insertRow('dailyNotes', note);
+    }
+    for (const document of snapshot.generalDocuments) {
+        await insertRow('generalDocuments', {...document, createdByUserId: mapUser(document.createdByUserId)});
+    }
+
+    const relatedMaps = {schedule_assignment: scheduleIds, client_assignment: clientIds};
+    for (const notification of notifications) {
+        const relatedMap = relatedMaps[notification.type];
+        await insertRow('notifications', {
+            ...notification,
+            userId: mapUser(notification.userId),
+            relatedId: relatedMap ? relatedMap.get(notification.relatedId) ?? null : notification.relatedId
+        });
+    }
+
+    localStorage.setItem(IMPORT_MARKER_KEY, JSON.stringify({importedAt: new Date().toISOString(), counts: plan.counts}));
+    localStorage.removeItem(IMPORT_PROGRESS_KEY);
+}
+
+// --- UI ---
+
+/**
+ * Opens the import modal (director only).
+ */
+export function showImportModal() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode importar dados locais.', 'error');
+        return;
+    }
+    currentPlan = null;
+    document.getElementById('form-import-legacy').reset();
+    document.getElementById('import-report').innerHTML = '';
+    document.getElementById('btn-run-import').disabled = true;
+    document.getElementById('modal-import-legacy').style.display = 'flex';
+}
+
+async function readSelectedSnapshot() {
+    const source = document.querySelector('input[name="import-source"]:checked').value;
+    if (source === 'local') {
+        const stored = localStorage.getItem(SNAPSHOT_KEY);
+        if (!stored) throw new Error('Não há dados locais neste navegador.');
+        return JSON.parse(stored);
+    }
+
+    const file = document.getElementById('import-file').files[0];
+    if (!file) throw new Error('Selecione o arquivo exportado de outro computador.');
+    return JSON.parse(await file.text());
+}
+
+/**
+ * Builds the plan for the selected source and renders the dry-run report.
+ */
+export async function runImportDryRun() {
+    const reportContainer = document.getElementById('import-report');
+    reportContainer.innerHTML = '<p>Analisando dados...</p>';
+    document.getElementById('btn-run-import').disabled = true;
+
+    try {
+        const plan = await buildImportPlan(await readSelectedSnapshot());
+        renderImportReport(plan, reportContainer);
+        document.getElementById('btn-run-import').disabled = false;
+    } catch (error) {
+        console.error('Erro ao simular importação:', error);
+        reportContainer.innerHTML = '';
+        showNotification(`Não foi possível analisar os dados: ${error.message}`, 'error');
+    }
+}
+
+function renderImportReport(plan, container) {
+    const {counts, conflicts} = plan;
+    const severityLabel = {error: 'Ignorado', warning: 'Atenção'};
+
+    container.innerHTML = `
+        <div class="report-section">
+            <h3>Resumo da Simulação</h3>
+            <ul class="import-counts">
+                <li><strong>${counts.clientsNew}</strong> clientes novos, <strong>${counts.clientsMerged}</strong> mesclados por CPF</li>
+                <li><strong>${counts.appointments}</strong> atendimentos e <strong>${counts.schedules}</strong> agendamentos</li>
+                <li><strong>${counts.roomsNew}</strong> salas e equipamentos novos</li>
+                <li><strong>${counts.stockItemsNew}</strong> itens de estoque novos e <strong>${counts.stockMovements}</strong> movimentações</li>
+                <li><strong>${counts.dailyNotes}</strong> notas financeiras, <strong>${counts.generalDocuments}</strong> itens do mural e <strong>${counts.notifications}</strong> notificações</li>
+            </ul>
+        </div>
+        <div class="report-section">
+            <h3>Conflitos (${conflicts.length})</h3>
+            ${conflicts.length === 0 ? '<p>Nenhum conflito encontrado.</p>' : `
+                <div class="report-table-container">
+                    <table>
+                        <thead><tr><th>Situação</th><th>Tipo</th><th>ID Local</th><th>Detalhe</th></tr></thead>
+                        <tbody>
+                            ${conflicts.map(conflict => `
+                                <tr class="import-conflict ${conflict.severity}">
+                                    <td>${severityLabel[conflict.severity]}</td>
+                                    <td>${conflict.entity}</td>
+                                    <td>${conflict.localId ?? '-'}</td>
+                                    <td>${conflict.message}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </div>
+    `;
+}
+
+/**
+ * Commits the last dry-run plan after confirmation.
+ */
+export async function runImport() {
+    if (!currentPlan) {
+        showNotification('Execute a simulação antes de importar.', 'warning');
+        return;
+    }
+    if (!confirm('Confirma a importação dos dados para o banco compartilhado? Esta ação não pode ser desfeita.')) return;
+
+    const button = document.getElementById('btn-run-import');
+    button.disabled = true;
+    try {
+        await executeImportPlan(currentPlan);
+        document.getElementById('modal-import-legacy').style.display = 'none';
+        showNotification('Importação concluída com sucesso! Recarregue a página para ver os dados compartilhados.', 'success', 'Importação', 8000);
+        currentPlan = null;
+    } catch (error) {
+        console.error('Erro ao importar dados locais:', error);
+        showNotification(`A importação foi interrompida: ${error.message}. Ao tentar novamente, só o que ainda não foi enviado será importado.`, 'error', 'Importação', 8000);
+        button.disabled = false;
+    }
+}
+
+/**
+ * Downloads this browser's snapshot so it can be imported from another computer.
+ */
+export function downloadLocalSnapshot() {
+    const stored = localStorage.getItem(SNAPSHOT_KEY);
+    if (!stored) {
+        showNotification('Não há dados locais neste navegador.', 'info');
+        return;
+    }
+    const blob = new Blob([stored], {type: 'application/json'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `gestaoClientesDb_${new Date().toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
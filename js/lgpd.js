@@ -0,0 +1,340 @@
+// LGPD module
+// Data subject tools for patients: consent records, a full export of everything held about a patient and
+// anonymization, which replaces hard deletes so that attendance values keep counting in the financial totals.
+import {db} from './database.js';
+import {getCurrentUser, hasPermission, canAccessUnit} from './auth.js';
+import {showNotification} from './ui.js';
+import {createTarArchive, downloadBlob} from './utils.js';
+import {clientsRepository, appointmentsRepository, schedulesRepository, notificationsRepository, dailyNotesRepository} from './repository.js';
+import {getAttachmentBlob, removeAttachment} from './attachments.js';
+import {revealClinicalFields} from './encryption.js';
+
+// Bump whenever the consent term shown in the registration forms changes
+export const CONSENT_VERSION = '1.0';
+
+// Fields kept after anonymization. Everything else in the record identifies the patient or describes their health.
+export const RETAINED_FIELDS = {
+    clients: ['id', 'type', 'unit', 'isActive', 'createdAt', 'updatedAt', 'createdByUserId', 'consents', 'anonymizedAt', 'anonymizedByUserId'],
+    appointments: ['id', 'clientId', 'scheduleId', 'date', 'time', 'serviceType', 'anamnesisTypeId', 'value', 'durationHours', 'status',
+        'attendedBy', 'internId', 'confirmedAt', 'materialsUsed', 'anonymizedAt'],
+    schedules: ['id', 'clientId', 'date', 'time', 'durationHours', 'serviceType', 'room', 'roomId', 'resourceIds', 'seriesId', 'recurrence', 'status', 'assignedToUserId', 'assignedToUserName',
+        'createdByUserId', 'createdAt', 'updatedAt', 'confirmedAt', 'attendanceId', 'cancelDate', 'canceledBy', 'anonymizedAt'],
+    // Free text may name a patient, so titles and messages are only marked as changed in the audit log
+    notifications: ['id', 'userId', 'type', 'relatedId', 'isRead', 'createdAt'],
+    dailyNotes: ['id', 'type', 'value', 'date', 'category', 'createdAt', 'createdBy', 'fileRef']
+};
+
+const GIVEN_BY_LABELS = {titular: 'Titular', responsavel: 'Responsável legal'};
+
+/**
+ * Builds the consent record stored with a patient registered through the forms.
+ * Minors' consent is given by the legal guardian.
+ */
+export function buildConsent(clientType) {
+    const currentUser = getCurrentUser();
+    return {
+        version: CONSENT_VERSION,
+        givenAt: new Date().toISOString(),
+        givenBy: clientType === 'minor' ? 'responsavel' : 'titular',
+        recordedByUserId: currentUser ? currentUser.id : null,
+        recordedByName: currentUser ? currentUser.name : null
+    };
+}
+
+function getLatestConsent(client) {
+    const consents = client.consents || [];
+    return consents.length > 0 ? consents[consents.length - 1] : null;
+}
+
+function findAccessibleClient(clientId) {
+    const client = db.clients.find(c => c.id === clientId);
+    if (!client || !canAccessUnit(client.unit)) {
+        showNotification('Paciente não encontrado.', 'error');
+        return null;
+    }
+    return client;
+}
+
+/**
+ * Opens the LGPD panel of a patient: consent status, data export and anonymization.
+ */
+export function showLgpdPanel(clientId) {
+    const canExport = hasPermission('client.data.export');
+    const canAnonymize = hasPermission('client.delete');
+    if (!canExport && !canAnonymize) {
+        showNotification('Você não tem permissão para gerenciar os dados pessoais deste paciente.', 'error');
+        return;
+    }
+    const client = findAccessibleClient(clientId);
+    if (!client) return;
+
+    const latest = getLatestConsent(client);
+    const consentHistory = (client.consents || []).slice().reverse().map(consent => `
+        <li>
+            Versão ${consent.version} em ${new Date(consent.givenAt).toLocaleString('pt-BR')}
+            (${GIVEN_BY_LABELS[consent.givenBy] || consent.givenBy}), registrado por ${consent.recordedByName || 'desconhecido'}
+        </li>
+    `).join('');
+
+    let status;
+    if (client.anonymizedAt) {
+        status = `<p class="lgpd-status anonymized">Dados pessoais anonimizados em ${new Date(client.anonymizedAt).toLocaleString('pt-BR')}.</p>`;
+    } else if (!latest) {
+        status = '<p class="lgpd-status pending">Nenhum consentimento registrado para este paciente.</p>';
+    } else if (latest.version !== CONSENT_VERSION) {
+        status = `<p class="lgpd-status pending">O consentimento registrado (versão ${latest.version}) é anterior ao termo atual (versão ${CONSENT_VERSION}).</p>`;
+    } else {
+        status = `<p class="lgpd-status granted">Consentimento do termo atual (versão ${CONSENT_VERSION}) registrado.</p>`;
+    }
+
+    document.getElementById('lgpd-client-name').textContent = client.name;
+    document.getElementById('lgpd-consent-status').innerHTML = status;
+    document.getElementById('lgpd-consent-history').innerHTML = consentHistory || '<li>Nenhum registro.</li>';
+
+    const canRecordConsent = !client.anonymizedAt && hasPermission('client.edit') && (!latest || latest.version !== CONSENT_VERSION);
+    document.getElementById('btn-lgpd-record-consent').style.display = canRecordConsent ? 'inline-flex' : 'none';
+    document.getElementById('btn-lgpd-export').style.display = canExport ? 'inline-flex' : 'none';
+    document.getElementById('btn-lgpd-anonymize').style.display = canAnonymize && !client.anonymizedAt ? 'inline-flex' : 'none';
+
+    window.currentLgpdClientId = clientId;
+    document.getElementById('modal-lgpd').style.display = 'flex';
+}
+
+/**
+ * Records consent to the current term for a patient registered before it (or before consent was collected).
+ */
+export async function recordClientConsent(clientId) {
+    if (!hasPermission('client.edit')) {
+        showNotification('Você não tem permissão para editar este paciente.', 'error');
+        return;
+    }
+    const client = findAccessibleClient(clientId);
+    if (!client || client.anonymizedAt) return;
+
+    try {
+        await clientsRepository.update(client.id, {consents: [...(client.consents || []), buildConsent(client.type)]});
+    } catch (error) {
+        console.error('Erro ao registrar consentimento:', error);
+        showNotification('Erro ao registrar o consentimento. Tente novamente.', 'error');
+        return;
+    }
+    showLgpdPanel(client.id);
+    showNotification('Consentimento registrado com sucesso!', 'success');
+}
+
+function fileEntryName(folder, index, fileName) {
+    return `${folder}/${String(index + 1).padStart(3, '0')}-${fileName || 'anexo'}`.slice(0, 100);
+}
+
+/**
+ * Downloads a .tar archive with everything the system holds about a patient: profile, attendances
+ * (with their financial values), notes, documents, schedules, change history and attached files.
+ */
+export async function exportClientData(clientId) {
+    if (!hasPermission('client.data.export')) {
+        showNotification('Você não tem permissão para exportar os dados do paciente.', 'error');
+        return;
+    }
+    const client = findAccessibleClient(clientId);
+    if (!client) return;
+
+    const schedules = db.schedules.filter(schedule => schedule.clientId === client.id);
+    const files = [];
+    const missingFiles = [];
+
+    const addFile = async (folder, source, fileName, origin) => {
+        const path = fileEntryName(folder, files.length, fileName);
+        try {
+            if (!source || source.archivedAt) throw new Error('Arquivo não está disponível neste computador.');
+            files.push({name: path, data: await getAttachmentBlob(source)});
+            return path;
+        } catch (error) {
+            console.error('Erro ao incluir anexo na exportação:', error);
+            missingFiles.push({origin, fileName, archiveName: source?.archiveName || null});
+            return null;
+        }
+    };
+
+    try {
+        // Clinical fields are exported decrypted; values whose key is not available stay encrypted
+        const {appointments: storedAppointments = [], notes = [], documents = [], changeHistory = [], consents = [], ...profile} =
+            await revealClinicalFields('clients', client);
+        const appointments = [];
+        for (const appointment of storedAppointments) {
+            appointments.push(await revealClinicalFields('appointments', appointment));
+        }
+
+        const exportedDocuments = [];
+        for (const doc of documents) {
+            const {fileData, ...metadata} = doc;
+            exportedDocuments.push({...metadata, path: await addFile('documentos', doc.fileRef || fileData, doc.fileName, `Documento #${doc.id}`)});
+        }
+
+        const exportedAppointments = [];
+        for (const appointment of appointments) {
+            const attachments = [];
+            for (const attachment of appointment.attachments || []) {
+                const {fileData, ...metadata} = attachment;
+                attachments.push({...metadata, path: await addFile('atendimentos', attachment.fileRef || fileData, attachment.fileName, `Atendimento #${appointment.id}`)});
+            }
+            exportedAppointments.push({...appointment, attachments});
+        }
+
+        const exportedSchedules = [];
+        for (const schedule of schedules) {
+            const {cancelImage, ...metadata} = schedule;
+            const source = schedule.cancelImageRef || cancelImage;
+            exportedSchedules.push(source
+                ? {...metadata, cancelImagePath: await addFile('agendamentos', source, schedule.cancelImageName, `Agendamento #${schedule.id}`)}
+                : metadata);
+        }
+
+        const financialEntries = appointments.map(appointment => ({
+            appointmentId: appointment.id,
+            date: appointment.date,
+            serviceType: appointment.serviceType || null,
+            value: appointment.value || 0,
+            status: appointment.status || 'concluido'
+        }));
+
+        const exportedAt = new Date().toISOString();
+        const currentUser = getCurrentUser();
+        const manifest = {
+            clientId: client.id,
+            exportedAt,
+            exportedBy: currentUser ? currentUser.name : null,
+            consentVersion: CONSENT_VERSION,
+            contents: ['perfil.json', 'consentimentos.json', 'atendimentos.json', 'financeiro.json', 'notas.json', 'documentos.json',
+                'agendamentos.json', 'historico-alteracoes.json'],
+            files: files.map(file => file.name),
+            missingFiles
+        };
+        const json = value => JSON.stringify(value, null, 2);
+        const archive = createTarArchive([
+            {name: 'manifest.json', data: json(manifest)},
+            {name: 'perfil.json', data: json(profile)},
+            {name: 'consentimentos.json', data: json(consents)},
+            {name: 'atendimentos.json', data: json(exportedAppointments)},
+            {name: 'financeiro.json', data: json({total: financialEntries.reduce((sum, entry) => sum + entry.value, 0), entries: financialEntries})},
+            {name: 'notas.json', data: json(notes)},
+            {name: 'documentos.json', data: json(exportedDocuments)},
+            {name: 'agendamentos.json', data: json(exportedSchedules)},
+            {name: 'historico-alteracoes.json', data: json(changeHistory)},
+            ...files
+        ]);
+        downloadBlob(archive, `paciente-${client.id}-dados-${exportedAt.slice(0, 10)}.tar`);
+    } catch (error) {
+        console.error('Erro ao exportar dados do paciente:', error);
+        showNotification('Não foi possível montar a exportação dos dados do paciente.', 'error');
+        return;
+    }
+
+    if (missingFiles.length > 0) {
+        showNotification(`Dados exportados. ${missingFiles.length} anexo(s) não estavam disponíveis e foram listados no manifesto.`, 'warning');
+    } else {
+        showNotification('Dados do paciente exportados com sucesso!', 'success');
+    }
+}
+
+// Null for every field outside the retained list, so the update erases it in both drivers
+function clearedFields(entityName, record) {
+    const changes = {};
+    Object.keys(record).forEach(field => {
+        if (!RETAINED_FIELDS[entityName].includes(field)) changes[field] = null;
+    });
+    return changes;
+}
+
+// Every occurrence of the patient's name, in any letter case, replaced with the placeholder
+function replaceName(text, name, placeholder) {
+    if (!text || !name) return text;
+    const escaped = name.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return escaped ? text.replace(new RegExp(escaped, 'gi'), placeholder) : text;
+}
+
+/**
+ * Removes the patient's name from the notifications and daily notes that mention it. Notifications about the
+ * patient or one of their schedules get a generic message even when the name has changed since they were sent.
+ */
+async function anonymizeMentions(client, scheduleIds, placeholder) {
+    for (const notification of db.notifications || []) {
+        const related = (notification.type === 'client_assignment' && notification.relatedId === client.id)
+            || (notification.type === 'schedule_assignment' && scheduleIds.includes(notification.relatedId));
+        const title = replaceName(notification.title, client.name, placeholder);
+        let message = replaceName(notification.message, client.name, placeholder);
+        if (related && message === notification.message) message = `Notificação sobre o ${placeholder}.`;
+        if (title !== notification.title || message !== notification.message) {
+            await notificationsRepository.update(notification.id, {title, message});
+        }
+    }
+
+    for (const note of db.dailyNotes || []) {
+        const title = replaceName(note.title, client.name, placeholder);
+        const content = replaceName(note.content, client.name, placeholder);
+        if (title !== note.title || content !== note.content) {
+            await dailyNotesRepository.update(note.id, {title, content});
+        }
+    }
+}
+
+/**
+ * Replaces the personal and clinical data of a patient with an anonymous placeholder.
+ * Attendances keep their date, service, professional and value so financial totals stay the same;
+ * future pending schedules are removed, notifications and daily notes lose the patient's name and the stored
+ * files are deleted.
+ * Returns the files that could not be deleted, which callers only log.
+ */
+export async function anonymizeClient(clientId) {
+    const client = db.clients.find(c => c.id === clientId);
+    if (!client) throw new Error(`Paciente ${clientId} não encontrado.`);
+
+    const anonymizedAt = new Date().toISOString();
+    const today = anonymizedAt.slice(0, 10);
+    const currentUser = getCurrentUser();
+    const fileRefs = [];
+    const placeholder = `Paciente anonimizado #${client.id}`;
+    const scheduleIds = db.schedules.filter(s => s.clientId === client.id).map(s => s.id);
+
+    // First, while the name and the schedules to look for are still there
+    await anonymizeMentions(client, scheduleIds, placeholder);
+
+    for (const appointment of client.appointments || []) {
+        (appointment.attachments || []).forEach(attachment => fileRefs.push(attachment.fileRef));
+        const {attachments, ...fields} = appointment;
+        await appointmentsRepository.update(appointment.id, {...clearedFields('appointments', fields), attachments: [], anonymizedAt});
+    }
+
+    for (const schedule of db.schedules.filter(s => s.clientId === client.id)) {
+        fileRefs.push(schedule.cancelImageRef);
+        if (schedule.status === 'agendado' && schedule.date >= today) {
+            await schedulesRepository.remove(schedule.id);
+        } else {
+            await schedulesRepository.update(schedule.id, {...clearedFields('schedules', schedule), anonymizedAt});
+        }
+    }
+
+    (client.documents || []).forEach(doc => fileRefs.push(doc.fileRef));
+    const {appointments, ...fields} = client;
+    await clientsRepository.update(client.id, {
+        ...clearedFields('clients', fields),
+        name: placeholder,
+        notes: [],
+        documents: [],
+        changeHistory: [],
+        assignedProfessionalIds: [],
+        isActive: false,
+        anonymizedAt,
+        anonymizedByUserId: currentUser ? currentUser.id : null
+    });
+
+    const failures = [];
+    for (const ref of fileRefs.filter(Boolean)) {
+        try {
+            await removeAttachment(ref);
+        } catch (error) {
+            console.error('Erro ao excluir arquivo do paciente anonimizado:', error);
+            failures.push(ref);
+        }
+    }
+    return failures;
+}
@@ -1,130 +1,95 @@
-// Login functionality with Supabase
-import { login, onAuthStateChange } from './auth.js';
-import { supabase } from './supabase.js';
+// Login screen: password reset request and the new password form opened by the emailed link
+// (the login itself, the first-run setup and the required password change are handled in main.js)
+import { requestPasswordReset, completePasswordReset, isPasswordRecovery, getAuthLinkError, PASSWORD_RULES_HINT } from './auth.js';
+import { showLoginForm, showNotification } from './ui.js';
 
 document.addEventListener('DOMContentLoaded', () => {
-    const loginForm = document.getElementById('form-login');
-    const emailInput = document.getElementById('email');
-    const passwordInput = document.getElementById('password');
-    const loginButton = document.getElementById('login-button');
-    const buttonText = loginButton.querySelector('.button-text');
-    const buttonLoading = loginButton.querySelector('.button-loading');
     const loginError = document.getElementById('login-error');
     const forgotPasswordLink = document.getElementById('forgot-password');
+    const forgotPasswordForm = document.getElementById('form-forgot-password');
+    const resetPasswordForm = document.getElementById('form-reset-password');
+    const resetPasswordError = document.getElementById('reset-password-error');
 
-    // Handle login form submission
-    if (loginForm) {
-        loginForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            
-            const email = emailInput.value.trim();
-            const password = passwordInput.value;
-            
-            // Validate inputs
-            if (!email || !password) {
-                showError('Por favor, preencha todos os campos.');
-                return;
-            }
-            
-            // Show loading state
-            setLoading(true);
-            
-            try {
-                console.log('Iniciando processo de login...');
-                console.log('Email fornecido:', email);
-                console.log('Senha fornecida:', password ? '***' : 'vazia');
-                
-                const result = await login(email, password);
-                console.log('Resultado do login:', result);
-                
-                if (result && result.success) {
-                    // Login successful, the auth state change will handle the redirect
-                    console.log('Login bem-sucedido, redirecionando...');
-                    // Força o redirecionamento para a página principal
-                    window.location.href = '/index.html';
-                } else {
-                    const errorMessage = result && result.error 
-                        ? result.error 
-                        : 'Email ou senha inválidos. Tente novamente.';
-                    showError(errorMessage);
-                }
-            } catch (error) {
-                console.error('Login error:', error);
-                showError('Ocorreu um erro ao fazer login. Tente novamente.');
-            } finally {
-                setLoading(false);
-            }
-        });
+    document.querySelectorAll('.password-rules-hint').forEach(hint => {
+        hint.textContent = PASSWORD_RULES_HINT;
+    });
+
+    // Opened from the emailed link: choose the new password before anything else
+    if (isPasswordRecovery()) {
+        showLoginForm('form-reset-password');
+    } else if (getAuthLinkError()) {
+        showError('O link recebido por email é inválido ou expirou. Solicite um novo.');
+        history.replaceState(null, '', window.location.pathname);
     }
-    
+
     // Handle forgot password
     if (forgotPasswordLink) {
-        forgotPasswordLink.addEventListener('click', async (e) => {
+        forgotPasswordLink.addEventListener('click', (e) => {
             e.preventDefault();
-            const email = prompt('Por favor, insira seu email para redefinir a senha:');
-            
-            if (email) {
-                try {
-                    // Envia email de redefinição de senha usando o Supabase
-                    const { error } = await supabase.auth.resetPasswordForEmail(email, {
-                        redirectTo: window.location.origin + '/update-password.html' // Página para redefinir a senha
-                    });
-                    
-                    if (error) throw error;
-                    
-                    alert('Um email foi enviado com instruções para redefinir sua senha. Verifique sua caixa de entrada.');
-                } catch (error) {
-                    console.error('Erro ao redefinir senha:', error);
-                    alert('Ocorreu um erro ao solicitar a redefinição de senha. Verifique se o email está correto e tente novamente.');
-                }
-            }
+            forgotPasswordForm.reset();
+            document.getElementById('forgot-email').value = document.getElementById('email').value.trim();
+            showLoginForm('form-forgot-password');
         });
     }
-    
-    // Check if user is already logged in
-    checkAuthState();
-    
-    // Set up auth state change listener
-    onAuthStateChange((event, session) => {
-        if (event === 'SIGNED_IN' && session) {
-            // Redirect to home page after successful login
-            window.location.href = '/index.html';
+
+    document.querySelectorAll('.back-to-login').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            showLoginForm('form-login');
+        });
+    });
+
+    forgotPasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const submitButton = forgotPasswordForm.querySelector('button[type="submit"]');
+        submitButton.disabled = true;
+
+        const result = await requestPasswordReset(document.getElementById('forgot-email').value.trim());
+        submitButton.disabled = false;
+        if (!result.success) {
+            showNotification('Não foi possível enviar o email agora. Tente novamente em alguns minutos.', 'error');
+            return;
         }
+
+        // Same answer whether the email exists or not, so the form cannot be used to find accounts
+        showLoginForm('form-login');
+        showNotification('Se este email estiver cadastrado, você receberá um link para criar uma nova senha. Verifique sua caixa de entrada.', 'info', 'Redefinição de Senha', 10000);
     });
-    
-    // Helper functions
-    function setLoading(isLoading) {
-        if (isLoading) {
-            buttonText.style.display = 'none';
-            buttonLoading.style.display = 'inline-block';
-            loginButton.disabled = true;
-        } else {
-            buttonText.style.display = 'inline-block';
-            buttonLoading.style.display = 'none';
-            loginButton.disabled = false;
+
+    resetPasswordForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const newPassword = document.getElementById('reset-new-password').value;
+        const confirmation = document.getElementById('reset-new-password-confirm').value;
+        resetPasswordError.style.display = 'none';
+
+        if (newPassword !== confirmation) {
+            resetPasswordError.textContent = 'As senhas informadas não conferem.';
+            resetPasswordError.style.display = 'block';
+            return;
         }
-    }
-    
+
+        const result = await completePasswordReset(newPassword);
+        if (!result.success) {
+            resetPasswordError.textContent = result.error;
+            resetPasswordError.style.display = 'block';
+            return;
+        }
+
+        resetPasswordForm.reset();
+        // Drops the used link from the address bar so a reload does not open the reset form again
+        history.replaceState(null, '', window.location.pathname);
+        showLoginForm('form-login');
+        showNotification('Senha redefinida. Entre com a nova senha.', 'success');
+    });
+
+    // Helper functions
     function showError(message) {
         loginError.textContent = message;
         loginError.style.display = 'block';
-        
+
         // Hide error after 5 seconds
         setTimeout(() => {
             loginError.style.display = 'none';
         }, 5000);
     }
-    
-    async function checkAuthState() {
-        try {
-            const { data: { session }, error } = await supabase.auth.getSession();
-            
-            if (session) {
-                // User is already logged in, redirect to home page
-                window.location.href = '/index.html';
-            }
-        } catch (error) {
-            console.error('Error checking auth state:', error);
-        }
-    }
 });
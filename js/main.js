@@ -1,31 +1,43 @@
 // Main application entry point
-import { loadDb, saveDb, db } from './database.js';
-import { login, logout, checkLogin, getCurrentUser, isRoleAllowed, checkTabAccess } from './auth.js';
+import { loadDb, db, hasPreMigrationBackup } from './database.js';
+import { login, logout, checkLogin, getCurrentUser, isRoleAllowed, checkTabAccess, hasPermission, getVisibleClients, needsInitialSetup, createInitialDirector, validatePasswordStrength, changePassword, completeRequiredPasswordChange, needsPasswordChange, isPasswordRecovery } from './auth.js';
 import { DIRECTOR_ONLY, FINANCE_ONLY, DIRECTOR_OR_FINANCE, STOCK_MANAGERS, ALL_USERS, PROFESSIONAL_ROLES, COORDINATOR_AND_HIGHER, NON_FINANCE_ACCESS, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, DIRECTOR_AND_PROFESSIONALS, DIRECTOR_AND_COORDINATORS_ONLY_DOCUMENTS } from './roles.js';
-import { showLoginScreen, showMainApp, switchTab, updateCurrentDate, showNotification, updateGlobalSearchDatalist } from './ui.js'; 
+import { showLoginScreen, showLoginForm, showMainApp, switchTab, updateCurrentDate, showNotification, updateGlobalSearchDatalist } from './ui.js'; 
 import { renderClientList, showClientDetails, addClientNote, addClientDocument, deleteClientDocument, renderMeusPacientes, renderClientReport, showAssignProfessionalModal, assignProfessionalToClient, unassignProfessionalFromClient, deleteClient, duplicateClient, showEmployeeReport, showClientReportModal, generateClientReport } from './clients.js'; 
-import { renderSchedule, updateScheduleStatus, initializeCalendar, renderCalendar, saveEditedSchedule, cancelScheduleWithReason, reassignSchedule, populateAssignableUsers, serviceNames, editSchedule, saveReassignedSchedule, initScheduleView } from './schedule.js'; 
+import { renderSchedule, updateScheduleStatus, initializeCalendar, renderCalendar, saveEditedSchedule, cancelScheduleWithReason, reassignSchedule, populateAssignableUsers, serviceNames, editSchedule, saveReassignedSchedule, initScheduleView, populateScheduleRooms, populateReassignOptions, readRecurrenceRule, updateRecurrenceFields, generateOccurrenceDates, describeRecurrence, getScopedSchedules, getSelectedSeriesScope, setAgendaView } from './schedule.js'; 
 import { renderFinancialReport, renderDailyNotes, addDailyNote, generateDetailedFinancialReport, downloadDailyNotes, deleteDailyNote } from './financial.js'; 
 import { setupFormHandlers } from './forms.js';
 import { renderStockList, renderStockMovements, updateStockSummary, showDeleteStockItemConfirmation } from './stock.js';
-import { renderFuncionarioList, showFuncionarioDetails, showEditFuncionarioModal, saveFuncionarioChanges, deleteFuncionario, addFuncionario, showEditPasswordModal, saveUserPermissions } from './funcionarios.js';
-import { initRolesManagement, deleteRole } from './roles.js';
-import { convertTimeToDecimalHours } from './utils.js'; 
-
-// --- Inactivity Logout Variables ---
-let idleTimeout;
-const IDLE_TIME = 60 * 60 * 1000; // 1 hour in milliseconds
-
-// --- Inactivity Logout Functions ---
-function resetIdleTimer() {
-    clearTimeout(idleTimeout);
-    idleTimeout = setTimeout(logoutUser, IDLE_TIME);
-}
-
-function logoutUser() {
+import { renderFuncionarioList, showFuncionarioDetails, showEditFuncionarioModal, saveFuncionarioChanges, deleteFuncionario, addFuncionario, showEditPasswordModal, forcePasswordReset, saveUserPermissions, confirmUserPermissionsChange, cancelUserPermissionsChange, showRoleEffectivePermissions, deactivateDemoAccounts, populateTabPermissions } from './funcionarios.js';
+import { initRolesManagement, deleteRole, saveRole, showRoleEditor, cloneRole, hideRoleEditor, reassignAndDeleteRole } from './roles.js';
+import { convertTimeToDecimalHours, convertDecimalHoursToTime } from './utils.js'; 
+import { showImportModal, runImportDryRun, runImport, downloadLocalSnapshot } from './importer.js';
+import { initSync, showSyncConflictsModal, clearSyncConflicts } from './sync.js';
+import { startRealtime, stopRealtime } from './realtime.js';
+import { storeAttachment, storeAttachmentList, attachmentAction, migrateEmbeddedAttachments } from './attachments.js';
+import { ensureUploadSpace, checkStorageHealth, showStorageHealthModal, archiveOldData } from './quota.js';
+import { showBackupModal, createBackup, verifyBackupFile, restoreBackup, setBackupReminderInterval, checkBackupReminder } from './backup.js';
+import { showAuditLogModal, renderAuditLog, exportAuditLogCsv } from './audit.js';
+import { showLgpdPanel, recordClientConsent, exportClientData } from './lgpd.js';
+import { loadClinicKeys, clearClinicKeys, rotateClinicKey, hasClinicalAccess } from './encryption.js';
+import { showFindSlotModal, populateFindSlotProfessionals, searchFreeSlots, takeFreeSlot, addAvailabilityBlock, removeAvailabilityBlock, addAvailabilityException, removeAvailabilityException, updateAbsenceTypeFields, saveAvailability } from './availability.js';
+import { showRoomsModal, saveRoom, editRoom, toggleRoomActive, cancelRoomEdit, updateRoomTypeFields, readRoomFields } from './rooms.js';
+import { resolveScheduleConflicts, confirmConflictOverride, dismissScheduleConflicts, getDefaultDurationHours } from './conflicts.js';
+import { startIdleTimer, resetIdleTimer, stopIdleTimer, keepSessionAlive, endSessionNow, startSessionChecks, stopSessionChecks, showSessionsModal, saveIdleTimeouts, renderActiveSessions, revokeSession } from './session.js';
+import { hydrateDb, clientsRepository, schedulesRepository, appointmentsRepository, stockItemsRepository, stockMovementsRepository, generalDocumentsRepository, notificationsRepository } from './repository.js';
+
+// --- Session end (manual logout, inactivity, revoked or expired session) ---
+function endSession(message = null) {
+    stopIdleTimer();
+    stopSessionChecks();
+    stopRealtime();
+    clearClinicKeys();
     logout(); // Perform the actual logout logic
     showLoginScreen(); // Show the login screen
-    showNotification('Você foi desconectado(a) devido à inatividade.', 'info', 'Inatividade', 7000);
+    showLoginForm('form-login');
+    if (message) {
+        showNotification(message, 'info', 'Sessão', 7000);
+    }
 }
 
 // Make necessary functions globally available for onclicks or direct access
@@ -42,6 +54,12 @@ window.showFuncionarioDetails = showFuncionarioDetails;
 window.showEditFuncionarioModal = showEditFuncionarioModal; 
 window.showEditPasswordModal = showEditPasswordModal; 
 window.deleteFuncionario = deleteFuncionario; 
+window.revokeSession = revokeSession;
+window.useFreeSlot = useFreeSlot;
+window.removeAvailabilityBlock = removeAvailabilityBlock;
+window.removeAvailabilityException = removeAvailabilityException;
+window.editRoom = editRoom;
+window.toggleRoomActive = toggleRoomActive;
 window.deleteMuralItem = (id) => { 
     const itemToDelete = db.generalDocuments.find(d => d.id === id);
     if (!itemToDelete) return;
@@ -69,14 +87,17 @@ window.showAssignProfessionalModal = showAssignProfessionalModal;
 window.assignProfessionalToClient = assignProfessionalToClient; 
 window.deleteClient = deleteClient; 
 window.saveUserPermissions = saveUserPermissions;
+window.showRoleEffectivePermissions = showRoleEffectivePermissions;
 window.deleteDailyNote = deleteDailyNote;
 window.deleteRole = deleteRole;
+window.showRoleEditor = showRoleEditor;
+window.cloneRole = cloneRole;
 window.duplicateClient = duplicateClient; // Make duplicate function globally accessible if needed, though listener is better
 window.showEmployeeReport = showEmployeeReport;
 window.showClientReportModal = showClientReportModal;
 
 // NEW: Global file preview function
-window.previewFile = (title, fileData, fileName) => {
+window.previewFile = (title, fileUrl, fileName) => {
     const modal = document.getElementById('modal-file-preview');
     const titleElement = document.getElementById('file-preview-title');
     const contentElement = document.getElementById('file-preview-content');
@@ -86,7 +107,7 @@ window.previewFile = (title, fileData, fileName) => {
     titleElement.textContent = `Visualizando: ${title}`;
 
     if (/\.(jpe?g|png|gif|webp)$/i.test(fileName)) {
-        contentElement.innerHTML = `<img src="${fileData}" alt="${title}">`;
+        contentElement.innerHTML = `<img src="${fileUrl}" alt="${title}">`;
     } else {
         contentElement.innerHTML = `<p>A pré-visualização não está disponível para este tipo de arquivo (${fileName}).</p>`;
     }
@@ -132,16 +153,30 @@ function setupMobileGestures() {
 
 // Initialize application
 document.addEventListener('DOMContentLoaded', async () => {
-    await loadDb();
+    const { migrationError } = await loadDb();
+    if (migrationError) {
+        // Stays open until closed, so the restore action is not missed
+        const restoreAction = hasPreMigrationBackup()
+            ? '<br><button type="button" class="btn-secondary btn-small" onclick="restoreMigrationBackup()">Restaurar versão anterior</button>'
+            : '';
+        showNotification(`Falha ao atualizar os dados salvos: ${migrationError}. Os dados foram mantidos na última versão válida.${restoreAction}`, 'error', 'Atualização de Dados', 0);
+    }
+    initSync();
+    try {
+        await hydrateDb();
+    } catch (error) {
+        console.error('Erro ao carregar dados compartilhados:', error);
+        showNotification('Não foi possível carregar os dados compartilhados. Exibindo a cópia local.', 'warning');
+    }
 
-    const { isAuthenticated } = await checkLogin();
+    // A password reset link opens the login screen with the new password form (see login.js), never the app
+    const { isAuthenticated, reason } = isPasswordRecovery() ? { isAuthenticated: false } : await checkLogin();
     if (isAuthenticated) {
-        showMainApp();
-        initializeApp();
-        checkNotifications();
-        resetIdleTimer(); // Start idle timer on initial load if logged in
+        enterApp();
     } else {
         showLoginScreen();
+        if (reason) showNotification(reason, 'info', 'Sessão', 7000);
+        if (!isPasswordRecovery()) showInitialSetupIfNeeded();
     }
 
     setupEventListeners();
@@ -150,6 +185,92 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupGlobalSearch(); // NEW: Setup global search
 });
 
+// Opens the app for the logged-in user; accounts with a temporary or reset password must choose a new one first
+function enterApp() {
+    if (needsPasswordChange()) {
+        showLoginScreen();
+        document.getElementById('form-required-password-change').reset();
+        showLoginForm('form-required-password-change');
+        return;
+    }
+
+    showMainApp();
+    initializeApp();
+    checkNotifications();
+    startRealtime(handleRealtimeChange);
+    startIdleTimer(() => endSession('Você foi desconectado(a) devido à inatividade.'));
+    startSessionChecks(endSession);
+}
+
+async function submitRequiredPasswordChange() {
+    const newPassword = document.getElementById('required-new-password').value;
+    const confirmation = document.getElementById('required-new-password-confirm').value;
+    const errorElement = document.getElementById('required-password-error');
+    errorElement.style.display = 'none';
+
+    if (newPassword !== confirmation) {
+        errorElement.textContent = 'As senhas informadas não conferem.';
+        errorElement.style.display = 'block';
+        return;
+    }
+
+    const result = await completeRequiredPasswordChange(newPassword);
+    if (!result.success) {
+        errorElement.textContent = result.error;
+        errorElement.style.display = 'block';
+        return;
+    }
+
+    showLoginForm('form-login');
+    showNotification('Senha alterada com sucesso!', 'success');
+    enterApp();
+}
+
+function setLoginLoading(isLoading) {
+    const loginButton = document.getElementById('login-button');
+    loginButton.querySelector('.button-text').style.display = isLoading ? 'none' : 'inline-block';
+    loginButton.querySelector('.button-loading').style.display = isLoading ? 'inline-block' : 'none';
+    loginButton.disabled = isLoading;
+}
+
+// First run: no director account exists yet, so the login form is replaced by the setup wizard
+async function showInitialSetupIfNeeded() {
+    if (!(await needsInitialSetup())) return;
+    showLoginForm('form-initial-setup');
+}
+
+async function submitInitialSetup() {
+    const name = document.getElementById('setup-director-name').value.trim();
+    const email = document.getElementById('setup-director-email').value.trim();
+    const password = document.getElementById('setup-director-password').value;
+    const confirmation = document.getElementById('setup-director-password-confirm').value;
+    const errorElement = document.getElementById('setup-error');
+    errorElement.style.display = 'none';
+
+    const weakness = validatePasswordStrength(password, email);
+    if (weakness || password !== confirmation) {
+        errorElement.textContent = weakness || 'As senhas informadas não conferem.';
+        errorElement.style.display = 'block';
+        return;
+    }
+
+    const result = await createInitialDirector(name, email, password);
+    if (!result.success) {
+        errorElement.textContent = result.error;
+        errorElement.style.display = 'block';
+        return;
+    }
+
+    document.getElementById('form-initial-setup').reset();
+    showLoginForm('form-login');
+    if (result.needsConfirmation) {
+        showNotification('Conta da diretoria criada. Confirme o email recebido e depois faça login.', 'info', 'Configuração Inicial', 10000);
+        return;
+    }
+
+    enterApp();
+}
+
 function initializeApp() {
     updateCurrentDate();
     initializeCalendar();
@@ -210,6 +331,26 @@ function initializeApp() {
     } else if (checkTabAccess('documentos', 'edit')) {
         renderGeneralDocuments();
     }
+
+    // Clinical fields stay encrypted in db; the keys are fetched again on every start
+    loadClinicKeys().catch(error => {
+        console.error('Erro ao carregar a chave clínica:', error);
+        showNotification('Não foi possível carregar a chave clínica. O conteúdo clínico ficará indisponível.', 'warning');
+    });
+    document.querySelectorAll('.clinical-fields').forEach(fieldset => {
+        fieldset.style.display = hasClinicalAccess() ? '' : 'none';
+    });
+
+    // Files embedded by older versions are moved to attachment storage in the background
+    migrateEmbeddedAttachments()
+        .then(migrated => {
+            if (migrated > 0) {
+                showNotification(`${migrated} anexo(s) foram movidos para o armazenamento de arquivos.`, 'info');
+            }
+        })
+        .catch(error => console.error('Erro ao migrar anexos:', error));
+    checkStorageHealth();
+    checkBackupReminder();
 }
 
 // NEW: Setup for the global search
@@ -286,6 +427,7 @@ function setupEventListeners() {
         console.log('Email digitado:', email);
         console.log('Tentando fazer login...');
         
+        setLoginLoading(true);
         try {
             const result = await login(email, password);
             console.log('Resultado do login:', result);
@@ -293,10 +435,7 @@ function setupEventListeners() {
             if (result.success) {
                 console.log('Login bem-sucedido, redirecionando...');
                 document.getElementById('form-login').reset();
-                showMainApp();
-                initializeApp();
-                checkNotifications();
-                resetIdleTimer(); // Start idle timer on successful login
+                enterApp();
             } else {
                 console.error('Falha no login:', result.error);
                 const errorElement = document.getElementById('login-error');
@@ -312,9 +451,30 @@ function setupEventListeners() {
                 errorElement.textContent = 'Erro ao processar o login. Tente novamente.';
                 errorElement.style.display = 'block';
             }
+        } finally {
+            setLoginLoading(false);
         }
     });
 
+    document.getElementById('form-initial-setup').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitInitialSetup();
+    });
+
+    document.getElementById('form-required-password-change').addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitRequiredPasswordChange();
+    });
+    document.getElementById('required-password-logout').addEventListener('click', async (e) => {
+        e.preventDefault();
+        await logout();
+        showLoginForm('form-login');
+    });
+
+    // Sync status indicator opens the conflict list
+    document.getElementById('sync-status').addEventListener('click', showSyncConflictsModal);
+    document.getElementById('btn-clear-sync-conflicts').addEventListener('click', clearSyncConflicts);
+
     // NEW: Notification Bell click handler
     document.getElementById('notification-bell').addEventListener('click', () => {
         const dropdown = document.getElementById('notification-dropdown');
@@ -347,9 +507,14 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-logout').addEventListener('click', () => {
-        clearTimeout(idleTimeout); // Clear the idle timer on manual logout
-        logout();
-        showLoginScreen();
+        endSession();
+    });
+
+    document.getElementById('btn-idle-stay').addEventListener('click', keepSessionAlive);
+    document.getElementById('btn-idle-logout').addEventListener('click', endSessionNow);
+
+    document.getElementById('btn-change-own-password').addEventListener('click', () => {
+        showEditPasswordModal(getCurrentUser().id);
     });
 
     // Tab navigation
@@ -478,6 +643,10 @@ function setupEventListeners() {
         renderCalendar();
     });
 
+    document.querySelectorAll('.agenda-view-btn').forEach(button => {
+        button.addEventListener('click', () => setAgendaView(button.dataset.view));
+    });
+
     const financialPeriodSelector = document.getElementById('financial-period-selector');
     if (financialPeriodSelector) {
         financialPeriodSelector.addEventListener('change', (e) => {
@@ -526,14 +695,17 @@ function setupEventListeners() {
     }
 
     document.getElementById('btn-novo-agendamento').addEventListener('click', () => {
-        if (!checkTabAccess('agenda', 'edit')) { showNotification('Você não tem permissão para adicionar agendamentos.', 'error'); return; }
+        if (!hasPermission('schedule.create')) { showNotification('Você não tem permissão para adicionar agendamentos.', 'error'); return; }
         populateClientSelect();
         populateServiceTypes();
-        populateAssignableUsers();
         const today = new Date().toISOString().split('T')[0];
         document.getElementById('data-agendamento').value = today;
-        document.getElementById('modal-novo-agendamento').style.display = 'flex';
         document.getElementById('select-cliente-agenda').value = '';
+        populateScheduleRooms('new');
+        setDefaultScheduleDuration();
+        updateRecurrenceFields();
+        populateAssignableUsers();
+        document.getElementById('modal-novo-agendamento').style.display = 'flex';
     });
 
     document.getElementById('btn-schedule-new-appointment').addEventListener('click', () => {
@@ -546,12 +718,15 @@ function setupEventListeners() {
 
         populateClientSelect();
         populateServiceTypes();
-        populateAssignableUsers();
         
         document.getElementById('select-cliente-agenda').value = currentClientId;
+        populateScheduleRooms('new');
         
         const today = new Date().toISOString().split('T')[0];
         document.getElementById('data-agendamento').value = today;
+        setDefaultScheduleDuration();
+        updateRecurrenceFields();
+        populateAssignableUsers();
         document.getElementById('modal-novo-agendamento').style.display = 'flex';
     });
 
@@ -560,6 +735,52 @@ function setupEventListeners() {
         saveNewSchedule();
     });
 
+    document.getElementById('tipo-servico').addEventListener('change', setDefaultScheduleDuration);
+    // Rooms and equipment are offered by the unit of the patient
+    document.getElementById('select-cliente-agenda').addEventListener('change', () => populateScheduleRooms('new', true));
+    document.getElementById('edit-cliente-agenda').addEventListener('change', () => populateScheduleRooms('edit', true));
+    // Only professionals available at the chosen slot are offered
+    ['select-cliente-agenda', 'data-agendamento', 'hora-agendamento', 'duracao-agendamento', 'tipo-servico', 'recorrencia-ativa', 'recorrencia-frequencia', 'recorrencia-ocorrencias', 'recorrencia-ate'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => populateAssignableUsers(true));
+    });
+    document.querySelectorAll('.recorrencia-dia, input[name="recorrencia-fim"]').forEach(input => {
+        input.addEventListener('change', () => populateAssignableUsers(true));
+    });
+    document.querySelectorAll('input[name="reassign-series-scope"]').forEach(input => {
+        input.addEventListener('change', populateReassignOptions);
+    });
+
+    document.getElementById('btn-find-free-slot').addEventListener('click', () => showFindSlotModal(serviceNames));
+    document.getElementById('find-slot-role').addEventListener('change', populateFindSlotProfessionals);
+    document.getElementById('btn-search-free-slots').addEventListener('click', searchFreeSlots);
+
+    document.getElementById('form-availability-block').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addAvailabilityBlock();
+    });
+    document.getElementById('form-availability-exception').addEventListener('submit', (e) => {
+        e.preventDefault();
+        addAvailabilityException();
+    });
+    document.getElementById('availability-exception-type').addEventListener('change', updateAbsenceTypeFields);
+    document.getElementById('btn-save-availability').addEventListener('click', saveAvailability);
+    document.getElementById('btn-manage-rooms').addEventListener('click', showRoomsModal);
+    document.getElementById('form-room').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveRoom();
+    });
+    document.getElementById('room-type').addEventListener('change', updateRoomTypeFields);
+    document.getElementById('btn-cancel-room-edit').addEventListener('click', cancelRoomEdit);
+    document.getElementById('btn-conflict-override').addEventListener('click', confirmConflictOverride);
+    document.getElementById('btn-conflict-dismiss').addEventListener('click', dismissScheduleConflicts);
+
+    ['data-agendamento', 'recorrencia-ativa', 'recorrencia-frequencia', 'recorrencia-ocorrencias', 'recorrencia-ate'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateRecurrenceFields);
+    });
+    document.querySelectorAll('.recorrencia-dia, input[name="recorrencia-fim"]').forEach(input => {
+        input.addEventListener('change', updateRecurrenceFields);
+    });
+
     // New attendance button
     document.getElementById('btn-novo-atendimento').addEventListener('click', () => {
         if (!checkTabAccess('historico', 'edit') && !checkTabAccess('meus-pacientes', 'edit')) { // Check edit access for client related tabs
@@ -646,7 +867,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-add-stock-item').addEventListener('click', () => {
-        if (!checkTabAccess('estoque', 'edit')) { showNotification('Você não tem permissão para adicionar itens ao estoque.', 'error'); return; }
+        if (!hasPermission('stock.item.create')) { showNotification('Você não tem permissão para adicionar itens ao estoque.', 'error'); return; }
         document.getElementById('form-add-stock').reset();
         document.getElementById('modal-add-stock').style.display = 'flex';
     });
@@ -671,35 +892,38 @@ function setupEventListeners() {
         addMaterialSelection('confirm');
     });
 
-    document.getElementById('btn-confirm-delete').addEventListener('click', () => {
+    document.getElementById('btn-confirm-delete').addEventListener('click', async () => {
         // Consolidated permission check for deletion actions
         if (window.currentDeleteItemType === 'stock') {
             const itemIdToDelete = window.currentDeleteItem;
-            if (checkTabAccess('estoque', 'edit') && itemIdToDelete) { // Use checkTabAccess
+            if (hasPermission('stock.item.delete') && itemIdToDelete) {
                 const itemIndex = db.stockItems.findIndex(item => item.id === itemIdToDelete);
                 if (itemIndex !== -1) {
                     const itemToDelete = db.stockItems[itemIndex];
-                     // Add a movement record for deletion
-                    db.stockMovements.push({
-                        id: db.nextMovementId++,
-                        itemId: itemToDelete.id, 
-                        itemName: itemToDelete.name,
-                        type: 'exclusao',
-                        quantity: itemToDelete.quantity, 
-                        reason: 'Item excluído do estoque',
-                        date: new Date().toISOString(),
-                        user: getCurrentUser().name,
-                        itemUnitValue: itemToDelete.unitValue,
-                        purchaseNotes: null, 
-                        purchaseFileData: null,
-                        purchaseFileName: null
-                    });
-                    db.stockItems.splice(itemIndex, 1);
-                    saveDb();
-                    renderStockList();
-                    renderStockMovements();
-                    updateStockSummary();
-                    showNotification(`Item "${itemToDelete.name}" excluído do estoque com sucesso!`, 'success');
+                    try {
+                        // Add a movement record for deletion
+                        await stockMovementsRepository.create({
+                            itemId: itemToDelete.id, 
+                            itemName: itemToDelete.name,
+                            type: 'exclusao',
+                            quantity: itemToDelete.quantity, 
+                            reason: 'Item excluído do estoque',
+                            date: new Date().toISOString(),
+                            user: getCurrentUser().name,
+                            itemUnitValue: itemToDelete.unitValue,
+                            purchaseNotes: null, 
+                            purchaseFileRef: null,
+                            purchaseFileName: null
+                        });
+                        await stockItemsRepository.remove(itemToDelete.id);
+                        renderStockList();
+                        renderStockMovements();
+                        updateStockSummary();
+                        showNotification(`Item "${itemToDelete.name}" excluído do estoque com sucesso!`, 'success');
+                    } catch (error) {
+                        console.error('Erro ao excluir item do estoque:', error);
+                        showNotification('Erro ao excluir o item do estoque. Tente novamente.', 'error');
+                    }
                 }
             } else {
                 showNotification('Você não tem permissão para realizar esta exclusão.', 'error');
@@ -713,7 +937,7 @@ function setupEventListeners() {
             }
         } else if (window.currentDeleteItemType === 'client') {
             const clientIdToDelete = window.currentDeleteItem;
-            if (checkTabAccess('historico', 'edit') && clientIdToDelete) { // Use checkTabAccess
+            if (hasPermission('client.delete') && clientIdToDelete) {
                 deleteClient(clientIdToDelete);
             } else {
                 showNotification('Você não tem permissão para realizar esta exclusão.', 'error');
@@ -782,8 +1006,9 @@ function setupEventListeners() {
         showEditPasswordModal(window.currentFuncionarioId);
     });
 
-    document.getElementById('form-edit-password').addEventListener('submit', (e) => {
+    document.getElementById('form-edit-password').addEventListener('submit', async (e) => {
         e.preventDefault();
+        const currentPassword = document.getElementById('current-password').value;
         const newPassword = document.getElementById('new-password').value;
         const confirmNewPassword = document.getElementById('confirm-new-password').value;
 
@@ -791,20 +1016,20 @@ function setupEventListeners() {
             showNotification('As senhas não coincidem.', 'error');
             return;
         }
-        if (newPassword.length < 6) {
-            showNotification('A nova senha deve ter pelo menos 6 caracteres.', 'error');
-            return;
-        }
 
-        const funcionarioId = window.currentFuncionarioId;
-        if (updateUserPassword(funcionarioId, newPassword)) { // Permission check is inside updateUserPassword
+        const result = await changePassword(currentPassword, newPassword);
+        if (result.success) {
             showNotification('Senha atualizada com sucesso!', 'success');
             document.getElementById('modal-edit-password').style.display = 'none';
         } else {
-            showNotification('Erro ao atualizar a senha. Usuário não encontrado ou sem permissão.', 'error');
+            showNotification(result.error, 'error');
         }
     });
 
+    document.getElementById('btn-force-password-reset').addEventListener('click', () => {
+        forcePasswordReset(window.currentPasswordUserId);
+    });
+
     // NEW: Delete Funcionario Button Handler
     const btnDeleteFuncionario = document.getElementById('btn-delete-funcionario');
     if (btnDeleteFuncionario) {
@@ -869,6 +1094,42 @@ function setupEventListeners() {
         addNewFuncionario();
     });
 
+    document.getElementById('btn-deactivate-demo-accounts').addEventListener('click', deactivateDemoAccounts);
+
+    document.getElementById('btn-storage-health').addEventListener('click', showStorageHealthModal);
+    document.getElementById('form-archive-old-data').addEventListener('submit', (e) => {
+        e.preventDefault();
+        archiveOldData();
+    });
+
+    document.getElementById('btn-audit-log').addEventListener('click', showAuditLogModal);
+    document.getElementById('btn-rotate-clinic-key').addEventListener('click', rotateClinicKey);
+    document.getElementById('btn-sessions').addEventListener('click', showSessionsModal);
+    document.getElementById('btn-save-idle-timeouts').addEventListener('click', saveIdleTimeouts);
+    document.getElementById('btn-refresh-sessions').addEventListener('click', renderActiveSessions);
+    ['audit-filter-user', 'audit-filter-entity', 'audit-filter-from', 'audit-filter-to'].forEach(filterId => {
+        document.getElementById(filterId).addEventListener('change', renderAuditLog);
+    });
+    document.getElementById('audit-filter-search').addEventListener('input', renderAuditLog);
+    document.getElementById('btn-export-audit-log').addEventListener('click', exportAuditLogCsv);
+
+    document.getElementById('btn-backup').addEventListener('click', showBackupModal);
+    document.getElementById('form-create-backup').addEventListener('submit', (e) => {
+        e.preventDefault();
+        createBackup();
+    });
+    document.getElementById('backup-reminder-interval').addEventListener('change', (e) => setBackupReminderInterval(e.target.value));
+    document.getElementById('form-restore-backup').addEventListener('submit', (e) => {
+        e.preventDefault();
+        verifyBackupFile();
+    });
+    document.getElementById('btn-restore-backup').addEventListener('click', restoreBackup);
+
+    document.getElementById('btn-import-legacy').addEventListener('click', showImportModal);
+    document.getElementById('btn-import-dry-run').addEventListener('click', runImportDryRun);
+    document.getElementById('btn-run-import').addEventListener('click', runImport);
+    document.getElementById('btn-download-snapshot').addEventListener('click', downloadLocalSnapshot);
+
     // NEW: Role Management button
     document.getElementById('btn-manage-roles').addEventListener('click', () => {
         if (!checkTabAccess('funcionarios', 'edit') || !isRoleAllowed(DIRECTOR_ONLY)) {
@@ -878,6 +1139,17 @@ function setupEventListeners() {
         initRolesManagement();
         document.getElementById('modal-manage-roles').style.display = 'flex';
     });
+    document.getElementById('form-role-editor').addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveRole();
+    });
+    document.getElementById('btn-cancel-role-edit').addEventListener('click', hideRoleEditor);
+    document.getElementById('btn-confirm-permissions-diff').addEventListener('click', confirmUserPermissionsChange);
+    document.getElementById('btn-cancel-permissions-diff').addEventListener('click', cancelUserPermissionsChange);
+    document.getElementById('btn-reassign-and-delete-role').addEventListener('click', reassignAndDeleteRole);
+    document.getElementById('btn-cancel-role-reassign').addEventListener('click', () => {
+        document.getElementById('role-reassign-container').style.display = 'none';
+    });
 
     const clientReportPeriodSelector = document.getElementById('client-report-period');
     if (clientReportPeriodSelector) {
@@ -928,6 +1200,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-print-report').addEventListener('click', () => {
+        if (!hasPermission('report.export')) { showNotification('Você não tem permissão para imprimir relatórios.', 'error'); return; }
         const reportContent = document.getElementById('monthly-report-content');
         if (reportContent) {
             document.getElementById('printable-content').innerHTML = reportContent.innerHTML;
@@ -937,6 +1210,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-print-employee-report').addEventListener('click', () => {
+        if (!hasPermission('report.export')) { showNotification('Você não tem permissão para imprimir relatórios.', 'error'); return; }
         const reportContent = document.getElementById('employee-report-content');
         if (reportContent) {
             document.getElementById('printable-content').innerHTML = reportContent.innerHTML;
@@ -1050,6 +1324,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-print-employee-report').addEventListener('click', () => {
+        if (!hasPermission('report.export')) { showNotification('Você não tem permissão para imprimir relatórios.', 'error'); return; }
         window.print();
     });
 
@@ -1065,6 +1340,22 @@ function setupEventListeners() {
         showClientReportModal(window.currentClientId);
     });
 
+    // LGPD: deleting a patient anonymizes it, so both buttons go through the same confirmation
+    const confirmClientAnonymization = (clientId) => {
+        if (!hasPermission('client.delete')) { showNotification('Você não tem permissão para excluir clientes.', 'error'); return; }
+        const client = db.clients.find(c => c.id === clientId);
+        if (!client) return;
+        window.currentDeleteItem = client.id;
+        window.currentDeleteItemType = 'client';
+        document.getElementById('delete-confirmation-message').textContent = `Tem certeza que deseja excluir o paciente "${client.name}"? Os dados pessoais, notas, documentos e anexos serão apagados e os agendamentos futuros cancelados. Os atendimentos realizados continuam nos relatórios financeiros sem identificar o paciente. Esta ação é irreversível.`;
+        document.getElementById('modal-confirm-delete').style.display = 'flex';
+    };
+    document.getElementById('btn-delete-client').addEventListener('click', () => confirmClientAnonymization(window.currentClientId));
+    document.getElementById('btn-client-lgpd').addEventListener('click', () => showLgpdPanel(window.currentClientId));
+    document.getElementById('btn-lgpd-record-consent').addEventListener('click', () => recordClientConsent(window.currentLgpdClientId));
+    document.getElementById('btn-lgpd-export').addEventListener('click', () => exportClientData(window.currentLgpdClientId));
+    document.getElementById('btn-lgpd-anonymize').addEventListener('click', () => confirmClientAnonymization(window.currentLgpdClientId));
+
     // NEW: Client Report Modal Listeners
     document.getElementById('btn-update-client-report-modal').addEventListener('click', () => {
         const selectedPeriod = document.getElementById('client-report-period-selector-modal').value;
@@ -1073,6 +1364,7 @@ function setupEventListeners() {
     });
 
     document.getElementById('btn-print-client-report').addEventListener('click', () => {
+        if (!hasPermission('report.export')) { showNotification('Você não tem permissão para imprimir relatórios.', 'error'); return; }
         const reportContent = document.getElementById('client-report-content');
         if (reportContent) {
             document.getElementById('printable-content').innerHTML = reportContent.innerHTML;
@@ -1090,10 +1382,10 @@ function populateClientSelect() {
     let clientsForDropdown = [];
 
     // If the current user has 'view' access to 'historico' (all clients) or 'meus-pacientes' (their own clients)
-    if (checkTabAccess('historico', 'view')) { // If can see all clients, show all
-        clientsForDropdown = db.clients;
+    if (checkTabAccess('historico', 'view')) { // If can see all clients, show all of their units
+        clientsForDropdown = getVisibleClients().filter(client => !client.anonymizedAt);
     } else if (checkTabAccess('meus-pacientes', 'view')) { // Otherwise if can only see own clients, filter
-        clientsForDropdown = db.clients.filter(client =>
+        clientsForDropdown = getVisibleClients().filter(client =>
             client.assignedProfessionalIds && client.assignedProfessionalIds.includes(currentUser.id) // Clients assigned to current user
         );
     } else {
@@ -1123,6 +1415,23 @@ function populateServiceTypes() {
     });
 }
 
+// Takes a slot found by the free slot search to the new schedule form, with its professional selected
+function useFreeSlot(index) {
+    const slot = takeFreeSlot(index);
+    if (!slot) return;
+    setDefaultScheduleDuration();
+    updateRecurrenceFields();
+    populateAssignableUsers();
+    populateScheduleRooms('new', true);
+    document.getElementById('select-assigned-professional').value = slot.assignedToUserId;
+}
+
+// Suggests the usual length of the chosen service; it can still be changed for this booking
+function setDefaultScheduleDuration() {
+    const serviceType = document.getElementById('tipo-servico').value;
+    document.getElementById('duracao-agendamento').value = convertDecimalHoursToTime(getDefaultDurationHours(serviceType));
+}
+
 function populateAnamnesisSelect() {
     const select = document.getElementById('select-anamnese');
     select.innerHTML = '';
@@ -1140,6 +1449,8 @@ async function saveNewSchedule() {
     const date = document.getElementById('data-agendamento').value;
     const time = document.getElementById('hora-agendamento').value;
     const serviceType = document.getElementById('tipo-servico').value;
+    const durationHours = convertTimeToDecimalHours(document.getElementById('duracao-agendamento').value);
+    const { roomId, resourceIds } = readRoomFields('sala-agendamento', 'recursos-agendamento');
     const selectedProfessionalId = document.getElementById('select-assigned-professional').value;
     const observations = document.getElementById('observacoes-agendamento').value;
     const sendEmail = document.getElementById('send-email-confirmation').checked; 
@@ -1149,6 +1460,29 @@ async function saveNewSchedule() {
         showNotification('Por favor, preencha todos os campos obrigatórios.', 'warning');
         return;
     }
+    if (!durationHours) {
+        showNotification('Informe a duração do agendamento.', 'warning');
+        return;
+    }
+
+    const recurrence = readRecurrenceRule();
+    let occurrenceDates = [date];
+    if (recurrence) {
+        if (recurrence.weekdays.length === 0) {
+            showNotification('Selecione ao menos um dia da semana para a repetição.', 'warning');
+            return;
+        }
+        if (!recurrence.count && !recurrence.until) {
+            showNotification('Informe o número de sessões ou a data final da repetição.', 'warning');
+            return;
+        }
+        occurrenceDates = generateOccurrenceDates(date, recurrence);
+        if (occurrenceDates.length === 0) {
+            showNotification('Nenhuma sessão cabe entre a data inicial e a data final da repetição.', 'warning');
+            return;
+        }
+    }
+    const seriesId = recurrence ? crypto.randomUUID() : null;
 
     let assignedToUserId = null;
     let assignedToUserName = null;
@@ -1164,35 +1498,55 @@ async function saveNewSchedule() {
         assignedToUserName = currentUser.name;
     }
 
-    const newSchedule = {
-        id: db.nextScheduleId++,
+    // A recurring schedule is saved as one schedule per occurrence, linked by the series id
+    const occurrences = occurrenceDates.map(occurrenceDate => ({
         clientId: clientId,
-        date: date,
+        date: occurrenceDate,
         time: time,
+        durationHours: durationHours,
         serviceType: serviceType,
+        roomId: roomId,
+        resourceIds: resourceIds,
         observations: observations,
         status: 'agendado',
         assignedToUserId: assignedToUserId,
-        assignedToUserName: assignedToUserName
-    };
+        assignedToUserName: assignedToUserName,
+        ...(seriesId ? { seriesId, recurrence } : {})
+    }));
+
+    const conflictOverride = await resolveScheduleConflicts(occurrences);
+    if (conflictOverride === false) return;
 
-    db.schedules.push(newSchedule);
+    const createdSchedules = [];
+    try {
+        for (const occurrence of occurrences) {
+            createdSchedules.push(await schedulesRepository.create(conflictOverride ? { ...occurrence, conflictOverride } : occurrence));
+        }
+    } catch (error) {
+        console.error('Erro ao salvar agendamento:', error);
+        if (createdSchedules.length === 0) {
+            showNotification('Erro ao salvar o agendamento. Tente novamente.', 'error');
+            return;
+        }
+        showNotification(`Erro ao salvar a série: apenas ${createdSchedules.length} de ${occurrenceDates.length} sessões foram agendadas.`, 'error');
+    }
+    const newSchedule = createdSchedules[0];
 
     // NEW: Create a notification for the assigned professional
     if (assignedToUserId) {
         const client = db.clients.find(c => c.id === clientId);
         if (client) {
-            if (!db.notifications) db.notifications = [];
-            db.notifications.push({
-                id: db.nextNotificationId++,
+            await notificationsRepository.create({
                 userId: assignedToUserId,
                 type: 'schedule_assignment',
                 title: 'Novo Agendamento',
-                message: `Um novo agendamento para o paciente ${client.name} foi atribuído a você.`,
+                message: seriesId
+                    ? `Uma série de ${createdSchedules.length} agendamentos para o paciente ${client.name} foi atribuída a você (${describeRecurrence(recurrence)}).`
+                    : `Um novo agendamento para o paciente ${client.name} foi atribuído a você.`,
                 relatedId: newSchedule.id,
                 createdAt: new Date().toISOString(),
                 isRead: false
-            });
+            }).catch(error => console.error('Erro ao criar notificação de agendamento:', error));
         }
     }
 
@@ -1201,16 +1555,14 @@ async function saveNewSchedule() {
         const client = db.clients.find(c => c.id === clientId);
         if (client) {
             // NEW LOGIC: Add to the array of professionals instead of replacing
-            if (!client.assignedProfessionalIds) {
-                client.assignedProfessionalIds = [];
-            }
-            if (!client.assignedProfessionalIds.includes(assignedToUserId)) {
-                const oldAssignedNames = client.assignedProfessionalIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
-                client.assignedProfessionalIds.push(assignedToUserId);
-                const newAssignedNames = client.assignedProfessionalIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
+            // New arrays, so the stored record stays the 'before' state of the update
+            const assignedIds = client.assignedProfessionalIds || [];
+            if (!assignedIds.includes(assignedToUserId)) {
+                const oldAssignedNames = assignedIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
+                const assignedProfessionalIds = [...assignedIds, assignedToUserId];
+                const newAssignedNames = assignedProfessionalIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
                 
-                if (!client.changeHistory) client.changeHistory = [];
-                client.changeHistory.push({
+                const changeHistory = [...(client.changeHistory || []), {
                     id: db.nextChangeId++,
                     date: new Date().toISOString(),
                     changedBy: getCurrentUser().name,
@@ -1221,19 +1573,24 @@ async function saveNewSchedule() {
                             newValue: newAssignedNames
                         }
                     ]
-                });
+                }];
+                try {
+                    await clientsRepository.update(client.id, { assignedProfessionalIds, changeHistory });
+                } catch (error) {
+                    console.error('Erro ao atualizar profissionais do cliente:', error);
+                }
             }
         }
     }
 
-    saveDb();
-    
     document.getElementById('form-novo-agendamento').reset();
     document.getElementById('modal-novo-agendamento').style.display = 'none';
     renderSchedule(document.getElementById('date-selector').value);
     renderCalendar();
     
-    showNotification('Agendamento criado com sucesso!', 'success');
+    if (createdSchedules.length === occurrenceDates.length) {
+        showNotification(seriesId ? `Série criada com ${createdSchedules.length} agendamentos!` : 'Agendamento criado com sucesso!', 'success');
+    }
 
     if (sendEmail) {
         const client = db.clients.find(c => c.id === newSchedule.clientId);
@@ -1330,13 +1687,17 @@ function saveNewAttendance() {
         showNotification('Por favor, preencha todos os campos obrigatórios.', 'warning');
         return;
     }
+    if (notes && !hasClinicalAccess()) {
+        showNotification('Somente profissionais com acesso clínico podem registrar observações do atendimento.', 'warning');
+        return;
+    }
 
     if (!client.appointments) {
         client.appointments = [];
     }
 
     const newAppointment = {
-        id: db.nextAppointmentId++,
+        clientId: client.id,
         date: date,
         anamnesisTypeId: anamnesisTypeId,
         notes: notes,
@@ -1346,42 +1707,25 @@ function saveNewAttendance() {
         internId: getCurrentUser().role === 'intern' ? getCurrentUser().id : null
     };
 
-    if (attachments.length > 0) {
-        newAppointment.attachments = [];
-        let filesProcessed = 0;
-        
-        Array.from(attachments).forEach(file => {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                newAppointment.attachments.push({
-                    fileName: file.name,
-                    fileData: e.target.result,
-                    uploadDate: new Date().toISOString()
-                });
-                
-                filesProcessed++;
-                if (filesProcessed === attachments.length) {
-                    client.appointments.push(newAppointment);
-                    saveDb();
-                    
-                    document.getElementById('form-novo-atendimento').reset();
-                    document.getElementById('modal-novo-atendimento').style.display = 'none';
-                    showClientDetails(window.currentClientId);
-                    
-                    showNotification('Histórico adicionado com sucesso!', 'success');
-                }
-            };
-            reader.readAsDataURL(file);
-        });
-    } else {
-        // No attachments, save directly
-        client.appointments.push(newAppointment);
-        saveDb();
-        
+    persistAttendance();
+
+    async function persistAttendance() {
+        if (attachments.length > 0 && !(await ensureUploadSpace(attachments))) return;
+        try {
+            if (attachments.length > 0) {
+                newAppointment.attachments = await storeAttachmentList(attachments, `atendimentos/${client.id}`);
+            }
+            await appointmentsRepository.create(newAppointment);
+        } catch (error) {
+            console.error('Erro ao salvar atendimento:', error);
+            showNotification('Erro ao salvar o histórico. Tente novamente.', 'error');
+            return;
+        }
+
         document.getElementById('form-novo-atendimento').reset();
         document.getElementById('modal-novo-atendimento').style.display = 'none';
         showClientDetails(window.currentClientId);
-        
+
         showNotification('Histórico adicionado com sucesso!', 'success');
     }
 }
@@ -1398,33 +1742,51 @@ function saveCancellation() {
         return;
     }
 
-    schedule.status = 'cancelado';
-    schedule.cancelReason = reason;
-    schedule.cancelDate = new Date().toISOString();
-    schedule.canceledBy = getCurrentUser().name;
+    const cancellation = {
+        status: 'cancelado',
+        cancelReason: reason,
+        cancelDate: new Date().toISOString(),
+        canceledBy: getCurrentUser().name
+    };
+
+    // Without permission to edit the agenda, only the user's own sessions of the series are cancelled
+    const currentUser = getCurrentUser();
+    const targets = getScopedSchedules(schedule, getSelectedSeriesScope('cancel-series-scope'))
+        .filter(target => target.id === schedule.id || hasPermission('schedule.edit') || target.assignedToUserId === currentUser.id);
+
+    persistCancellation();
+
+    async function persistCancellation() {
+        if (imageFile && !(await ensureUploadSpace([imageFile]))) return;
+        let cancelled = 0;
+        try {
+            for (const target of targets) {
+                const changes = { ...cancellation };
+                // The receipt is stored once, with the session the cancellation was requested from
+                if (imageFile && target.id === schedule.id) {
+                    changes.cancelImageRef = await storeAttachment(imageFile, `cancelamentos/${schedule.clientId}`);
+                    changes.cancelImageName = imageFile.name;
+                }
+                await schedulesRepository.update(target.id, changes);
+                cancelled++;
+            }
+        } catch (error) {
+            console.error('Erro ao cancelar agendamento:', error);
+            if (cancelled === 0) {
+                showNotification('Erro ao cancelar o agendamento. Tente novamente.', 'error');
+                return;
+            }
+            showNotification(`Erro ao cancelar a série: ${cancelled} de ${targets.length} sessões foram canceladas. Tente novamente.`, 'error');
+        }
 
-    if (imageFile) {
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            schedule.cancelImage = e.target.result;
-            schedule.cancelImageName = imageFile.name;
-            
-            saveDb();
-            document.getElementById('form-cancelar-agendamento').reset();
-            document.getElementById('preview-imagem-cancelamento').style.display = 'none';
-            document.getElementById('modal-cancelar-agendamento').style.display = 'none';
-            renderSchedule(document.getElementById('date-selector').value);
-            renderCalendar();
-            showNotification('Agendamento cancelado com sucesso!', 'success');
-        };
-        reader.readAsDataURL(imageFile);
-    } else {
-        saveDb();
         document.getElementById('form-cancelar-agendamento').reset();
+        document.getElementById('preview-imagem-cancelamento').style.display = 'none';
         document.getElementById('modal-cancelar-agendamento').style.display = 'none';
         renderSchedule(document.getElementById('date-selector').value);
         renderCalendar();
-        showNotification('Agendamento cancelado com sucesso!', 'success');
+        if (cancelled === targets.length) {
+            showNotification(cancelled > 1 ? `${cancelled} sessões da série canceladas com sucesso!` : 'Agendamento cancelado com sucesso!', 'success');
+        }
     }
 }
 
@@ -1446,11 +1808,18 @@ function saveAttendanceConfirmation() {
         showNotification('Por favor, informe o profissional responsável.', 'warning');
         return;
     }
+    if (observations && !hasClinicalAccess()) {
+        showNotification('Somente profissionais com acesso clínico podem registrar observações do atendimento.', 'warning');
+        return;
+    }
 
     const materialsUsed = [];
+    const materialMovements = [];
     const materialSelections = document.querySelectorAll('#materials-selection-confirm .material-selection');
     
     let hasInsufficientStock = false; 
+    // Quantities taken from each item so far; the cached stock only changes when the attendance is saved
+    const usedQuantities = new Map();
     
     materialSelections.forEach(selection => {
         const itemId = parseInt(selection.querySelector('.material-item').value);
@@ -1459,7 +1828,8 @@ function saveAttendanceConfirmation() {
         if (itemId && quantity > 0) {
             const stockItem = db.stockItems.find(item => item.id === itemId);
             if (stockItem) {
-                if (stockItem.quantity >= quantity) {
+                const available = stockItem.quantity - (usedQuantities.get(itemId) || 0);
+                if (available >= quantity) {
                     materialsUsed.push({
                         itemId: itemId,
                         itemName: stockItem.name,
@@ -1467,10 +1837,9 @@ function saveAttendanceConfirmation() {
                         unit: stockItem.unit
                     });
                     
-                    stockItem.quantity -= quantity;
+                    usedQuantities.set(itemId, (usedQuantities.get(itemId) || 0) + quantity);
                     
-                    db.stockMovements.push({
-                        id: db.nextMovementId++,
+                    materialMovements.push({
                         itemId: itemId,
                         itemName: stockItem.name,
                         type: 'saida',
@@ -1481,11 +1850,11 @@ function saveAttendanceConfirmation() {
                         scheduleId: schedule.id,
                         itemUnitValue: stockItem.unitValue,
                         purchaseNotes: null, 
-                        purchaseFileData: null,
+                        purchaseFileRef: null,
                         purchaseFileName: null
                     });
                 } else {
-                    showNotification(`Estoque insuficiente para ${stockItem.name}. Disponível: ${stockItem.quantity} unidades.`, 'error');
+                    showNotification(`Estoque insuficiente para ${stockItem.name}. Disponível: ${available} unidades.`, 'error');
                     hasInsufficientStock = true;
                     return; 
                 }
@@ -1509,7 +1878,8 @@ function saveAttendanceConfirmation() {
     }
 
     const newAppointment = {
-        id: db.nextAppointmentId++,
+        clientId: client.id,
+        scheduleId: schedule.id,
         date: schedule.date,
         time: schedule.time,
         serviceType: schedule.serviceType,
@@ -1523,37 +1893,32 @@ function saveAttendanceConfirmation() {
         internId: internIdForAttendance
     };
 
-    if (attachments.length > 0) {
-        newAppointment.attachments = [];
-        let filesProcessed = 0;
-        
-        Array.from(attachments).forEach(file => {
-            const reader = new FileReader();
-            reader.onload = function(e) {
-                newAppointment.attachments.push({
-                    fileName: file.name,
-                    fileData: e.target.result,
-                    uploadDate: new Date().toISOString()
-                });
-                
-                filesProcessed++;
-                if (filesProcessed === attachments.length) {
-                    finalizeConfirmation();
-                }
-            };
-            reader.readAsDataURL(file);
-        });
-    } else {
-        finalizeConfirmation();
-    }
-
-    function finalizeConfirmation() {
-        client.appointments.push(newAppointment);
-        schedule.status = 'concluido';
-        schedule.confirmedAt = new Date().toISOString();
-        schedule.attendanceId = newAppointment.id;
+    finalizeConfirmation();
 
-        saveDb();
+    async function finalizeConfirmation() {
+        if (attachments.length > 0 && !(await ensureUploadSpace(attachments))) return;
+        try {
+            if (attachments.length > 0) {
+                newAppointment.attachments = await storeAttachmentList(attachments, `atendimentos/${client.id}`);
+            }
+            const savedAppointment = await appointmentsRepository.create(newAppointment);
+            await schedulesRepository.update(schedule.id, {
+                status: 'concluido',
+                confirmedAt: new Date().toISOString(),
+                attendanceId: savedAppointment.id
+            });
+            for (const movement of materialMovements) {
+                const stockItem = db.stockItems.find(item => item.id === movement.itemId);
+                // The repository applies the new quantity, so the stored value stays the 'before' state of the update
+                const newQuantity = stockItem.quantity - movement.quantity;
+                await stockItemsRepository.update(movement.itemId, { quantity: newQuantity });
+                await stockMovementsRepository.create(movement);
+            }
+        } catch (error) {
+            console.error('Erro ao confirmar atendimento:', error);
+            showNotification('Erro ao confirmar o atendimento. Tente novamente.', 'error');
+            return;
+        }
         
         document.getElementById('form-confirmar-atendimento').reset();
         document.getElementById('modal-confirmar-atendimento').style.display = 'none';
@@ -1607,7 +1972,7 @@ function addMaterialSelection(modalType = 'default') {
 }
 
 function addStockItem() {
-    if (!checkTabAccess('estoque', 'edit')) { 
+    if (!hasPermission('stock.item.create')) { 
         showNotification('Você não tem permissão para adicionar itens ao estoque.', 'error'); 
         return; 
     }
@@ -1628,7 +1993,6 @@ function addStockItem() {
     }
 
     const newItem = {
-        id: db.nextStockItemId++,
         name: name,
         category: category,
         quantity: quantity,
@@ -1640,11 +2004,7 @@ function addStockItem() {
         createdBy: getCurrentUser().name
     };
 
-    db.stockItems.push(newItem);
-    
     const newMovement = { 
-        id: db.nextMovementId++,
-        itemId: newItem.id,
         itemName: newItem.name,
         type: 'entrada',
         quantity: quantity,
@@ -1655,29 +2015,26 @@ function addStockItem() {
         purchaseNotes: purchaseNotes 
     };
 
-    if (purchaseFile) {
-        if (purchaseFile.size > 5 * 1024 * 1024) {
-            showNotification('O comprovante de compra deve ter no máximo 5MB.', 'error');
-            return;
-        }
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            newMovement.purchaseFileData = e.target.result;
-            newMovement.purchaseFileName = purchaseFile.name;
-            db.stockMovements.push(newMovement); 
-            saveAndRefreshStockUI(); 
-        };
-        reader.onerror = function() {
-            showNotification('Erro ao processar o arquivo de comprovante. Tente novamente.', 'error');
-        };
-        reader.readAsDataURL(purchaseFile);
-    } else {
-        db.stockMovements.push(newMovement);
-        saveAndRefreshStockUI(); 
+    if (purchaseFile && purchaseFile.size > 5 * 1024 * 1024) {
+        showNotification('O comprovante de compra deve ter no máximo 5MB.', 'error');
+        return;
     }
+    saveAndRefreshStockUI();
 
-    function saveAndRefreshStockUI() {
-        saveDb();
+    async function saveAndRefreshStockUI() {
+        if (purchaseFile && !(await ensureUploadSpace([purchaseFile]))) return;
+        try {
+            if (purchaseFile) {
+                newMovement.purchaseFileRef = await storeAttachment(purchaseFile, 'estoque');
+                newMovement.purchaseFileName = purchaseFile.name;
+            }
+            const savedItem = await stockItemsRepository.create(newItem);
+            await stockMovementsRepository.create({ ...newMovement, itemId: savedItem.id });
+        } catch (error) {
+            console.error('Erro ao adicionar item ao estoque:', error);
+            showNotification('Erro ao adicionar o item ao estoque. Tente novamente.', 'error');
+            return;
+        }
         document.getElementById('form-add-stock').reset();
         document.getElementById('modal-add-stock').style.display = 'none';
         renderStockList();
@@ -1690,8 +2047,8 @@ function addStockItem() {
     }
 }
 
-function processStockAdjustment() {
-    if (!checkTabAccess('estoque', 'edit')) { 
+async function processStockAdjustment() {
+    if (!hasPermission('stock.adjust')) { 
         showNotification('Você não tem permissão para ajustar o estoque.', 'error'); 
         return; 
     }
@@ -1713,28 +2070,28 @@ function processStockAdjustment() {
         return;
     }
     
-    if (action === 'add') {
-        item.quantity += quantity;
-    } else {
-        item.quantity -= quantity;
-    }
+    const newQuantity = action === 'add' ? item.quantity + quantity : item.quantity - quantity;
     
-    db.stockMovements.push({
-        id: db.nextMovementId++,
-        itemId: itemId,
-        itemName: item.name,
-        type: action === 'add' ? 'entrada' : 'saida',
-        quantity: quantity,
-        reason: reason,
-        date: new Date().toISOString(),
-        user: getCurrentUser().name,
-        itemUnitValue: item.unitValue,
-        purchaseNotes: null, 
-        purchaseFileData: null,
-        purchaseFileName: null
-    });
-    
-    saveDb();
+    try {
+        await stockItemsRepository.update(itemId, { quantity: newQuantity });
+        await stockMovementsRepository.create({
+            itemId: itemId,
+            itemName: item.name,
+            type: action === 'add' ? 'entrada' : 'saida',
+            quantity: quantity,
+            reason: reason,
+            date: new Date().toISOString(),
+            user: getCurrentUser().name,
+            itemUnitValue: item.unitValue,
+            purchaseNotes: null, 
+            purchaseFileRef: null,
+            purchaseFileName: null
+        });
+    } catch (error) {
+        console.error('Erro ao ajustar estoque:', error);
+        showNotification('Erro ao ajustar o estoque. Tente novamente.', 'error');
+        return;
+    }
     
     document.getElementById('modal-adjust-stock').style.display = 'none';
     renderStockList();
@@ -1748,7 +2105,7 @@ function processStockAdjustment() {
     updateGlobalSearchDatalist();
 }
 
-function addNewFuncionario() {
+async function addNewFuncionario() {
     if (!checkTabAccess('funcionarios', 'edit')) { 
         showNotification('Você não tem permissão para adicionar funcionários.', 'error'); 
         return; 
@@ -1810,7 +2167,7 @@ function addNewFuncionario() {
         tabAccess: hasCustomAccess ? newTabAccess : null, 
     };
 
-    if (addFuncionario(funcionarioData)) { 
+    if (await addFuncionario(funcionarioData)) {
         document.getElementById('form-add-funcionario').reset();
         document.getElementById('modal-add-funcionario').style.display = 'none';
         renderFuncionarioList(); 
@@ -1908,7 +2265,8 @@ function renderGeneralDocuments(filter = '', typeFilter = '') {
             </div>
         ` : '';
 
-        const isImage = doc.fileData && /\.(jpe?g|png|gif|webp)$/i.test(doc.fileName);
+        const fileSource = doc.fileRef || doc.fileData;
+        const isImage = fileSource && /\.(jpe?g|png|gif|webp)$/i.test(doc.fileName);
         const docCard = document.createElement('div');
         docCard.className = `general-document-card ${isMeeting ? 'reuniao-card' : ''}`;
         docCard.style.setProperty('--card-accent-color', info.color);
@@ -1939,9 +2297,9 @@ function renderGeneralDocuments(filter = '', typeFilter = '') {
                     <span>Por ${doc.createdBy} em ${new Date(doc.createdAt).toLocaleDateString('pt-BR')}</span>
                 </div>
                 <div class="general-document-card-actions">
-                    ${isImage ? `<button class="btn-preview" onclick="window.previewFile('${doc.title}', '${doc.fileData}', '${doc.fileName}')"><i class="fa-solid fa-eye"></i> Visualizar</button>` : ''}
-                    ${doc.fileData ? `
-                        <a href="${doc.fileData}" download="${doc.fileName}" class="btn-download">
+                    ${isImage ? `<button class="btn-preview" onclick="${attachmentAction(fileSource, doc.fileName, 'preview', doc.title)}"><i class="fa-solid fa-eye"></i> Visualizar</button>` : ''}
+                    ${fileSource ? `
+                        <a href="#" onclick="${attachmentAction(fileSource, doc.fileName)}" class="btn-download">
                             <i class="fa-solid fa-download"></i> Baixar
                         </a>
                     ` : ''}
@@ -1953,7 +2311,7 @@ function renderGeneralDocuments(filter = '', typeFilter = '') {
     });
 }
 
-function addGeneralDocument() {
+async function addGeneralDocument() {
     if (!checkTabAccess('documentos', 'edit')) { 
         showNotification('Você não tem permissão para adicionar documentos gerais.', 'error'); 
         return; 
@@ -1977,41 +2335,34 @@ function addGeneralDocument() {
         return;
     }
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        if (!db.generalDocuments) {
-            db.generalDocuments = [];
-        }
+    if (!(await ensureUploadSpace([file]))) return;
 
-        const newDocument = {
-            id: db.nextGeneralDocumentId++,
+    try {
+        const fileRef = await storeAttachment(file, 'mural');
+        await generalDocumentsRepository.create({
             title: title,
             type: type,
             description: description,
             fileName: file.name,
-            fileData: e.target.result,
+            fileRef: fileRef,
             createdAt: new Date().toISOString(),
             createdBy: getCurrentUser().name,
+            createdByUserId: getCurrentUser().id,
             documentType: 'file'
-        };
-
-        db.generalDocuments.push(newDocument);
-        saveDb();
-        
-        document.getElementById('modal-add-general-document').style.display = 'none';
-        document.getElementById('form-add-general-document').reset();
-        renderGeneralDocuments();
-        showNotification('Documento adicionado com sucesso!', 'success');
-    };
-
-    reader.onerror = function() {
-        showNotification('Erro ao processar o arquivo. Tente novamente.', 'error');
-    };
+        });
+    } catch (error) {
+        console.error('Erro ao adicionar documento:', error);
+        showNotification('Erro ao salvar o documento. Tente novamente.', 'error');
+        return;
+    }
 
-    reader.readAsDataURL(file);
+    document.getElementById('modal-add-general-document').style.display = 'none';
+    document.getElementById('form-add-general-document').reset();
+    renderGeneralDocuments();
+    showNotification('Documento adicionado com sucesso!', 'success');
 }
 
-function addGeneralNote() {
+async function addGeneralNote() {
     if (!checkTabAccess('documentos', 'edit')) { 
         showNotification('Você não tem permissão para adicionar notas gerais.', 'error'); 
         return; 
@@ -2026,22 +2377,23 @@ function addGeneralNote() {
         return;
     }
 
-    if (!db.generalDocuments) {
-        db.generalDocuments = [];
-    }
-
     const newNote = {
-        id: db.nextGeneralDocumentId++,
         title: title,
         type: type,
         content: content,
         createdAt: new Date().toISOString(),
         createdBy: getCurrentUser().name,
+        createdByUserId: getCurrentUser().id,
         documentType: 'note'
     };
 
-    db.generalDocuments.push(newNote);
-    saveDb();
+    try {
+        await generalDocumentsRepository.create(newNote);
+    } catch (error) {
+        console.error('Erro ao adicionar nota:', error);
+        showNotification('Erro ao salvar a nota. Tente novamente.', 'error');
+        return;
+    }
     
     document.getElementById('modal-add-general-note').style.display = 'none';
     document.getElementById('form-add-general-note').reset();
@@ -2050,6 +2402,30 @@ function addGeneralNote() {
 }
 
 // NEW: Function to check and show meeting notifications on login
+/**
+ * Re-renders the views affected by a change made in another tab or by another user.
+ */
+function handleRealtimeChange({ entityName, type, record }) {
+    const currentUser = getCurrentUser();
+    if (!currentUser) return;
+
+    if (entityName === 'schedules' || entityName === 'rooms') {
+        if (checkTabAccess('agenda', 'view')) {
+            renderSchedule(document.getElementById('date-selector').value);
+            renderCalendar();
+        }
+    } else if (entityName === 'notifications') {
+        checkNotifications();
+        if (type === 'create' && record.userId === currentUser.id) {
+            showNotification(record.message, 'info', record.title);
+        }
+    } else if (checkTabAccess('estoque', 'view')) {
+        renderStockList();
+        renderStockMovements();
+        updateStockSummary();
+    }
+}
+
 function checkNotifications() {
     const notificationCheckDelay = 500;
 
@@ -2109,22 +2485,21 @@ function checkNotifications() {
 }
 
 // NEW: Function to mark notifications as read
-function markNotificationsAsRead() {
+async function markNotificationsAsRead() {
     const currentUser = getCurrentUser();
     if (!currentUser) return;
 
-    let madeChanges = false;
-    db.notifications.forEach(n => {
-        if (n.userId === currentUser.id && !n.isRead) {
-            n.isRead = true;
-            madeChanges = true;
-        }
-    });
+    const unread = db.notifications.filter(n => n.userId === currentUser.id && !n.isRead);
+    if (unread.length === 0) return;
 
-    if (madeChanges) {
-        saveDb();
-        setTimeout(checkNotifications, 300);
+    try {
+        for (const notification of unread) {
+            await notificationsRepository.update(notification.id, { isRead: true });
+        }
+    } catch (error) {
+        console.error('Erro ao marcar notificações como lidas:', error);
     }
+    setTimeout(checkNotifications, 300);
 }
 
 // NEW function to populate the role dropdown in the "Add Employee" modal
@@ -0,0 +1,241 @@
+// Schema migrations module
+// Numbered, ordered migrations for the `db` snapshot. Each one runs exactly once: the snapshot
+// records the last applied version in `schemaVersion`, so loading the data again is a no-op.
+// Append new migrations at the end with the next version number; never edit or reorder old ones.
+
+// Conversion factors used when legacy stock items were stored in packs instead of units
+export const STOCK_UNIT_FACTORS = {
+    unidade: 1,
+    pacote: 5,
+    caixa: 10,
+    resma: 15,
+    kit: 20,
+    lote: 25
+};
+
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Inicializa coleções e contadores ausentes',
+        up(data) {
+            ['clients', 'appointments', 'schedules', 'dailyNotes', 'generalDocuments', 'notifications', 'roles',
+                'users', 'stockItems', 'stockMovements'].forEach(collection => {
+                if (!Array.isArray(data[collection])) data[collection] = [];
+            });
+            ['nextDailyNoteId', 'nextGeneralDocumentId', 'nextChangeId', 'nextNotificationId'].forEach(counter => {
+                if (!data[counter]) data[counter] = 1;
+            });
+            data.schedules.forEach(schedule => {
+                if (schedule.assignedToUserId === undefined) {
+                    schedule.assignedToUserId = null;
+                    schedule.assignedToUserName = null;
+                }
+            });
+        }
+    },
+    {
+        version: 2,
+        description: 'Converte visibleTabs em tabAccess',
+        up(data) {
+            data.users.forEach(user => {
+                if (Array.isArray(user.visibleTabs)) {
+                    if (!user.tabAccess) {
+                        // Old visible tabs granted full edit access
+                        user.tabAccess = {};
+                        user.visibleTabs.forEach(tabId => {
+                            user.tabAccess[tabId] = 'edit';
+                        });
+                    }
+                } else if (user.visibleTabs === null) {
+                    user.tabAccess = null;
+                }
+                delete user.visibleTabs;
+                if (user.tabAccess === undefined) user.tabAccess = null;
+            });
+        }
+    },
+    {
+        version: 3,
+        description: 'Inicializa campos de perfil dos usuários',
+        up(data) {
+            data.users.forEach(user => {
+                if (user.address === undefined) user.address = '';
+                user.academicInfo = {
+                    institution: '',
+                    graduationPeriod: '',
+                    education: '',
+                    discipline: '',
+                    ...(user.academicInfo || {})
+                };
+                if (user.phone === undefined) user.phone = '';
+                if (user.email === undefined) user.email = '';
+                if (user.cpf === undefined) user.cpf = '';
+                if (user.changeHistory === undefined) user.changeHistory = [];
+            });
+        }
+    },
+    {
+        version: 4,
+        description: 'Converte itens de estoque para a unidade base',
+        up(data) {
+            data.stockItems.forEach(item => {
+                if (item.unitValue === undefined) item.unitValue = 0;
+                if (item.unit !== 'unidade') {
+                    item.quantity = item.quantity * (STOCK_UNIT_FACTORS[item.unit] || 1);
+                    item.unit = 'unidade';
+                }
+            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Completa os campos das movimentações de estoque',
+        up(data) {
+            data.stockMovements.forEach(movement => {
+                const relatedItem = data.stockItems.find(item => item.id === movement.itemId);
+                if (movement.itemUnitValue === undefined) {
+                    movement.itemUnitValue = relatedItem ? relatedItem.unitValue : 0;
+                }
+                if (movement.itemName === undefined) {
+                    movement.itemName = relatedItem ? relatedItem.name : (movement.type === 'exclusao' ? 'Item Removido' : 'Item Desconhecido');
+                }
+                if (movement.purchaseNotes === undefined) movement.purchaseNotes = null;
+                if (movement.purchaseFileData === undefined) movement.purchaseFileData = null;
+                if (movement.purchaseFileName === undefined) movement.purchaseFileName = null;
+            });
+        }
+    },
+    {
+        version: 6,
+        description: 'Inicializa a duração dos atendimentos',
+        up(data) {
+            data.appointments.forEach(appointment => {
+                if (appointment.durationHours === undefined) appointment.durationHours = 0;
+            });
+        }
+    },
+    {
+        version: 7,
+        description: 'Migra clientes para múltiplos profissionais vinculados',
+        up(data) {
+            data.clients.forEach(client => {
+                if (client.assignedInternId !== undefined) {
+                    client.assignedProfessionalId = client.assignedInternId;
+                    delete client.assignedInternId;
+                }
+                if (client.assignedInternName !== undefined) {
+                    client.assignedProfessionalName = client.assignedInternName;
+                    delete client.assignedInternName;
+                }
+                if (client.assignedProfessionalId !== undefined) {
+                    if (client.assignedProfessionalIds === undefined) {
+                        client.assignedProfessionalIds = client.assignedProfessionalId !== null ? [client.assignedProfessionalId] : [];
+                    }
+                    delete client.assignedProfessionalId;
+                    delete client.assignedProfessionalName;
+                }
+                if (client.assignedProfessionalIds === undefined) client.assignedProfessionalIds = [];
+                if (client.unit === undefined) client.unit = null;
+                if (client.changeHistory === undefined) client.changeHistory = [];
+                // Old clients were created by the director
+                if (client.createdByUserId === undefined) client.createdByUserId = 1;
+            });
+        }
+    },
+    {
+        version: 8,
+        description: "Renomeia notas diárias do tipo 'observacao' para 'nota'",
+        up(data) {
+            data.dailyNotes.forEach(note => {
+                if (note.type === 'observacao') note.type = 'nota';
+            });
+        }
+    },
+    {
+        version: 9,
+        description: 'Remove senhas salvas em texto puro e marca as contas de demonstração para desativação',
+        up(data) {
+            // The accounts older versions seeded into every installation, as [id, username]
+            const seededDemoAccounts = [
+                [1, 'director'], [2, 'staff'], [3, 'financeiro'], [4, 'tatiana_neuro'], [5, 'frances'],
+                [6, 'vanessa'], [7, 'luciana'], [8, 'debora'], [9, 'renata'], [10, 'nathalia'],
+                [11, 'walisson'], [12, 'tatiana'], [13, 'luiz'], [14, 'pedro'], [15, 'pedro_alexandre'],
+                [16, 'wallisson'], [18, 'raquel'], [19, 'tatiana_admin'], [20, 'renata_cantagalli'], [21, 'musica'],
+                [22, 'rachel'], [23, 'tatiane'], [24, 'christopher'], [25, 'yuri'], [26, 'kimberly'],
+                [27, 'beethoven'], [28, 'cristine'], [29, 'viviane'], [30, 'renata_fono'], [31, 'daniella'],
+                [32, 'jeferson']
+            ];
+            const isSeeded = user => seededDemoAccounts.some(([id, username]) => user.id === id && user.username === username);
+
+            (data.users || []).forEach(user => {
+                delete user.password;
+                if (isSeeded(user)) {
+                    user.isDemoAccount = true;
+                    user.deactivationPending = true;
+                }
+            });
+        }
+    },
+    {
+        version: 10,
+        description: 'Converte a unidade de cada funcionário em uma lista de unidades',
+        up(data) {
+            (data.users || []).forEach(user => {
+                if (user.units === undefined) {
+                    user.units = user.unit ? String(user.unit).split(',').map(unit => unit.trim()).filter(Boolean) : [];
+                }
+                delete user.unit;
+            });
+        }
+    },
+    {
+        version: 11,
+        description: 'Cria o registro de auditoria',
+        up(data) {
+            if (!Array.isArray(data.auditLog)) data.auditLog = [];
+            if (!data.nextAuditLogId) data.nextAuditLogId = 1;
+        }
+    },
+    {
+        version: 12,
+        description: 'Cria o catálogo de salas e recursos',
+        up(data) {
+            if (!Array.isArray(data.rooms)) data.rooms = [];
+            if (!data.nextRoomId) data.nextRoomId = 1;
+        }
+    }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Returns the migrations that have not been applied to a snapshot yet.
+ */
+export function getPendingMigrations(data) {
+    const currentVersion = data.schemaVersion || 0;
+    return MIGRATIONS.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Applies the pending migrations in order. Each migration runs on a copy of the data, so a
+ * migration that throws leaves the snapshot at the last version that succeeded.
+ * The returned `error` is set when a migration failed; the remaining ones are retried on the next load.
+ */
+export function runMigrations(data) {
+    const fromVersion = data.schemaVersion || 0;
+    let current = data;
+
+    for (const migration of getPendingMigrations(data)) {
+        const working = JSON.parse(JSON.stringify(current));
+        try {
+            migration.up(working);
+        } catch (error) {
+            console.error(`Erro na migração ${migration.version} (${migration.description}):`, error);
+            return {data: current, fromVersion, toVersion: current.schemaVersion || 0, error, failedMigration: migration};
+        }
+        working.schemaVersion = migration.version;
+        current = working;
+    }
+
+    return {data: current, fromVersion, toVersion: current.schemaVersion || 0, error: null, failedMigration: null};
+}
@@ -0,0 +1,142 @@
+/**
+ * Módulo de políticas de acesso
+ * Único ponto que decide se um usuario pode executar uma ação do catálogo de permissões (PERMISSION_CATALOG em roles.js),
+ * incluindo o acesso às abas. Segue a mesma ordem de has_tab_access/has_permission em supabase/schema.sql.
+ */
+
+import {db} from './database.js';
+import {getCurrentUser} from './auth.js';
+import {PERMISSION_CATALOG, ACTION_PERMISSIONS, SYSTEM_TABS, ROLE_GROUPS, ROLE_GROUP_NAMES, ACCESS_LEVEL_LABELS, getRoleName} from './roles.js';
+
+/**
+ * Obtém o cargo seguido dos grupos de cargos a que ele pertence (ex: 'coordinator_madre' ⇒ 'coordinator')
+ * @param {string} roleId - ID do cargo
+ * @returns {Array} Cargo e grupos, do mais específico ao mais geral
+ */
+export const getRoleAncestors = (roleId) => [
+    roleId,
+    ...Object.keys(ROLE_GROUPS).filter(group => ROLE_GROUPS[group].includes(roleId))
+];
+
+/**
+ * Verifica se um cargo está em uma lista de cargos, diretamente ou por um dos seus grupos
+ * @param {string} roleId - ID do cargo
+ * @param {Array} roles - Lista de cargos e grupos permitidos
+ * @returns {boolean} Verdadeiro se o cargo estiver na lista
+ */
+export const roleMatches = (roleId, roles) => getRoleAncestors(roleId).some(role => roles.includes(role));
+
+// Concessão explícita de uma ação para o funcionário ou cargo personalizado; undefined quando não há nenhuma.
+// As ações de aba também seguem o nível de acesso ('none', 'view' ou 'edit') definido para a aba.
+const resolveGrant = (action, permissions, tabAccess) => {
+    if (permissions && typeof permissions[action.id] === 'boolean') {
+        return {allowed: permissions[action.id], detail: permissions[action.id] ? 'Permitido' : 'Negado'};
+    }
+    const accessLevel = action.tab && tabAccess ? tabAccess[action.tab] : undefined;
+    if (!accessLevel) return undefined;
+    return {
+        allowed: accessLevel === 'edit' || (action.access === 'view' && accessLevel === 'view'),
+        detail: `aba com acesso "${ACCESS_LEVEL_LABELS[accessLevel] || accessLevel}"`
+    };
+};
+
+/**
+ * Explica se o usuario pode executar uma ação e de onde vem a decisão
+ * Ordem: diretoria (acesso total), concessões do funcionário, concessões do cargo personalizado e,
+ * por fim, o padrão do catálogo (cargos ou grupos de cargos da ação, ou alguma das ações herdadas)
+ * @param {string} actionId - ID da ação (ex: 'client.delete' ou 'tab.agenda.edit')
+ * @param {Object} user - Usuário a ser verificado (opcional, pega o usuario atual se não informado)
+ * @returns {Object} {allowed, source, reason}; source é 'director', 'user', 'customRole', 'role', 'inherited',
+ *                   'default', 'unknown' ou 'anonymous'
+ */
+export const explainPermission = (actionId, user = null) => {
+    if (!user) {
+        user = getCurrentUser();
+    }
+
+    if (!user) return {allowed: false, source: 'anonymous', reason: 'Nenhum usuário autenticado'};
+
+    // 1. Acesso de Diretor (acesso total)
+    if (user.role === 'director') return {allowed: true, source: 'director', reason: 'Diretoria tem acesso total'};
+
+    const action = PERMISSION_CATALOG.find(permission => permission.id === actionId);
+    if (!action) {
+        console.warn(`Ação '${actionId}' não encontrada no catálogo de permissões.`);
+        return {allowed: false, source: 'unknown', reason: `Ação '${actionId}' não está no catálogo de permissões`};
+    }
+
+    // 2. Permissões personalizadas do usuário
+    const userGrant = resolveGrant(action, user.permissions, user.tabAccess);
+    if (userGrant) return {allowed: userGrant.allowed, source: 'user', reason: `Definido para o funcionário (${userGrant.detail})`};
+
+    // 3. Permissões definidas para o cargo personalizado (herdadas por todos os seus usuários)
+    const customRole = db.roles.find(role => role.id === user.role && role.isCustom);
+    if (customRole) {
+        const roleGrant = resolveGrant(action, customRole.permissions, customRole.tabAccess);
+        if (roleGrant) return {allowed: roleGrant.allowed, source: 'customRole', reason: `Definido no cargo ${customRole.name} (${roleGrant.detail})`};
+    }
+
+    // 4. Padrão do catálogo: o próprio cargo ou um grupo a que ele pertence
+    const matchedRole = getRoleAncestors(user.role).find(role => (action.roles || []).includes(role));
+    if (matchedRole) {
+        const reason = matchedRole === user.role
+            ? `Padrão do cargo ${getRoleName(user.role)}`
+            : `Padrão do grupo ${ROLE_GROUP_NAMES[matchedRole] || matchedRole} (${getRoleName(user.role)})`;
+        return {allowed: true, source: 'role', reason};
+    }
+
+    // 5. Ações que incluem esta (ex: editar uma aba inclui visualizá-la)
+    for (const inheritedId of action.inherits || []) {
+        const inherited = explainPermission(inheritedId, user);
+        if (inherited.allowed) {
+            const inheritedAction = PERMISSION_CATALOG.find(permission => permission.id === inheritedId);
+            return {allowed: true, source: 'inherited', reason: `Incluído em "${inheritedAction?.label || inheritedId}": ${inherited.reason}`};
+        }
+    }
+
+    return {allowed: false, source: 'default', reason: `Não concedido ao cargo ${getRoleName(user.role)}`};
+};
+
+/**
+ * Verifica se o usuario pode executar uma ação do catálogo de permissões
+ * @param {string} actionId - ID da ação (ex: 'client.delete' ou 'tab.agenda.edit')
+ * @param {Object} user - Usuário a ser verificado (opcional, pega o usuario atual se não informado)
+ * @returns {boolean} Verdadeiro se o usuario tiver permissão
+ */
+export const hasPermission = (actionId, user = null) => explainPermission(actionId, user).allowed;
+
+/**
+ * Verifica se o usuario tem permissão para acessar uma aba específica
+ * (equivale à ação 'tab.<aba>.<nível>' do catálogo de permissões)
+ * @param {string} tabId - ID da aba
+ * @param {string} requiredAccess - Nível de acesso necessário ('view' ou 'edit')
+ * @param {Object} user - Usuário a ser verificado (opcional, pega o usuario atual se não informado)
+ * @returns {boolean} Verdadeiro se o usuario tiver permissão
+ */
+export const checkTabAccess = (tabId, requiredAccess = 'view', user = null) => {
+    return hasPermission(`tab.${tabId}.${requiredAccess}`, user);
+};
+
+/**
+ * Explica o acesso efetivo do usuario a uma aba ('none', 'view' ou 'edit')
+ * @param {string} tabId - ID da aba
+ * @param {Object} user - Usuário a ser verificado (opcional)
+ * @returns {Object} {access, source, reason}
+ */
+export const explainTabAccess = (tabId, user = null) => {
+    const edit = explainPermission(`tab.${tabId}.edit`, user);
+    if (edit.allowed) return {access: 'edit', source: edit.source, reason: edit.reason};
+    const view = explainPermission(`tab.${tabId}.view`, user);
+    return {access: view.allowed ? 'view' : 'none', source: view.source, reason: view.reason};
+};
+
+/**
+ * Resolve todas as abas e ações do catálogo para um usuario (ou para um cargo, passando {role: id})
+ * @param {Object} user - Usuário a ser verificado (opcional)
+ * @returns {Object} {tabs, actions}; cada aba traz {id, label, access, source, reason} e cada ação
+ *                   {id, group, label, allowed, source, reason}
+ */
+export const getEffectivePermissions = (user = null) => ({
+    tabs: SYSTEM_TABS.map(tab => ({id: tab.id, label: tab.label, ...explainTabAccess(tab.id, user)})),
+    actions: ACTION_PERMISSIONS.map(action => ({id: action.id, group: action.group, label: action.label, ...explainPermission(action.id, user)}))
+});
@@ -0,0 +1,320 @@
+// Storage health module
+// Measures how much of the browser storage the app uses, warns the director before the limit,
+// blocks new uploads when storage is nearly full and archives old data into a downloadable bundle.
+import {db, setSaveErrorHandler, discardPreMigrationBackup, restorePreMigrationBackup} from './database.js';
+import {isRoleAllowed} from './auth.js';
+import {DIRECTOR_ONLY} from './roles.js';
+import {showNotification} from './ui.js';
+import {notificationsRepository} from './repository.js';
+import {listAttachmentSlots, getAttachmentBlob, removeAttachment} from './attachments.js';
+import {createTarArchive, downloadBlob} from './utils.js';
+
+// Browsers allow about 5 million characters of localStorage per origin
+const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+const WARNING_RATIO = 0.8;
+const UPLOAD_BLOCK_RATIO = 0.95;
+const SAVE_ERROR_NOTICE_INTERVAL_MS = 30 * 1000;
+const DB_KEY = 'gestaoClientesDb';
+const MIGRATION_BACKUP_KEY = 'gestaoClientesDbBackup';
+
+const COLLECTION_LABELS = {
+    clients: 'Clientes e atendimentos',
+    attachments: 'Anexos incorporados',
+    schedules: 'Agendamentos',
+    stockItems: 'Itens de estoque',
+    stockMovements: 'Movimentações de estoque',
+    notifications: 'Notificações',
+    dailyNotes: 'Notas financeiras',
+    generalDocuments: 'Mural',
+    users: 'Usuários e cargos',
+    backup: 'Backup anterior à migração',
+    other: 'Outros (fila offline, configurações)'
+};
+
+let lastSaveErrorNoticeAt = 0;
+let warningShown = false;
+
+function formatSize(characters) {
+    if (characters >= 1024 * 1024) return `${(characters / (1024 * 1024)).toFixed(2).replace('.', ',')} MB`;
+    return `${Math.max(1, Math.round(characters / 1024))} KB`;
+}
+
+function formatPercent(ratio) {
+    return `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Measures the localStorage usage per collection. Sizes are in characters, which is what the quota counts.
+ * Files still embedded as data URLs are reported under 'attachments' instead of the collection holding them.
+ */
+export function measureStorage() {
+    const sizes = {};
+    const add = (id, size) => {
+        sizes[id] = (sizes[id] || 0) + size;
+    };
+
+    ['clients', 'schedules', 'stockItems', 'stockMovements', 'notifications', 'dailyNotes', 'generalDocuments'].forEach(collection => {
+        add(collection, JSON.stringify(db[collection] || []).length);
+    });
+    add('users', JSON.stringify(db.users || []).length + JSON.stringify(db.roles || []).length);
+
+    let storedAttachmentCount = 0;
+    let storedAttachmentSize = 0;
+    listAttachmentSlots().forEach(slot => {
+        const embedded = slot.item[slot.dataField];
+        if (typeof embedded === 'string') {
+            add('attachments', embedded.length);
+            add(slot.collection, -embedded.length);
+        }
+        const ref = slot.item[slot.refField];
+        if (ref && !ref.archivedAt) {
+            storedAttachmentCount++;
+            storedAttachmentSize += ref.size || 0;
+        }
+    });
+
+    let used = 0;
+    for (let index = 0; index < localStorage.length; index++) {
+        const key = localStorage.key(index);
+        const size = key.length + (localStorage.getItem(key) || '').length;
+        used += size;
+        if (key === MIGRATION_BACKUP_KEY) add('backup', size);
+        else if (key !== DB_KEY) add('other', size);
+    }
+
+    const entries = Object.keys(COLLECTION_LABELS)
+        .filter(id => sizes[id] > 0)
+        .map(id => ({id, label: COLLECTION_LABELS[id], size: sizes[id]}))
+        .sort((a, b) => b.size - a.size);
+
+    return {
+        used,
+        quota: LOCAL_STORAGE_QUOTA,
+        ratio: used / LOCAL_STORAGE_QUOTA,
+        entries,
+        storedAttachments: {count: storedAttachmentCount, size: storedAttachmentSize}
+    };
+}
+
+/**
+ * Returns true when there is room for new files; otherwise explains why uploads are blocked.
+ */
+export async function ensureUploadSpace(files) {
+    const {ratio} = measureStorage();
+    if (ratio >= UPLOAD_BLOCK_RATIO) {
+        showNotification(`O armazenamento deste computador está ${formatPercent(ratio)} cheio. Novos anexos estão bloqueados até que a diretoria arquive dados antigos.`, 'error', 'Armazenamento Cheio', 10000);
+        return false;
+    }
+
+    // Files kept in IndexedDB count against the browser's quota for the whole site
+    if (navigator.storage && navigator.storage.estimate) {
+        const totalSize = Array.from(files).reduce((sum, file) => sum + (file ? file.size : 0), 0);
+        const {usage, quota} = await navigator.storage.estimate();
+        if (quota && usage + totalSize > quota * UPLOAD_BLOCK_RATIO) {
+            showNotification('Não há espaço suficiente neste computador para salvar o anexo. Peça à diretoria para arquivar anexos antigos.', 'error', 'Armazenamento Cheio', 10000);
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Warns the director once per session when the storage is getting full.
+ */
+export function checkStorageHealth() {
+    if (warningShown || !isRoleAllowed(DIRECTOR_ONLY)) return;
+    const {ratio} = measureStorage();
+    if (ratio < WARNING_RATIO) return;
+
+    warningShown = true;
+    showNotification(`O armazenamento local está ${formatPercent(ratio)} cheio. Em Funcionários > Armazenamento é possível arquivar notificações e anexos antigos.`, 'warning', 'Armazenamento', 10000);
+}
+
+function handleSaveError(error) {
+    // Repeated failures are reported at most once per interval
+    if (Date.now() - lastSaveErrorNoticeAt < SAVE_ERROR_NOTICE_INTERVAL_MS) return;
+    lastSaveErrorNoticeAt = Date.now();
+
+    const quotaExceeded = error && (error.name === 'QuotaExceededError' || error.code === 22);
+    const message = quotaExceeded
+        ? 'O armazenamento deste computador está cheio e as últimas alterações não foram salvas. Não recarregue a página; peça à diretoria para arquivar dados antigos.'
+        : 'Não foi possível salvar as últimas alterações neste computador. Não recarregue a página e tente novamente.';
+    showNotification(message, 'error', 'Falha ao Salvar', 0);
+}
+
+// --- Panel ---
+
+/**
+ * Renders the usage table in the storage modal.
+ */
+export function renderStorageHealth() {
+    const container = document.getElementById('storage-health-report');
+    if (!container) return;
+
+    const report = measureStorage();
+    const level = report.ratio >= UPLOAD_BLOCK_RATIO ? 'critical' : report.ratio >= WARNING_RATIO ? 'warning' : 'ok';
+
+    container.innerHTML = `
+        <div class="storage-usage">
+            <div class="storage-usage-bar ${level}"><span style="width: ${Math.min(100, report.ratio * 100)}%"></span></div>
+            <p><strong>${formatSize(report.used)}</strong> de aproximadamente ${formatSize(report.quota)} usados (${formatPercent(report.ratio)}).</p>
+            <p>${report.storedAttachments.count} anexo(s) salvos fora dos dados (${formatSize(report.storedAttachments.size)}).</p>
+        </div>
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Dados</th><th>Tamanho</th><th>Participação</th><th></th></tr></thead>
+                <tbody>
+                    ${report.entries.map(entry => `
+                        <tr>
+                            <td>${entry.label}</td>
+                            <td>${formatSize(entry.size)}</td>
+                            <td>${formatPercent(entry.size / report.used)}</td>
+                            <td>${entry.id === 'backup' ? '<button type="button" class="btn-secondary btn-small" onclick="restoreMigrationBackup()">Restaurar</button> <button type="button" class="btn-secondary btn-small" onclick="discardMigrationBackup()">Descartar</button>' : ''}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Opens the storage modal (director only).
+ */
+export function showStorageHealthModal() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerenciar o armazenamento.', 'error');
+        return;
+    }
+    renderStorageHealth();
+    document.getElementById('modal-storage-health').style.display = 'flex';
+}
+
+function discardMigrationBackup() {
+    if (!confirm('Descartar o backup feito antes da última atualização dos dados? Ele só é necessário se os dados atuais estiverem com problemas.')) return;
+    discardPreMigrationBackup();
+    renderStorageHealth();
+    showNotification('Backup descartado.', 'success');
+}
+
+/**
+ * Puts back the data saved before the last update of the stored data and reloads the app, which migrates it again.
+ * Offered in the storage modal and in the notice shown when a migration fails.
+ */
+function restoreMigrationBackup() {
+    if (!confirm('Restaurar os dados salvos antes da última atualização? As alterações feitas neste computador desde então serão perdidas.')) return;
+    if (!restorePreMigrationBackup()) {
+        showNotification('Não há backup anterior à atualização neste computador.', 'warning');
+        return;
+    }
+    // Reload right away: any save in the meantime would overwrite the restored data
+    window.location.reload();
+}
+
+/**
+ * Bundles read notifications and locally stored attachments older than the chosen number of days into a
+ * .tar file, downloads it and, after confirmation, removes them from this computer.
+ */
+export async function archiveOldData() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode arquivar dados.', 'error');
+        return;
+    }
+
+    const days = parseInt(document.getElementById('archive-older-than-days').value);
+    const includeNotifications = document.getElementById('archive-notifications').checked;
+    const includeAttachments = document.getElementById('archive-attachments').checked;
+    if (!days || days < 1 || (!includeNotifications && !includeAttachments)) {
+        showNotification('Informe a idade mínima e o que deve ser arquivado.', 'warning');
+        return;
+    }
+
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const archivedAt = new Date().toISOString();
+    const archiveName = `arquivo-${archivedAt.slice(0, 10)}.tar`;
+
+    const notifications = includeNotifications
+        ? db.notifications.filter(notification => notification.isRead && notification.createdAt < cutoff)
+        : [];
+    // Only files kept on this computer take local space; shared files stay in the Supabase bucket
+    const attachmentSlots = includeAttachments
+        ? listAttachmentSlots().filter(slot => {
+            const ref = slot.item[slot.refField];
+            const embedded = slot.item[slot.dataField];
+            if (ref) return ref.storage === 'indexeddb' && !ref.archivedAt && ref.uploadedAt < cutoff;
+            return typeof embedded === 'string' && (slot.item.uploadDate || slot.item.createdAt || '') < cutoff;
+        })
+        : [];
+
+    if (notifications.length === 0 && attachmentSlots.length === 0) {
+        showNotification('Nenhum item antigo para arquivar com os critérios escolhidos.', 'info');
+        return;
+    }
+
+    let bundle;
+    const archivedFiles = [];
+    try {
+        const fileEntries = [];
+        for (const [index, slot] of attachmentSlots.entries()) {
+            const ref = slot.item[slot.refField];
+            const fileName = slot.item[slot.nameField] || 'anexo';
+            const path = `anexos/${String(index + 1).padStart(4, '0')}-${(ref ? ref.key.split('/').pop() : fileName)}`.slice(0, 100);
+            fileEntries.push({name: path, data: await getAttachmentBlob(ref || slot.item[slot.dataField])});
+            archivedFiles.push({slot, path, label: slot.label, fileName, ref: ref || null});
+        }
+
+        const manifest = {
+            archiveName,
+            archivedAt,
+            olderThan: cutoff,
+            notifications,
+            attachments: archivedFiles.map(({path, label, fileName, ref}) => ({path, label, fileName, ref}))
+        };
+        bundle = createTarArchive([{name: 'manifest.json', data: JSON.stringify(manifest, null, 2)}, ...fileEntries]);
+    } catch (error) {
+        console.error('Erro ao montar o pacote de arquivo:', error);
+        showNotification('Não foi possível montar o pacote de arquivo. Nada foi removido.', 'error');
+        return;
+    }
+
+    downloadBlob(bundle, archiveName);
+    if (!confirm(`O pacote "${archiveName}" com ${notifications.length} notificação(ões) e ${archivedFiles.length} anexo(s) foi baixado. Guarde-o em local seguro. Remover esses itens deste computador agora?`)) {
+        return;
+    }
+
+    let failures = 0;
+    for (const notification of notifications) {
+        try {
+            await notificationsRepository.remove(notification.id);
+        } catch (error) {
+            failures++;
+            console.error('Erro ao arquivar notificação:', error);
+        }
+    }
+    for (const {slot, fileName, ref} of archivedFiles) {
+        try {
+            // The reference stays in the record so the UI can tell where the file went
+            await slot.replace({
+                ...slot.item,
+                [slot.dataField]: null,
+                [slot.refField]: {...(ref || {fileName}), archivedAt, archiveName}
+            });
+            await removeAttachment(ref);
+        } catch (error) {
+            failures++;
+            console.error('Erro ao arquivar anexo:', error);
+        }
+    }
+
+    renderStorageHealth();
+    if (failures > 0) {
+        showNotification(`Arquivamento concluído com ${failures} falha(s). Os itens que falharam continuam neste computador.`, 'warning');
+    } else {
+        showNotification('Itens antigos arquivados e removidos deste computador.', 'success');
+    }
+}
+
+setSaveErrorHandler(handleSaveError);
+
+window.discardMigrationBackup = discardMigrationBackup;
+window.restoreMigrationBackup = restoreMigrationBackup;
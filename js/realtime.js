@@ -0,0 +1,90 @@
+// Realtime updates module
+// Pushes schedule, room catalog, notification and stock changes made by other users into the open app.
+// With the Supabase driver the changes come from realtime channels; tabs on the same machine
+// (or every tab, with the local driver) also exchange them through a BroadcastChannel.
+import {supabase} from './supabase.js';
+import {fromRow, tableFor, getPersistenceDriver, setChangeListener, applyExternalChange} from './repository.js';
+import {hasPendingOperations} from './sync.js';
+
+const REALTIME_ENTITIES = ['schedules', 'rooms', 'notifications', 'stockItems', 'stockMovements'];
+const BROADCAST_CHANNEL_NAME = 'gestaoClientesChanges';
+const REALTIME_EVENT_TYPES = {INSERT: 'create', UPDATE: 'update', DELETE: 'remove'};
+
+let realtimeChannel = null;
+let broadcastChannel = null;
+let realtimeConnected = false;
+let changeHandler = null;
+
+function applyChange(entityName, type, record) {
+    // Records with queued offline edits are reconciled by the outbox replay instead
+    if (hasPendingOperations(entityName, record.id)) return;
+
+    applyExternalChange(entityName, type, record);
+    if (changeHandler) changeHandler({entityName, type, record});
+}
+
+function broadcastLocalChange(entityName, type, record) {
+    // Once the Supabase channel is up it already reaches every tab, including the ones on this machine
+    if (!broadcastChannel || realtimeConnected || !REALTIME_ENTITIES.includes(entityName)) return;
+    broadcastChannel.postMessage({entityName, type, record: JSON.parse(JSON.stringify(record))});
+}
+
+function subscribeToSupabase() {
+    realtimeChannel = supabase.channel('alteracoes-compartilhadas');
+    REALTIME_ENTITIES.forEach(entityName => {
+        realtimeChannel.on('postgres_changes', {event: '*', schema: 'public', table: tableFor(entityName)}, payload => {
+            const type = REALTIME_EVENT_TYPES[payload.eventType];
+            if (type === 'remove') {
+                applyChange(entityName, type, {id: payload.old.id});
+            } else {
+                applyChange(entityName, type, fromRow(entityName, payload.new));
+            }
+        });
+    });
+    realtimeChannel.subscribe((status, error) => {
+        realtimeConnected = status === 'SUBSCRIBED';
+        if (error) console.error('Erro no canal de atualizações em tempo real:', error);
+    });
+}
+
+/**
+ * Starts listening for changes made elsewhere. `onChange` receives {entityName, type, record}
+ * after the change has been applied to `db`, so it only needs to re-render.
+ */
+export function startRealtime(onChange) {
+    stopRealtime();
+    changeHandler = onChange;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+        broadcastChannel = new BroadcastChannel(BROADCAST_CHANNEL_NAME);
+        broadcastChannel.onmessage = ({data}) => {
+            if (REALTIME_ENTITIES.includes(data.entityName)) applyChange(data.entityName, data.type, data.record);
+        };
+    }
+    setChangeListener(broadcastLocalChange);
+
+    if (getPersistenceDriver() === 'supabase') {
+        try {
+            subscribeToSupabase();
+        } catch (error) {
+            console.error('Erro ao assinar atualizações em tempo real:', error);
+        }
+    }
+}
+
+/**
+ * Stops every subscription (used on logout).
+ */
+export function stopRealtime() {
+    if (realtimeChannel) {
+        supabase.removeChannel(realtimeChannel);
+        realtimeChannel = null;
+    }
+    if (broadcastChannel) {
+        broadcastChannel.close();
+        broadcastChannel = null;
+    }
+    realtimeConnected = false;
+    changeHandler = null;
+    setChangeListener(null);
+}
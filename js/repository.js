@@ -0,0 +1,801 @@
+// Persistence repository module
+// Per-entity async CRUD over either the local `db` snapshot (localStorage) or the Supabase tables.
+// Both drivers keep the in-memory `db` object up to date, so render functions can keep reading from it.
+import {db, saveDb} from './database.js';
+import {supabase} from './supabase.js';
+
+// --- Entity definitions ---
+// `columns` maps the camelCase fields used in memory to the snake_case columns of supabase/schema.sql.
+// Fields without a column are kept in the entity's JSON column so nothing is lost on the round trip.
+
+const ENTITIES = {
+    clients: {
+        collection: 'clients',
+        table: 'clientes',
+        counter: 'nextClientId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            name: 'name',
+            birthDate: 'birth_date',
+            cpf: 'cpf',
+            rg: 'rg',
+            gender: 'gender',
+            escola: 'school',
+            anoEscolar: 'grade',
+            address: 'address',
+            diagnosticoPrincipal: 'diagnosis',
+            unit: 'unit',
+            isActive: 'is_active',
+            createdAt: 'created_at',
+            updatedAt: 'updated_at'
+        },
+        // Attendances live in their own table (see `appointments` below)
+        omit: ['appointments'],
+        relations: {
+            assignedProfessionalIds: {
+                table: 'clientes_profissionais',
+                foreignKey: 'cliente_id',
+                valueColumn: 'funcionario_id'
+            }
+        }
+    },
+    schedules: {
+        collection: 'schedules',
+        table: 'agendamentos',
+        counter: 'nextScheduleId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            clientId: 'cliente_id',
+            assignedToUserId: 'funcionario_id',
+            serviceType: 'service_type',
+            status: 'status',
+            observations: 'notes',
+            seriesId: 'serie_id',
+            roomId: 'sala_id',
+            createdByUserId: 'created_by',
+            createdAt: 'created_at',
+            updatedAt: 'updated_at'
+        },
+        omit: ['date', 'time'],
+        toRow: (record, row) => {
+            if (record.date === undefined) return;
+            const start = `${record.date}T${record.time || '00:00'}:00`;
+            const end = new Date(`${start}Z`);
+            end.setUTCMinutes(end.getUTCMinutes() + Math.round((record.durationHours || 1) * 60));
+            row.start_time = start;
+            row.end_time = end.toISOString().slice(0, 19);
+        },
+        fromRow: (row, record) => {
+            if (!row.start_time) return;
+            // Times are stored as wall-clock values, so the offset returned by Postgres is ignored
+            record.date = row.start_time.slice(0, 10);
+            record.time = row.start_time.slice(11, 16);
+            // Rows written outside the app have no duration in extra_data
+            if (record.durationHours === undefined && row.end_time) {
+                record.durationHours = (Date.parse(`${row.end_time.slice(0, 19)}Z`) - Date.parse(`${row.start_time.slice(0, 19)}Z`)) / 3600000;
+            }
+        }
+    },
+    appointments: {
+        collection: 'appointments',
+        table: 'atendimentos',
+        counter: 'nextAppointmentId',
+        jsonColumn: 'extra_data',
+        // Attendances are stored inside each client in the local snapshot
+        parent: {collection: 'clients', key: 'clientId'},
+        columns: {
+            id: 'id',
+            clientId: 'cliente_id',
+            scheduleId: 'agendamento_id',
+            date: 'date',
+            time: 'time',
+            serviceType: 'service_type',
+            anamnesisTypeId: 'anamnesis_type_id',
+            notes: 'notes',
+            value: 'value',
+            durationHours: 'duration_hours',
+            status: 'status',
+            attendedBy: 'attended_by',
+            internId: 'intern_id',
+            confirmedAt: 'confirmed_at'
+        }
+    },
+    rooms: {
+        collection: 'rooms',
+        table: 'salas_recursos',
+        counter: 'nextRoomId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            name: 'name',
+            type: 'type',
+            unit: 'unit',
+            quantity: 'quantity',
+            isActive: 'is_active',
+            createdAt: 'created_at'
+        }
+    },
+    stockItems: {
+        collection: 'stockItems',
+        table: 'estoque',
+        counter: 'nextStockItemId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            name: 'name',
+            description: 'description',
+            quantity: 'quantity',
+            minStock: 'min_stock_level',
+            unit: 'unit_of_measure',
+            updatedAt: 'last_updated'
+        }
+    },
+    stockMovements: {
+        collection: 'stockMovements',
+        table: 'movimentacoes_estoque',
+        counter: 'nextMovementId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            itemId: 'item_id',
+            type: 'type',
+            quantity: 'quantity',
+            reason: 'reason',
+            scheduleId: 'agendamento_id',
+            userId: 'funcionario_id',
+            date: 'movement_date'
+        }
+    },
+    dailyNotes: {
+        collection: 'dailyNotes',
+        table: 'transacoes_financeiras',
+        counter: 'nextDailyNoteId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            title: 'description',
+            type: 'type',
+            value: 'amount',
+            date: 'transaction_date',
+            content: 'notes',
+            createdAt: 'created_at'
+        }
+    },
+    generalDocuments: {
+        collection: 'generalDocuments',
+        table: 'mural',
+        counter: 'nextGeneralDocumentId',
+        jsonColumn: 'meta_data',
+        columns: {
+            id: 'id',
+            title: 'title',
+            content: 'content',
+            type: 'type',
+            createdByUserId: 'created_by',
+            createdAt: 'created_at'
+        }
+    },
+    users: {
+        collection: 'users',
+        table: 'funcionarios',
+        counter: 'nextUserId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            name: 'name',
+            email: 'email',
+            role: 'role_id',
+            phone: 'phone',
+            address: 'address',
+            cpf: 'cpf',
+            isActive: 'is_active',
+            mustChangePassword: 'must_change_password',
+            createdAt: 'created_at',
+            updatedAt: 'updated_at'
+        },
+        // Passwords belong to Supabase Auth and are never kept in the app data
+        omit: ['password', 'units'],
+        // An employee may work in several units; the TEXT column keeps them comma-separated
+        toRow: (record, row) => {
+            if (record.units !== undefined) row.unit = record.units.length > 0 ? record.units.join(',') : null;
+        },
+        fromRow: (row, record) => {
+            if (row.unit !== undefined) record.units = row.unit ? row.unit.split(',') : [];
+        }
+    },
+    roles: {
+        collection: 'roles',
+        table: 'roles',
+        // Role ids are readable keys chosen by the app (TEXT primary key), not SERIAL values
+        naturalId: true,
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            name: 'name',
+            tabAccess: 'tab_access',
+            isCustom: 'is_custom',
+            createdAt: 'created_at'
+        }
+    },
+    auditLog: {
+        collection: 'auditLog',
+        table: 'auditoria',
+        counter: 'nextAuditLogId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            actorId: 'actor_id',
+            actorName: 'actor_name',
+            entityName: 'entity',
+            recordId: 'record_id',
+            action: 'action',
+            changes: 'changes',
+            source: 'source',
+            createdAt: 'created_at'
+        }
+    },
+    notifications: {
+        collection: 'notifications',
+        table: 'notificacoes',
+        counter: 'nextNotificationId',
+        jsonColumn: 'extra_data',
+        columns: {
+            id: 'id',
+            userId: 'user_id',
+            type: 'type',
+            title: 'title',
+            message: 'message',
+            relatedId: 'related_id',
+            isRead: 'is_read',
+            createdAt: 'created_at'
+        }
+    }
+};
+
+// --- Mapping ---
+
+/**
+ * Converts an in-memory record (camelCase) into a table row (snake_case).
+ */
+export function toRow(entityName, record) {
+    const entity = getEntity(entityName);
+    const row = {};
+    const extra = {};
+
+    Object.entries(record).forEach(([field, value]) => {
+        if ((entity.omit || []).includes(field) || (entity.relations && entity.relations[field])) return;
+        const column = entity.columns[field];
+        if (column) {
+            // Empty form values would be rejected by DATE/NUMERIC columns
+            row[column] = value === '' ? null : value;
+        } else {
+            extra[field] = value;
+        }
+    });
+
+    if (entity.toRow) entity.toRow(record, row);
+    if (Object.keys(extra).length > 0) row[entity.jsonColumn] = extra;
+    return row;
+}
+
+/**
+ * Converts a table row (snake_case) back into the in-memory record shape (camelCase).
+ */
+export function fromRow(entityName, row) {
+    const entity = getEntity(entityName);
+    const record = {...(row[entity.jsonColumn] || {})};
+
+    Object.entries(entity.columns).forEach(([field, column]) => {
+        if (row[column] !== undefined) record[field] = row[column];
+    });
+    Object.entries(entity.relations || {}).forEach(([field, relation]) => {
+        if (row[relation.table]) record[field] = row[relation.table].map(link => link[relation.valueColumn]);
+    });
+
+    if (entity.fromRow) entity.fromRow(row, record);
+    return record;
+}
+
+/**
+ * Returns the Supabase table that stores an entity.
+ */
+export function tableFor(entityName) {
+    return getEntity(entityName).table;
+}
+
+function getEntity(entityName) {
+    const entity = ENTITIES[entityName];
+    if (!entity) throw new Error(`Entidade desconhecida: ${entityName}`);
+    return entity;
+}
+
+// --- Local snapshot helpers (shared by both drivers) ---
+
+function localEntries(entity) {
+    if (!entity.parent) {
+        if (!db[entity.collection]) db[entity.collection] = [];
+        return db[entity.collection].map(record => ({record, owner: db[entity.collection], parentId: null}));
+    }
+    return (db[entity.parent.collection] || []).flatMap(parent =>
+        (parent[entity.collection] || []).map(record => ({record, owner: parent[entity.collection], parentId: parent.id}))
+    );
+}
+
+function withParentKey(entity, entry) {
+    return entity.parent ? {...entry.record, [entity.parent.key]: entry.parentId} : entry.record;
+}
+
+function matchesFilters(record, filters) {
+    return Object.entries(filters).every(([field, value]) => record[field] === value);
+}
+
+function findLocalEntry(entity, id) {
+    return localEntries(entity).find(entry => entry.record.id === id) || null;
+}
+
+function upsertLocal(entity, record) {
+    const entry = findLocalEntry(entity, record.id);
+    if (entry) {
+        Object.assign(entry.record, record);
+        return entry.record;
+    }
+
+    let owner = db[entity.collection];
+    if (entity.parent) {
+        const parent = (db[entity.parent.collection] || []).find(p => p.id === record[entity.parent.key]);
+        if (!parent) throw new Error(`Registro pai ${record[entity.parent.key]} não encontrado para ${entity.collection}.`);
+        if (!parent[entity.collection]) parent[entity.collection] = [];
+        owner = parent[entity.collection];
+    } else if (!owner) {
+        owner = db[entity.collection] = [];
+    }
+    owner.push(record);
+    return record;
+}
+
+function removeLocal(entity, id) {
+    const entry = findLocalEntry(entity, id);
+    if (!entry) return false;
+    entry.owner.splice(entry.owner.indexOf(entry.record), 1);
+    return true;
+}
+
+// --- Remote primitives ---
+// Plain Supabase calls without any local bookkeeping. The Supabase driver uses them directly when
+// no write queue is installed; the outbox in sync.js uses them to replay queued operations.
+
+/**
+ * Fetches one record from its Supabase table, or null when it no longer exists.
+ */
+export async function fetchRemote(entityName, id) {
+    const entity = getEntity(entityName);
+    const {data, error} = await supabase
+        .from(entity.table)
+        .select(selectClause(entity))
+        .eq('id', id)
+        .maybeSingle();
+    if (error) throw error;
+    return data ? fromRow(entityName, data) : null;
+}
+
+/**
+ * Inserts a record and returns it with the id assigned by the SERIAL column.
+ */
+export async function insertRemote(entityName, record) {
+    const entity = getEntity(entityName);
+    // IDs are assigned by the SERIAL columns, never by the local counters
+    const {id, ...fields} = record;
+    const {data, error} = await supabase
+        .from(entity.table)
+        .insert(toRow(entityName, entity.naturalId ? record : fields))
+        .select()
+        .single();
+    if (error) throw error;
+
+    await syncRelations(entity, data.id, fields);
+    return {...fields, ...fromRow(entityName, data)};
+}
+
+/**
+ * Rewrites a row from a full record. The JSON column is written as a whole, so partial records would lose data.
+ */
+export async function updateRemote(entityName, id, record) {
+    const entity = getEntity(entityName);
+    const {id: _ignoredId, ...fields} = record;
+    const {data, error} = await supabase
+        .from(entity.table)
+        .update(toRow(entityName, fields))
+        .eq('id', id)
+        .select()
+        .single();
+    if (error) throw error;
+
+    await syncRelations(entity, id, fields);
+    return {...fields, ...fromRow(entityName, data), id};
+}
+
+/**
+ * Deletes a row by id.
+ */
+export async function deleteRemote(entityName, id) {
+    const {error} = await supabase.from(getEntity(entityName).table).delete().eq('id', id);
+    if (error) throw error;
+}
+
+// --- Local helpers shared with the outbox ---
+
+// Fields that hold the id of another record; temporary ids are rewritten in them once the real id is known
+const REFERENCE_FIELDS = ['clientId', 'scheduleId', 'itemId', 'relatedId', 'attendanceId', 'recordId'];
+
+function nextTempId() {
+    // Negative ids never collide with SERIAL ids and stay unique across collections
+    if (!(db.nextTempId < 0)) db.nextTempId = -1;
+    return db.nextTempId--;
+}
+
+function cloneValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Returns true for ids handed out locally while the record is still waiting in the outbox.
+ */
+export function isTemporaryId(id) {
+    return typeof id === 'number' && id < 0;
+}
+
+/**
+ * Replaces a temporary id by `realId` in every reference field of `record`.
+ */
+export function remapReferences(record, tempId, realId) {
+    REFERENCE_FIELDS.forEach(field => {
+        if (record[field] === tempId) record[field] = realId;
+    });
+}
+
+/**
+ * Gives a locally created record the id assigned by the server and updates every record pointing at it.
+ */
+export function replaceLocalId(entityName, tempId, realId) {
+    if (tempId === realId) return;
+    const entity = getEntity(entityName);
+    const entry = findLocalEntry(entity, tempId);
+    // A realtime echo of the insert may already have cached the record under its real id
+    if (entry && findLocalEntry(entity, realId)) removeLocal(entity, realId);
+    if (entry) entry.record.id = realId;
+    Object.values(ENTITIES).forEach(entity => {
+        localEntries(entity).forEach(({record}) => remapReferences(record, tempId, realId));
+    });
+    saveDb();
+}
+
+/**
+ * Merges fields into the cached copy of a record, if it is still cached.
+ */
+export function patchLocal(entityName, id, fields) {
+    const entry = findLocalEntry(getEntity(entityName), id);
+    if (!entry) return null;
+    Object.assign(entry.record, fields);
+    saveDb();
+    return entry.record;
+}
+
+/**
+ * Applies a change made elsewhere (another tab or another computer) to the cached collections.
+ * `type` is 'create', 'update' or 'remove'; for removals only `record.id` is needed.
+ */
+export function applyExternalChange(entityName, type, record) {
+    const entity = getEntity(entityName);
+    if (type === 'remove') {
+        removeLocal(entity, record.id);
+    } else {
+        upsertLocal(entity, record);
+        // Keeps the local counter ahead of ids created by other tabs sharing this snapshot
+        if (entity.counter && record.id >= (db[entity.counter] || 0)) db[entity.counter] = record.id + 1;
+    }
+    saveDb();
+}
+
+// --- Drivers ---
+
+const localDriver = {
+    name: 'local',
+
+    async list(entity, filters = {}) {
+        return localEntries(entity)
+            .map(entry => withParentKey(entity, entry))
+            .filter(record => matchesFilters(record, filters));
+    },
+
+    async get(entity, id) {
+        const entry = findLocalEntry(entity, id);
+        return entry ? withParentKey(entity, entry) : null;
+    },
+
+    async create(entity, record) {
+        const created = {...record, id: entity.naturalId ? record.id : db[entity.counter]++};
+        upsertLocal(entity, created);
+        saveDb();
+        return created;
+    },
+
+    async update(entity, id, changes) {
+        const entry = findLocalEntry(entity, id);
+        if (!entry) throw new Error(`Registro ${id} não encontrado em ${entity.collection}.`);
+        Object.assign(entry.record, changes);
+        saveDb();
+        return entry.record;
+    },
+
+    async remove(entity, id) {
+        removeLocal(entity, id);
+        saveDb();
+    }
+};
+
+// The write queue is installed by sync.js. With it, writes are applied to the local cache first and
+// recorded in the outbox, so the app keeps working while the shared database is unreachable.
+let writeQueue = null;
+
+/**
+ * Installs the outbox used by the Supabase driver for writes ({enqueue(operation), flush()}).
+ */
+export function setWriteQueue(queue) {
+    writeQueue = queue;
+}
+
+const supabaseDriver = {
+    name: 'supabase',
+
+    async list(entity, filters = {}) {
+        let query = supabase.from(entity.table).select(selectClause(entity));
+        Object.entries(filters).forEach(([field, value]) => {
+            const column = entity.columns[field];
+            if (!column) throw new Error(`Filtro não suportado em ${entity.table}: ${field}`);
+            query = query.eq(column, value);
+        });
+
+        const {data, error} = await query;
+        if (error) throw error;
+        return data.map(row => fromRow(entityNameOf(entity), row));
+    },
+
+    async get(entity, id) {
+        return fetchRemote(entityNameOf(entity), id);
+    },
+
+    async create(entity, record) {
+        const entityName = entityNameOf(entity);
+        if (!writeQueue) {
+            const created = upsertLocal(entity, await insertRemote(entityName, record));
+            saveDb();
+            return created;
+        }
+
+        // The temporary id is replaced in place once the outbox reaches the server
+        const {id, ...fields} = record;
+        const created = upsertLocal(entity, {...fields, id: entity.naturalId ? id : nextTempId()});
+        saveDb();
+        writeQueue.enqueue({type: 'create', entityName, recordId: created.id, payload: cloneValue(entity.naturalId ? record : fields)});
+        await writeQueue.flush();
+        return created;
+    },
+
+    async update(entity, id, changes) {
+        const entityName = entityNameOf(entity);
+        const entry = findLocalEntry(entity, id);
+
+        if (!writeQueue) {
+            const current = entry ? withParentKey(entity, entry) : await fetchRemote(entityName, id);
+            if (!current) throw new Error(`Registro ${id} não encontrado em ${entity.table}.`);
+            const updated = upsertLocal(entity, await updateRemote(entityName, id, {...current, ...changes}));
+            saveDb();
+            return updated;
+        }
+
+        if (!entry) throw new Error(`Registro ${id} não encontrado em ${entity.collection}.`);
+        // The values seen before the change let the replay tell concurrent edits apart
+        const base = {};
+        Object.keys(changes).forEach(field => {
+            base[field] = cloneValue(entry.record[field]);
+        });
+        Object.assign(entry.record, changes);
+        saveDb();
+        writeQueue.enqueue({
+            type: 'update',
+            entityName,
+            recordId: id,
+            changes: cloneValue(changes),
+            base,
+            changedAt: new Date().toISOString()
+        });
+        await writeQueue.flush();
+        return entry.record;
+    },
+
+    async remove(entity, id) {
+        const entityName = entityNameOf(entity);
+        if (!writeQueue) {
+            await deleteRemote(entityName, id);
+            removeLocal(entity, id);
+            saveDb();
+            return;
+        }
+
+        removeLocal(entity, id);
+        saveDb();
+        writeQueue.enqueue({type: 'remove', entityName, recordId: id});
+        await writeQueue.flush();
+    }
+};
+
+function entityNameOf(entity) {
+    return Object.keys(ENTITIES).find(name => ENTITIES[name] === entity);
+}
+
+function selectClause(entity) {
+    const relations = Object.values(entity.relations || {}).map(relation => `${relation.table}(${relation.valueColumn})`);
+    return ['*', ...relations].join(', ');
+}
+
+async function syncRelations(entity, id, record) {
+    for (const [field, relation] of Object.entries(entity.relations || {})) {
+        if (!Array.isArray(record[field])) continue;
+
+        const {error: deleteError} = await supabase.from(relation.table).delete().eq(relation.foreignKey, id);
+        if (deleteError) throw deleteError;
+
+        if (record[field].length === 0) continue;
+        const links = record[field].map(value => ({[relation.foreignKey]: id, [relation.valueColumn]: value}));
+        const {error: insertError} = await supabase.from(relation.table).insert(links);
+        if (insertError) throw insertError;
+    }
+}
+
+const DRIVERS = {local: localDriver, supabase: supabaseDriver};
+let activeDriver = DRIVERS[import.meta.env.VITE_PERSISTENCE_DRIVER] || localDriver;
+
+/**
+ * Selects the persistence driver ('local' or 'supabase').
+ */
+export function setPersistenceDriver(driverName) {
+    if (!DRIVERS[driverName]) throw new Error(`Driver de persistência desconhecido: ${driverName}`);
+    activeDriver = DRIVERS[driverName];
+}
+
+/**
+ * Returns the name of the active persistence driver.
+ */
+export function getPersistenceDriver() {
+    return activeDriver.name;
+}
+
+// --- Repositories ---
+
+// Notified after every successful write, so realtime.js can tell the other open tabs
+let changeListener = null;
+
+/**
+ * Registers the function called with (entityName, type, record) after each write, or null to stop.
+ */
+export function setChangeListener(listener) {
+    changeListener = listener;
+}
+
+function notifyChange(entityName, type, record) {
+    if (changeListener) changeListener(entityName, type, record);
+    return record;
+}
+
+// Installed by audit.js; receives every write except the ones to the audit log itself
+let auditRecorder = null;
+
+/**
+ * Registers the function called with {entityName, type, recordId, before, after} after each write, or null to stop.
+ */
+export function setAuditRecorder(recorder) {
+    auditRecorder = recorder;
+}
+
+// Copy of the cached record as it is right now, used as the before/after state of the audit entry
+function snapshotLocal(entity, id) {
+    const entry = findLocalEntry(entity, id);
+    return entry ? cloneValue(withParentKey(entity, entry)) : null;
+}
+
+async function recordAudit(entityName, type, recordId, before, after) {
+    if (!auditRecorder || entityName === 'auditLog') return;
+    await auditRecorder({entityName, type, recordId, before, after});
+}
+
+// Installed by encryption.js; turns the clinical fields of a record into ciphertext before it is stored anywhere
+let fieldCipher = null;
+
+/**
+ * Registers the async function called with (entityName, fields, currentRecord) that returns the fields to store,
+ * or null to stop. `currentRecord` is null on create.
+ */
+export function setFieldCipher(cipher) {
+    fieldCipher = cipher;
+}
+
+function prepareFields(entityName, fields, current) {
+    return fieldCipher ? fieldCipher(entityName, fields, current) : fields;
+}
+
+/**
+ * Returns the fields of a new record as the repositories would store them (clinical fields encrypted),
+ * for rows written straight to Supabase such as the legacy import.
+ */
+export function prepareNewRecord(entityName, fields) {
+    return prepareFields(entityName, fields, null);
+}
+
+function createRepository(entityName) {
+    const entity = getEntity(entityName);
+    return {
+        list: (filters) => activeDriver.list(entity, filters),
+        get: (id) => activeDriver.get(entity, id),
+        create: async (record) => {
+            const created = await activeDriver.create(entity, await prepareFields(entityName, record, null));
+            await recordAudit(entityName, 'create', created.id, null, snapshotLocal(entity, created.id) || cloneValue(created));
+            return notifyChange(entityName, 'create', created);
+        },
+        update: async (id, changes) => {
+            const before = snapshotLocal(entity, id);
+            const updated = await activeDriver.update(entity, id, await prepareFields(entityName, changes, before));
+            await recordAudit(entityName, 'update', id, before, snapshotLocal(entity, id) || cloneValue(updated));
+            return notifyChange(entityName, 'update', updated);
+        },
+        remove: async (id) => {
+            const before = snapshotLocal(entity, id);
+            await activeDriver.remove(entity, id);
+            await recordAudit(entityName, 'remove', id, before, null);
+            notifyChange(entityName, 'remove', {id});
+        }
+    };
+}
+
+export const clientsRepository = createRepository('clients');
+export const schedulesRepository = createRepository('schedules');
+export const appointmentsRepository = createRepository('appointments');
+export const roomsRepository = createRepository('rooms');
+export const stockItemsRepository = createRepository('stockItems');
+export const stockMovementsRepository = createRepository('stockMovements');
+export const dailyNotesRepository = createRepository('dailyNotes');
+export const generalDocumentsRepository = createRepository('generalDocuments');
+export const notificationsRepository = createRepository('notifications');
+export const usersRepository = createRepository('users');
+export const rolesRepository = createRepository('roles');
+export const auditLogRepository = createRepository('auditLog');
+
+/**
+ * Replaces the in-memory collections with the shared data when the Supabase driver is active.
+ * With the local driver the snapshot loaded by loadDb() is already authoritative.
+ */
+export async function hydrateDb() {
+    if (activeDriver !== supabaseDriver) return;
+    // Offline changes still in the outbox would be overwritten, so they are sent first
+    if (writeQueue && !(await writeQueue.flush())) {
+        throw new Error('Há alterações offline aguardando envio.');
+    }
+
+    const [clients, appointments] = await Promise.all([
+        clientsRepository.list(),
+        appointmentsRepository.list()
+    ]);
+    db.clients = clients.map(client => ({
+        ...client,
+        appointments: appointments.filter(appointment => appointment.clientId === client.id)
+    }));
+
+    const collections = ['schedules', 'rooms', 'stockItems', 'stockMovements', 'dailyNotes', 'generalDocuments', 'notifications', 'users', 'roles'];
+    const results = await Promise.all(collections.map(name => createRepository(name).list()));
+    collections.forEach((name, index) => {
+        db[name] = results[index];
+    });
+
+    saveDb();
+}
@@ -1,4 +1,8 @@
 // Arquivo central para definir todas as constantes de funções e permissões.
+import {db} from './database.js';
+import {checkTabAccess, hasPermission, isRoleAllowed} from './auth.js';
+import {showNotification} from './ui.js';
+import {rolesRepository, usersRepository} from './repository.js';
 
 // Definição de constantes de funções para uso em todo o sistema
 export const PROFESSIONAL_ROLES = [
@@ -13,6 +17,8 @@ export const FINANCE_ONLY = ['financeiro'];
 export const DIRECTOR_OR_FINANCE = ['director', 'financeiro'];
 export const STOCK_MANAGERS = ['director', 'financeiro', 'staff'];
 export const COORDINATOR_AND_HIGHER = ['director', 'coordinator_madre', 'coordinator_floresta'];
+// Cargos que leem e registram o conteúdo clínico (diagnóstico, histórico e notas); recepção e financeiro veem só o cadastro
+export const CLINICAL_ROLES = ['director', 'coordinator', ...PROFESSIONAL_ROLES.filter(role => role !== 'receptionist')];
 
 // Grupos de funções para controle de acesso específico
 export const NON_FINANCE_ACCESS = [
@@ -44,21 +50,385 @@ export const DIRECTOR_AND_COORDINATORS_ONLY_DOCUMENTS = ['director', 'coordinato
 // Todos os usuários para visibilidade de abas (ex: visualização geral do "Mural do Coordenador")
 export const ALL_USERS = ['director', 'coordinator_madre', 'coordinator_floresta', 'staff', 'intern', 'musictherapist', 'financeiro', 'receptionist', 'psychologist', 'psychopedagogue', 'speech_therapist', 'nutritionist', 'physiotherapist'];
 
+// Unidades da clínica e seus nomes de exibição
+export const UNITS = {
+    madre: 'Clínica Social (Madre)',
+    floresta: 'Neuro (Floresta)'
+};
+
+// Unidade de cada cargo de coordenação, usada quando o funcionário não tem unidades atribuídas
+export const ROLE_UNITS = {
+    coordinator_madre: ['madre'],
+    coordinator_floresta: ['floresta']
+};
+
+// Nomes de exibição dos cargos predefinidos
+export const PREDEFINED_ROLE_NAMES = {
+    director: 'Diretoria',
+    coordinator_madre: 'Coordenador(a) Madre',
+    coordinator_floresta: 'Coordenador(a) Floresta',
+    staff: 'Funcionário(a) Geral',
+    receptionist: 'Recepcionista',
+    psychologist: 'Psicólogo(a)',
+    psychopedagogue: 'Psicopedagogo(a)',
+    musictherapist: 'Musicoterapeuta',
+    speech_therapist: 'Fonoaudiólogo(a)',
+    nutritionist: 'Nutricionista',
+    physiotherapist: 'Fisioterapeuta',
+    financeiro: 'Financeiro',
+    intern: 'Estagiário(a)'
+};
+
+// Abas do sistema que recebem permissões de acesso
+export const SYSTEM_TABS = [
+    {id: 'cadastro', label: 'Cadastrar Cliente'},
+    {id: 'agenda', label: 'Agenda do Dia'},
+    {id: 'historico', label: 'Todos os pacientes'},
+    {id: 'meus-pacientes', label: 'Meus Pacientes'},
+    {id: 'financeiro', label: 'Financeiro'},
+    {id: 'relatorios', label: 'Relatórios'},
+    {id: 'estoque', label: 'Estoque'},
+    {id: 'funcionarios', label: 'Funcionários'},
+    {id: 'documentos', label: 'Mural do Coordenador'}
+];
+
+export const ACCESS_LEVEL_LABELS = {none: 'Sem acesso', view: 'Visualizar', edit: 'Editar'};
+
+// Hierarquia de cargos: cada grupo reúne cargos predefinidos e pode ser usado no lugar deles nas listas de permissão
+// (coordinator_* ⇒ coordinator, PROFESSIONAL_ROLES ⇒ professional)
+export const ROLE_GROUPS = {
+    coordinator: ['coordinator_madre', 'coordinator_floresta'],
+    professional: PROFESSIONAL_ROLES
+};
+
+// Nomes de exibição dos grupos de cargos
+export const ROLE_GROUP_NAMES = {
+    coordinator: 'Coordenação',
+    professional: 'Profissionais'
+};
+
+// Acesso padrão de cada aba para os cargos predefinidos (a diretoria sempre tem acesso total)
+export const DEFAULT_TAB_ACCESS = {
+    'cadastro': {view: ['coordinator', 'professional'], edit: ['coordinator', 'receptionist']},
+    'agenda': {view: ['coordinator', 'professional'], edit: ['coordinator', 'professional']},
+    'historico': {view: ['coordinator', 'professional'], edit: ['coordinator']},
+    'meus-pacientes': {view: ['professional'], edit: ['professional']},
+    'relatorios': {view: ['coordinator', ...FINANCE_ONLY], edit: []},
+    'financeiro': {view: FINANCE_ONLY, edit: FINANCE_ONLY},
+    'estoque': {view: ['coordinator', ...FINANCE_ONLY, 'staff'], edit: ['coordinator', ...FINANCE_ONLY]},
+    'funcionarios': {view: ['coordinator'], edit: []},
+    'documentos': {view: ['coordinator'], edit: ['coordinator']}
+};
+
+// Ações com permissão própria, além de visualizar/editar cada aba. Cada ação é concedida por padrão
+// aos cargos em `roles` e a quem já tiver alguma das ações em `inherits`.
+export const ACTION_PERMISSIONS = [
+    {id: 'client.create', group: 'Pacientes', label: 'Cadastrar e duplicar pacientes', inherits: ['tab.cadastro.edit']},
+    {id: 'client.edit', group: 'Pacientes', label: 'Editar dados e vincular profissionais', inherits: ['tab.historico.edit']},
+    {id: 'client.delete', group: 'Pacientes', label: 'Excluir (anonimizar) pacientes', roles: DIRECTOR_ONLY},
+    {id: 'client.data.export', group: 'Pacientes', label: 'Exportar dados do paciente (LGPD)', roles: COORDINATOR_AND_HIGHER},
+    {id: 'client.clinical.view', group: 'Pacientes', label: 'Ver e registrar conteúdo clínico (diagnóstico, histórico e notas)', roles: CLINICAL_ROLES},
+    {id: 'client.note.create', group: 'Pacientes', label: 'Adicionar notas e atendimentos', inherits: ['tab.historico.edit', 'tab.meus-pacientes.edit']},
+    {id: 'client.document.create', group: 'Pacientes', label: 'Anexar documentos', roles: [...ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, ...PROFESSIONAL_ROLES]},
+    {id: 'client.document.delete', group: 'Pacientes', label: 'Excluir documentos de pacientes', roles: COORDINATOR_AND_HIGHER},
+    {id: 'schedule.view_all', group: 'Agenda', label: 'Ver a agenda de todos os profissionais', roles: SCHEDULE_MANAGERS},
+    {id: 'schedule.create', group: 'Agenda', label: 'Criar agendamentos', inherits: ['tab.agenda.edit']},
+    {id: 'schedule.edit', group: 'Agenda', label: 'Editar, confirmar e cancelar agendamentos de outros profissionais', inherits: ['tab.agenda.edit']},
+    {id: 'schedule.reassign', group: 'Agenda', label: 'Redirecionar agendamentos', inherits: ['tab.agenda.edit']},
+    {id: 'schedule.override_conflicts', group: 'Agenda', label: 'Agendar com conflito de horário (com justificativa)', roles: SCHEDULE_MANAGERS},
+    {id: 'rooms.manage', group: 'Agenda', label: 'Cadastrar salas e equipamentos', roles: COORDINATOR_AND_HIGHER},
+    {id: 'staff.availability.edit', group: 'Funcionários', label: 'Definir horários de trabalho e ausências', roles: COORDINATOR_AND_HIGHER},
+    {id: 'stock.view', group: 'Estoque', label: 'Ver itens e movimentações', inherits: ['tab.estoque.view']},
+    {id: 'stock.item.create', group: 'Estoque', label: 'Cadastrar itens', inherits: ['tab.estoque.edit']},
+    {id: 'stock.adjust', group: 'Estoque', label: 'Registrar entradas e saídas', inherits: ['tab.estoque.edit']},
+    {id: 'stock.item.delete', group: 'Estoque', label: 'Excluir itens', roles: DIRECTOR_OR_FINANCE},
+    {id: 'finance.view', group: 'Financeiro', label: 'Ver relatórios e notas financeiras', inherits: ['tab.financeiro.view']},
+    {id: 'finance.note.create', group: 'Financeiro', label: 'Adicionar notas financeiras', inherits: ['tab.financeiro.edit']},
+    {id: 'finance.note.delete', group: 'Financeiro', label: 'Excluir notas financeiras', roles: DIRECTOR_OR_FINANCE},
+    {id: 'report.export', group: 'Relatórios', label: 'Imprimir e baixar relatórios', inherits: ['tab.relatorios.view', 'tab.financeiro.view']}
+];
+
+// Catálogo completo: visualizar/editar cada aba ('edit' inclui 'view') seguido das ações específicas
+export const PERMISSION_CATALOG = [
+    ...SYSTEM_TABS.flatMap(tab => [
+        {id: `tab.${tab.id}.view`, group: 'Abas', label: `${tab.label} (visualizar)`, tab: tab.id, access: 'view', roles: DEFAULT_TAB_ACCESS[tab.id].view, inherits: [`tab.${tab.id}.edit`]},
+        {id: `tab.${tab.id}.edit`, group: 'Abas', label: `${tab.label} (editar)`, tab: tab.id, access: 'edit', roles: DEFAULT_TAB_ACCESS[tab.id].edit}
+    ]),
+    ...ACTION_PERMISSIONS
+];
+
+/**
+ * Returns the display name of a predefined or custom role.
+ */
+export function getRoleName(roleId) {
+    const customRole = db.roles.find(role => role.id === roleId && role.isCustom);
+    return customRole ? customRole.name : (PREDEFINED_ROLE_NAMES[roleId] || roleId || 'N/A');
+}
+
+/**
+ * Returns the per-tab access ('none', 'view' or 'edit') a role grants before any per-user override.
+ */
+export function getRoleTabAccess(roleId) {
+    const roleUser = {role: roleId};
+    const access = {};
+    SYSTEM_TABS.forEach(tab => {
+        access[tab.id] = checkTabAccess(tab.id, 'edit', roleUser) ? 'edit' : checkTabAccess(tab.id, 'view', roleUser) ? 'view' : 'none';
+    });
+    return access;
+}
+
 /**
- * Initializes the role management interface (e.g., populating lists, setting up event handlers).
+ * Returns whether a role grants each action of ACTION_PERMISSIONS before any per-user override.
+ */
+export function getRolePermissions(roleId) {
+    const roleUser = {role: roleId};
+    return Object.fromEntries(ACTION_PERMISSIONS.map(action => [action.id, hasPermission(action.id, roleUser)]));
+}
+
+// --- Role management (director only) ---
+
+function customRoles() {
+    return db.roles.filter(role => role.isCustom).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function usersWithRole(roleId) {
+    return db.users.filter(user => user.role === roleId);
+}
+
+function generateRoleId(name) {
+    const slug = name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'cargo';
+    let id = `custom_${slug}`;
+    for (let suffix = 2; db.roles.some(role => role.id === id) || PREDEFINED_ROLE_NAMES[id]; suffix++) {
+        id = `custom_${slug}_${suffix}`;
+    }
+    return id;
+}
+
+function renderRolesList() {
+    const container = document.getElementById('roles-list-container');
+    const roleItem = (roleId, name, actions) => `
+        <div class="role-list-item">
+            <div>
+                <strong>${name}</strong>
+                <small>${usersWithRole(roleId).length} funcionário(s)</small>
+            </div>
+            <div class="role-list-actions">${actions}</div>
+        </div>
+    `;
+
+    const custom = customRoles();
+    container.innerHTML = `
+        <button type="button" class="btn-primary" onclick="showRoleEditor()"><i class="fa-solid fa-plus"></i> Novo Cargo</button>
+        <h4>Cargos Personalizados</h4>
+        ${custom.length === 0 ? '<p>Nenhum cargo personalizado.</p>' : custom.map(role => roleItem(role.id, role.name, `
+            <button type="button" class="btn-secondary btn-small" onclick="showRoleEffectivePermissions('${role.id}')" title="Acesso efetivo"><i class="fa-solid fa-table-list"></i></button>
+            <button type="button" class="btn-secondary btn-small" onclick="showRoleEditor('${role.id}')" title="Editar"><i class="fa-solid fa-pen"></i></button>
+            <button type="button" class="btn-secondary btn-small" onclick="cloneRole('${role.id}')" title="Clonar"><i class="fa-solid fa-clone"></i></button>
+            <button type="button" class="btn-secondary btn-small" onclick="deleteRole('${role.id}')" title="Excluir"><i class="fa-solid fa-trash"></i></button>
+        `)).join('')}
+        <h4>Cargos Padrão</h4>
+        ${Object.entries(PREDEFINED_ROLE_NAMES).map(([roleId, name]) => roleItem(roleId, name, `
+            <button type="button" class="btn-secondary btn-small" onclick="showRoleEffectivePermissions('${roleId}')" title="Acesso efetivo"><i class="fa-solid fa-table-list"></i></button>
+            <button type="button" class="btn-secondary btn-small" onclick="cloneRole('${roleId}')" title="Clonar"><i class="fa-solid fa-clone"></i></button>
+        `)).join('')}
+    `;
+}
+
+function renderRoleAccessMatrix(tabAccess) {
+    document.getElementById('role-tab-permissions').innerHTML = SYSTEM_TABS.map(tab => `
+        <div class="permission-access-group">
+            <label for="role-tab-access-${tab.id}">${tab.label}</label>
+            <select id="role-tab-access-${tab.id}" data-tab-id="${tab.id}">
+                ${Object.entries(ACCESS_LEVEL_LABELS).map(([level, label]) => `
+                    <option value="${level}" ${(tabAccess[tab.id] || 'none') === level ? 'selected' : ''}>${label}</option>
+                `).join('')}
+            </select>
+        </div>
+    `).join('');
+}
+
+function renderRoleActionPermissions(permissions) {
+    const groups = [...new Set(ACTION_PERMISSIONS.map(action => action.group))];
+    document.getElementById('role-action-permissions').innerHTML = groups.map(group => `
+        <div class="permission-access-group">
+            <label>${group}</label>
+            <div class="permission-checkboxes">
+                ${ACTION_PERMISSIONS.filter(action => action.group === group).map(action => `
+                    <div class="checkbox-group">
+                        <input type="checkbox" id="role-action-${action.id}" data-action-id="${action.id}" ${permissions[action.id] ? 'checked' : ''}>
+                        <label for="role-action-${action.id}">${action.label}</label>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+function openRoleEditor(title, roleId, name, tabAccess, permissions) {
+    document.getElementById('role-reassign-container').style.display = 'none';
+    document.getElementById('role-editor-title').textContent = title;
+    document.getElementById('role-editor-id').value = roleId || '';
+    document.getElementById('role-name').value = name;
+    renderRoleAccessMatrix(tabAccess);
+    renderRoleActionPermissions(permissions);
+    document.getElementById('role-editor-container').style.display = 'block';
+}
+
+/**
+ * Initializes the role management interface (list of roles; the editor starts closed).
  */
 export function initRolesManagement() {
-    // TODO: Implement logic to display and manage custom roles.
-    console.log('Inicializando gerenciamento de cargos...');
+    renderRolesList();
+    hideRoleEditor();
+    document.getElementById('role-reassign-container').style.display = 'none';
+}
+
+/**
+ * Opens the editor for a new role, or for renaming and changing the access of an existing custom role.
+ */
+export function showRoleEditor(roleId = null) {
+    const role = roleId ? db.roles.find(r => r.id === roleId && r.isCustom) : null;
+    if (roleId && !role) {
+        showNotification('Cargo não encontrado.', 'error');
+        return;
+    }
+    openRoleEditor(role ? 'Editar Cargo' : 'Criar Novo Cargo', role?.id, role?.name || '', role?.tabAccess || {}, role ? getRolePermissions(role.id) : {});
+}
+
+/**
+ * Opens the editor for a new custom role starting from the access and actions of an existing role.
+ */
+export function cloneRole(roleId) {
+    openRoleEditor('Clonar Cargo', null, `${getRoleName(roleId)} (cópia)`, getRoleTabAccess(roleId), getRolePermissions(roleId));
+}
+
+export function hideRoleEditor() {
+    document.getElementById('form-role-editor').reset();
+    document.getElementById('role-editor-container').style.display = 'none';
+}
+
+/**
+ * Saves the role in the editor, creating it when it has no id yet.
+ */
+export async function saveRole() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerenciar cargos.', 'error');
+        return;
+    }
+
+    const roleId = document.getElementById('role-editor-id').value;
+    const name = document.getElementById('role-name').value.trim();
+    const nameTaken = [...Object.values(PREDEFINED_ROLE_NAMES), ...customRoles().filter(role => role.id !== roleId).map(role => role.name)]
+        .some(existing => existing.toLowerCase() === name.toLowerCase());
+    if (!name) {
+        showNotification('Informe o nome do cargo.', 'warning');
+        return;
+    }
+    if (nameTaken) {
+        showNotification('Já existe um cargo com esse nome.', 'warning');
+        return;
+    }
+
+    const tabAccess = {};
+    document.querySelectorAll('#role-tab-permissions select').forEach(select => {
+        tabAccess[select.dataset.tabId] = select.value;
+    });
+    const permissions = {};
+    document.querySelectorAll('#role-action-permissions input[type="checkbox"]').forEach(checkbox => {
+        permissions[checkbox.dataset.actionId] = checkbox.checked;
+    });
+
+    try {
+        if (roleId) {
+            await rolesRepository.update(roleId, {name, tabAccess, permissions});
+        } else {
+            await rolesRepository.create({id: generateRoleId(name), name, tabAccess, permissions, isCustom: true, createdAt: new Date().toISOString()});
+        }
+        hideRoleEditor();
+        renderRolesList();
+        showNotification(`Cargo "${name}" salvo com sucesso!`, 'success');
+    } catch (error) {
+        console.error('Erro ao salvar cargo:', error);
+        showNotification('Não foi possível salvar o cargo.', 'error');
+    }
+}
+
+/**
+ * Deletes a custom role. Roles still assigned to employees are not deleted; the reassignment panel is shown instead.
+ */
+export async function deleteRole(roleId) {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerenciar cargos.', 'error');
+        return;
+    }
+    const role = db.roles.find(r => r.id === roleId && r.isCustom);
+    if (!role) {
+        showNotification('Apenas cargos personalizados podem ser excluídos.', 'warning');
+        return;
+    }
+
+    const assigned = usersWithRole(roleId);
+    if (assigned.length > 0) {
+        showRoleReassignment(role, assigned);
+        return;
+    }
+
+    if (!confirm(`Tem certeza que deseja excluir o cargo "${role.name}"?`)) return;
+    try {
+        await rolesRepository.remove(roleId);
+        hideRoleEditor();
+        renderRolesList();
+        showNotification(`Cargo "${role.name}" excluído.`, 'success');
+    } catch (error) {
+        console.error('Erro ao excluir cargo:', error);
+        showNotification('Não foi possível excluir o cargo.', 'error');
+    }
+}
+
+function showRoleReassignment(role, assigned) {
+    hideRoleEditor();
+    document.getElementById('role-reassign-id').value = role.id;
+    document.getElementById('role-reassign-message').textContent =
+        `O cargo "${role.name}" ainda está atribuído a ${assigned.length} funcionário(s): ${assigned.map(user => user.name).join(', ')}. Escolha o novo cargo deles para poder excluí-lo.`;
+
+    const targetSelect = document.getElementById('role-reassign-target');
+    const targets = [
+        ...customRoles().filter(r => r.id !== role.id).map(r => ({id: r.id, name: r.name})),
+        ...Object.entries(PREDEFINED_ROLE_NAMES).map(([id, name]) => ({id, name}))
+    ].sort((a, b) => a.name.localeCompare(b.name));
+    targetSelect.innerHTML = '<option value="">Selecione um Cargo</option>' +
+        targets.map(target => `<option value="${target.id}">${target.name}</option>`).join('');
+
+    document.getElementById('role-reassign-container').style.display = 'block';
 }
 
 /**
- * Deletes a custom role.
+ * Moves every employee of the role being deleted to the chosen role and then deletes it.
  */
-export function deleteRole(roleId) {
-    // TODO: Implement logic to delete a role from the database and update the UI.
-    console.log(`Excluindo cargo com ID: ${roleId}`);
-    if (confirm('Tem certeza que deseja excluir este cargo?')) {
-        alert(`Placeholder para excluir o cargo ${roleId}.`);
+export async function reassignAndDeleteRole() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode gerenciar cargos.', 'error');
+        return;
+    }
+    const roleId = document.getElementById('role-reassign-id').value;
+    const targetRoleId = document.getElementById('role-reassign-target').value;
+    if (!targetRoleId) {
+        showNotification('Escolha o novo cargo dos funcionários.', 'warning');
+        return;
+    }
+
+    const roleName = getRoleName(roleId);
+    try {
+        for (const user of usersWithRole(roleId)) {
+            await usersRepository.update(user.id, {role: targetRoleId});
+        }
+        await rolesRepository.remove(roleId);
+        document.getElementById('role-reassign-container').style.display = 'none';
+        renderRolesList();
+        showNotification(`Funcionários movidos para "${getRoleName(targetRoleId)}" e cargo "${roleName}" excluído.`, 'success');
+    } catch (error) {
+        console.error('Erro ao reatribuir cargo:', error);
+        showNotification('Não foi possível reatribuir todos os funcionários. O cargo não foi excluído.', 'error');
+        renderRolesList();
     }
 }
@@ -0,0 +1,343 @@
+// Rooms and resources module
+// Catalog of the therapy rooms and shared equipment (music therapy instruments, testing kits) of each unit.
+// A schedule books at most one room and any number of resources: a room holds one session at a time and a
+// resource as many as there are units of it (the conflict check enforces both). Also the utilization
+// statistics of the reports tab.
+import {db} from './database.js';
+import {hasPermission, canAccessUnit, getVisibleSchedules} from './auth.js';
+import {UNITS} from './roles.js';
+import {showNotification} from './ui.js';
+import {roomsRepository} from './repository.js';
+import {getScheduleDurationHours} from './conflicts.js';
+import {formatDuration} from './utils.js';
+
+export const ROOM_TYPES = {
+    sala: 'Sala',
+    recurso: 'Equipamento'
+};
+
+// Utilization is measured against the hours the agenda grids show (07:00 to 20:00), Monday to Saturday
+const OPEN_HOURS_PER_DAY = 13;
+const OPEN_WEEKDAYS = [1, 2, 3, 4, 5, 6];
+
+let editingRoomId = null;
+
+export function getRoom(roomId) {
+    return roomId ? db.rooms.find(room => room.id === roomId) || null : null;
+}
+
+/**
+ * Name of the room booked by a schedule; schedules saved before the catalog existed keep the typed name.
+ */
+export function getScheduleRoomName(schedule) {
+    return getRoom(schedule.roomId)?.name || schedule.room || '';
+}
+
+export function getScheduleResourceNames(schedule) {
+    return (schedule.resourceIds || []).map(id => getRoom(id)?.name).filter(Boolean);
+}
+
+function unitLabel(unit) {
+    return unit ? UNITS[unit] || unit : 'Todas as unidades';
+}
+
+/**
+ * Active rooms or resources (`type`) that can be booked in `unit`: those of the unit and those shared by
+ * every unit. Without a unit, every item the user's units can see.
+ */
+export function getBookableRooms(type, unit = null) {
+    return db.rooms
+        .filter(room => room.type === type && room.isActive !== false && canAccessUnit(room.unit) &&
+            (!unit || !room.unit || room.unit === unit))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Fills the room select and the resource checkboxes of a schedule form for the patient's unit. The current
+ * booking stays selectable even when its room was deactivated or belongs to another unit; `legacyRoom` is the
+ * typed room of a schedule saved before the catalog, offered as the 'legacy' option.
+ */
+export function populateRoomFields(roomSelectId, resourcesContainerId, unit, {roomId = null, resourceIds = [], legacyRoom = null} = {}) {
+    const select = document.getElementById(roomSelectId);
+    const container = document.getElementById(resourcesContainerId);
+    if (!select || !container) return;
+
+    const rooms = getBookableRooms('sala', unit);
+    const currentRoom = getRoom(roomId);
+    if (currentRoom && !rooms.includes(currentRoom)) rooms.push(currentRoom);
+    select.innerHTML = '<option value="">Sem sala</option>' +
+        (legacyRoom ? `<option value="legacy">${legacyRoom} (fora do catálogo)</option>` : '') +
+        rooms.map(room => `<option value="${room.id}">${room.name}${room.isActive === false ? ' (desativada)' : ''}</option>`).join('');
+    select.value = currentRoom ? String(currentRoom.id) : (legacyRoom ? 'legacy' : '');
+
+    const resources = getBookableRooms('recurso', unit);
+    resourceIds.map(getRoom).forEach(resource => {
+        if (resource && !resources.includes(resource)) resources.push(resource);
+    });
+    container.innerHTML = resources.length === 0
+        ? '<small class="availability-hint">Nenhum equipamento cadastrado para esta unidade.</small>'
+        : resources.map(resource => `
+            <label class="resource-option">
+                <input type="checkbox" value="${resource.id}" ${resourceIds.includes(resource.id) ? 'checked' : ''}>
+                ${resource.name}${resource.quantity > 1 ? ` (${resource.quantity})` : ''}
+            </label>
+        `).join('');
+}
+
+/**
+ * Reads the room and resources chosen in a schedule form; `keepsLegacyRoom` when the typed room was kept.
+ */
+export function readRoomFields(roomSelectId, resourcesContainerId) {
+    const roomValue = document.getElementById(roomSelectId).value;
+    return {
+        roomId: parseInt(roomValue) || null,
+        keepsLegacyRoom: roomValue === 'legacy',
+        resourceIds: Array.from(document.querySelectorAll(`#${resourcesContainerId} input:checked`)).map(input => parseInt(input.value))
+    };
+}
+
+// --- Catalog management ---
+
+function renderRoomsList() {
+    const items = db.rooms
+        .filter(room => canAccessUnit(room.unit))
+        .sort((a, b) => a.type.localeCompare(b.type) || (a.unit || '').localeCompare(b.unit || '') || a.name.localeCompare(b.name));
+
+    document.getElementById('rooms-list').innerHTML = items.length === 0
+        ? '<p class="modal-description">Nenhuma sala ou equipamento cadastrado.</p>'
+        : `<div class="report-table-container">
+            <table>
+                <thead><tr><th>Nome</th><th>Tipo</th><th>Unidade</th><th>Quantidade</th><th>Situação</th><th></th></tr></thead>
+                <tbody>
+                    ${items.map(room => `
+                        <tr class="${room.isActive === false ? 'room-inactive' : ''}">
+                            <td>${room.name}${room.description ? `<br><small>${room.description}</small>` : ''}</td>
+                            <td>${ROOM_TYPES[room.type] || room.type}</td>
+                            <td>${unitLabel(room.unit)}</td>
+                            <td>${room.type === 'recurso' ? room.quantity : '-'}</td>
+                            <td>${room.isActive === false ? 'Desativado' : 'Em uso'}</td>
+                            <td>
+                                <button type="button" class="btn-secondary btn-small" onclick="editRoom(${room.id})" title="Editar"><i class="fa-solid fa-pen"></i></button>
+                                <button type="button" class="btn-secondary btn-small" onclick="toggleRoomActive(${room.id})" title="${room.isActive === false ? 'Reativar' : 'Desativar'}">
+                                    <i class="fa-solid ${room.isActive === false ? 'fa-rotate-left' : 'fa-ban'}"></i>
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>`;
+}
+
+// The quantity only matters for equipment; a room always holds one session at a time
+export function updateRoomTypeFields() {
+    const isResource = document.getElementById('room-type').value === 'recurso';
+    document.getElementById('room-quantity-group').style.display = isResource ? 'block' : 'none';
+}
+
+function resetRoomForm() {
+    editingRoomId = null;
+    document.getElementById('form-room').reset();
+    document.getElementById('room-quantity').value = 1;
+    document.getElementById('btn-save-room').innerHTML = '<i class="fa-solid fa-plus"></i> Adicionar';
+    document.getElementById('btn-cancel-room-edit').style.display = 'none';
+    updateRoomTypeFields();
+}
+
+/**
+ * Opens the catalog of rooms and equipment.
+ */
+export function showRoomsModal() {
+    if (!hasPermission('rooms.manage')) {
+        showNotification('Você não tem permissão para cadastrar salas e equipamentos.', 'error');
+        return;
+    }
+    document.getElementById('room-unit').innerHTML = '<option value="">Todas as unidades</option>' +
+        Object.entries(UNITS).filter(([unit]) => canAccessUnit(unit)).map(([unit, label]) => `<option value="${unit}">${label}</option>`).join('');
+    resetRoomForm();
+    renderRoomsList();
+    document.getElementById('modal-rooms').style.display = 'flex';
+}
+
+export function editRoom(roomId) {
+    const room = getRoom(roomId);
+    if (!room) return;
+    editingRoomId = roomId;
+    document.getElementById('room-name').value = room.name;
+    document.getElementById('room-type').value = room.type;
+    document.getElementById('room-unit').value = room.unit || '';
+    document.getElementById('room-quantity').value = room.quantity || 1;
+    document.getElementById('room-description').value = room.description || '';
+    document.getElementById('btn-save-room').innerHTML = '<i class="fa-solid fa-check"></i> Salvar';
+    document.getElementById('btn-cancel-room-edit').style.display = '';
+    updateRoomTypeFields();
+}
+
+export function cancelRoomEdit() {
+    resetRoomForm();
+}
+
+/**
+ * Adds the item described in the catalog form, or saves the one being edited.
+ */
+export async function saveRoom() {
+    if (!hasPermission('rooms.manage')) {
+        showNotification('Você não tem permissão para cadastrar salas e equipamentos.', 'error');
+        return;
+    }
+
+    const name = document.getElementById('room-name').value.trim();
+    const type = document.getElementById('room-type').value;
+    const unit = document.getElementById('room-unit').value || null;
+    const quantity = type === 'recurso' ? parseInt(document.getElementById('room-quantity').value) : 1;
+    const description = document.getElementById('room-description').value.trim();
+
+    if (!name) {
+        showNotification('Informe o nome da sala ou do equipamento.', 'warning');
+        return;
+    }
+    if (!(quantity >= 1)) {
+        showNotification('A quantidade deve ser de pelo menos 1.', 'warning');
+        return;
+    }
+    const duplicate = db.rooms.some(room => room.id !== editingRoomId && (room.unit || null) === unit &&
+        room.name.trim().toLowerCase() === name.toLowerCase());
+    if (duplicate) {
+        showNotification('Já existe um item com este nome nesta unidade.', 'warning');
+        return;
+    }
+
+    try {
+        if (editingRoomId) {
+            await roomsRepository.update(editingRoomId, {name, type, unit, quantity, description});
+        } else {
+            await roomsRepository.create({name, type, unit, quantity, description, isActive: true, createdAt: new Date().toISOString()});
+        }
+    } catch (error) {
+        console.error('Erro ao salvar sala ou equipamento:', error);
+        showNotification('Erro ao salvar. Tente novamente.', 'error');
+        return;
+    }
+
+    showNotification(editingRoomId ? 'Item atualizado com sucesso!' : 'Item adicionado ao catálogo!', 'success');
+    resetRoomForm();
+    renderRoomsList();
+}
+
+/**
+ * Deactivates or reactivates an item. Deactivated items are no longer offered in the schedule forms, but the
+ * sessions that booked them keep showing them.
+ */
+export async function toggleRoomActive(roomId) {
+    if (!hasPermission('rooms.manage')) {
+        showNotification('Você não tem permissão para cadastrar salas e equipamentos.', 'error');
+        return;
+    }
+    const room = getRoom(roomId);
+    if (!room) return;
+
+    const isActive = room.isActive === false;
+    if (!isActive) {
+        const today = new Date().toISOString().split('T')[0];
+        const upcoming = db.schedules.filter(schedule => schedule.date >= today && schedule.status !== 'cancelado' &&
+            (schedule.roomId === roomId || (schedule.resourceIds || []).includes(roomId))).length;
+        if (upcoming > 0 && !confirm(`${room.name} está reservado(a) em ${upcoming} agendamento(s) futuro(s), que continuarão com a reserva. Desativar mesmo assim?`)) return;
+    }
+
+    try {
+        await roomsRepository.update(roomId, {isActive});
+    } catch (error) {
+        console.error('Erro ao alterar a situação da sala ou equipamento:', error);
+        showNotification('Erro ao salvar. Tente novamente.', 'error');
+        return;
+    }
+    renderRoomsList();
+    showNotification(isActive ? `${room.name} reativado(a).` : `${room.name} desativado(a).`, 'success');
+}
+
+// --- Utilization statistics (reports tab) ---
+
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function countOpenDays(fromDate, toDate) {
+    let days = 0;
+    for (const day = new Date(`${fromDate}T00:00:00Z`); day <= new Date(`${toDate}T00:00:00Z`); day.setUTCDate(day.getUTCDate() + 1)) {
+        if (OPEN_WEEKDAYS.includes(day.getUTCDay())) days++;
+    }
+    return days;
+}
+
+/**
+ * Sessions, booked hours and utilization rate of every room and resource between two dates (Date objects;
+ * null for all periods, which then spans the first to the last booked session). Cancelled sessions do not count.
+ */
+export function getRoomUtilization(startDate, endDate) {
+    const bookings = getVisibleSchedules().filter(schedule => schedule.status !== 'cancelado' &&
+        (schedule.roomId || (schedule.resourceIds || []).length > 0));
+    const inPeriod = bookings.filter(schedule =>
+        (!startDate || schedule.date >= toDateString(startDate)) && (!endDate || schedule.date <= toDateString(endDate)));
+    if (inPeriod.length === 0) return {rows: [], openDays: 0};
+
+    const dates = inPeriod.map(schedule => schedule.date).sort();
+    const openDays = countOpenDays(startDate ? toDateString(startDate) : dates[0], endDate ? toDateString(endDate) : dates[dates.length - 1]);
+
+    const rows = db.rooms
+        .filter(room => canAccessUnit(room.unit))
+        .map(room => {
+            const sessions = inPeriod.filter(schedule => schedule.roomId === room.id || (schedule.resourceIds || []).includes(room.id));
+            const bookedHours = sessions.reduce((total, schedule) => total + getScheduleDurationHours(schedule), 0);
+            const capacityHours = openDays * OPEN_HOURS_PER_DAY * (room.quantity || 1);
+            return {room, sessions: sessions.length, bookedHours, rate: capacityHours > 0 ? bookedHours / capacityHours : 0};
+        })
+        // Deactivated items only appear for periods in which they were booked
+        .filter(row => row.room.isActive !== false || row.sessions > 0)
+        .sort((a, b) => b.rate - a.rate || a.room.name.localeCompare(b.room.name));
+    return {rows, openDays};
+}
+
+/**
+ * Renders the utilization of rooms and equipment in the reports tab, before the client details.
+ */
+export function renderRoomUtilization(startDate, endDate) {
+    let section = document.getElementById('room-utilization-section');
+    if (!section) {
+        section = document.createElement('div');
+        section.id = 'room-utilization-section';
+        section.className = 'intern-statistics-section';
+        const clientDetailsSection = document.querySelector('.client-details-section');
+        if (!clientDetailsSection) return;
+        clientDetailsSection.parentNode.insertBefore(section, clientDetailsSection);
+    }
+
+    const {rows, openDays} = getRoomUtilization(startDate, endDate);
+    section.innerHTML = `
+        <div class="report-section-header">
+            <h3>Ocupação de Salas e Equipamentos</h3>
+        </div>
+        ${rows.length === 0 ? '<p class="empty-state-message">Nenhuma sala ou equipamento reservado no período.</p>' : `
+            <p class="modal-description">Horas reservadas em relação a ${openDays} dia(s) de funcionamento de ${OPEN_HOURS_PER_DAY} horas (segunda a sábado); equipamentos contam cada unidade.</p>
+            <div class="report-table-container">
+                <table>
+                    <thead><tr><th>Nome</th><th>Tipo</th><th>Unidade</th><th>Sessões</th><th>Horas reservadas</th><th>Ocupação</th></tr></thead>
+                    <tbody>
+                        ${rows.map(({room, sessions, bookedHours, rate}) => `
+                            <tr>
+                                <td>${room.name}${room.isActive === false ? ' <small>(desativado)</small>' : ''}</td>
+                                <td>${ROOM_TYPES[room.type] || room.type}</td>
+                                <td>${unitLabel(room.unit)}</td>
+                                <td>${sessions}</td>
+                                <td>${bookedHours > 0 ? formatDuration(bookedHours) : '0min'}</td>
+                                <td>
+                                    <div class="utilization-bar"><span style="width: ${Math.min(100, Math.round(rate * 100))}%"></span></div>
+                                    ${Math.round(rate * 100)}%
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `}
+    `;
+}
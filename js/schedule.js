@@ -1,9 +1,16 @@
 // Schedule management module
-import { db, saveDb } from './database.js';
-import { getCurrentUser, isRoleAllowed, checkTabAccess } from './auth.js';
-import { PROFESSIONAL_ROLES, COORDINATOR_AND_HIGHER, ALL_SCHEDULE_VIEW_EDIT_MANAGERS } from './roles.js';
+import { db } from './database.js';
+import { getCurrentUser, isRoleAllowed, checkTabAccess, hasPermission, canAccessUnit, getVisibleClients, getVisibleSchedules, getVisibleUsers } from './auth.js';
+import { PROFESSIONAL_ROLES, COORDINATOR_AND_HIGHER } from './roles.js';
 import { showNotification } from './ui.js';
 import { showClientDetails } from './clients.js'; // Import showClientDetails to re-render client modal
+import { clientsRepository, schedulesRepository, notificationsRepository } from './repository.js';
+import { attachmentAction, attachmentImageAttributes, loadAttachmentImages } from './attachments.js';
+import { getScheduleDurationHours, resolveScheduleConflicts } from './conflicts.js';
+import { ABSENCE_TYPES, getAbsence, getUnavailabilityReason, splitProfessionalsByAvailability } from './availability.js';
+import { renderTimeline, setTimelineHandlers } from './timeline.js';
+import { getBookableRooms, getScheduleRoomName, getScheduleResourceNames, populateRoomFields, readRoomFields, ROOM_TYPES } from './rooms.js';
+import { convertTimeToDecimalHours, convertDecimalHoursToTime, formatDuration } from './utils.js';
 
 // Define and export service names for consistent display and use in other modules
 export const serviceNames = {
@@ -23,6 +30,157 @@ export const serviceNames = {
     'outros': 'Outros'
 };
 
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+// Upper bound of a generated series (two years of weekly sessions), also for "until" dates far ahead
+export const MAX_SERIES_OCCURRENCES = 104;
+
+function formatScheduleDate(dateString) {
+    return new Date(dateString).toLocaleDateString('pt-BR', { timeZone: 'UTC' });
+}
+
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+function weekdayOf(dateString) {
+    return new Date(`${dateString}T00:00:00Z`).getUTCDay();
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+// --- Recurring series ---
+// A series is a set of ordinary schedules sharing a `seriesId`; each one keeps the `recurrence` rule that
+// generated it: { intervalWeeks: 1 | 2, weekdays: [0-6], count: number | null, until: 'YYYY-MM-DD' | null }.
+
+/**
+ * Dates of the occurrences of `rule` from `startDate` on, in order. Only the selected weekdays are used,
+ * so the start date itself is skipped when its weekday is not one of them.
+ */
+export function generateOccurrenceDates(startDate, rule) {
+    const weekdays = [...rule.weekdays].sort((a, b) => a - b);
+    const limit = Math.min(rule.count || MAX_SERIES_OCCURRENCES, MAX_SERIES_OCCURRENCES);
+    const weekStart = addDays(startDate, -weekdayOf(startDate));
+    const dates = [];
+
+    for (let week = 0; dates.length < limit; week += rule.intervalWeeks) {
+        for (const weekday of weekdays) {
+            const date = addDays(weekStart, week * 7 + weekday);
+            if (date < startDate) continue;
+            if (rule.until && date > rule.until) return dates;
+            dates.push(date);
+            if (dates.length === limit) break;
+        }
+    }
+    return dates;
+}
+
+export function describeRecurrence(rule) {
+    if (!rule) return '';
+    const frequency = rule.intervalWeeks === 2 ? 'A cada duas semanas' : 'Toda semana';
+    const days = rule.weekdays.map(weekday => WEEKDAY_NAMES[weekday]).join(', ');
+    const end = rule.until ? `até ${formatScheduleDate(rule.until)}` : `${rule.count} sessões`;
+    return `${frequency} (${days}), ${end}`;
+}
+
+function getSeriesOccurrences(seriesId) {
+    return db.schedules
+        .filter(schedule => schedule.seriesId === seriesId)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+}
+
+// e.g. "Sessão 3 de 12 · Toda semana (segunda, quinta), 12 sessões"
+function describeSeriesPosition(schedule) {
+    const occurrences = getSeriesOccurrences(schedule.seriesId);
+    const position = `Sessão ${occurrences.findIndex(occurrence => occurrence.id === schedule.id) + 1} de ${occurrences.length}`;
+    return schedule.recurrence ? `${position} · ${describeRecurrence(schedule.recurrence)}` : position;
+}
+
+/**
+ * Schedules reached by an action on `schedule` with the scope chosen in the modal: 'occurrence',
+ * 'following' (this one and the later ones) or 'series'. Besides the chosen schedule, only occurrences
+ * still scheduled are included: confirmed, attended and cancelled sessions are history and stay as they are.
+ */
+export function getScopedSchedules(schedule, scope) {
+    if (!schedule.seriesId || scope === 'occurrence') return [schedule];
+    return getSeriesOccurrences(schedule.seriesId).filter(occurrence =>
+        occurrence.id === schedule.id ||
+        (occurrence.status === 'agendado' && (scope === 'series' || occurrence.date >= schedule.date)));
+}
+
+// Shows the "apply to" choice of a modal only for schedules that belong to a series
+function prepareSeriesScope(containerId, schedule) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+    container.style.display = schedule.seriesId ? 'block' : 'none';
+    container.querySelector('input[value="occurrence"]').checked = true;
+    container.querySelector('.series-scope-info').textContent = schedule.seriesId ? describeSeriesPosition(schedule) : '';
+}
+
+export function getSelectedSeriesScope(containerId) {
+    const container = document.getElementById(containerId);
+    if (!container || container.style.display === 'none') return 'occurrence';
+    return container.querySelector('input:checked')?.value || 'occurrence';
+}
+
+// Weekdays moved by the same number of days as the dates, so the stored rule still describes the series
+function shiftRecurrence(rule, days) {
+    if (!rule || days === 0) return rule;
+    return {
+        ...rule,
+        weekdays: rule.weekdays.map(weekday => (((weekday + days) % 7) + 7) % 7).sort((a, b) => a - b),
+        until: rule.until ? addDays(rule.until, days) : rule.until
+    };
+}
+
+/**
+ * Reads the "Repetição" fields of the new schedule form; null when the schedule does not repeat.
+ */
+export function readRecurrenceRule() {
+    if (!document.getElementById('recorrencia-ativa').checked) return null;
+    const endType = document.querySelector('input[name="recorrencia-fim"]:checked').value;
+    return {
+        intervalWeeks: parseInt(document.getElementById('recorrencia-frequencia').value),
+        weekdays: Array.from(document.querySelectorAll('.recorrencia-dia:checked')).map(input => parseInt(input.value)),
+        count: endType === 'count' ? parseInt(document.getElementById('recorrencia-ocorrencias').value) || null : null,
+        until: endType === 'until' ? document.getElementById('recorrencia-ate').value || null : null
+    };
+}
+
+/**
+ * Shows or hides the recurrence options of the new schedule form and previews the dates they generate.
+ */
+export function updateRecurrenceFields() {
+    const enabled = document.getElementById('recorrencia-ativa').checked;
+    const startDate = document.getElementById('data-agendamento').value;
+    const summary = document.getElementById('recorrencia-resumo');
+    document.getElementById('recorrencia-opcoes').style.display = enabled ? 'block' : 'none';
+    if (!enabled) return;
+
+    // Starts from the weekday of the chosen date
+    const weekdayInputs = Array.from(document.querySelectorAll('.recorrencia-dia'));
+    if (startDate && !weekdayInputs.some(input => input.checked)) {
+        weekdayInputs[weekdayOf(startDate)].checked = true;
+    }
+
+    const rule = readRecurrenceRule();
+    if (!startDate || rule.weekdays.length === 0 || (!rule.count && !rule.until)) {
+        summary.textContent = 'Escolha a data inicial, os dias da semana e quando a série termina.';
+        return;
+    }
+    const dates = generateOccurrenceDates(startDate, rule);
+    if (dates.length === 0) {
+        summary.textContent = 'Nenhuma sessão cabe entre a data inicial e a data final.';
+        return;
+    }
+    const truncated = rule.until && dates.length === MAX_SERIES_OCCURRENCES && dates[dates.length - 1] < rule.until;
+    summary.textContent = `${dates.length} sessões, de ${formatScheduleDate(dates[0])} a ${formatScheduleDate(dates[dates.length - 1])}` +
+        (truncated ? ` (limite de ${MAX_SERIES_OCCURRENCES} sessões por série).` : '.');
+}
+
 export function initScheduleView() {
     const professionalFilterContainer = document.getElementById('professional-filter-container');
     const professionalFilterSelect = document.getElementById('professional-filter-select');
@@ -34,7 +192,14 @@ export function initScheduleView() {
     if (!professionalFilterContainer || !professionalFilterSelect || !professionalRoleFilterContainer || !professionalRoleFilterSelect || !unitFilterContainer || !unitFilterSelect) return;
 
     const currentUser = getCurrentUser();
-    const isManager = isRoleAllowed(ALL_SCHEDULE_VIEW_EDIT_MANAGERS);
+    const isManager = hasPermission('schedule.view_all');
+
+    // The column per professional is only useful to those who see every agenda
+    const professionalsViewButton = document.querySelector('.agenda-view-btn[data-view="professionals"]');
+    if (professionalsViewButton) professionalsViewButton.style.display = isManager ? '' : 'none';
+    if (!isManager && agendaView === 'professionals') setAgendaView('list');
+    const manageRoomsButton = document.getElementById('btn-manage-rooms');
+    if (manageRoomsButton) manageRoomsButton.style.display = hasPermission('rooms.manage') ? '' : 'none';
 
     if (isManager) {
         professionalFilterContainer.style.display = 'block';
@@ -134,7 +299,7 @@ function populateProfessionalFilter() {
 
     const roleFilter = document.getElementById('professional-role-filter-select').value;
 
-    const professionals = db.users
+    const professionals = getVisibleUsers()
         .filter(user => {
             const hasProfessionalRole = PROFESSIONAL_ROLES.includes(user.role);
             const matchesRoleFilter = (roleFilter === 'all' || user.role === roleFilter);
@@ -150,6 +315,257 @@ function populateProfessionalFilter() {
     });
 }
 
+// --- Agenda views ---
+// The day list, the week grid, the day grid with one column per professional and the room occupancy share the
+// date selector and the filters; renderSchedule() draws whichever is active, so every refresh after a change
+// keeps the view.
+
+const AGENDA_VIEWS = ['list', 'week', 'professionals', 'rooms'];
+let agendaView = 'list';
+
+/**
+ * Switches the agenda between the day list ('list'), the week grid ('week'), the day grid with one column
+ * per professional ('professionals', only for users who see every agenda) and the room occupancy ('rooms').
+ */
+export function setAgendaView(view) {
+    agendaView = AGENDA_VIEWS.includes(view) ? view : 'list';
+    if (agendaView === 'professionals' && !hasPermission('schedule.view_all')) agendaView = 'list';
+    document.querySelectorAll('.agenda-view-btn').forEach(button => {
+        button.classList.toggle('active', button.dataset.view === agendaView);
+    });
+    renderSchedule(document.getElementById('date-selector').value);
+}
+
+// Values of the agenda filters; only users who see every agenda have them
+function getAgendaFilters() {
+    if (!hasPermission('schedule.view_all')) return { role: 'all', professionalId: 'all', unit: 'all' };
+    return {
+        role: document.getElementById('professional-role-filter-select')?.value || 'all',
+        professionalId: document.getElementById('professional-filter-select')?.value || 'all',
+        unit: document.getElementById('unit-filter-select')?.value || 'all'
+    };
+}
+
+// Cancelled sessions free their time, so the grids leave them to the day list
+function timelineItem(schedule, columnKey, movable, showProfessional) {
+    const client = db.clients.find(c => c.id === schedule.clientId);
+    const detail = [
+        serviceNames[schedule.serviceType] || schedule.serviceType,
+        getScheduleRoomName(schedule),
+        showProfessional ? (schedule.assignedToUserName || 'Não atribuído') : null
+    ].filter(Boolean).join(' · ');
+    return {
+        schedule,
+        columnKey,
+        label: client ? client.name : 'Cliente não encontrado',
+        detail,
+        movable: schedule.status === 'agendado' && movable
+    };
+}
+
+/**
+ * Week grid (Sunday to Saturday, like the calendar) around `date`. Dragging a block to another time or day
+ * edits that session only, so it needs the same permission as the edit form.
+ */
+function renderWeekView(container, date) {
+    const weekStart = addDays(date, -weekdayOf(date));
+    const dates = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index));
+    const canEdit = hasPermission('schedule.edit');
+
+    const columns = dates.map(day => ({
+        key: day,
+        label: new Date(day).toLocaleDateString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit', timeZone: 'UTC' }),
+        date: day,
+        professionalId: null,
+        droppable: canEdit,
+        highlight: day === date
+    }));
+    const items = filterAgendaSchedules(dates[0], dates[6])
+        .filter(schedule => schedule.status !== 'cancelado')
+        .map(schedule => timelineItem(schedule, schedule.date, canEdit, hasPermission('schedule.view_all')));
+
+    renderTimeline(container, columns, items);
+}
+
+/**
+ * Day grid with one column per professional matching the role, professional and unit filters. A block dropped
+ * in another column is reassigned (permission to reassign) and one dropped at another time is edited
+ * (permission to edit).
+ */
+function renderProfessionalDayView(container, date) {
+    const filters = getAgendaFilters();
+    const professionals = getVisibleUsers()
+        .filter(user => PROFESSIONAL_ROLES.includes(user.role) &&
+            (filters.role === 'all' || user.role === filters.role) &&
+            (filters.professionalId === 'all' || user.id === parseInt(filters.professionalId)) &&
+            (filters.unit === 'all' || canAccessUnit(filters.unit, user)))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    const canMove = hasPermission('schedule.edit') || hasPermission('schedule.reassign');
+
+    const columns = professionals.map(user => {
+        const absence = getAbsence(user, date);
+        return {
+            key: String(user.id),
+            label: absence ? `${user.name} (${ABSENCE_TYPES[absence.type] || 'Ausente'})` : user.name,
+            date,
+            professionalId: user.id,
+            droppable: canMove
+        };
+    });
+    const daySchedules = filterAgendaSchedules(date, date).filter(schedule => schedule.status !== 'cancelado');
+    const unassigned = daySchedules.filter(schedule => !schedule.assignedToUserId);
+    if (unassigned.length > 0) {
+        columns.push({ key: 'unassigned', label: 'Não atribuído', date, professionalId: null, droppable: false });
+    }
+
+    if (columns.length === 0) {
+        container.innerHTML = '<p>Nenhum profissional encontrado para os filtros selecionados.</p>';
+        return;
+    }
+
+    const items = daySchedules
+        .filter(schedule => !schedule.assignedToUserId || professionals.some(user => user.id === schedule.assignedToUserId))
+        .map(schedule => timelineItem(schedule, schedule.assignedToUserId ? String(schedule.assignedToUserId) : 'unassigned', canMove, false));
+
+    renderTimeline(container, columns, items);
+}
+
+/**
+ * Day grid with one column per room and per equipment of the selected unit, showing when each is booked.
+ * Everyone sees the occupancy, so a free room can be found, but only their own sessions by patient name; the
+ * blocks are not draggable since a booking changes room through the edit form.
+ */
+function renderRoomDayView(container, date) {
+    const { unit } = getAgendaFilters();
+    const catalog = [...getBookableRooms('sala', unit === 'all' ? null : unit), ...getBookableRooms('recurso', unit === 'all' ? null : unit)];
+    if (catalog.length === 0) {
+        container.innerHTML = '<p>Nenhuma sala ou equipamento cadastrado.</p>';
+        return;
+    }
+
+    const columns = catalog.map(room => ({
+        key: String(room.id),
+        label: `${room.name}${room.type === 'recurso' ? ` (${ROOM_TYPES.recurso}${room.quantity > 1 ? ` x${room.quantity}` : ''})` : ''}`,
+        date,
+        professionalId: null,
+        droppable: false
+    }));
+
+    const currentUser = getCurrentUser();
+    const seesAll = hasPermission('schedule.view_all');
+    const items = [];
+    getVisibleSchedules()
+        .filter(schedule => schedule.date === date && schedule.status !== 'cancelado')
+        .forEach(schedule => {
+            const bookedIds = [schedule.roomId, ...(schedule.resourceIds || [])].filter(Boolean);
+            catalog.filter(room => bookedIds.includes(room.id)).forEach(room => {
+                const item = timelineItem(schedule, String(room.id), false, seesAll);
+                if (!seesAll && schedule.assignedToUserId !== currentUser.id) {
+                    item.label = 'Ocupado';
+                    item.detail = '';
+                }
+                items.push(item);
+            });
+        });
+
+    renderTimeline(container, columns, items);
+}
+
+// Clicking a block opens its day in the list, where the session can be confirmed, edited or cancelled
+function openScheduleFromTimeline(scheduleId) {
+    const schedule = db.schedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+    document.getElementById('date-selector').value = schedule.date;
+    setAgendaView('list');
+    renderCalendar();
+    const card = document.querySelector(`.schedule-card[data-schedule-id="${scheduleId}"]`);
+    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+/**
+ * Drop of a block on the grids: moves that one session (also when it belongs to a series) to `date` and
+ * `time` and, when dropped in another professional's column, to `professionalId`. The permissions, the
+ * availability of the professional who keeps or takes the session and the conflict check are the same as in
+ * the edit and reassignment forms.
+ */
+async function moveScheduleFromTimeline(scheduleId, { date, time, professionalId }) {
+    const schedule = db.schedules.find(s => s.id === scheduleId);
+    if (!schedule || schedule.status !== 'agendado') return;
+
+    const assignedToUserId = professionalId ?? schedule.assignedToUserId;
+    const timeChanged = date !== schedule.date || time !== schedule.time;
+    const professionalChanged = assignedToUserId !== schedule.assignedToUserId;
+    if (!timeChanged && !professionalChanged) return;
+
+    if (timeChanged && !hasPermission('schedule.edit')) {
+        showNotification('Você não tem permissão para editar agendamentos.', 'error');
+        return;
+    }
+    if (professionalChanged && !hasPermission('schedule.reassign')) {
+        showNotification('Você não tem permissão para redirecionar agendamentos.', 'error');
+        return;
+    }
+
+    const client = db.clients.find(c => c.id === schedule.clientId);
+    const newAssignedUser = professionalChanged ? db.users.find(u => u.id === assignedToUserId) : null;
+    if (professionalChanged && (!client || !newAssignedUser)) {
+        showNotification('Erro: Cliente ou profissional do agendamento não encontrado.', 'error');
+        return;
+    }
+    // A new date or time is checked against the current professional, a new column against the new one
+    const assignedUser = newAssignedUser || db.users.find(u => u.id === assignedToUserId);
+    if (assignedUser) {
+        const unavailableReason = getUnavailabilityReason(assignedUser, date, time, getScheduleDurationHours(schedule), client?.unit || null);
+        if (unavailableReason) {
+            showNotification(`${assignedUser.name} não está disponível neste horário: ${unavailableReason}.`, 'warning');
+            return;
+        }
+    }
+
+    // Same time, another professional: only the new professional's agenda changes, as in the reassignment
+    const conflictOverride = await resolveScheduleConflicts(
+        [{ ...schedule, date, time, assignedToUserId }],
+        { ignoreIds: [schedule.id], ...(timeChanged ? {} : { checks: ['professional'] }) }
+    );
+    if (conflictOverride === false) return;
+
+    try {
+        const clientChanges = newAssignedUser && linkProfessionalToClient(client, newAssignedUser);
+        if (clientChanges) {
+            await clientsRepository.update(client.id, clientChanges);
+        }
+        await schedulesRepository.update(schedule.id, {
+            date,
+            time,
+            ...(newAssignedUser ? { assignedToUserId, assignedToUserName: newAssignedUser.name } : {}),
+            // A moved booking that no longer conflicts drops the justification of an earlier override
+            ...(timeChanged || conflictOverride ? { conflictOverride } : {})
+        });
+    } catch (error) {
+        console.error('Erro ao mover agendamento:', error);
+        showNotification('Erro ao mover o agendamento. Tente novamente.', 'error');
+        return;
+    }
+
+    if (newAssignedUser) {
+        await notificationsRepository.create({
+            userId: assignedToUserId,
+            type: 'schedule_assignment',
+            title: 'Agendamento Redirecionado',
+            message: `O agendamento do paciente ${client.name} para ${formatScheduleDate(date)} às ${time} foi redirecionado para você.`,
+            relatedId: schedule.id,
+            createdAt: new Date().toISOString(),
+            isRead: false
+        }).catch(error => console.error('Erro ao criar notificação de redirecionamento:', error));
+    }
+
+    renderSchedule(document.getElementById('date-selector').value);
+    renderCalendar();
+    showNotification(newAssignedUser
+        ? `Agendamento movido para ${newAssignedUser.name}, ${formatScheduleDate(date)} às ${time}.`
+        : `Agendamento movido para ${formatScheduleDate(date)} às ${time}.`, 'success');
+}
+
 export function renderSchedule(selectedDate = null) {
     const agendaList = document.getElementById('agenda-list');
     const dateToShow = selectedDate || new Date().toISOString().split('T')[0];
@@ -161,45 +577,23 @@ export function renderSchedule(selectedDate = null) {
         return;
     }
 
-    const isManager = isRoleAllowed(ALL_SCHEDULE_VIEW_EDIT_MANAGERS);
-    let professionalIdFilter = 'all';
-    let unitFilter = 'all';
-
-    if (isManager) {
-        const profFilterSelect = document.getElementById('professional-filter-select');
-        if (profFilterSelect) professionalIdFilter = profFilterSelect.value;
-        
-        const unitFilterSelect = document.getElementById('unit-filter-select');
-        if (unitFilterSelect) unitFilter = unitFilterSelect.value;
+    if (agendaView === 'week') {
+        renderWeekView(agendaList, dateToShow);
+        return;
+    }
+    if (agendaView === 'professionals') {
+        renderProfessionalDayView(agendaList, dateToShow);
+        return;
+    }
+    if (agendaView === 'rooms') {
+        renderRoomDayView(agendaList, dateToShow);
+        return;
     }
 
     // Filter schedules:
-    // ALL_SCHEDULE_VIEW_EDIT_MANAGERS see all schedules.
+    // Users allowed to view every agenda ('schedule.view_all') see all schedules of their units.
     // Other PROFESSIONAL_ROLES only see schedules assigned to them.
-    const daySchedules = db.schedules.filter(schedule => {
-        if (schedule.date !== dateToShow) return false;
-
-        // Filter by unit
-        if (unitFilter !== 'all') {
-            const client = db.clients.find(c => c.id === schedule.clientId);
-            if (!client || client.unit !== unitFilter) {
-                return false;
-            }
-        }
-
-        if (isManager) {
-            // Managers can filter by professional.
-            if (professionalIdFilter === 'all') {
-                return true; // Show all schedules for the day
-            } else {
-                return schedule.assignedToUserId === parseInt(professionalIdFilter);
-            }
-        } else {
-            // Professionals who are not managers only see their own schedules.
-            return schedule.assignedToUserId === currentUser.id;
-        }
-        
-    });
+    const daySchedules = filterAgendaSchedules(dateToShow, dateToShow);
     
     agendaList.innerHTML = '';
     
@@ -215,13 +609,14 @@ export function renderSchedule(selectedDate = null) {
         const client = db.clients.find(c => c.id === schedule.clientId);
         
         let cancellationInfo = '';
+        const cancelImageSource = schedule.cancelImageRef || schedule.cancelImage;
         if (schedule.status === 'cancelado' && schedule.cancelReason) {
             cancellationInfo = `
                 <div class="cancellation-info">
                     <h5>Motivo do Cancelamento:</h5>
                     <div class="cancellation-reason">${schedule.cancelReason}</div>
-                    ${schedule.cancelImage ? `
-                        <img src="${schedule.cancelImage}" alt="Comprovante do cancelamento" class="cancellation-image" onclick="window.open('${schedule.cancelImage}', '_blank')">
+                    ${cancelImageSource ? `
+                        <img ${attachmentImageAttributes(cancelImageSource)} alt="Comprovante do cancelamento" class="cancellation-image" onclick="${attachmentAction(cancelImageSource, schedule.cancelImageName || 'comprovante', 'preview', 'Comprovante do cancelamento')}">
                     ` : ''}
                     <small>Cancelado em ${new Date(schedule.cancelDate).toLocaleDateString('pt-BR')} por ${schedule.canceledBy}</small>
                 </div>
@@ -229,7 +624,7 @@ export function renderSchedule(selectedDate = null) {
         }
 
         let buttonsHtml = '';
-        const canEditAgenda = checkTabAccess('agenda', 'edit'); // Check for edit permission on agenda tab
+        const canEditAgenda = hasPermission('schedule.edit');
         const isAssignedProfessional = schedule.assignedToUserId === currentUser.id;
 
         if (schedule.status === 'agendado') {
@@ -238,7 +633,7 @@ export function renderSchedule(selectedDate = null) {
                     <button class="btn-confirm" onclick="updateScheduleStatus(${schedule.id}, 'confirmado')">Confirmar</button>
                     <button class="btn-edit" onclick="editSchedule(${schedule.id})">Editar</button>
                     <button class="btn-cancel" onclick="cancelScheduleWithReason(${schedule.id})">Cancelar</button>
-                    <button class="btn-secondary btn-reassign" onclick="reassignSchedule(${schedule.id})">Redirecionar</button>
+                    ${hasPermission('schedule.reassign') ? `<button class="btn-secondary btn-reassign" onclick="reassignSchedule(${schedule.id})">Redirecionar</button>` : ''}
                 `;
             } else if (isAssignedProfessional && checkTabAccess('agenda', 'view')) { // Assigned professional with only view access can still confirm/cancel their own
                 buttonsHtml = `
@@ -262,10 +657,14 @@ export function renderSchedule(selectedDate = null) {
         card.innerHTML = `
             <div class="schedule-info">
                 <h4>${schedule.time} - ${client ? `${client.name} (ID: ${client.id})` : 'Cliente não encontrado'}</h4>
-                <p><strong>Serviço:</strong> ${serviceNames[schedule.serviceType] || schedule.serviceType}</p>
+                <p><strong>Serviço:</strong> ${serviceNames[schedule.serviceType] || schedule.serviceType} (${formatDuration(getScheduleDurationHours(schedule))})</p>
+                ${getScheduleRoomName(schedule) ? `<p><strong>Sala:</strong> ${getScheduleRoomName(schedule)}</p>` : ''}
+                ${schedule.resourceIds?.length ? `<p><strong>Equipamentos:</strong> ${getScheduleResourceNames(schedule).join(', ')}</p>` : ''}
                 <p><strong>Status:</strong> ${schedule.status.charAt(0).toUpperCase() + schedule.status.slice(1)}</p>
                 ${schedule.assignedToUserName ? `<p><strong>Atribuído a:</strong> ${schedule.assignedToUserName}</p>` : '<p><strong>Atribuído a:</strong> Não atribuído</p>'}
                 ${schedule.observations ? `<p><strong>Obs:</strong> ${schedule.observations}</p>` : ''}
+                ${schedule.conflictOverride ? `<p class="conflict-override-badge"><i class="fa-solid fa-triangle-exclamation"></i> Agendado sobre conflito por ${schedule.conflictOverride.overriddenBy}: ${schedule.conflictOverride.reason}</p>` : ''}
+                ${schedule.seriesId ? `<p class="series-badge"><i class="fa-solid fa-repeat"></i> ${describeSeriesPosition(schedule)}</p>` : ''}
                 ${cancellationInfo}
             </div>
             <div class="schedule-actions">
@@ -274,17 +673,50 @@ export function renderSchedule(selectedDate = null) {
         `;
         agendaList.appendChild(card);
     });
+    loadAttachmentImages(agendaList);
 }
 
-export function updateScheduleStatus(scheduleId, newStatus) {
+// Schedules between two dates (inclusive) that the agenda filters let through
+function filterAgendaSchedules(fromDate, toDate) {
+    const currentUser = getCurrentUser();
+    const isManager = hasPermission('schedule.view_all');
+    const { professionalId: professionalIdFilter, unit: unitFilter } = getAgendaFilters();
+
+    return getVisibleSchedules().filter(schedule => {
+        if (schedule.date < fromDate || schedule.date > toDate) return false;
+
+        // Filter by unit
+        if (unitFilter !== 'all') {
+            const client = db.clients.find(c => c.id === schedule.clientId);
+            if (!client || client.unit !== unitFilter) {
+                return false;
+            }
+        }
+
+        if (isManager) {
+            // Managers can filter by professional.
+            if (professionalIdFilter === 'all') {
+                return true; // Show all schedules for the day
+            } else {
+                return schedule.assignedToUserId === parseInt(professionalIdFilter);
+            }
+        } else {
+            // Professionals who are not managers only see their own schedules.
+            return schedule.assignedToUserId === currentUser.id;
+        }
+        
+    });
+}
+
+export async function updateScheduleStatus(scheduleId, newStatus) {
     const schedule = db.schedules.find(s => s.id === scheduleId);
     if (schedule) {
         const currentUser = getCurrentUser();
 
         // Permission check for confirming
-        // A user can confirm if they have 'edit' access to 'agenda' tab
+        // A user can confirm if they may edit every schedule
         // OR if they have 'view' access and the schedule is assigned to them.
-        const canConfirm = checkTabAccess('agenda', 'edit') ||
+        const canConfirm = hasPermission('schedule.edit') ||
                            (checkTabAccess('agenda', 'view') && schedule.assignedToUserId === currentUser.id);
 
         if (newStatus === 'confirmado') {
@@ -303,9 +735,9 @@ export function updateScheduleStatus(scheduleId, newStatus) {
             document.getElementById('form-confirmar-atendimento').reset();
             
             // Set professional responsible based on role
-            // If user has edit access to agenda, they can select any professional.
+            // If user may edit every schedule, they can select any professional.
             // Otherwise, if they only have view access and it's their own schedule, they can only set themselves.
-            if (checkTabAccess('agenda', 'edit')) {
+            if (hasPermission('schedule.edit')) {
                 profissionalResponsavelInput.value = schedule.assignedToUserName || currentUser.name;
                 profissionalResponsavelInput.readOnly = false;
             } else if (checkTabAccess('agenda', 'view') && schedule.assignedToUserId === currentUser.id) {
@@ -316,6 +748,7 @@ export function updateScheduleStatus(scheduleId, newStatus) {
                 return;
             }
             
+            document.getElementById('duracao-atendimento-confirmacao').value = convertDecimalHoursToTime(getScheduleDurationHours(schedule));
             document.getElementById('materials-selection-confirm').innerHTML = '';
             
             // Set client info in modal
@@ -328,8 +761,13 @@ export function updateScheduleStatus(scheduleId, newStatus) {
         } else {
             // General status update (e.g., if we had other statuses to set directly)
             // This path would only be taken if canConfirm is true.
-            schedule.status = newStatus;
-            saveDb();
+            try {
+                await schedulesRepository.update(scheduleId, { status: newStatus });
+            } catch (error) {
+                console.error('Erro ao atualizar status do agendamento:', error);
+                showNotification('Erro ao atualizar o agendamento. Tente novamente.', 'error');
+                return;
+            }
             renderSchedule(document.getElementById('date-selector').value);
             showNotification(`Status do agendamento atualizado para ${newStatus}.`, 'success');
         }
@@ -343,8 +781,8 @@ export function cancelScheduleWithReason(scheduleId) {
     const currentUser = getCurrentUser();
 
     // Permission check for cancelling
-    // A user can cancel if they have 'edit' access to 'agenda' tab
-    const canCancel = checkTabAccess('agenda', 'edit') || (checkTabAccess('agenda', 'view') && schedule.assignedToUserId === currentUser.id);
+    // A user can cancel if they may edit every schedule, or their own with 'view' access to 'agenda' tab
+    const canCancel = hasPermission('schedule.edit') || (checkTabAccess('agenda', 'view') && schedule.assignedToUserId === currentUser.id);
 
     if (!canCancel) {
         showNotification('Você não tem permissão para cancelar este agendamento.', 'error');
@@ -356,6 +794,7 @@ export function cancelScheduleWithReason(scheduleId) {
     // Reset form
     document.getElementById('form-cancelar-agendamento').reset();
     document.getElementById('preview-imagem-cancelamento').style.display = 'none';
+    prepareSeriesScope('cancel-series-scope', schedule);
     
     // Show modal
     document.getElementById('modal-cancelar-agendamento').style.display = 'flex';
@@ -365,8 +804,7 @@ export function editSchedule(scheduleId) {
     const schedule = db.schedules.find(s => s.id === scheduleId);
     if (!schedule) return;
     
-    // Only users with 'edit' permission for the 'agenda' tab can edit schedules.
-    if (!checkTabAccess('agenda', 'edit')) {
+    if (!hasPermission('schedule.edit')) {
         showNotification('Você não tem permissão para editar agendamentos.', 'error');
         return;
     }
@@ -381,7 +819,15 @@ export function editSchedule(scheduleId) {
     document.getElementById('edit-data-agendamento').value = schedule.date;
     document.getElementById('edit-hora-agendamento').value = schedule.time;
     document.getElementById('edit-tipo-servico').value = schedule.serviceType;
+    document.getElementById('edit-duracao-agendamento').value = convertDecimalHoursToTime(getScheduleDurationHours(schedule));
     document.getElementById('edit-observacoes-agendamento').value = schedule.observations || '';
+    const client = db.clients.find(c => c.id === schedule.clientId);
+    populateRoomFields('edit-sala-agendamento', 'edit-recursos-agendamento', client?.unit || null, {
+        roomId: schedule.roomId || null,
+        resourceIds: schedule.resourceIds || [],
+        legacyRoom: schedule.roomId ? null : schedule.room || null
+    });
+    prepareSeriesScope('edit-series-scope', schedule);
     
     document.getElementById('modal-editar-agendamento').style.display = 'flex';
 }
@@ -392,7 +838,7 @@ function populateEditClientSelectOptions() {
     
     select.innerHTML = '<option value="">Selecione um cliente</option>';
     
-    db.clients.forEach(client => {
+    getVisibleClients().forEach(client => {
         const option = document.createElement('option');
         option.value = client.id;
         option.textContent = `${client.name} (ID: ${client.id})`;
@@ -415,7 +861,12 @@ function populateEditServiceTypeOptions() {
     });
 }
 
-export function saveEditedSchedule() {
+export async function saveEditedSchedule() {
+    if (!hasPermission('schedule.edit')) {
+        showNotification('Você não tem permissão para editar agendamentos.', 'error');
+        return;
+    }
+
     const schedule = db.schedules.find(s => s.id === window.currentEditingScheduleId);
     if (!schedule) return;
     
@@ -423,26 +874,84 @@ export function saveEditedSchedule() {
     const date = document.getElementById('edit-data-agendamento').value;
     const time = document.getElementById('edit-hora-agendamento').value;
     const serviceType = document.getElementById('edit-tipo-servico').value;
+    const durationHours = convertTimeToDecimalHours(document.getElementById('edit-duracao-agendamento').value);
+    const { roomId, resourceIds, keepsLegacyRoom } = readRoomFields('edit-sala-agendamento', 'edit-recursos-agendamento');
     const observations = document.getElementById('edit-observacoes-agendamento').value;
 
-    if (!clientId || !date || !time || !serviceType) {
+    if (!clientId || !date || !time || !serviceType || !durationHours) {
         showNotification('Por favor, preencha todos os campos obrigatórios.', 'warning');
         return;
     }
 
-    schedule.clientId = clientId;
-    schedule.date = date;
-    schedule.time = time;
-    schedule.serviceType = serviceType;
-    schedule.observations = observations;
+    const scope = getSelectedSeriesScope('edit-series-scope');
+    const targets = getScopedSchedules(schedule, scope);
+    // Moving one session moves the others of the scope by the same number of days
+    const dayShift = daysBetween(schedule.date, date);
+    // "This and following" becomes a series of its own, so later changes to the earlier sessions leave it alone
+    const splitSeries = scope === 'following' && getSeriesOccurrences(schedule.seriesId)[0].id !== schedule.id;
+    const seriesId = splitSeries ? crypto.randomUUID() : schedule.seriesId;
+
+    const changesByTarget = targets.map(target => ({
+        clientId,
+        date: target.id === schedule.id ? date : addDays(target.date, dayShift),
+        time,
+        durationHours,
+        serviceType,
+        roomId,
+        resourceIds,
+        // The typed room of a schedule saved before the catalog is kept only while it stays selected
+        room: keepsLegacyRoom ? target.room : null,
+        observations
+    }));
+
+    // Every session moved to another date, time or length must fit the working hours and absences of its professional
+    const unit = db.clients.find(c => c.id === clientId)?.unit || null;
+    for (const [index, target] of targets.entries()) {
+        const changes = changesByTarget[index];
+        const moved = changes.date !== target.date || changes.time !== target.time ||
+            changes.durationHours !== getScheduleDurationHours(target);
+        const assignedUser = moved && db.users.find(u => u.id === target.assignedToUserId);
+        if (!assignedUser) continue;
+        const unavailableReason = getUnavailabilityReason(assignedUser, changes.date, changes.time, changes.durationHours, unit);
+        if (unavailableReason) {
+            showNotification(`${assignedUser.name} não está disponível em ${formatScheduleDate(changes.date)} às ${changes.time}: ${unavailableReason}.`, 'warning');
+            return;
+        }
+    }
 
-    saveDb();
+    const conflictOverride = await resolveScheduleConflicts(
+        targets.map((target, index) => ({ ...target, ...changesByTarget[index] })),
+        { ignoreIds: targets.map(target => target.id) }
+    );
+    if (conflictOverride === false) return;
+
+    let updated = 0;
+    try {
+        for (const [index, target] of targets.entries()) {
+            // A booking that no longer conflicts drops the justification of an earlier override
+            const changes = { ...changesByTarget[index], conflictOverride };
+            if (scope !== 'occurrence') {
+                changes.seriesId = seriesId;
+                changes.recurrence = shiftRecurrence(target.recurrence, dayShift);
+            }
+            await schedulesRepository.update(target.id, changes);
+            updated++;
+        }
+    } catch (error) {
+        console.error('Erro ao editar agendamento:', error);
+        showNotification(updated > 0
+            ? `Erro ao salvar a série: ${updated} de ${targets.length} sessões foram alteradas. Tente novamente.`
+            : 'Erro ao salvar o agendamento. Tente novamente.', 'error');
+        if (updated === 0) return;
+    }
     
     document.getElementById('modal-editar-agendamento').style.display = 'none';
     renderSchedule(document.getElementById('date-selector').value);
     renderCalendar();
     
-    showNotification('Agendamento atualizado com sucesso!', 'success');
+    if (updated === targets.length) {
+        showNotification(targets.length > 1 ? `${targets.length} sessões da série atualizadas com sucesso!` : 'Agendamento atualizado com sucesso!', 'success');
+    }
 }
 
 export function initializeCalendar() {
@@ -469,7 +978,7 @@ export function renderCalendar() {
     const currentUser = getCurrentUser(); // Get current user
 
     // Determine which professional's appointments to show on the calendar
-    const isManager = isRoleAllowed(ALL_SCHEDULE_VIEW_EDIT_MANAGERS);
+    const isManager = hasPermission('schedule.view_all');
     let professionalIdFilter = 'all';
     let unitFilter = 'all';
     if (isManager) {
@@ -480,6 +989,7 @@ export function renderCalendar() {
         if (unitFilterSelect) unitFilter = unitFilterSelect.value;
     }
 
+    const visibleSchedules = getVisibleSchedules();
     calendarGrid.innerHTML = '';
     
     // Add day headers
@@ -522,7 +1032,7 @@ export function renderCalendar() {
         }
         
         // Check if it has appointments (filtered by user if applicable)
-        const hasAppointments = db.schedules.some(schedule => {
+        const hasAppointments = visibleSchedules.some(schedule => {
             if (schedule.date !== dateString) return false;
 
             // Apply unit filter to calendar highlights
@@ -560,8 +1070,7 @@ export function renderCalendar() {
 }
 
 export function reassignSchedule(scheduleId) {
-    // Only users with 'edit' permission for the 'agenda' tab can reassign schedules.
-    if (!checkTabAccess('agenda', 'edit')) {
+    if (!hasPermission('schedule.reassign')) {
         showNotification('Você não tem permissão para redirecionar agendamentos.', 'error');
         return;
     }
@@ -577,30 +1086,87 @@ export function reassignSchedule(scheduleId) {
     const clientName = client ? client.name : 'Cliente Desconhecido';
 
     document.getElementById('reassign-schedule-info').textContent = `Agendamento de ${clientName} (${schedule.time})`;
-    
-    // Populate the select dropdown with staff and intern users
+    prepareSeriesScope('reassign-series-scope', schedule);
+    populateReassignOptions();
+
+    document.getElementById('modal-reassign-schedule').style.display = 'flex';
+}
+
+function professionalOptionLabel(user) {
+    return `${user.name} (${user.role === 'staff' ? 'Funcionário' : (user.role === 'intern' ? 'Estagiário' : 'Musicoterapeuta')})`;
+}
+
+// Hint below a professional select about who was left out for not being available
+function showAvailabilityHint(elementId, unavailable) {
+    const hint = document.getElementById(elementId);
+    if (!hint) return;
+    hint.textContent = unavailable.length > 0
+        ? `Fora do horário de trabalho ou ausentes neste horário: ${unavailable.map(user => user.name).join(', ')}.`
+        : '';
+}
+
+/**
+ * Fills the professionals of the reassignment modal with those available for every session in the chosen scope.
+ */
+export function populateReassignOptions() {
+    const schedule = db.schedules.find(s => s.id === window.currentReassigningScheduleId);
+    if (!schedule) return;
+
+    const client = db.clients.find(c => c.id === schedule.clientId);
+    const targets = getScopedSchedules(schedule, getSelectedSeriesScope('reassign-series-scope'));
+    const slots = targets.map(target => ({ date: target.date, time: target.time, durationHours: getScheduleDurationHours(target) }));
+    const { available, unavailable } = splitProfessionalsByAvailability(slots, client?.unit || null);
+
     const selectAssignedUser = document.getElementById('select-assigned-user');
     selectAssignedUser.innerHTML = '<option value="">Selecione um profissional</option>';
-    
-    const assignableUsers = db.users.filter(user => PROFESSIONAL_ROLES.includes(user.role));
-    assignableUsers.forEach(user => {
+    available.forEach(user => {
         const option = document.createElement('option');
         option.value = user.id;
-        option.textContent = `${user.name} (${user.role === 'staff' ? 'Funcionário' : (user.role === 'intern' ? 'Estagiário' : 'Musicoterapeuta')})`;
+        option.textContent = professionalOptionLabel(user);
         selectAssignedUser.appendChild(option);
     });
+    showAvailabilityHint('reassign-availability-hint', unavailable);
 
-    // Pre-select if already assigned
-    if (schedule.assignedToUserId) {
-        selectAssignedUser.value = schedule.assignedToUserId;
-    } else {
-        selectAssignedUser.value = ''; // Ensure nothing is pre-selected if not assigned
+    // Pre-select if already assigned (and still available)
+    selectAssignedUser.value = available.some(user => user.id === schedule.assignedToUserId) ? schedule.assignedToUserId : '';
+}
+
+/**
+ * Adds a professional who received sessions of the patient to the patient's linked professionals (with a
+ * change history entry). Returns the client fields to save, or null when the professional is already linked.
+ * The client record is left untouched so the repository still sees the stored values as the 'before' state.
+ */
+function linkProfessionalToClient(client, newAssignedUser) {
+    const assignedIds = client.assignedProfessionalIds || [];
+    if (!PROFESSIONAL_ROLES.includes(newAssignedUser.role) || assignedIds.includes(newAssignedUser.id)) {
+        return null;
     }
 
-    document.getElementById('modal-reassign-schedule').style.display = 'flex';
+    const namesOf = ids => ids.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
+    const assignedProfessionalIds = [...assignedIds, newAssignedUser.id];
+
+    // Add a change history entry for the client's assignment
+    const changeHistory = [...(client.changeHistory || []), {
+        id: db.nextChangeId++,
+        date: new Date().toISOString(),
+        changedBy: getCurrentUser().name,
+        changes: [
+            {
+                field: 'Profissionais Vinculados',
+                oldValue: namesOf(assignedIds) || 'Nenhum',
+                newValue: namesOf(assignedProfessionalIds)
+            }
+        ]
+    }];
+    return { assignedProfessionalIds, changeHistory };
 }
 
-export function saveReassignedSchedule() {
+export async function saveReassignedSchedule() {
+    if (!hasPermission('schedule.reassign')) {
+        showNotification('Você não tem permissão para redirecionar agendamentos.', 'error');
+        return;
+    }
+
     const schedule = db.schedules.find(s => s.id === window.currentReassigningScheduleId);
     if (!schedule) {
         showNotification('Erro: Agendamento não encontrado.', 'error');
@@ -621,98 +1187,132 @@ export function saveReassignedSchedule() {
         return;
     }
 
-    const oldAssignedUserName = schedule.assignedToUserName;
-    const newAssignedUserName = newAssignedUser.name;
+    const targets = getScopedSchedules(schedule, getSelectedSeriesScope('reassign-series-scope'))
+        .filter(target => target.assignedToUserId !== newAssignedUserId);
+
+    // Only the new professional's agenda changes, so patient and room conflicts were already there
+    const conflictOverride = await resolveScheduleConflicts(
+        targets.map(target => ({ ...target, assignedToUserId: newAssignedUserId })),
+        { ignoreIds: targets.map(target => target.id), checks: ['professional'] }
+    );
+    if (conflictOverride === false) return;
 
     // NEW LOGIC: If re-assigning to a different user, create a notification
-    if (schedule.assignedToUserId !== newAssignedUserId) {
-        if (!db.notifications) db.notifications = [];
-        db.notifications.push({
-            id: db.nextNotificationId++,
+    if (targets.length > 0) {
+        await notificationsRepository.create({
             userId: newAssignedUserId,
             type: 'schedule_assignment',
             title: 'Agendamento Redirecionado',
-            message: `O agendamento do paciente ${client.name} para ${new Date(schedule.date).toLocaleDateString('pt-BR', { timeZone: 'UTC' })} às ${schedule.time} foi redirecionado para você.`,
-            relatedId: schedule.id,
+            message: targets.length > 1
+                ? `${targets.length} sessões do paciente ${client.name}, a partir de ${formatScheduleDate(targets[0].date)} às ${targets[0].time}, foram redirecionadas para você.`
+                : `O agendamento do paciente ${client.name} para ${formatScheduleDate(targets[0].date)} às ${targets[0].time} foi redirecionado para você.`,
+            relatedId: targets[0].id,
             createdAt: new Date().toISOString(),
             isRead: false
-        });
+        }).catch(error => console.error('Erro ao criar notificação de redirecionamento:', error));
     }
 
-    // NEW LOGIC: If assigning to a professional, ADD this professional to the client's assigned professionals list
-    if (PROFESSIONAL_ROLES.includes(newAssignedUser.role)) {
-        if (!client.assignedProfessionalIds) {
-            client.assignedProfessionalIds = [];
+    const clientChanges = linkProfessionalToClient(client, newAssignedUser);
+
+    try {
+        if (clientChanges) {
+            await clientsRepository.update(client.id, clientChanges);
         }
-        
-        // Add the new professional if not already there
-        if (!client.assignedProfessionalIds.includes(newAssignedUserId)) {
-            const oldAssignedNames = client.assignedProfessionalIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
-            client.assignedProfessionalIds.push(newAssignedUserId);
-            const newAssignedNames = client.assignedProfessionalIds.map(id => db.users.find(u => u.id === id)?.name || 'Desconhecido').join(', ');
-            
-            // Add a change history entry for the client's assignment
-            if (!client.changeHistory) client.changeHistory = [];
-            client.changeHistory.push({
-                id: db.nextChangeId++,
-                date: new Date().toISOString(),
-                changedBy: getCurrentUser().name,
-                changes: [
-                    {
-                        field: 'Profissionais Vinculados',
-                        oldValue: oldAssignedNames || 'Nenhum',
-                        newValue: newAssignedNames
-                    }
-                ]
+        for (const target of targets) {
+            await schedulesRepository.update(target.id, {
+                assignedToUserId: newAssignedUserId,
+                assignedToUserName: newAssignedUser.name,
+                ...(conflictOverride ? { conflictOverride } : {})
             });
         }
+    } catch (error) {
+        console.error('Erro ao redirecionar agendamento:', error);
+        showNotification('Erro ao redirecionar o agendamento. Tente novamente.', 'error');
+        return;
     }
-
-    schedule.assignedToUserId = newAssignedUserId;
-    schedule.assignedToUserName = newAssignedUser.name;
-
-    saveDb();
     document.getElementById('modal-reassign-schedule').style.display = 'none';
     renderSchedule(document.getElementById('date-selector').value);
     // If the client details modal is open (e.g., reassigning from there), refresh it
     if (document.getElementById('modal-detalhes-cliente').style.display === 'flex') {
         showClientDetails(client.id);
     }
-    showNotification('Agendamento redirecionado com sucesso!', 'success');
+    showNotification(targets.length > 1 ? `${targets.length} sessões redirecionadas com sucesso!` : 'Agendamento redirecionado com sucesso!', 'success');
 }
 
-export function populateAssignableUsers() {
+const ROOM_FIELDS = {
+    new: { clientSelect: 'select-cliente-agenda', room: 'sala-agendamento', resources: 'recursos-agendamento' },
+    edit: { clientSelect: 'edit-cliente-agenda', room: 'edit-sala-agendamento', resources: 'edit-recursos-agendamento' }
+};
+
+/**
+ * Fills the room and equipment of the new ('new') or edit ('edit') schedule form with those bookable in the
+ * unit of the chosen patient. With `keepSelection`, what was already chosen stays while still bookable there.
+ */
+export function populateScheduleRooms(form, keepSelection = false) {
+    const fields = ROOM_FIELDS[form];
+    const client = db.clients.find(c => c.id === parseInt(document.getElementById(fields.clientSelect).value));
+    const unit = client?.unit || null;
+    const bookableIds = [...getBookableRooms('sala', unit), ...getBookableRooms('recurso', unit)].map(room => room.id);
+    const selection = keepSelection ? readRoomFields(fields.room, fields.resources) : { roomId: null, resourceIds: [] };
+    populateRoomFields(fields.room, fields.resources, unit, {
+        roomId: bookableIds.includes(selection.roomId) ? selection.roomId : null,
+        resourceIds: selection.resourceIds.filter(id => bookableIds.includes(id))
+    });
+}
+
+/**
+ * Fills the professional select of the new schedule form. Users who may create schedules choose among the
+ * professionals available at the chosen date, time and duration (every session when it repeats) in the unit
+ * of the chosen client; the others can only book for themselves.
+ */
+export function populateAssignableUsers(keepSelection = false) {
     const select = document.getElementById('select-assigned-professional');
     if (!select) return;
     
+    const previousValue = keepSelection ? select.value : '';
     select.innerHTML = ''; // Clear existing options
     const currentUser = getCurrentUser();
 
-    // If the user has 'edit' access to the 'agenda' tab, they can select any professional.
-    if (checkTabAccess('agenda', 'edit')) {
+    // If the user may create schedules, they can select any professional.
+    if (hasPermission('schedule.create')) {
         select.innerHTML = '<option value="">Nenhum (selecione)</option>'; // Default option
-        const assignableUsers = db.users.filter(user => PROFESSIONAL_ROLES.includes(user.role));
+        const date = document.getElementById('data-agendamento').value;
+        const time = document.getElementById('hora-agendamento').value;
+        const durationHours = convertTimeToDecimalHours(document.getElementById('duracao-agendamento').value);
+        const client = db.clients.find(c => c.id === parseInt(document.getElementById('select-cliente-agenda').value));
+
+        let available = getVisibleUsers().filter(user => PROFESSIONAL_ROLES.includes(user.role));
+        let unavailable = [];
+        if (date && time && durationHours) {
+            const rule = readRecurrenceRule();
+            const dates = rule && rule.weekdays.length > 0 && (rule.count || rule.until) ? generateOccurrenceDates(date, rule) : [date];
+            ({ available, unavailable } = splitProfessionalsByAvailability(dates.map(slotDate => ({ date: slotDate, time, durationHours })), client?.unit || null));
+        }
         
-        assignableUsers.forEach(user => {
+        available.forEach(user => {
             const option = document.createElement('option');
             option.value = user.id;
-            option.textContent = `${user.name} (${user.role === 'staff' ? 'Funcionário' : (user.role === 'intern' ? 'Estagiário' : 'Musicoterapeuta')})`;
+            option.textContent = professionalOptionLabel(user);
             select.appendChild(option);
         });
+        showAvailabilityHint('assignable-availability-hint', unavailable);
         select.disabled = false;
-        select.value = ''; // Ensure no default selection for directors/coordinators/receptionists
+        // While the form is being filled, keeps the professional already chosen if they remain available
+        select.value = available.some(user => String(user.id) === previousValue) ? previousValue : '';
     } else if (checkTabAccess('agenda', 'view') && isRoleAllowed(PROFESSIONAL_ROLES)) {
         // If they only have view access and are a professional, they can only assign to themselves.
         const option = document.createElement('option');
         option.value = currentUser.id;
-        option.textContent = `${currentUser.name} (${currentUser.role === 'staff' ? 'Funcionário' : (currentUser.role === 'intern' ? 'Estagiário' : 'Musicoterapeuta')})`;
+        option.textContent = professionalOptionLabel(currentUser);
         select.appendChild(option);
         select.value = currentUser.id; // Pre-select themselves
         select.disabled = true; // Disable the select box
+        showAvailabilityHint('assignable-availability-hint', []);
     } else {
         // Other roles (e.g., financeiro, staff not in PROFESSIONAL_ROLES) or no access to agenda
         select.innerHTML = '<option value="">Nenhum</option>';
         select.disabled = true;
+        showAvailabilityHint('assignable-availability-hint', []);
     }
 }
 
@@ -720,4 +1320,6 @@ export function populateAssignableUsers() {
 window.cancelScheduleWithReason = cancelScheduleWithReason;
 window.editSchedule = editSchedule;
 window.reassignSchedule = reassignSchedule;
-window.saveReassignedSchedule = saveReassignedSchedule;
\ No newline at end of file
+window.saveReassignedSchedule = saveReassignedSchedule;
+
+setTimelineHandlers({ move: moveScheduleFromTimeline, open: openScheduleFromTimeline });
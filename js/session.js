@@ -0,0 +1,293 @@
+// Session module
+// Logout after a period of inactivity chosen per role, with a countdown warning before it happens; periodic
+// revalidation of the session and profile; and the director's list of active sessions, which can be revoked.
+import {db} from './database.js';
+import {supabase} from './supabase.js';
+import {getCurrentUser, isRoleAllowed, revalidateSession, getCurrentSessionId} from './auth.js';
+import {DIRECTOR_ONLY, PREDEFINED_ROLE_NAMES, getRoleName} from './roles.js';
+import {showNotification} from './ui.js';
+import {rolesRepository} from './repository.js';
+
+export const DEFAULT_IDLE_TIMEOUT_MINUTES = 60;
+const MIN_IDLE_TIMEOUT_MINUTES = 5;
+const MAX_IDLE_TIMEOUT_MINUTES = 8 * 60;
+// The warning modal counts down this long before the logout
+const IDLE_WARNING_SECONDS = 60;
+// Revoked sessions, deactivated accounts and role changes are noticed at most this long after they happen
+const SESSION_CHECK_INTERVAL = 5 * 60 * 1000;
+
+let idleTimeoutHandler = null;
+let idleWarningTimer = null;
+let idleLogoutTimer = null;
+let idleCountdownTimer = null;
+let sessionCheckTimer = null;
+let currentSessionId = null;
+
+/**
+ * Inactivity limit of a role in minutes: the value set by the director or the default.
+ */
+export function getIdleTimeoutMinutes(roleId) {
+    const role = db.roles.find(r => r.id === roleId);
+    return role?.idleTimeoutMinutes || DEFAULT_IDLE_TIMEOUT_MINUTES;
+}
+
+function isIdleWarningOpen() {
+    return document.getElementById('modal-idle-warning').style.display === 'flex';
+}
+
+function clearIdleTimers() {
+    clearTimeout(idleWarningTimer);
+    clearTimeout(idleLogoutTimer);
+    clearInterval(idleCountdownTimer);
+}
+
+function showIdleWarning(logoutAt) {
+    const countdown = document.getElementById('idle-countdown');
+    const update = () => {
+        countdown.textContent = Math.max(0, Math.ceil((logoutAt - Date.now()) / 1000));
+    };
+    update();
+    idleCountdownTimer = setInterval(update, 1000);
+    document.getElementById('modal-idle-warning').style.display = 'flex';
+}
+
+function idleLogout() {
+    const handler = idleTimeoutHandler;
+    stopIdleTimer();
+    if (handler) handler();
+}
+
+/**
+ * Starts counting inactivity for the logged-in user; `onTimeout` runs when the limit of their role is reached.
+ */
+export function startIdleTimer(onTimeout) {
+    idleTimeoutHandler = onTimeout;
+    resetIdleTimer();
+}
+
+/**
+ * Restarts the inactivity count (called on user activity). Once the warning is open, only its
+ * "stay connected" button keeps the session.
+ */
+export function resetIdleTimer() {
+    if (!idleTimeoutHandler || isIdleWarningOpen()) return;
+    clearIdleTimers();
+
+    const timeoutMs = getIdleTimeoutMinutes(getCurrentUser()?.role) * 60 * 1000;
+    const warningMs = Math.max(0, timeoutMs - IDLE_WARNING_SECONDS * 1000);
+    const logoutAt = Date.now() + timeoutMs;
+    idleWarningTimer = setTimeout(() => showIdleWarning(logoutAt), warningMs);
+    idleLogoutTimer = setTimeout(idleLogout, timeoutMs);
+}
+
+export function stopIdleTimer() {
+    idleTimeoutHandler = null;
+    clearIdleTimers();
+    document.getElementById('modal-idle-warning').style.display = 'none';
+}
+
+/**
+ * "Stay connected" in the warning modal.
+ */
+export function keepSessionAlive() {
+    clearIdleTimers();
+    document.getElementById('modal-idle-warning').style.display = 'none';
+    resetIdleTimer();
+}
+
+/**
+ * "Log out now" in the warning modal.
+ */
+export function endSessionNow() {
+    idleLogout();
+}
+
+// --- Periodic revalidation ---
+
+/**
+ * Revalidates the session every few minutes while the app is open. `onInvalid(reason)` runs when the
+ * session was revoked or expired or the account was deactivated; a changed role or access reloads the app.
+ */
+export function startSessionChecks(onInvalid) {
+    stopSessionChecks();
+    sessionCheckTimer = setInterval(async () => {
+        try {
+            const result = await revalidateSession();
+            if (!result.valid) {
+                stopSessionChecks();
+                onInvalid(result.reason);
+            } else if (result.changed) {
+                stopSessionChecks();
+                showNotification('Seu cargo ou seus acessos foram alterados. O sistema será recarregado.', 'info', 'Sessão', 5000);
+                setTimeout(() => window.location.reload(), 3000);
+            }
+        } catch (error) {
+            console.error('Erro ao revalidar a sessão:', error);
+        }
+    }, SESSION_CHECK_INTERVAL);
+}
+
+export function stopSessionChecks() {
+    clearInterval(sessionCheckTimer);
+    sessionCheckTimer = null;
+}
+
+// --- Director screen: idle limits and active sessions ---
+
+function renderIdleTimeouts() {
+    const roleIds = [...Object.keys(PREDEFINED_ROLE_NAMES), ...db.roles.filter(role => role.isCustom).map(role => role.id)];
+    document.getElementById('idle-timeout-list').innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Cargo</th><th>Desconectar após (minutos)</th></tr></thead>
+                <tbody>
+                    ${roleIds.map(roleId => `
+                        <tr>
+                            <td>${getRoleName(roleId)}</td>
+                            <td><input type="number" class="idle-timeout-input" data-role-id="${roleId}" min="${MIN_IDLE_TIMEOUT_MINUTES}" max="${MAX_IDLE_TIMEOUT_MINUTES}" value="${getIdleTimeoutMinutes(roleId)}"></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Saves the inactivity limit of every role whose value changed in the sessions screen.
+ */
+export async function saveIdleTimeouts() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Apenas a diretoria pode alterar o tempo de inatividade.', 'error');
+        return;
+    }
+
+    const inputs = Array.from(document.querySelectorAll('#idle-timeout-list .idle-timeout-input'));
+    const invalid = inputs.find(input => {
+        const minutes = parseInt(input.value);
+        return !(minutes >= MIN_IDLE_TIMEOUT_MINUTES && minutes <= MAX_IDLE_TIMEOUT_MINUTES);
+    });
+    if (invalid) {
+        showNotification(`O tempo de inatividade deve ficar entre ${MIN_IDLE_TIMEOUT_MINUTES} e ${MAX_IDLE_TIMEOUT_MINUTES} minutos.`, 'warning');
+        invalid.focus();
+        return;
+    }
+
+    let saved = 0;
+    try {
+        for (const input of inputs) {
+            const roleId = input.dataset.roleId;
+            const minutes = parseInt(input.value);
+            if (minutes === getIdleTimeoutMinutes(roleId)) continue;
+            if (db.roles.some(role => role.id === roleId)) {
+                await rolesRepository.update(roleId, {idleTimeoutMinutes: minutes});
+            } else {
+                // Predefined roles seeded by schema.sql may be missing from a local-only database
+                await rolesRepository.create({id: roleId, name: getRoleName(roleId), isCustom: false, idleTimeoutMinutes: minutes, createdAt: new Date().toISOString()});
+            }
+            saved++;
+        }
+    } catch (error) {
+        console.error('Erro ao salvar o tempo de inatividade:', error);
+        showNotification('Não foi possível salvar todos os tempos de inatividade.', 'error');
+        return;
+    }
+
+    resetIdleTimer();
+    showNotification(saved > 0 ? 'Tempos de inatividade salvos. Valem a partir da próxima atividade de cada usuário.' : 'Nenhum tempo de inatividade foi alterado.', saved > 0 ? 'success' : 'info');
+}
+
+function describeDevice(userAgent) {
+    if (!userAgent) return '-';
+    const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`));
+    const system = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+    return [browser === 'Edg' ? 'Edge' : browser, system].filter(Boolean).join(' em ') || userAgent.slice(0, 40);
+}
+
+function formatSessionDate(value) {
+    return value ? new Date(value).toLocaleString('pt-BR') : '-';
+}
+
+/**
+ * Loads and renders the active sessions (director only).
+ */
+export async function renderActiveSessions() {
+    const container = document.getElementById('active-sessions-list');
+    container.innerHTML = '<p>Carregando sessões...</p>';
+
+    try {
+        currentSessionId = await getCurrentSessionId();
+        const {data: sessions, error} = await supabase.rpc('list_active_sessions');
+        if (error) throw error;
+
+        if (sessions.length === 0) {
+            container.innerHTML = '<p>Nenhuma sessão ativa.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="report-table-container">
+                <table>
+                    <thead><tr><th>Funcionário</th><th>Início</th><th>Última atividade</th><th>Dispositivo</th><th>IP</th><th></th></tr></thead>
+                    <tbody>
+                        ${sessions.map(session => `
+                            <tr class="${session.session_id === currentSessionId ? 'current-session' : ''}">
+                                <td>${session.funcionario_name || '-'}<br><small>${session.email}</small></td>
+                                <td>${formatSessionDate(session.created_at)}</td>
+                                <td>${formatSessionDate(session.last_active_at)}</td>
+                                <td>${describeDevice(session.user_agent)}</td>
+                                <td>${session.ip || '-'}</td>
+                                <td>${session.session_id === currentSessionId
+                                    ? '<span class="current-session-label">Esta sessão</span>'
+                                    : `<button type="button" class="btn-danger btn-small" onclick="revokeSession('${session.session_id}')">Encerrar</button>`}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Erro ao carregar as sessões ativas:', error);
+        container.innerHTML = '<p>Não foi possível carregar as sessões ativas.</p>';
+    }
+}
+
+/**
+ * Opens the sessions screen: inactivity limit per role and active sessions (director only).
+ */
+export function showSessionsModal() {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para gerenciar sessões.', 'error');
+        return;
+    }
+
+    renderIdleTimeouts();
+    document.getElementById('modal-sessions').style.display = 'flex';
+    renderActiveSessions();
+}
+
+/**
+ * Ends another user's session. The access token already issued stays valid until it expires (one hour by
+ * default); the app of that user logs out at its next session check.
+ */
+export async function revokeSession(sessionId) {
+    if (!isRoleAllowed(DIRECTOR_ONLY)) {
+        showNotification('Você não tem permissão para encerrar sessões.', 'error');
+        return;
+    }
+    if (sessionId === currentSessionId) {
+        showNotification('Para encerrar esta sessão, use o botão Sair.', 'warning');
+        return;
+    }
+    if (!confirm('Encerrar esta sessão? O funcionário precisará fazer login novamente.')) return;
+
+    try {
+        const {error} = await supabase.rpc('revoke_session', {target_session: sessionId});
+        if (error) throw error;
+        showNotification('Sessão encerrada.', 'success');
+    } catch (error) {
+        console.error('Erro ao encerrar a sessão:', error);
+        showNotification('Não foi possível encerrar a sessão.', 'error');
+    }
+    renderActiveSessions();
+}
@@ -1,14 +1,14 @@
 // Stock management module
 import { db, saveDb } from './database.js';
-import { getCurrentUser, isRoleAllowed } from './auth.js';
-import { DIRECTOR_ONLY, STOCK_MANAGERS } from './roles.js';
+import { getCurrentUser, hasPermission } from './auth.js';
+import { showNotification } from './ui.js';
+import { attachmentAction } from './attachments.js';
 
 export function renderStockList() {
     const stockList = document.getElementById('stock-list');
     if (!stockList) return;
     
-    // Only Director and Finance can view stock
-    if (!isRoleAllowed(STOCK_MANAGERS)) {
+    if (!hasPermission('stock.view')) {
         stockList.innerHTML = '<p>Você não tem permissão para visualizar o estoque.</p>';
         return;
     }
@@ -20,6 +20,9 @@ export function renderStockList() {
         return;
     }
     
+    const canAdjust = hasPermission('stock.adjust');
+    const canDelete = hasPermission('stock.item.delete');
+
     // Group items by category
     const categories = {};
     db.stockItems.forEach(item => {
@@ -128,15 +131,19 @@ export function renderStockList() {
                     </div>
                 </div>
                 <div class="stock-item-actions">
-                    <button class="btn-stock-add" onclick="adjustStock(${item.id}, 'add')">
-                        <i class="fa-solid fa-plus"></i> Adicionar
-                    </button>
-                    <button class="btn-stock-remove" onclick="adjustStock(${item.id}, 'remove')" ${item.quantity === 0 ? 'disabled' : ''}>
-                        <i class="fa-solid fa-minus"></i> Remover
-                    </button>
-                    <button class="btn-stock-delete" onclick="showDeleteStockItemConfirmation(${item.id})">
-                        <i class="fa-solid fa-trash"></i> Excluir
-                    </button>
+                    ${canAdjust ? `
+                        <button class="btn-stock-add" onclick="adjustStock(${item.id}, 'add')">
+                            <i class="fa-solid fa-plus"></i> Adicionar
+                        </button>
+                        <button class="btn-stock-remove" onclick="adjustStock(${item.id}, 'remove')" ${item.quantity === 0 ? 'disabled' : ''}>
+                            <i class="fa-solid fa-minus"></i> Remover
+                        </button>
+                    ` : ''}
+                    ${canDelete ? `
+                        <button class="btn-stock-delete" onclick="showDeleteStockItemConfirmation(${item.id})">
+                            <i class="fa-solid fa-trash"></i> Excluir
+                        </button>
+                    ` : ''}
                 </div>
             `;
             
@@ -152,8 +159,7 @@ export function renderStockMovements(selectedMonthYear = null) {
     const stockMovements = document.getElementById('stock-movements');
     if (!stockMovements) return;
 
-    // Only Director and Finance can view stock movements
-    if (!isRoleAllowed(STOCK_MANAGERS)) {
+    if (!hasPermission('stock.view')) {
         stockMovements.innerHTML = '<p>Você não tem permissão para visualizar movimentações de estoque.</p>';
         return;
     }
@@ -248,11 +254,12 @@ export function renderStockMovements(selectedMonthYear = null) {
             typeText = '📥 Entrada';
             typeClass = 'entrada';
             // Show purchase info for entry movements if it exists
-            if (movement.purchaseNotes || movement.purchaseFileData) {
+            const purchaseFileSource = movement.purchaseFileRef || movement.purchaseFileData;
+            if (movement.purchaseNotes || purchaseFileSource) {
                 purchaseInfoHtml = `
                     <div class="purchase-info">
                         ${movement.purchaseNotes ? `<p class="purchase-notes"><strong>Notas da Compra:</strong> ${movement.purchaseNotes}</p>` : ''}
-                        ${movement.purchaseFileData ? `<a href="${movement.purchaseFileData}" download="${movement.purchaseFileName}" class="btn-download-small"><i class="fa-solid fa-file-invoice-dollar"></i> Ver Comprovante</a>` : ''}
+                        ${purchaseFileSource ? `<a href="#" onclick="${attachmentAction(purchaseFileSource, movement.purchaseFileName)}" class="btn-download-small"><i class="fa-solid fa-file-invoice-dollar"></i> Ver Comprovante</a>` : ''}
                     </div>
                 `;
             }
@@ -285,8 +292,7 @@ export function renderStockMovements(selectedMonthYear = null) {
 }
 
 export function updateStockSummary() {
-    // Only Director and Finance can view stock summary
-    if (!isRoleAllowed(STOCK_MANAGERS)) {
+    if (!hasPermission('stock.view')) {
         return;
     }
 
@@ -329,8 +335,7 @@ export function updateStockSummary() {
 }
 
 export function adjustStock(itemId, action) {
-    // Only Director and Finance can adjust stock
-    if (!isRoleAllowed(STOCK_MANAGERS)) { 
+    if (!hasPermission('stock.adjust')) { 
         showNotification('Você não tem permissão para ajustar o estoque.', 'error'); 
         return; 
     }
@@ -370,8 +375,7 @@ export function adjustStock(itemId, action) {
 }
 
 export function showDeleteStockItemConfirmation(itemId) {
-    // Only Director and Finance can delete stock items
-    if (!isRoleAllowed(STOCK_MANAGERS)) { 
+    if (!hasPermission('stock.item.delete')) { 
         showNotification('Você não tem permissão para excluir itens do estoque.', 'error'); 
         return; 
     }
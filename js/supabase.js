@@ -33,6 +33,20 @@ export const supabase = createClient(supabaseUrl, supabaseAnonKey, {
     }
 });
 
+/**
+ * Cria um cliente do Supabase que não guarda nem renova sessão
+ * Usado para criar contas de funcionários sem trocar a sessão de quem está logado
+ * @returns {Object} Cliente do Supabase sem sessão persistida
+ */
+export const createDetachedAuthClient = () => createClient(supabaseUrl, supabaseAnonKey, {
+    auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false,
+        storageKey: 'sb-detached-account-creation'
+    }
+});
+
 // =============================================
 // Funções de Autenticação
 // =============================================
@@ -159,75 +173,6 @@ export const getUserFuncionario = async (userEmail) => {
     }
 };
 
-/**
- * Verifica se o usuario tem uma determinada função
- * @param {Object} user - Objeto do usuario
- * @param {string|Array} roles - Função ou array de funções permitidas
- * @returns {boolean} Verdadeiro se o usuario tiver a função
- */
-export const hasRole = (user, roles) => {
-    if (!user || !user.role) return false;
-    if (Array.isArray(roles)) {
-        return roles.includes(user.role);
-    }
-    return user.role === roles;
-};
-
-/**
- * Verifica se o usuario tem permissão para acessar uma aba específica
- * @param {Object} user - Objeto do usuario
- * @param {string} tabId - ID da aba
- * @param {string} requiredAccess - Nível de acesso necessário ('view' ou 'edit')
- * @returns {boolean} Verdadeiro se o usuario tiver permissão
- */
-export const checkTabAccess = (user, tabId, requiredAccess = 'view') => {
-    if (!user) return false;
-
-    // Mapeamento de permissões para cada aba
-    const tabPermissions = {
-        'tab-cadastro': {
-            view: ['director', 'coordinator', 'professional', 'staff'],
-            edit: ['director', 'coordinator', 'professional']
-        },
-        'tab-agenda': {
-            view: ['director', 'coordinator', 'professional', 'staff'],
-            edit: ['director', 'coordinator', 'professional']
-        },
-        'tab-historico': {
-            view: ['director', 'coordinator', 'professional', 'staff'],
-            edit: ['director', 'coordinator', 'professional']
-        },
-        'tab-relatorios': {
-            view: ['director', 'financeiro'],
-            edit: ['director']
-        },
-        'tab-financeiro': {
-            view: ['director', 'financeiro'],
-            edit: ['director', 'financeiro']
-        },
-        'tab-estoque': {
-            view: ['director', 'financeiro', 'staff'],
-            edit: ['director', 'financeiro']
-        },
-        'tab-funcionarios': {
-            view: ['director', 'coordinator'],
-            edit: ['director']
-        }
-    };
-
-    // Verifica se a aba existe no mapeamento
-    if (!tabPermissions[tabId]) return false;
-
-    // Obtém as permissões necessárias para o nível de acesso solicitado
-    const requiredRoles = tabPermissions[tabId][requiredAccess] || [];
-
-    // Se o usuario for administrador, tem acesso a tudo
-    if (user.role === 'director') return true;
-
-    // Verifica se o usuario tem alguma das funções necessárias
-    return requiredRoles.includes(user.role);
-};
-
 /**
  * Inscreve-se para receber atualizações do estado de autenticação
  * @param {Function} callback - Função de callback que será chamada quando o estado mudar
@@ -0,0 +1,384 @@
+// Offline sync module
+// Outbox of write operations for the Supabase driver. Every mutation is applied to the local cache and
+// queued here; the queue is replayed in order whenever the shared database is reachable. Updates are
+// reconciled field by field (last writer wins) and every concurrent edit is kept in a conflict list.
+import {
+    setWriteQueue,
+    getPersistenceDriver,
+    fetchRemote,
+    insertRemote,
+    updateRemote,
+    deleteRemote,
+    replaceLocalId,
+    remapReferences,
+    patchLocal,
+    isTemporaryId
+} from './repository.js';
+import {getCurrentUser} from './auth.js';
+import {showNotification} from './ui.js';
+
+const OUTBOX_KEY = 'gestaoClientesOutbox';
+const CONFLICTS_KEY = 'gestaoClientesSyncConflicts';
+
+const ENTITY_LABELS = {
+    clients: 'Cliente',
+    schedules: 'Agendamento',
+    appointments: 'Atendimento',
+    stockItems: 'Item de estoque',
+    stockMovements: 'Movimentação de estoque',
+    dailyNotes: 'Nota financeira',
+    generalDocuments: 'Item do mural',
+    notifications: 'Notificação',
+    attachments: 'Anexo'
+};
+
+const FIELD_LABELS = {
+    status: 'Status',
+    attendanceId: 'Atendimento vinculado',
+    confirmedAt: 'Confirmado em',
+    cancelReason: 'Motivo do cancelamento',
+    assignedToUserId: 'Profissional',
+    assignedToUserName: 'Profissional',
+    date: 'Data',
+    time: 'Horário',
+    quantity: 'Quantidade',
+    unitValue: 'Valor unitário',
+    value: 'Valor',
+    title: 'Título',
+    content: 'Conteúdo',
+    isRead: 'Lida',
+    assignedProfessionalIds: 'Profissionais vinculados',
+    changeHistory: 'Histórico de alterações'
+};
+
+let outbox = readStoredList(OUTBOX_KEY);
+let conflicts = readStoredList(CONFLICTS_KEY);
+let currentFlush = null;
+// Installed by attachments.js; sends a file added offline to the storage bucket
+let attachmentUploader = null;
+
+function readStoredList(key) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) || [];
+    } catch (error) {
+        console.error(`Erro ao ler ${key}:`, error);
+        return [];
+    }
+}
+
+function persistOutbox() {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+}
+
+function persistConflicts() {
+    localStorage.setItem(CONFLICTS_KEY, JSON.stringify(conflicts));
+}
+
+function isNetworkError(error) {
+    return !navigator.onLine || error instanceof TypeError || /fetch|network|timeout/i.test(error?.message || '');
+}
+
+function sameValue(a, b) {
+    return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function recordConflict(operation, details) {
+    conflicts.unshift({
+        id: `${Date.now()}-${conflicts.length}`,
+        entityName: operation.entityName,
+        recordId: operation.recordId,
+        queuedBy: operation.queuedBy,
+        queuedAt: operation.queuedAt,
+        detectedAt: new Date().toISOString(),
+        ...details
+    });
+    persistConflicts();
+}
+
+/**
+ * Adds an operation to the end of the outbox.
+ */
+export function enqueueOperation(operation) {
+    const currentUser = getCurrentUser();
+    outbox.push({
+        ...operation,
+        queuedAt: new Date().toISOString(),
+        queuedBy: currentUser ? currentUser.name : null
+    });
+    persistOutbox();
+    updateSyncIndicator();
+}
+
+// Once a queued create reaches the server, later operations must point at the real id
+function remapQueuedOperations(tempId, realId) {
+    outbox.forEach(operation => {
+        if (operation.recordId === tempId) operation.recordId = realId;
+        [operation.payload, operation.changes, operation.base].forEach(fields => {
+            if (fields) remapReferences(fields, tempId, realId);
+        });
+    });
+}
+
+async function replayCreate(operation) {
+    const payload = {...operation.payload};
+    if (Object.values(payload).some(isTemporaryId)) {
+        // A reference is still temporary because the record it points at could not be created
+        throw new Error('O registro depende de outro que ainda não foi enviado.');
+    }
+    const created = await insertRemote(operation.entityName, payload);
+    replaceLocalId(operation.entityName, operation.recordId, created.id);
+    remapQueuedOperations(operation.recordId, created.id);
+    if (created.createdAt) patchLocal(operation.entityName, created.id, {createdAt: created.createdAt});
+}
+
+async function replayUpdate(operation) {
+    const remote = await fetchRemote(operation.entityName, operation.recordId);
+    if (!remote) {
+        recordConflict(operation, {
+            field: null,
+            winner: 'remote',
+            localValue: operation.changes,
+            remoteValue: null,
+            message: 'O registro foi excluído em outro computador; a alteração local foi descartada.'
+        });
+        return;
+    }
+
+    const fieldUpdatedAt = {...(remote.fieldUpdatedAt || {})};
+    const accepted = {};
+    const kept = {};
+
+    Object.entries(operation.changes).forEach(([field, localValue]) => {
+        const remoteValue = remote[field] ?? null;
+        const untouchedRemotely = sameValue(remoteValue, operation.base[field]) || sameValue(remoteValue, localValue);
+        // Last writer wins: the field keeps whichever change was made later
+        const localWins = untouchedRemotely || operation.changedAt >= (fieldUpdatedAt[field] || '');
+
+        if (localWins) {
+            accepted[field] = localValue;
+            fieldUpdatedAt[field] = operation.changedAt;
+        } else {
+            kept[field] = remoteValue;
+        }
+
+        if (!untouchedRemotely) {
+            recordConflict(operation, {
+                field,
+                winner: localWins ? 'local' : 'remote',
+                localValue,
+                remoteValue,
+                message: localWins
+                    ? 'Alterado em outro computador antes do envio; a alteração local, mais recente, foi mantida.'
+                    : 'Alterado em outro computador depois da alteração local; a versão do servidor foi mantida.'
+            });
+        }
+    });
+
+    await updateRemote(operation.entityName, operation.recordId, {...remote, ...accepted, fieldUpdatedAt});
+    patchLocal(operation.entityName, operation.recordId, {...kept, fieldUpdatedAt});
+}
+
+async function replayRemove(operation) {
+    // Removing a record that was never sent only needs the local removal already done
+    if (isTemporaryId(operation.recordId)) return;
+    await deleteRemote(operation.entityName, operation.recordId);
+}
+
+async function replayUpload(operation) {
+    if (!attachmentUploader) throw new Error('O envio de anexos não está disponível.');
+    await attachmentUploader(operation.recordId);
+}
+
+const REPLAYERS = {create: replayCreate, update: replayUpdate, remove: replayRemove, upload: replayUpload};
+
+/**
+ * Registers the function called with the storage key of each file queued for upload while offline.
+ */
+export function setAttachmentUploader(uploader) {
+    attachmentUploader = uploader;
+}
+
+/**
+ * Replays the outbox in order. Stops at the first network failure and keeps the rest for the next attempt.
+ * Resolves to true when the outbox is empty afterwards.
+ */
+export function flushOutbox() {
+    if (currentFlush) return currentFlush;
+    if (outbox.length === 0) return Promise.resolve(true);
+    if (!navigator.onLine) {
+        updateSyncIndicator();
+        return Promise.resolve(false);
+    }
+
+    const conflictCountBefore = conflicts.length;
+    currentFlush = (async () => {
+        while (outbox.length > 0) {
+            const operation = outbox[0];
+            try {
+                await REPLAYERS[operation.type](operation);
+            } catch (error) {
+                if (isNetworkError(error)) break;
+                console.error('Erro ao sincronizar operação:', operation, error);
+                recordConflict(operation, {
+                    field: null,
+                    winner: 'remote',
+                    localValue: operation.payload || operation.changes || null,
+                    remoteValue: null,
+                    message: `O servidor recusou a alteração: ${error.message}`
+                });
+            }
+            outbox.shift();
+            persistOutbox();
+        }
+        return outbox.length === 0;
+    })().finally(() => {
+        currentFlush = null;
+        updateSyncIndicator();
+        const newConflicts = conflicts.length - conflictCountBefore;
+        if (newConflicts > 0) {
+            showNotification(`${newConflicts} conflito(s) encontrado(s) ao sincronizar. Revise a lista de conflitos.`, 'warning', 'Sincronização');
+        }
+    });
+    return currentFlush;
+}
+
+/**
+ * Returns the number of operations waiting to be sent.
+ */
+export function getPendingOperationCount() {
+    return outbox.length;
+}
+
+/**
+ * Returns true while a record still has operations waiting in the outbox.
+ */
+export function hasPendingOperations(entityName, recordId) {
+    return outbox.some(operation => operation.entityName === entityName && operation.recordId === recordId);
+}
+
+/**
+ * Returns the recorded sync conflicts, newest first.
+ */
+export function getSyncConflicts() {
+    return conflicts;
+}
+
+/**
+ * Removes a conflict from the list once it was reviewed.
+ */
+export function dismissSyncConflict(conflictId) {
+    conflicts = conflicts.filter(conflict => conflict.id !== conflictId);
+    persistConflicts();
+    renderSyncConflicts();
+    updateSyncIndicator();
+}
+
+/**
+ * Clears every reviewed conflict.
+ */
+export function clearSyncConflicts() {
+    conflicts = [];
+    persistConflicts();
+    renderSyncConflicts();
+    updateSyncIndicator();
+}
+
+// --- UI ---
+
+/**
+ * Updates the header indicator with the connection state, pending operations and open conflicts.
+ */
+export function updateSyncIndicator() {
+    const indicator = document.getElementById('sync-status');
+    if (!indicator) return;
+
+    if (getPersistenceDriver() !== 'supabase') {
+        indicator.style.display = 'none';
+        return;
+    }
+    indicator.style.display = '';
+
+    const icon = indicator.querySelector('i');
+    const badge = document.getElementById('sync-conflict-count');
+    const pending = outbox.length;
+
+    indicator.classList.toggle('offline', !navigator.onLine);
+    icon.className = `fa-solid ${!navigator.onLine ? 'fa-plug-circle-xmark' : pending > 0 ? 'fa-cloud-arrow-up' : 'fa-cloud'}`;
+    indicator.title = !navigator.onLine
+        ? `Sem conexão — ${pending} alteração(ões) aguardando envio`
+        : pending > 0 ? `Enviando ${pending} alteração(ões)...` : 'Dados sincronizados';
+
+    badge.textContent = conflicts.length;
+    badge.style.display = conflicts.length > 0 ? 'flex' : 'none';
+}
+
+function formatConflictValue(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function renderSyncConflicts() {
+    const container = document.getElementById('sync-conflict-list');
+    if (!container) return;
+
+    const pending = outbox.length;
+    document.getElementById('sync-pending-info').textContent = pending > 0
+        ? `${pending} alteração(ões) deste computador ainda aguardam envio.`
+        : 'Todas as alterações deste computador foram enviadas.';
+
+    if (conflicts.length === 0) {
+        container.innerHTML = '<p>Nenhum conflito de sincronização.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="report-table-container">
+            <table>
+                <thead><tr><th>Registro</th><th>Campo</th><th>Valor Local</th><th>Valor no Servidor</th><th>Resultado</th><th></th></tr></thead>
+                <tbody>
+                    ${conflicts.map(conflict => `
+                        <tr class="sync-conflict ${conflict.winner}">
+                            <td>${ENTITY_LABELS[conflict.entityName] || conflict.entityName} #${conflict.recordId}<br><small>${conflict.queuedBy || ''} · ${new Date(conflict.queuedAt).toLocaleString('pt-BR')}</small></td>
+                            <td>${conflict.field ? (FIELD_LABELS[conflict.field] || conflict.field) : '-'}</td>
+                            <td>${formatConflictValue(conflict.localValue)}</td>
+                            <td>${formatConflictValue(conflict.remoteValue)}</td>
+                            <td>${conflict.message}</td>
+                            <td><button class="btn-secondary btn-small" onclick="dismissSyncConflict('${conflict.id}')">Dispensar</button></td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Opens the conflict list modal.
+ */
+export function showSyncConflictsModal() {
+    renderSyncConflicts();
+    document.getElementById('modal-sync-conflicts').style.display = 'flex';
+}
+
+/**
+ * Starts replaying the outbox on reconnection and refreshes the indicator.
+ */
+export function initSync() {
+    window.addEventListener('online', () => {
+        flushOutbox().then(isEmpty => {
+            if (isEmpty) showNotification('Conexão restabelecida. Alterações sincronizadas.', 'success');
+        });
+    });
+    window.addEventListener('offline', () => {
+        updateSyncIndicator();
+        if (getPersistenceDriver() === 'supabase') {
+            showNotification('Sem conexão. As alterações serão salvas neste computador e enviadas depois.', 'warning');
+        }
+    });
+    updateSyncIndicator();
+}
+
+setWriteQueue({enqueue: enqueueOperation, flush: flushOutbox});
+
+window.dismissSyncConflict = dismissSyncConflict;
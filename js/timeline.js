@@ -0,0 +1,159 @@
+// Agenda timeline module
+// Time grid used by the week view (one column per day) and the professional day view (one column per
+// professional): schedules are blocks placed at their start time and sized by their duration. Blocks the
+// user may change can be dragged to another time, day or professional; what a drop means is decided by the
+// move handler installed by the schedule module.
+import {getScheduleDurationHours, toMinutes, formatMinutes} from './conflicts.js';
+
+// Hours always shown; the grid grows when a schedule starts earlier or ends later
+const DAY_START_HOUR = 7;
+const DAY_END_HOUR = 20;
+const PIXELS_PER_MINUTE = 1;
+// Dropped blocks snap to this step
+const DROP_STEP_MINUTES = 15;
+
+let timelineHandlers = {move: null, open: null};
+// Block being dragged and where it was grabbed, so the drop keeps the block under the pointer
+let dragState = null;
+
+/**
+ * Installs what happens when a block is dropped (`move(scheduleId, {date, time, professionalId})`) and when it
+ * is clicked (`open(scheduleId)`).
+ */
+export function setTimelineHandlers(handlers) {
+    timelineHandlers = {...timelineHandlers, ...handlers};
+}
+
+function itemInterval(item) {
+    const start = toMinutes(item.schedule.time);
+    return [start, start + Math.round(getScheduleDurationHours(item.schedule) * 60)];
+}
+
+// Side-by-side lanes for overlapping blocks of one column
+function assignLanes(columnItems) {
+    const laneEnds = [];
+    const placed = columnItems
+        .map(item => ({item, interval: itemInterval(item)}))
+        .sort((a, b) => a.interval[0] - b.interval[0]);
+    placed.forEach(entry => {
+        let lane = laneEnds.findIndex(end => end <= entry.interval[0]);
+        if (lane === -1) {
+            lane = laneEnds.length;
+            laneEnds.push(0);
+        }
+        laneEnds[lane] = entry.interval[1];
+        entry.lane = lane;
+    });
+    return {placed, laneCount: Math.max(1, laneEnds.length)};
+}
+
+function renderBlock({item, interval, lane}, laneCount, dayStart) {
+    const {schedule} = item;
+    const block = document.createElement('div');
+    block.className = `timeline-block status-${schedule.status}${item.movable ? ' movable' : ''}`;
+    block.dataset.scheduleId = schedule.id;
+    block.style.top = `${(interval[0] - dayStart) * PIXELS_PER_MINUTE}px`;
+    block.style.height = `${Math.max(20, (interval[1] - interval[0]) * PIXELS_PER_MINUTE)}px`;
+    block.style.left = `${(lane / laneCount) * 100}%`;
+    block.style.width = `${100 / laneCount}%`;
+    block.title = [item.label, item.detail].filter(Boolean).join('\n');
+    block.innerHTML = `
+        <strong>${formatMinutes(interval[0])} - ${formatMinutes(interval[1])}</strong>
+        <span>${item.label}</span>
+        ${item.detail ? `<small>${item.detail}</small>` : ''}
+    `;
+
+    block.addEventListener('click', () => {
+        if (timelineHandlers.open) timelineHandlers.open(schedule.id);
+    });
+    if (item.movable) {
+        block.draggable = true;
+        block.addEventListener('dragstart', (e) => {
+            dragState = {scheduleId: schedule.id, grabOffset: e.clientY - block.getBoundingClientRect().top};
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(schedule.id));
+            block.classList.add('dragging');
+        });
+        block.addEventListener('dragend', () => {
+            block.classList.remove('dragging');
+            dragState = null;
+        });
+    }
+    return block;
+}
+
+function handleDrop(e, column, dayStart, dayEnd) {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drop-target');
+    if (!dragState || !timelineHandlers.move) return;
+
+    const offset = e.clientY - e.currentTarget.getBoundingClientRect().top - dragState.grabOffset;
+    const snapped = Math.round(offset / PIXELS_PER_MINUTE / DROP_STEP_MINUTES) * DROP_STEP_MINUTES;
+    const start = Math.min(Math.max(dayStart + snapped, dayStart), dayEnd - DROP_STEP_MINUTES);
+    timelineHandlers.move(dragState.scheduleId, {date: column.date, time: formatMinutes(start), professionalId: column.professionalId});
+    dragState = null;
+}
+
+/**
+ * Renders the grid into `container`. `columns` are {key, label, date, professionalId, droppable, highlight}
+ * and `items` are {schedule, columnKey, label, detail, movable}.
+ */
+export function renderTimeline(container, columns, items) {
+    let dayStart = DAY_START_HOUR * 60;
+    let dayEnd = DAY_END_HOUR * 60;
+    items.forEach(item => {
+        const [start, end] = itemInterval(item);
+        dayStart = Math.min(dayStart, Math.floor(start / 60) * 60);
+        dayEnd = Math.max(dayEnd, Math.ceil(end / 60) * 60);
+    });
+    const height = (dayEnd - dayStart) * PIXELS_PER_MINUTE;
+
+    const grid = document.createElement('div');
+    grid.className = 'timeline';
+    grid.style.gridTemplateColumns = `60px repeat(${columns.length}, minmax(140px, 1fr))`;
+
+    grid.appendChild(document.createElement('div')).className = 'timeline-corner';
+    columns.forEach(column => {
+        const header = document.createElement('div');
+        header.className = `timeline-header${column.highlight ? ' highlight' : ''}`;
+        header.textContent = column.label;
+        grid.appendChild(header);
+    });
+
+    const gutter = document.createElement('div');
+    gutter.className = 'timeline-gutter';
+    gutter.style.height = `${height}px`;
+    for (let minute = dayStart; minute < dayEnd; minute += 60) {
+        const label = document.createElement('div');
+        label.className = 'timeline-hour';
+        label.style.top = `${(minute - dayStart) * PIXELS_PER_MINUTE}px`;
+        label.textContent = formatMinutes(minute);
+        gutter.appendChild(label);
+    }
+    grid.appendChild(gutter);
+
+    columns.forEach(column => {
+        const body = document.createElement('div');
+        body.className = `timeline-column${column.highlight ? ' highlight' : ''}`;
+        body.style.height = `${height}px`;
+        body.style.backgroundSize = `100% ${60 * PIXELS_PER_MINUTE}px`;
+
+        const {placed, laneCount} = assignLanes(items.filter(item => item.columnKey === column.key));
+        placed.forEach(entry => body.appendChild(renderBlock(entry, laneCount, dayStart)));
+
+        if (column.droppable) {
+            body.addEventListener('dragover', (e) => {
+                if (!dragState) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                body.classList.add('drop-target');
+            });
+            body.addEventListener('dragleave', () => body.classList.remove('drop-target'));
+            body.addEventListener('drop', (e) => handleDrop(e, column, dayStart, dayEnd));
+        }
+        grid.appendChild(body);
+    });
+
+    container.innerHTML = '';
+    container.appendChild(grid);
+}
@@ -1,13 +1,22 @@
 // UI management module
 import { db } from './database.js';
-import { getCurrentUser, isRoleAllowed, checkTabAccess } from './auth.js';
-import { DIRECTOR_ONLY, FINANCE_ONLY, DIRECTOR_OR_FINANCE, COORDINATOR_AND_HIGHER, NON_FINANCE_ACCESS, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, PROFESSIONAL_ROLES, DIRECTOR_AND_PROFESSIONALS, DIRECTOR_AND_COORDINATORS_ONLY_DOCUMENTS, STOCK_MANAGERS, ALL_USERS } from './roles.js';
+import { getCurrentUser, isRoleAllowed, checkTabAccess, canAccessUnit, getVisibleClients, getVisibleUsers } from './auth.js';
+import { UNITS, DIRECTOR_ONLY, FINANCE_ONLY, DIRECTOR_OR_FINANCE, COORDINATOR_AND_HIGHER, NON_FINANCE_ACCESS, ALL_ADMIN_VIEW_CLIENTS_AND_EMPLOYEES, PROFESSIONAL_ROLES, DIRECTOR_AND_PROFESSIONALS, DIRECTOR_AND_COORDINATORS_ONLY_DOCUMENTS, STOCK_MANAGERS, ALL_USERS } from './roles.js';
+
+const UNIT_SELECTORS = '#client-unit-filter-select, #unit-filter-select, #unidade-atendimento-adulto, #unidade-atendimento-menor, #edit-unidade';
 
 export function showLoginScreen() {
     document.getElementById('login-screen').style.display = 'flex';
     document.getElementById('app').style.display = 'none';
 }
 
+// The login screen shows one form at a time: login, first-run setup, password reset or required password change
+export function showLoginForm(formId) {
+    document.querySelectorAll('#login-screen form').forEach(form => {
+        form.style.display = form.id === formId ? '' : 'none';
+    });
+}
+
 export function showMainApp() {
     document.getElementById('login-screen').style.display = 'none';
     document.getElementById('app').style.display = 'block';
@@ -67,6 +76,24 @@ export function showMainApp() {
         const canView = checkTabAccess(tabId, 'view');
         button.style.display = canView ? 'flex' : 'none';
     });
+
+    restrictUnitOptions(document);
+}
+
+/**
+ * Hides the unit options the current user cannot access in every unit select inside `root`
+ * (filters and the unit field of the client forms).
+ */
+export function restrictUnitOptions(root) {
+    root.querySelectorAll(UNIT_SELECTORS).forEach(select => {
+        Array.from(select.options).forEach(option => {
+            if (!UNITS[option.value]) return;
+            const allowed = canAccessUnit(option.value);
+            option.hidden = !allowed;
+            option.disabled = !allowed;
+        });
+        if (select.selectedOptions[0]?.disabled) select.value = select.options[0].value;
+    });
 }
 
 export function switchTab(tabId) {
@@ -160,15 +187,15 @@ export function updateGlobalSearchDatalist() {
     
     // Add Patients based on permissions
     if (checkTabAccess('historico', 'view')) {
-        // User can see all clients
-        db.clients.forEach(client => {
+        // User can see all clients of their units (anonymized patients have nothing left to search for)
+        getVisibleClients().filter(client => !client.anonymizedAt).forEach(client => {
             const option = document.createElement('option');
             option.value = `Paciente: ${client.name} (ID: ${client.id})`;
             searchDatalist.appendChild(option);
         });
     } else if (checkTabAccess('meus-pacientes', 'view')) {
         // User can only see their own clients
-        db.clients.forEach(client => {
+        getVisibleClients().forEach(client => {
             if (client.assignedProfessionalId === currentUser.id) {
                 const option = document.createElement('option');
                 option.value = `Paciente: ${client.name} (ID: ${client.id})`;
@@ -179,7 +206,7 @@ export function updateGlobalSearchDatalist() {
 
     // Add Employees based on permissions
     if (checkTabAccess('funcionarios', 'view')) {
-        db.users.forEach(user => {
+        getVisibleUsers().forEach(user => {
             const option = document.createElement('option');
             option.value = `Funcionário: ${user.name} (ID: ${user.id})`;
             searchDatalist.appendChild(option);
@@ -30,4 +30,53 @@ export function convertTimeToDecimalHours(timeString) {
     }
     const [hours, minutes] = timeString.split(':').map(Number);
     return hours + (minutes / 60);
-}
\ No newline at end of file
+}
+
+// Inverse of convertTimeToDecimalHours, for <input type="time"> fields holding a duration
+export function convertDecimalHoursToTime(decimalHours) {
+    const totalMinutes = Math.round((decimalHours || 0) * 60);
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+}
+
+// Builds an uncompressed tar archive from {name, data} entries (data is a string or a Blob).
+// Blobs are referenced, not copied, so large files are not loaded into memory.
+export function createTarArchive(entries) {
+    const encoder = new TextEncoder();
+    const modifiedAt = Math.floor(Date.now() / 1000).toString(8).padStart(11, '0');
+    const parts = [];
+
+    entries.forEach(({ name, data }) => {
+        const body = typeof data === 'string' ? new Blob([data]) : data;
+        const header = new Uint8Array(512);
+        const writeField = (value, offset) => header.set(encoder.encode(value), offset);
+
+        header.set(encoder.encode(name).slice(0, 100), 0);
+        writeField('0000644\0', 100); // mode
+        writeField('0000000\0', 108); // uid
+        writeField('0000000\0', 116); // gid
+        writeField(`${body.size.toString(8).padStart(11, '0')}\0`, 124);
+        writeField(`${modifiedAt}\0`, 136);
+        writeField('        ', 148); // checksum is computed with this field filled with spaces
+        writeField('0', 156); // regular file
+        writeField('ustar\0' + '00', 257);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        writeField(`${checksum.toString(8).padStart(6, '0')}\0 `, 148);
+
+        parts.push(header, body, new Uint8Array((512 - (body.size % 512)) % 512));
+    });
+
+    parts.push(new Uint8Array(1024)); // end-of-archive marker
+    return new Blob(parts, { type: 'application/x-tar' });
+}
+
+// Starts a browser download of a Blob; the object URL is kept alive long enough for slow downloads to start
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+}
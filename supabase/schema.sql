@@ -16,10 +16,9 @@ COMMENT ON TABLE roles IS 'Armazena cargos e suas permissões de acesso. Inclui
 CREATE TABLE funcionarios (
     id SERIAL PRIMARY KEY,
     name TEXT NOT NULL,
-    email TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,                              -- IMPORTANTE: Armazenar sempre como hash seguro (ex: via Supabase Auth)
+    email TEXT UNIQUE NOT NULL,                          -- Mesmo email da conta no Supabase Auth, que guarda a senha
     role_id TEXT REFERENCES roles(id),                   -- Chave estrangeira para o cargo do funcionário
-    unit TEXT,                                           -- Unidade de trabalho (ex: 'madre', 'floresta')
+    unit TEXT,                                           -- Unidades de trabalho separadas por vírgula (ex: 'madre,floresta')
     phone TEXT,
     address TEXT,
     cpf TEXT UNIQUE,
@@ -51,7 +50,7 @@ CREATE TABLE clientes (
     responsible_email TEXT,
     responsible_kinship TEXT,
     address TEXT,
-    diagnosis TEXT,
+    diagnosis TEXT,                                      -- Criptografado no navegador (js/encryption.js), formato 'enc:v1:...'
     medication TEXT,
     health_plan TEXT,
     health_plan_id TEXT,
@@ -138,3 +137,783 @@ CREATE TABLE movimentacoes_estoque (
     movement_date TIMESTAMPTZ DEFAULT NOW()
 );
 COMMENT ON TABLE movimentacoes_estoque IS 'Histórico de todas as entradas e saídas de itens do estoque.';
+
+-- =============================================
+-- Camada de repositório (js/repository.js)
+-- =============================================
+
+-- Campos do app que não possuem coluna própria são guardados em JSON para não se perderem na ida e volta
+ALTER TABLE clientes ADD COLUMN extra_data JSONB;
+ALTER TABLE agendamentos ADD COLUMN extra_data JSONB;
+ALTER TABLE transacoes_financeiras ADD COLUMN extra_data JSONB;
+ALTER TABLE estoque ADD COLUMN extra_data JSONB;
+ALTER TABLE movimentacoes_estoque ADD COLUMN extra_data JSONB;
+
+-- Clientes adultos não têm responsável; agendamentos podem ficar sem profissional atribuído;
+-- notas diárias do tipo 'nota' não têm valor; registros antigos guardam apenas o nome do autor
+ALTER TABLE clientes ALTER COLUMN responsible_name DROP NOT NULL;
+ALTER TABLE clientes ALTER COLUMN responsible_phone DROP NOT NULL;
+ALTER TABLE agendamentos ALTER COLUMN funcionario_id DROP NOT NULL;
+ALTER TABLE transacoes_financeiras ALTER COLUMN amount DROP NOT NULL;
+ALTER TABLE mural ALTER COLUMN created_by DROP NOT NULL;
+ALTER TABLE movimentacoes_estoque ALTER COLUMN funcionario_id DROP NOT NULL;
+
+-- Tabela para atendimentos realizados (histórico clínico do cliente)
+CREATE TABLE atendimentos (
+    id SERIAL PRIMARY KEY,
+    cliente_id INTEGER NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+    agendamento_id INTEGER REFERENCES agendamentos(id) ON DELETE SET NULL, -- Agendamento que originou o atendimento
+    date DATE NOT NULL,
+    time TEXT,
+    service_type TEXT,
+    anamnesis_type_id TEXT,
+    notes TEXT,                                          -- Criptografado no navegador (js/encryption.js)
+    value NUMERIC(10, 2) DEFAULT 0,
+    duration_hours NUMERIC(5, 2),
+    status TEXT,
+    attended_by TEXT,                                    -- Nome do profissional que realizou o atendimento
+    intern_id INTEGER REFERENCES funcionarios(id),
+    confirmed_at TIMESTAMPTZ,
+    extra_data JSONB,                                    -- Anexos, materiais utilizados etc.
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+COMMENT ON TABLE atendimentos IS 'Atendimentos realizados, com valores, duração e anexos.';
+
+-- Tabela para notificações internas (sino de notificações)
+CREATE TABLE notificacoes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES funcionarios(id) ON DELETE CASCADE,
+    type TEXT NOT NULL,                                  -- Ex: 'schedule_assignment', 'client_assignment'
+    title TEXT NOT NULL,
+    message TEXT,
+    related_id INTEGER,                                  -- ID do registro relacionado (cliente, agendamento...)
+    is_read BOOLEAN DEFAULT FALSE,
+    extra_data JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+COMMENT ON TABLE notificacoes IS 'Notificações enviadas aos funcionários.';
+
+-- Exclusões de itens de estoque mantêm o histórico de movimentações (o nome do item fica em extra_data)
+ALTER TABLE movimentacoes_estoque ALTER COLUMN item_id DROP NOT NULL;
+ALTER TABLE movimentacoes_estoque DROP CONSTRAINT movimentacoes_estoque_item_id_fkey;
+ALTER TABLE movimentacoes_estoque ADD CONSTRAINT movimentacoes_estoque_item_id_fkey
+    FOREIGN KEY (item_id) REFERENCES estoque(id) ON DELETE SET NULL;
+ALTER TABLE movimentacoes_estoque DROP CONSTRAINT movimentacoes_estoque_agendamento_id_fkey;
+ALTER TABLE movimentacoes_estoque ADD CONSTRAINT movimentacoes_estoque_agendamento_id_fkey
+    FOREIGN KEY (agendamento_id) REFERENCES agendamentos(id) ON DELETE SET NULL;
+
+-- Atualizações em tempo real da agenda, do sino de notificações e do estoque
+ALTER PUBLICATION supabase_realtime ADD TABLE agendamentos, notificacoes, estoque, movimentacoes_estoque;
+
+-- Bucket privado para anexos (documentos de clientes, atendimentos, comprovantes e mural).
+-- Os registros guardam apenas a chave do arquivo em extra_data / meta_data.
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('anexos', 'anexos', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Funcionários autenticados acessam anexos" ON storage.objects
+    FOR ALL TO authenticated
+    USING (bucket_id = 'anexos')
+    WITH CHECK (bucket_id = 'anexos');
+
+-- =============================================
+-- Contas de usuário
+-- =============================================
+
+-- As contas vêm apenas desta tabela; campos sem coluna própria (acessos por aba, dados acadêmicos) ficam em JSON
+ALTER TABLE funcionarios ADD COLUMN extra_data JSONB;
+-- Senha provisória (conta criada pela diretoria) ou redefinição exigida pela diretoria: trocar no próximo login
+ALTER TABLE funcionarios ADD COLUMN must_change_password BOOLEAN DEFAULT FALSE;
+
+-- Primeiro acesso: indica se ainda não existe nenhuma conta de diretoria ativa (consultável antes do login)
+CREATE OR REPLACE FUNCTION needs_initial_setup()
+RETURNS BOOLEAN
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT NOT EXISTS (SELECT 1 FROM funcionarios WHERE role_id = 'director' AND is_active);
+$$;
+GRANT EXECUTE ON FUNCTION needs_initial_setup() TO anon, authenticated;
+
+-- Cria o perfil da primeira diretoria para a conta recém-criada no Supabase Auth.
+-- Só funciona enquanto não houver diretoria ativa e apenas para o email da própria sessão.
+CREATE OR REPLACE FUNCTION create_initial_director(director_name TEXT)
+RETURNS funcionarios
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    created funcionarios;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'É necessário estar autenticado.';
+    END IF;
+    IF NOT needs_initial_setup() THEN
+        RAISE EXCEPTION 'A configuração inicial já foi concluída.';
+    END IF;
+
+    INSERT INTO roles (id, name, is_custom)
+    VALUES ('director', 'Diretoria', FALSE)
+    ON CONFLICT DO NOTHING;
+
+    INSERT INTO funcionarios (name, email, role_id)
+    VALUES (director_name, auth.jwt() ->> 'email', 'director')
+    RETURNING * INTO created;
+    RETURN created;
+END;
+$$;
+GRANT EXECUTE ON FUNCTION create_initial_director(TEXT) TO authenticated;
+
+-- Libera a conta da sessão atual da troca obrigatória de senha, depois que o app definiu a nova senha no
+-- Supabase Auth. A política funcionarios_write não permite que o funcionário altere a própria linha.
+CREATE OR REPLACE FUNCTION complete_password_change()
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    UPDATE funcionarios SET must_change_password = FALSE, updated_at = NOW()
+    WHERE email = auth.jwt() ->> 'email' AND must_change_password;
+$$;
+GRANT EXECUTE ON FUNCTION complete_password_change() TO authenticated;
+
+-- =============================================
+-- Segurança em nível de linha (RLS)
+-- =============================================
+-- Espelha no servidor o controle de acesso do app (hasPermission / checkTabAccess em js/policy.js e o
+-- catálogo de permissões de js/roles.js). Sem estas políticas qualquer pessoa com a chave anon poderia
+-- ler todas as tabelas. Os padrões de has_tab_access são os de DEFAULT_TAB_ACCESS.
+
+-- Funcionário ativo da sessão atual (as contas são ligadas ao Supabase Auth pelo email)
+CREATE OR REPLACE FUNCTION current_funcionario_id()
+RETURNS INTEGER
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT id FROM funcionarios WHERE email = auth.jwt() ->> 'email' AND is_active;
+$$;
+
+CREATE OR REPLACE FUNCTION current_role_id()
+RETURNS TEXT
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT role_id FROM funcionarios WHERE email = auth.jwt() ->> 'email' AND is_active;
+$$;
+
+CREATE OR REPLACE FUNCTION has_role(VARIADIC allowed_roles TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+    SELECT COALESCE(current_role_id() = ANY(allowed_roles), FALSE);
+$$;
+
+-- Mesma ordem de hasPermission para as ações de aba: diretoria tem acesso total; depois o acesso definido para o funcionário,
+-- o acesso padrão do cargo personalizado e, por fim, o padrão de cada cargo predefinido.
+-- 'edit' inclui 'view'. coordinators e professionals são os grupos de ROLE_GROUPS em js/roles.js.
+CREATE OR REPLACE FUNCTION has_tab_access(tab TEXT, required_access TEXT DEFAULT 'view')
+RETURNS BOOLEAN
+LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    coordinators CONSTANT TEXT[] := ARRAY['coordinator_madre', 'coordinator_floresta'];
+    professionals CONSTANT TEXT[] := ARRAY['staff', 'intern', 'musictherapist', 'receptionist', 'psychologist',
+                                           'psychopedagogue', 'speech_therapist', 'nutritionist', 'physiotherapist'];
+    user_role TEXT;
+    granted TEXT;
+    allowed TEXT[];
+BEGIN
+    SELECT role_id, extra_data -> 'tabAccess' ->> tab INTO user_role, granted
+    FROM funcionarios
+    WHERE email = auth.jwt() ->> 'email' AND is_active;
+
+    IF user_role IS NULL THEN
+        RETURN FALSE;
+    END IF;
+    IF user_role = 'director' THEN
+        RETURN TRUE;
+    END IF;
+
+    IF granted IS NULL THEN
+        SELECT tab_access ->> tab INTO granted FROM roles WHERE id = user_role;
+    END IF;
+    IF granted IS NOT NULL THEN
+        RETURN granted = 'edit' OR (required_access = 'view' AND granted = 'view');
+    END IF;
+
+    allowed := CASE tab || ':' || required_access
+        WHEN 'cadastro:view' THEN coordinators || professionals
+        WHEN 'cadastro:edit' THEN coordinators || ARRAY['receptionist']
+        WHEN 'agenda:view' THEN coordinators || professionals
+        WHEN 'agenda:edit' THEN coordinators || professionals
+        WHEN 'historico:view' THEN coordinators || professionals
+        WHEN 'historico:edit' THEN coordinators
+        WHEN 'meus-pacientes:view' THEN professionals
+        WHEN 'meus-pacientes:edit' THEN professionals
+        WHEN 'relatorios:view' THEN coordinators || ARRAY['financeiro']
+        WHEN 'financeiro:view' THEN ARRAY['financeiro']
+        WHEN 'financeiro:edit' THEN ARRAY['financeiro']
+        WHEN 'estoque:view' THEN coordinators || ARRAY['financeiro', 'staff']
+        WHEN 'estoque:edit' THEN coordinators || ARRAY['financeiro']
+        WHEN 'funcionarios:view' THEN coordinators
+        WHEN 'documentos:view' THEN coordinators
+        WHEN 'documentos:edit' THEN coordinators
+        ELSE ARRAY[]::TEXT[]
+    END;
+    RETURN user_role = ANY(allowed);
+END;
+$$;
+
+-- Unidades do funcionário logado (mesma regra de getUserUnits em js/auth.js): NULL para a diretoria
+-- ou quando não há unidade definida nem coordenação de unidade, ou seja, acesso a todas
+CREATE OR REPLACE FUNCTION current_units()
+RETURNS TEXT[]
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT CASE
+        WHEN role_id = 'director' THEN NULL
+        WHEN COALESCE(unit, '') <> '' THEN string_to_array(unit, ',')
+        WHEN role_id = 'coordinator_madre' THEN ARRAY['madre']
+        WHEN role_id = 'coordinator_floresta' THEN ARRAY['floresta']
+        ELSE NULL
+    END
+    FROM funcionarios
+    WHERE email = auth.jwt() ->> 'email' AND is_active
+    LIMIT 1;
+$$;
+
+-- Registros sem unidade continuam visíveis para todos
+CREATE OR REPLACE FUNCTION can_access_unit(record_unit TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+    SELECT record_unit IS NULL OR current_units() IS NULL OR record_unit = ANY(current_units());
+$$;
+
+-- Unidade do cliente lida sem RLS, para que um cliente oculto não pareça "sem unidade"
+CREATE OR REPLACE FUNCTION can_access_client_unit(client_id INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT NOT EXISTS (SELECT 1 FROM clientes WHERE id = client_id AND NOT can_access_unit(unit));
+$$;
+
+-- Diretoria, coordenação, recepção e financeiro (relatórios) veem todos os clientes das suas unidades;
+-- os demais profissionais apenas os vinculados a eles em clientes_profissionais
+CREATE OR REPLACE FUNCTION can_access_client(client_id INTEGER)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT EXISTS (SELECT 1 FROM clientes WHERE id = client_id AND can_access_unit(unit))
+        AND (
+            has_role('director', 'coordinator_madre', 'coordinator_floresta', 'receptionist', 'financeiro')
+            OR EXISTS (
+                SELECT 1 FROM clientes_profissionais
+                WHERE cliente_id = client_id AND funcionario_id = current_funcionario_id()
+            )
+        );
+$$;
+
+-- Mesmo grupo de STOCK_MANAGERS em js/roles.js, mais quem tiver edição na aba Estoque
+CREATE OR REPLACE FUNCTION is_stock_manager()
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+    SELECT has_role('director', 'financeiro', 'staff') OR has_tab_access('estoque', 'edit');
+$$;
+
+-- Diretoria, coordenação e recepção gerenciam a agenda de todos (SCHEDULE_MANAGERS)
+CREATE OR REPLACE FUNCTION is_schedule_manager()
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+    SELECT has_role('director', 'coordinator_madre', 'coordinator_floresta', 'receptionist');
+$$;
+
+-- Ações com permissão própria (ACTION_PERMISSIONS em js/roles.js) que o servidor também precisa checar.
+-- Mesma ordem de hasPermission: diretoria; concessão do funcionário e do cargo personalizado em
+-- extra_data -> 'permissions'; por fim, o padrão da ação.
+CREATE OR REPLACE FUNCTION has_permission(action TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    user_role TEXT;
+    granted BOOLEAN;
+BEGIN
+    SELECT role_id, (extra_data -> 'permissions' ->> action)::BOOLEAN INTO user_role, granted
+    FROM funcionarios
+    WHERE email = auth.jwt() ->> 'email' AND is_active;
+
+    IF user_role IS NULL THEN
+        RETURN FALSE;
+    END IF;
+    IF user_role = 'director' THEN
+        RETURN TRUE;
+    END IF;
+
+    IF granted IS NULL THEN
+        SELECT (extra_data -> 'permissions' ->> action)::BOOLEAN INTO granted FROM roles WHERE id = user_role AND is_custom;
+    END IF;
+    IF granted IS NOT NULL THEN
+        RETURN granted;
+    END IF;
+
+    RETURN CASE action
+        WHEN 'client.delete' THEN FALSE
+        WHEN 'client.document.create' THEN user_role = ANY(ARRAY['coordinator_madre', 'coordinator_floresta', 'receptionist', 'staff', 'intern', 'musictherapist',
+                                                                 'psychologist', 'psychopedagogue', 'speech_therapist', 'nutritionist', 'physiotherapist'])
+        WHEN 'client.document.delete' THEN user_role = ANY(ARRAY['coordinator_madre', 'coordinator_floresta'])
+        WHEN 'client.clinical.view' THEN user_role = ANY(ARRAY['coordinator_madre', 'coordinator_floresta', 'staff', 'intern', 'musictherapist',
+                                                               'psychologist', 'psychopedagogue', 'speech_therapist', 'nutritionist', 'physiotherapist'])
+        WHEN 'stock.item.delete' THEN user_role = 'financeiro'
+        WHEN 'finance.note.create' THEN has_tab_access('financeiro', 'edit')
+        WHEN 'finance.note.delete' THEN user_role = 'financeiro'
+        WHEN 'staff.availability.edit' THEN user_role = ANY(ARRAY['coordinator_madre', 'coordinator_floresta'])
+        WHEN 'rooms.manage' THEN user_role = ANY(ARRAY['coordinator_madre', 'coordinator_floresta'])
+        ELSE FALSE
+    END;
+END;
+$$;
+
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE funcionarios ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clientes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE clientes_profissionais ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agendamentos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE atendimentos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE transacoes_financeiras ENABLE ROW LEVEL SECURITY;
+ALTER TABLE mural ENABLE ROW LEVEL SECURITY;
+ALTER TABLE estoque ENABLE ROW LEVEL SECURITY;
+ALTER TABLE movimentacoes_estoque ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notificacoes ENABLE ROW LEVEL SECURITY;
+
+-- Cargos e funcionários: leitura para qualquer funcionário ativo (nomes, listas de profissionais)
+CREATE POLICY roles_select ON roles FOR SELECT TO authenticated
+    USING (current_funcionario_id() IS NOT NULL);
+CREATE POLICY roles_write ON roles FOR ALL TO authenticated
+    USING (has_role('director'))
+    WITH CHECK (has_role('director'));
+
+CREATE POLICY funcionarios_select ON funcionarios FOR SELECT TO authenticated
+    USING (current_funcionario_id() IS NOT NULL);
+CREATE POLICY funcionarios_write ON funcionarios FOR ALL TO authenticated
+    USING (has_tab_access('funcionarios', 'edit'))
+    WITH CHECK (has_tab_access('funcionarios', 'edit'));
+
+-- Clientes
+CREATE POLICY clientes_select ON clientes FOR SELECT TO authenticated
+    USING (can_access_client(id));
+CREATE POLICY clientes_insert ON clientes FOR INSERT TO authenticated
+    WITH CHECK (has_tab_access('cadastro', 'edit') AND can_access_unit(unit));
+-- Excluir um paciente o anonimiza (LGPD): quem tem 'client.delete' precisa poder reescrever o cliente,
+-- seus atendimentos e agendamentos
+CREATE POLICY clientes_update ON clientes FOR UPDATE TO authenticated
+    USING (can_access_client(id) AND (has_tab_access('historico', 'edit') OR has_tab_access('cadastro', 'edit') OR has_tab_access('meus-pacientes', 'edit') OR has_permission('client.delete')))
+    WITH CHECK (can_access_client(id));
+CREATE POLICY clientes_delete ON clientes FOR DELETE TO authenticated
+    USING (has_permission('client.delete'));
+
+CREATE POLICY clientes_profissionais_select ON clientes_profissionais FOR SELECT TO authenticated
+    USING (funcionario_id = current_funcionario_id() OR can_access_client(cliente_id));
+-- Políticas separadas por comando: uma política FOR ALL também liberaria a leitura dos vínculos de outras unidades
+CREATE POLICY clientes_profissionais_insert ON clientes_profissionais FOR INSERT TO authenticated
+    WITH CHECK ((has_tab_access('cadastro', 'edit') OR has_tab_access('historico', 'edit')) AND can_access_client(cliente_id));
+CREATE POLICY clientes_profissionais_update ON clientes_profissionais FOR UPDATE TO authenticated
+    USING ((has_tab_access('cadastro', 'edit') OR has_tab_access('historico', 'edit')) AND can_access_client(cliente_id))
+    WITH CHECK ((has_tab_access('cadastro', 'edit') OR has_tab_access('historico', 'edit')) AND can_access_client(cliente_id));
+CREATE POLICY clientes_profissionais_delete ON clientes_profissionais FOR DELETE TO authenticated
+    USING ((has_tab_access('cadastro', 'edit') OR has_tab_access('historico', 'edit')) AND can_access_client(cliente_id));
+
+-- Agenda: gerentes da agenda e o financeiro veem tudo das suas unidades; os demais, o que é deles ou de seus clientes.
+-- As escritas repetem a checagem de unidade: um UPDATE ou DELETE que não lê colunas não passa pela política de SELECT.
+CREATE POLICY agendamentos_select ON agendamentos FOR SELECT TO authenticated
+    USING (
+        funcionario_id = current_funcionario_id()
+        OR created_by = current_funcionario_id()
+        OR can_access_client(cliente_id)
+        OR ((is_schedule_manager() OR has_role('financeiro'))
+            AND can_access_client_unit(cliente_id))
+    );
+CREATE POLICY agendamentos_insert ON agendamentos FOR INSERT TO authenticated
+    WITH CHECK (has_tab_access('agenda', 'edit') AND can_access_client_unit(cliente_id)
+        AND (is_schedule_manager() OR funcionario_id = current_funcionario_id()));
+CREATE POLICY agendamentos_update ON agendamentos FOR UPDATE TO authenticated
+    USING ((has_tab_access('agenda', 'edit') AND can_access_client_unit(cliente_id) AND (is_schedule_manager() OR funcionario_id = current_funcionario_id())) OR has_permission('client.delete'))
+    WITH CHECK ((has_tab_access('agenda', 'edit') AND can_access_client_unit(cliente_id) AND (is_schedule_manager() OR funcionario_id = current_funcionario_id())) OR has_permission('client.delete'));
+CREATE POLICY agendamentos_delete ON agendamentos FOR DELETE TO authenticated
+    USING ((is_schedule_manager() AND can_access_client_unit(cliente_id)) OR has_permission('client.delete'));
+
+-- Atendimentos seguem o acesso ao cliente
+CREATE POLICY atendimentos_select ON atendimentos FOR SELECT TO authenticated
+    USING (can_access_client(cliente_id));
+CREATE POLICY atendimentos_insert ON atendimentos FOR INSERT TO authenticated
+    WITH CHECK (can_access_client(cliente_id) AND (has_tab_access('agenda', 'edit') OR has_tab_access('historico', 'edit') OR has_tab_access('meus-pacientes', 'edit')));
+CREATE POLICY atendimentos_update ON atendimentos FOR UPDATE TO authenticated
+    USING (can_access_client(cliente_id) AND (has_tab_access('historico', 'edit') OR has_tab_access('meus-pacientes', 'edit') OR has_permission('client.delete')))
+    WITH CHECK (can_access_client(cliente_id));
+CREATE POLICY atendimentos_delete ON atendimentos FOR DELETE TO authenticated
+    USING (has_role('director', 'coordinator_madre', 'coordinator_floresta') AND can_access_client(cliente_id));
+
+-- Financeiro: por padrão apenas diretoria e financeiro
+CREATE POLICY transacoes_financeiras_select ON transacoes_financeiras FOR SELECT TO authenticated
+    USING (has_tab_access('financeiro', 'view'));
+CREATE POLICY transacoes_financeiras_insert ON transacoes_financeiras FOR INSERT TO authenticated
+    WITH CHECK (has_permission('finance.note.create'));
+-- A anonimização (LGPD) também tira o nome do paciente das notas de quem tem 'client.delete'
+CREATE POLICY transacoes_financeiras_update ON transacoes_financeiras FOR UPDATE TO authenticated
+    USING (has_tab_access('financeiro', 'edit') OR has_permission('client.delete'))
+    WITH CHECK (has_tab_access('financeiro', 'edit') OR has_permission('client.delete'));
+CREATE POLICY transacoes_financeiras_delete ON transacoes_financeiras FOR DELETE TO authenticated
+    USING (has_permission('finance.note.delete'));
+
+-- Mural do Coordenador
+CREATE POLICY mural_select ON mural FOR SELECT TO authenticated
+    USING (has_tab_access('documentos', 'view'));
+CREATE POLICY mural_write ON mural FOR ALL TO authenticated
+    USING (has_tab_access('documentos', 'edit'))
+    WITH CHECK (has_tab_access('documentos', 'edit'));
+
+-- Estoque: quem confirma atendimentos precisa listar os materiais e dar baixa no que usou
+CREATE POLICY estoque_select ON estoque FOR SELECT TO authenticated
+    USING (has_tab_access('estoque', 'view') OR has_tab_access('agenda', 'edit'));
+CREATE POLICY estoque_insert ON estoque FOR INSERT TO authenticated
+    WITH CHECK (is_stock_manager());
+CREATE POLICY estoque_update ON estoque FOR UPDATE TO authenticated
+    USING (is_stock_manager() OR has_tab_access('agenda', 'edit'))
+    WITH CHECK (is_stock_manager() OR has_tab_access('agenda', 'edit'));
+CREATE POLICY estoque_delete ON estoque FOR DELETE TO authenticated
+    USING (has_permission('stock.item.delete'));
+
+-- Fora dos gerentes de estoque, a única alteração permitida em um item é a baixa de quantidade
+CREATE OR REPLACE FUNCTION restrict_stock_updates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF is_stock_manager() THEN
+        RETURN NEW;
+    END IF;
+    IF NEW.quantity > OLD.quantity
+        OR (to_jsonb(NEW) - 'quantity' - 'last_updated') IS DISTINCT FROM (to_jsonb(OLD) - 'quantity' - 'last_updated') THEN
+        RAISE EXCEPTION 'Apenas gerentes de estoque podem alterar itens do estoque.' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+CREATE TRIGGER estoque_restrict_updates
+    BEFORE UPDATE ON estoque
+    FOR EACH ROW EXECUTE FUNCTION restrict_stock_updates();
+
+-- Movimentações: escrita pelos gerentes de estoque; profissionais só registram saídas dos próprios atendimentos
+CREATE POLICY movimentacoes_estoque_select ON movimentacoes_estoque FOR SELECT TO authenticated
+    USING (
+        has_tab_access('estoque', 'view')
+        OR EXISTS (
+            SELECT 1 FROM agendamentos
+            WHERE agendamentos.id = agendamento_id AND agendamentos.funcionario_id = current_funcionario_id()
+        )
+    );
+CREATE POLICY movimentacoes_estoque_insert ON movimentacoes_estoque FOR INSERT TO authenticated
+    WITH CHECK (
+        is_stock_manager()
+        OR (type = 'saida' AND EXISTS (
+            SELECT 1 FROM agendamentos
+            WHERE agendamentos.id = agendamento_id AND agendamentos.funcionario_id = current_funcionario_id()
+        ))
+    );
+CREATE POLICY movimentacoes_estoque_update ON movimentacoes_estoque FOR UPDATE TO authenticated
+    USING (is_stock_manager())
+    WITH CHECK (is_stock_manager());
+CREATE POLICY movimentacoes_estoque_delete ON movimentacoes_estoque FOR DELETE TO authenticated
+    USING (is_stock_manager());
+
+-- Notificações: cada funcionário lê e marca as suas; qualquer funcionário ativo pode notificar outro
+CREATE POLICY notificacoes_select ON notificacoes FOR SELECT TO authenticated
+    USING (user_id = current_funcionario_id() OR has_role('director'));
+CREATE POLICY notificacoes_insert ON notificacoes FOR INSERT TO authenticated
+    WITH CHECK (current_funcionario_id() IS NOT NULL);
+-- ...e a anonimização de um paciente reescreve as notificações de outros funcionários que o citam
+CREATE POLICY notificacoes_update ON notificacoes FOR UPDATE TO authenticated
+    USING (user_id = current_funcionario_id() OR has_role('director') OR has_permission('client.delete'))
+    WITH CHECK (user_id = current_funcionario_id() OR has_role('director') OR has_permission('client.delete'));
+CREATE POLICY notificacoes_delete ON notificacoes FOR DELETE TO authenticated
+    USING (user_id = current_funcionario_id() OR has_role('director'));
+
+-- Anexos: a pasta do arquivo (storeAttachment em js/attachments.js) decide quem o acessa. Os arquivos de um paciente
+-- (clientes/<id>/, atendimentos/<id>/ e cancelamentos/<id>/) seguem o acesso ao paciente e só quem vê o conteúdo
+-- clínico lê documentos e anexos de atendimento; os demais seguem a aba de origem. Contas desativadas não
+-- acessam nada e pastas desconhecidas ficam só com a diretoria.
+CREATE OR REPLACE FUNCTION can_access_attachment(object_name TEXT, operation TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql STABLE
+AS $$
+DECLARE
+    folder TEXT := split_part(object_name, '/', 1);
+    client_id INTEGER := CASE WHEN split_part(object_name, '/', 2) ~ '^[0-9]+$' THEN split_part(object_name, '/', 2)::INTEGER END;
+BEGIN
+    IF current_funcionario_id() IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    IF folder IN ('clientes', 'atendimentos') THEN
+        IF client_id IS NULL OR NOT can_access_client(client_id) THEN
+            RETURN FALSE;
+        END IF;
+        RETURN CASE operation
+            WHEN 'read' THEN has_permission('client.clinical.view')
+            WHEN 'write' THEN CASE folder
+                WHEN 'clientes' THEN has_permission('client.document.create')
+                ELSE has_tab_access('agenda', 'edit') OR has_tab_access('historico', 'edit') OR has_tab_access('meus-pacientes', 'edit')
+            END
+            -- A anonimização (LGPD) apaga todos os arquivos do paciente
+            ELSE has_permission('client.delete') OR (folder = 'clientes' AND has_permission('client.document.delete'))
+        END;
+    END IF;
+
+    IF folder = 'cancelamentos' THEN
+        IF client_id IS NOT NULL AND NOT can_access_client_unit(client_id) THEN
+            RETURN FALSE;
+        END IF;
+        RETURN CASE operation
+            WHEN 'read' THEN has_tab_access('agenda', 'view')
+            WHEN 'write' THEN has_tab_access('agenda', 'edit')
+            ELSE is_schedule_manager() OR has_permission('client.delete')
+        END;
+    END IF;
+
+    RETURN CASE folder
+        WHEN 'estoque' THEN CASE operation WHEN 'read' THEN has_tab_access('estoque', 'view') ELSE is_stock_manager() END
+        WHEN 'financeiro' THEN CASE operation
+            WHEN 'read' THEN has_tab_access('financeiro', 'view')
+            WHEN 'write' THEN has_permission('finance.note.create')
+            ELSE has_permission('finance.note.delete')
+        END
+        WHEN 'mural' THEN has_tab_access('documentos', CASE operation WHEN 'read' THEN 'view' ELSE 'edit' END)
+        ELSE has_role('director')
+    END;
+END;
+$$;
+
+DROP POLICY "Funcionários autenticados acessam anexos" ON storage.objects;
+CREATE POLICY anexos_select ON storage.objects FOR SELECT TO authenticated
+    USING (bucket_id = 'anexos' AND can_access_attachment(name, 'read'));
+CREATE POLICY anexos_insert ON storage.objects FOR INSERT TO authenticated
+    WITH CHECK (bucket_id = 'anexos' AND can_access_attachment(name, 'write'));
+-- Envios refeitos pela fila offline sobrescrevem o arquivo (upsert)
+CREATE POLICY anexos_update ON storage.objects FOR UPDATE TO authenticated
+    USING (bucket_id = 'anexos' AND can_access_attachment(name, 'write'))
+    WITH CHECK (bucket_id = 'anexos' AND can_access_attachment(name, 'write'));
+CREATE POLICY anexos_delete ON storage.objects FOR DELETE TO authenticated
+    USING (bucket_id = 'anexos' AND can_access_attachment(name, 'delete'));
+
+-- =============================================
+-- Cargos
+-- =============================================
+
+-- Cargos predefinidos (o acesso padrão deles está em PERMISSION_CATALOG / has_tab_access); os personalizados
+-- são criados pela diretoria em Funcionários > Gerenciar Cargos com a matriz de acesso em tab_access
+-- e as ações permitidas em extra_data -> 'permissions'
+ALTER TABLE roles ADD COLUMN extra_data JSONB;
+INSERT INTO roles (id, name, is_custom) VALUES
+    ('director', 'Diretoria', FALSE),
+    ('coordinator_madre', 'Coordenador(a) Madre', FALSE),
+    ('coordinator_floresta', 'Coordenador(a) Floresta', FALSE),
+    ('staff', 'Funcionário(a) Geral', FALSE),
+    ('receptionist', 'Recepcionista', FALSE),
+    ('psychologist', 'Psicólogo(a)', FALSE),
+    ('psychopedagogue', 'Psicopedagogo(a)', FALSE),
+    ('musictherapist', 'Musicoterapeuta', FALSE),
+    ('speech_therapist', 'Fonoaudiólogo(a)', FALSE),
+    ('nutritionist', 'Nutricionista', FALSE),
+    ('physiotherapist', 'Fisioterapeuta', FALSE),
+    ('financeiro', 'Financeiro', FALSE),
+    ('intern', 'Estagiário(a)', FALSE)
+ON CONFLICT DO NOTHING;
+
+-- =============================================
+-- Registro de auditoria
+-- =============================================
+
+-- Uma linha por gravação feita pelos repositórios do app (js/audit.js): quem, quando, qual registro,
+-- os campos antes/depois e a tela de origem. Só recebe inserções; apenas a diretoria lê.
+CREATE TABLE auditoria (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id INTEGER REFERENCES funcionarios(id) ON DELETE SET NULL,
+    actor_name TEXT,                                     -- Nome na época da alteração
+    entity TEXT NOT NULL,                                -- Entidade do repositório (ex: 'clients', 'schedules')
+    record_id TEXT,
+    action TEXT NOT NULL CHECK (action IN ('create', 'update', 'remove')),
+    changes JSONB,                                       -- {campo: {before, after}}
+    source TEXT,                                         -- Aba e janela em que a alteração foi feita
+    extra_data JSONB,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+COMMENT ON TABLE auditoria IS 'Registro imutável das alterações de dados.';
+CREATE INDEX idx_auditoria_created_at ON auditoria (created_at DESC);
+
+ALTER TABLE auditoria ENABLE ROW LEVEL SECURITY;
+CREATE POLICY auditoria_select ON auditoria FOR SELECT TO authenticated
+    USING (has_role('director'));
+CREATE POLICY auditoria_insert ON auditoria FOR INSERT TO authenticated
+    WITH CHECK (actor_id = current_funcionario_id());
+-- Sem políticas de UPDATE/DELETE: nem a diretoria altera ou apaga entradas
+REVOKE UPDATE, DELETE, TRUNCATE ON auditoria FROM authenticated, anon;
+
+-- =============================================
+-- Chaves da criptografia clínica
+-- =============================================
+
+-- Diagnóstico, histórico médico, queixa e expectativas (extra_data), notas dos pacientes e notas dos atendimentos
+-- são criptografados no navegador com AES-GCM (js/encryption.js). Cada linha é uma versão da chave da clínica;
+-- a rotação cria uma nova versão, recriptografa os dados e marca as anteriores como retiradas, que continuam
+-- aqui para abrir backups antigos. Só quem tem acesso clínico lê as chaves; recepção e financeiro não.
+CREATE TABLE chaves_clinicas (
+    version INTEGER PRIMARY KEY,
+    key_material TEXT NOT NULL,                          -- Chave AES-256 em base64
+    created_by INTEGER REFERENCES funcionarios(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    retired_at TIMESTAMPTZ
+);
+COMMENT ON TABLE chaves_clinicas IS 'Versões da chave de criptografia dos dados clínicos.';
+
+ALTER TABLE chaves_clinicas ENABLE ROW LEVEL SECURITY;
+CREATE POLICY chaves_clinicas_select ON chaves_clinicas FOR SELECT TO authenticated
+    USING (has_permission('client.clinical.view'));
+CREATE POLICY chaves_clinicas_insert ON chaves_clinicas FOR INSERT TO authenticated
+    WITH CHECK (has_role('director'));
+CREATE POLICY chaves_clinicas_update ON chaves_clinicas FOR UPDATE TO authenticated
+    USING (has_role('director'))
+    WITH CHECK (has_role('director'));
+-- Apagar uma versão tornaria ilegível tudo o que ainda estiver criptografado com ela
+REVOKE DELETE, TRUNCATE ON chaves_clinicas FROM authenticated, anon;
+
+-- =============================================
+-- Sessões
+-- =============================================
+
+-- O tempo de inatividade de cada cargo fica em roles.extra_data -> 'idleTimeoutMinutes' (sem valor, 60 minutos;
+-- ver js/session.js). As funções abaixo dão à diretoria a lista de sessões do Supabase Auth e o encerramento delas.
+
+-- Sessões ativas com o funcionário de cada uma (vazia para quem não é da diretoria)
+CREATE OR REPLACE FUNCTION list_active_sessions()
+RETURNS TABLE (
+    session_id UUID,
+    funcionario_id INTEGER,
+    funcionario_name TEXT,
+    email TEXT,
+    created_at TIMESTAMPTZ,
+    last_active_at TIMESTAMPTZ,
+    user_agent TEXT,
+    ip TEXT
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+    SELECT s.id, f.id, f.name, u.email::TEXT, s.created_at,
+           COALESCE(s.refreshed_at AT TIME ZONE 'UTC', s.updated_at, s.created_at), s.user_agent, host(s.ip)
+    FROM auth.sessions s
+    JOIN auth.users u ON u.id = s.user_id
+    LEFT JOIN funcionarios f ON f.email = u.email
+    WHERE has_role('director') AND (s.not_after IS NULL OR s.not_after > NOW())
+    ORDER BY 6 DESC;
+$$;
+
+-- Encerra uma sessão: o refresh token deixa de valer e o app do funcionário volta ao login na próxima verificação.
+-- O token de acesso já emitido continua válido até expirar (1 hora no padrão do Supabase).
+CREATE OR REPLACE FUNCTION revoke_session(target_session UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public, auth
+AS $$
+BEGIN
+    IF NOT has_role('director') THEN
+        RAISE EXCEPTION 'Apenas a diretoria pode encerrar sessões.';
+    END IF;
+    DELETE FROM auth.sessions WHERE id = target_session;
+END;
+$$;
+REVOKE EXECUTE ON FUNCTION list_active_sessions(), revoke_session(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION list_active_sessions(), revoke_session(UUID) TO authenticated;
+
+-- =============================================
+-- Séries de agendamentos (js/schedule.js)
+-- =============================================
+
+-- Sessões recorrentes são agendamentos comuns ligados pela mesma série; a regra de repetição
+-- (frequência, dias da semana, término) fica em extra_data de cada sessão
+ALTER TABLE agendamentos ADD COLUMN serie_id UUID;
+CREATE INDEX idx_agendamentos_serie ON agendamentos (serie_id) WHERE serie_id IS NOT NULL;
+
+-- =============================================
+-- Horários de trabalho (js/availability.js)
+-- =============================================
+
+-- Horários semanais por unidade e ausências (férias, licenças, feriados) ficam em extra_data do funcionário:
+-- 'availability' e 'availabilityExceptions'. Quem tem 'staff.availability.edit' sem editar a aba de
+-- funcionários só pode alterar essas duas chaves.
+CREATE POLICY funcionarios_availability_update ON funcionarios FOR UPDATE TO authenticated
+    USING (has_permission('staff.availability.edit'))
+    WITH CHECK (has_permission('staff.availability.edit'));
+
+CREATE OR REPLACE FUNCTION restrict_availability_updates()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    -- current_user deixa de ser 'authenticated' dentro de funções SECURITY DEFINER, como complete_password_change()
+    IF current_user <> 'authenticated' OR has_tab_access('funcionarios', 'edit') THEN
+        RETURN NEW;
+    END IF;
+    IF (to_jsonb(NEW) - 'extra_data' - 'updated_at') IS DISTINCT FROM (to_jsonb(OLD) - 'extra_data' - 'updated_at')
+        OR (COALESCE(NEW.extra_data, '{}') - 'availability' - 'availabilityExceptions')
+            IS DISTINCT FROM (COALESCE(OLD.extra_data, '{}') - 'availability' - 'availabilityExceptions') THEN
+        RAISE EXCEPTION 'Sem acesso de edição a funcionários, apenas horários e ausências podem ser alterados.' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$;
+CREATE TRIGGER funcionarios_restrict_availability_updates
+    BEFORE UPDATE ON funcionarios
+    FOR EACH ROW EXECUTE FUNCTION restrict_availability_updates();
+
+-- =============================================
+-- Salas e equipamentos (js/rooms.js)
+-- =============================================
+
+-- Catálogo por unidade: salas (uma sessão por vez) e equipamentos compartilhados (tantas sessões
+-- simultâneas quanto a quantidade). Itens fora de uso são desativados, não excluídos, para manter o histórico.
+CREATE TABLE salas_recursos (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL DEFAULT 'sala',                   -- 'sala' ou 'recurso'
+    unit TEXT,                                           -- Unidade ('madre', 'floresta'); NULL = compartilhado entre as unidades
+    quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    extra_data JSONB,                                    -- Descrição
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (unit, name)
+);
+COMMENT ON TABLE salas_recursos IS 'Salas de atendimento e equipamentos compartilhados de cada unidade.';
+
+-- A sala reservada fica em coluna própria; os equipamentos ficam em extra_data ('resourceIds')
+ALTER TABLE agendamentos ADD COLUMN sala_id INTEGER REFERENCES salas_recursos(id) ON DELETE SET NULL;
+CREATE INDEX idx_agendamentos_sala ON agendamentos (sala_id, start_time) WHERE sala_id IS NOT NULL;
+
+ALTER TABLE salas_recursos ENABLE ROW LEVEL SECURITY;
+CREATE POLICY salas_recursos_select ON salas_recursos FOR SELECT TO authenticated
+    USING (has_tab_access('agenda', 'view') OR has_tab_access('relatorios', 'view'));
+-- Cada coordenação cuida do catálogo da sua unidade (e dos itens compartilhados)
+CREATE POLICY salas_recursos_write ON salas_recursos FOR ALL TO authenticated
+    USING (has_permission('rooms.manage') AND can_access_unit(unit))
+    WITH CHECK (has_permission('rooms.manage') AND can_access_unit(unit));
+
+ALTER PUBLICATION supabase_realtime ADD TABLE salas_recursos;
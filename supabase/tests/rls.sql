@@ -0,0 +1,293 @@
+-- Testes das políticas de RLS (supabase/schema.sql)
+-- Carrega o schema num banco local do Supabase sem as tabelas do app (ex: `supabase start`), cria um
+-- funcionário de cada cargo e confere, para cada um, o que SELECT, INSERT, UPDATE e DELETE alcançam em
+-- cada tabela. Tudo roda numa transação desfeita no final. Para rodar: supabase/tests/run.sh
+
+\set ON_ERROR_STOP on
+\set QUIET on
+
+BEGIN;
+
+\ir ../schema.sql
+
+-- =============================================
+-- Dados de teste
+-- =============================================
+
+INSERT INTO roles (id, name, tab_access) VALUES
+    ('custom_leitura_financeiro', 'Leitura do financeiro', '{"financeiro": "view", "agenda": "view"}'),
+    ('custom_vazio', 'Cargo sem funcionários', NULL);
+
+-- Um funcionário por cargo; o psicólogo inativo representa as contas desativadas
+INSERT INTO funcionarios (id, name, email, role_id, unit, is_active) VALUES
+    (101, 'Diretoria', 'director@teste.local', 'director', NULL, TRUE),
+    (102, 'Coordenação Madre', 'coordinator_madre@teste.local', 'coordinator_madre', NULL, TRUE),
+    (103, 'Coordenação Floresta', 'coordinator_floresta@teste.local', 'coordinator_floresta', NULL, TRUE),
+    (104, 'Recepção', 'receptionist@teste.local', 'receptionist', 'madre', TRUE),
+    (105, 'Financeiro', 'financeiro@teste.local', 'financeiro', NULL, TRUE),
+    (106, 'Funcionário Geral', 'staff@teste.local', 'staff', NULL, TRUE),
+    (107, 'Psicólogo', 'psychologist@teste.local', 'psychologist', NULL, TRUE),
+    (108, 'Psicopedagogo', 'psychopedagogue@teste.local', 'psychopedagogue', NULL, TRUE),
+    (109, 'Musicoterapeuta', 'musictherapist@teste.local', 'musictherapist', NULL, TRUE),
+    (110, 'Fonoaudiólogo', 'speech_therapist@teste.local', 'speech_therapist', NULL, TRUE),
+    (111, 'Nutricionista', 'nutritionist@teste.local', 'nutritionist', NULL, TRUE),
+    (112, 'Fisioterapeuta', 'physiotherapist@teste.local', 'physiotherapist', NULL, TRUE),
+    (113, 'Estagiário', 'intern@teste.local', 'intern', NULL, TRUE),
+    (114, 'Cargo personalizado', 'custom@teste.local', 'custom_leitura_financeiro', NULL, TRUE),
+    (115, 'Psicólogo desativado', 'inactive@teste.local', 'psychologist', NULL, FALSE);
+
+-- 201 e 202 são da Madre e 203 da Floresta; só 201 tem profissionais vinculados
+INSERT INTO clientes (id, name, unit) VALUES
+    (201, 'Cliente vinculado', 'madre'),
+    (202, 'Cliente sem vínculo', 'madre'),
+    (203, 'Cliente da Floresta', 'floresta');
+INSERT INTO clientes_profissionais (cliente_id, funcionario_id)
+SELECT 201, id FROM funcionarios WHERE id BETWEEN 106 AND 113 OR id = 115;
+
+INSERT INTO agendamentos (id, cliente_id, funcionario_id, created_by, start_time, end_time) VALUES
+    (301, 201, 107, 104, NOW(), NOW() + INTERVAL '50 minutes'),
+    (302, 202, 106, 102, NOW(), NOW() + INTERVAL '50 minutes'),
+    (303, 203, NULL, 103, NOW(), NOW() + INTERVAL '50 minutes');
+
+INSERT INTO atendimentos (id, cliente_id, date) VALUES
+    (401, 201, CURRENT_DATE),
+    (402, 203, CURRENT_DATE);
+
+INSERT INTO transacoes_financeiras (id, description, type, amount) VALUES
+    (501, 'Sessão', 'receita', 150),
+    (502, 'Material', 'despesa', 40);
+
+INSERT INTO mural (id, title, type, created_by) VALUES (601, 'Reunião de equipe', 'reuniao', 102);
+
+INSERT INTO estoque (id, name, quantity) VALUES
+    (701, 'Papel sulfite', 10),
+    (702, 'Massinha', 5);
+INSERT INTO movimentacoes_estoque (id, item_id, type, quantity, agendamento_id, funcionario_id) VALUES
+    (801, 701, 'saida', 1, 301, 107),
+    (802, 701, 'entrada', 5, NULL, 105);
+
+INSERT INTO notificacoes (id, user_id, type, title) VALUES
+    (901, 107, 'schedule_assignment', 'Novo agendamento'),
+    (902, 105, 'teste', 'Aviso do financeiro');
+
+INSERT INTO salas_recursos (id, name, unit) VALUES (1201, 'Sala 1', 'madre');
+INSERT INTO auditoria (actor_id, entity, record_id, action) VALUES (101, 'clients', '201', 'update');
+INSERT INTO chaves_clinicas (version, key_material) VALUES (1, 'chave-de-teste');
+
+-- Um arquivo em cada pasta do bucket de anexos; os de paciente são do cliente 201 (Madre), mais um documento do 203
+INSERT INTO storage.objects (bucket_id, name) VALUES
+    ('anexos', 'clientes/201/1-laudo.pdf'),
+    ('anexos', 'clientes/203/1-laudo.pdf'),
+    ('anexos', 'atendimentos/201/1-sessao.pdf'),
+    ('anexos', 'cancelamentos/201/1-atestado.jpg'),
+    ('anexos', 'estoque/1-nota.pdf'),
+    ('anexos', 'financeiro/1-recibo.pdf'),
+    ('anexos', 'mural/1-ata.pdf');
+
+-- =============================================
+-- Execução dos casos
+-- =============================================
+
+CREATE SCHEMA rls_test;
+
+-- Roda `statement` como o funcionário de `login`, do jeito que o PostgREST faz (papel authenticated e o
+-- email nas claims do JWT), e desfaz o que ele alterou para que todos os casos partam dos mesmos dados.
+-- Retorna a contagem do SELECT ou as linhas alteradas; -1 quando o banco recusa (RLS ou GRANT).
+CREATE FUNCTION rls_test.run_as(login TEXT, statement TEXT)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    affected INTEGER;
+BEGIN
+    PERFORM set_config('request.jwt.claims', json_build_object('email', login, 'role', 'authenticated')::TEXT, TRUE);
+    PERFORM set_config('role', 'authenticated', TRUE);
+    BEGIN
+        IF statement ILIKE 'SELECT%' THEN
+            EXECUTE statement INTO affected;
+        ELSE
+            EXECUTE statement;
+            GET DIAGNOSTICS affected = ROW_COUNT;
+        END IF;
+        RAISE EXCEPTION 'desfaz o caso' USING ERRCODE = 'RLS00';
+    EXCEPTION
+        WHEN insufficient_privilege THEN affected := -1;
+        WHEN SQLSTATE 'RLS00' THEN NULL;
+    END;
+    PERFORM set_config('role', 'none', TRUE);
+    PERFORM set_config('request.jwt.claims', NULL, TRUE);
+    RETURN affected;
+END;
+$$;
+
+-- Quem roda cada coluna de resultado esperado; os cargos de uma mesma coluna devem ter o mesmo resultado
+CREATE TABLE rls_test.logins (expectation TEXT, login TEXT);
+INSERT INTO rls_test.logins VALUES
+    ('director', 'director@teste.local'),
+    ('coordinator_madre', 'coordinator_madre@teste.local'),
+    ('coordinator_floresta', 'coordinator_floresta@teste.local'),
+    ('receptionist', 'receptionist@teste.local'),
+    ('financeiro', 'financeiro@teste.local'),
+    ('staff', 'staff@teste.local'),
+    ('psychologist', 'psychologist@teste.local'),
+    ('professionals', 'psychopedagogue@teste.local'),
+    ('professionals', 'musictherapist@teste.local'),
+    ('professionals', 'speech_therapist@teste.local'),
+    ('professionals', 'nutritionist@teste.local'),
+    ('professionals', 'physiotherapist@teste.local'),
+    ('professionals', 'intern@teste.local'),
+    ('custom', 'custom@teste.local'),
+    ('no_access', 'inactive@teste.local'),
+    ('no_access', 'sem-perfil@teste.local');
+
+-- Resultado esperado de cada comando por cargo: linhas vistas (SELECT) ou alteradas; -1 = recusado
+CREATE TABLE rls_test.cases (
+    description TEXT,
+    statement TEXT,
+    director INTEGER,
+    coordinator_madre INTEGER,
+    coordinator_floresta INTEGER,
+    receptionist INTEGER,
+    financeiro INTEGER,
+    staff INTEGER,
+    psychologist INTEGER,
+    professionals INTEGER,
+    custom INTEGER,
+    no_access INTEGER
+);
+
+INSERT INTO rls_test.cases VALUES
+    --                                                                                                                    dir  cMad cFlo rec  fin  stf  psi  prof cust none
+    -- Profissionais só veem os clientes vinculados; coordenação e recepção, os da sua unidade
+    ('clientes: ler', 'SELECT count(*) FROM clientes',                                                                      3,   2,   1,   2,   3,   1,   1,   1,   0,   0),
+    ('clientes: cadastrar na Madre', $$INSERT INTO clientes (name, unit) VALUES ('Novo', 'madre')$$,                       1,   1,  -1,   1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('clientes: alterar', 'UPDATE clientes SET name = name',                                                                3,   2,   1,   2,   0,   1,   1,   1,   0,   0),
+    ('clientes: excluir', 'WITH agenda AS (DELETE FROM agendamentos WHERE cliente_id = 203) DELETE FROM clientes WHERE id = 203',
+                                                                                                                            1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+
+    ('vínculos: ler', 'SELECT count(*) FROM clientes_profissionais',                                                        9,   9,   0,   9,   9,   9,   9,   9,   0,   0),
+    ('vínculos: vincular', 'INSERT INTO clientes_profissionais VALUES (202, 107)',                                          1,   1,  -1,   1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('vínculos: alterar', 'UPDATE clientes_profissionais SET funcionario_id = funcionario_id',                             9,   9,   0,   9,   0,   0,   0,   0,   0,   0),
+    ('vínculos: desvincular', 'DELETE FROM clientes_profissionais',                                                         9,   9,   0,   9,   0,   0,   0,   0,   0,   0),
+
+    ('agendamentos: ler', 'SELECT count(*) FROM agendamentos',                                                              3,   2,   1,   2,   3,   2,   1,   1,   0,   0),
+    ('agendamentos: agendar para si', $$INSERT INTO agendamentos (cliente_id, funcionario_id, start_time, end_time)
+        VALUES (201, current_funcionario_id(), NOW(), NOW())$$,                                                             1,   1,  -1,   1,  -1,   1,   1,   1,  -1,  -1),
+    ('agendamentos: alterar', $$UPDATE agendamentos SET notes = 'Alterado'$$,                                               3,   2,   1,   2,   0,   1,   1,   0,   0,   0),
+    ('agendamentos: excluir', 'DELETE FROM agendamentos',                                                                   3,   2,   1,   2,   0,   0,   0,   0,   0,   0),
+
+    ('atendimentos: ler', 'SELECT count(*) FROM atendimentos',                                                              2,   1,   1,   1,   2,   1,   1,   1,   0,   0),
+    ('atendimentos: registrar', 'INSERT INTO atendimentos (cliente_id, date) VALUES (201, CURRENT_DATE)',                  1,   1,  -1,   1,  -1,   1,   1,   1,  -1,  -1),
+    ('atendimentos: alterar', $$UPDATE atendimentos SET notes = 'Alterado'$$,                                               2,   1,   1,   1,   0,   1,   1,   1,   0,   0),
+    ('atendimentos: excluir', 'DELETE FROM atendimentos',                                                                   2,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+
+    -- Só diretoria e financeiro (e quem recebeu a aba) leem o financeiro
+    ('financeiro: ler', 'SELECT count(*) FROM transacoes_financeiras',                                                      2,   0,   0,   0,   2,   0,   0,   0,   2,   0),
+    ('financeiro: lançar', $$INSERT INTO transacoes_financeiras (description, type, amount) VALUES ('Teste', 'receita', 10)$$,
+                                                                                                                            1,  -1,  -1,  -1,   1,  -1,  -1,  -1,  -1,  -1),
+    ('financeiro: alterar', $$UPDATE transacoes_financeiras SET notes = 'Alterado'$$,                                       2,   0,   0,   0,   2,   0,   0,   0,   0,   0),
+    ('financeiro: excluir', 'DELETE FROM transacoes_financeiras',                                                           2,   0,   0,   0,   2,   0,   0,   0,   0,   0),
+
+    ('mural: ler', 'SELECT count(*) FROM mural',                                                                            1,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+    ('mural: publicar', $$INSERT INTO mural (title, type) VALUES ('Aviso', 'nota')$$,                                       1,   1,   1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('mural: alterar', $$UPDATE mural SET content = 'Alterado'$$,                                                           1,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+    ('mural: excluir', 'DELETE FROM mural',                                                                                 1,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+
+    -- Quem atende lista os materiais e dá baixa; só os gerentes de estoque cadastram e repõem
+    ('estoque: ler', 'SELECT count(*) FROM estoque',                                                                        2,   2,   2,   2,   2,   2,   2,   2,   0,   0),
+    ('estoque: cadastrar', $$INSERT INTO estoque (name, quantity) VALUES ('Item novo', 1)$$,                                1,   1,   1,  -1,   1,   1,  -1,  -1,  -1,  -1),
+    ('estoque: dar baixa', 'UPDATE estoque SET quantity = quantity - 1',                                                    2,   2,   2,   2,   2,   2,   2,   2,   0,   0),
+    ('estoque: repor', 'UPDATE estoque SET quantity = quantity + 1',                                                        2,   2,   2,  -1,   2,   2,  -1,  -1,   0,   0),
+    ('estoque: excluir', 'DELETE FROM estoque WHERE id = 702',                                                              1,   0,   0,   0,   1,   0,   0,   0,   0,   0),
+
+    -- Só os gerentes de estoque escrevem movimentações; o profissional registra apenas a saída do próprio atendimento
+    ('movimentações: ler', 'SELECT count(*) FROM movimentacoes_estoque',                                                    2,   2,   2,   0,   2,   2,   1,   0,   0,   0),
+    ('movimentações: entrada', $$INSERT INTO movimentacoes_estoque (item_id, type, quantity) VALUES (701, 'entrada', 1)$$,  1,   1,   1,  -1,   1,   1,  -1,  -1,  -1,  -1),
+    ('movimentações: saída do agendamento 301', $$INSERT INTO movimentacoes_estoque (item_id, type, quantity, agendamento_id)
+        VALUES (701, 'saida', 1, 301)$$,                                                                                    1,   1,   1,  -1,   1,   1,   1,  -1,  -1,  -1),
+    ('movimentações: alterar', $$UPDATE movimentacoes_estoque SET reason = 'Ajuste'$$,                                       2,   2,   2,   0,   2,   2,   0,   0,   0,   0),
+    ('movimentações: excluir', 'DELETE FROM movimentacoes_estoque',                                                         2,   2,   2,   0,   2,   2,   0,   0,   0,   0),
+
+    ('notificações: ler', 'SELECT count(*) FROM notificacoes',                                                              2,   0,   0,   0,   1,   0,   1,   0,   0,   0),
+    ('notificações: notificar', $$INSERT INTO notificacoes (user_id, type, title) VALUES (101, 'teste', 'Teste')$$,         1,   1,   1,   1,   1,   1,   1,   1,   1,  -1),
+    ('notificações: marcar como lida', 'UPDATE notificacoes SET is_read = TRUE',                                            2,   0,   0,   0,   1,   0,   1,   0,   0,   0),
+    ('notificações: excluir', 'DELETE FROM notificacoes',                                                                   2,   0,   0,   0,   1,   0,   1,   0,   0,   0),
+
+    ('cargos: ler', 'SELECT count(*) FROM roles',                                                                          15,  15,  15,  15,  15,  15,  15,  15,  15,   0),
+    ('cargos: criar', $$INSERT INTO roles (id, name) VALUES ('custom_novo', 'Novo cargo')$$,                                1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('cargos: alterar', $$UPDATE roles SET tab_access = '{}' WHERE id = 'custom_vazio'$$,                                   1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+    ('cargos: excluir', $$DELETE FROM roles WHERE id = 'custom_vazio'$$,                                                    1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+
+    -- A coordenação altera horários e ausências, mas não os demais dados do funcionário
+    ('funcionários: ler', 'SELECT count(*) FROM funcionarios',                                                             15,  15,  15,  15,  15,  15,  15,  15,  15,   0),
+    ('funcionários: cadastrar', $$INSERT INTO funcionarios (name, email, role_id) VALUES ('Novo', 'novo@teste.local', 'staff')$$,
+                                                                                                                            1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('funcionários: alterar telefone', $$UPDATE funcionarios SET phone = '0000-0000' WHERE id = 113$$,                      1,  -1,  -1,   0,   0,   0,   0,   0,   0,   0),
+    ('funcionários: alterar horários', $$UPDATE funcionarios SET extra_data = '{"availability": []}' WHERE id = 113$$,      1,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+    ('funcionários: excluir', 'DELETE FROM funcionarios WHERE id = 115',                                                    1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+
+    ('salas: ler', 'SELECT count(*) FROM salas_recursos',                                                                   1,   1,   1,   1,   1,   1,   1,   1,   1,   0),
+    ('salas: cadastrar na Madre', $$INSERT INTO salas_recursos (name, unit) VALUES ('Sala 2', 'madre')$$,                   1,   1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('salas: alterar', 'UPDATE salas_recursos SET is_active = FALSE',                                                       1,   1,   0,   0,   0,   0,   0,   0,   0,   0),
+    ('salas: excluir', 'DELETE FROM salas_recursos',                                                                        1,   1,   0,   0,   0,   0,   0,   0,   0,   0),
+
+    -- A auditoria só recebe inserções do próprio funcionário
+    ('auditoria: ler', 'SELECT count(*) FROM auditoria',                                                                    1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+    ('auditoria: registrar', $$INSERT INTO auditoria (actor_id, entity, action) VALUES (current_funcionario_id(), 'clients', 'update')$$,
+                                                                                                                            1,   1,   1,   1,   1,   1,   1,   1,   1,  -1),
+    ('auditoria: alterar', $$UPDATE auditoria SET source = 'Alterado'$$,                                                   -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('auditoria: excluir', 'DELETE FROM auditoria',                                                                        -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+
+    -- Recepção e financeiro não leem a chave dos dados clínicos
+    ('chaves clínicas: ler', 'SELECT count(*) FROM chaves_clinicas',                                                        1,   1,   1,   0,   0,   1,   1,   1,   0,   0),
+    ('chaves clínicas: criar', $$INSERT INTO chaves_clinicas (version, key_material) VALUES (2, 'nova')$$,                  1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('chaves clínicas: retirar', 'UPDATE chaves_clinicas SET retired_at = NOW()',                                           1,   0,   0,   0,   0,   0,   0,   0,   0,   0),
+    ('chaves clínicas: excluir', 'DELETE FROM chaves_clinicas',                                                            -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+
+    -- Anexos: documentos e anexos de atendimento só para quem vê o paciente e o conteúdo clínico
+    ('anexos: ler documentos', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'clientes/%'$$,                        2,   1,   1,   0,   0,   1,   1,   1,   0,   0),
+    ('anexos: ler atendimentos', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'atendimentos/%'$$,                 1,   1,   0,   0,   0,   1,   1,   1,   0,   0),
+    ('anexos: ler cancelamentos', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'cancelamentos/%'$$,               1,   1,   0,   1,   0,   1,   1,   1,   1,   0),
+    ('anexos: ler estoque', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'estoque/%'$$,                           1,   1,   1,   0,   1,   1,   0,   0,   0,   0),
+    ('anexos: ler financeiro', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'financeiro/%'$$,                     1,   0,   0,   0,   1,   0,   0,   0,   1,   0),
+    ('anexos: ler mural', $$SELECT count(*) FROM storage.objects WHERE name LIKE 'mural/%'$$,                               1,   1,   1,   0,   0,   0,   0,   0,   0,   0),
+    ('anexos: anexar documento do 201', $$INSERT INTO storage.objects (bucket_id, name) VALUES ('anexos', 'clientes/201/2-novo.pdf')$$,
+                                                                                                                            1,   1,  -1,   1,  -1,   1,   1,   1,  -1,  -1),
+    ('anexos: anexar atendimento do 203', $$INSERT INTO storage.objects (bucket_id, name) VALUES ('anexos', 'atendimentos/203/2-novo.pdf')$$,
+                                                                                                                            1,  -1,   1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('anexos: anexar ao financeiro', $$INSERT INTO storage.objects (bucket_id, name) VALUES ('anexos', 'financeiro/2-novo.pdf')$$,
+                                                                                                                            1,  -1,  -1,  -1,   1,  -1,  -1,  -1,  -1,  -1),
+    ('anexos: pasta desconhecida', $$INSERT INTO storage.objects (bucket_id, name) VALUES ('anexos', 'outros/1-arquivo.pdf')$$,
+                                                                                                                            1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1,  -1),
+    ('anexos: sobrescrever', $$UPDATE storage.objects SET bucket_id = 'anexos'$$,                                           7,   5,   3,   3,   2,   4,   3,   3,   0,   0),
+    ('anexos: excluir', 'DELETE FROM storage.objects',                                                                      7,   4,   3,   1,   2,   1,   0,   0,   0,   0);
+
+DO $$
+DECLARE
+    test_case RECORD;
+    expected INTEGER;
+    actual INTEGER;
+    checks INTEGER := 0;
+    failures INTEGER := 0;
+BEGIN
+    FOR test_case IN
+        SELECT c.description, c.statement, l.expectation, l.login, to_jsonb(c) AS expectations
+        FROM rls_test.cases c CROSS JOIN rls_test.logins l
+    LOOP
+        expected := (test_case.expectations ->> test_case.expectation)::INTEGER;
+        actual := rls_test.run_as(test_case.login, test_case.statement);
+        checks := checks + 1;
+        IF actual IS DISTINCT FROM expected THEN
+            failures := failures + 1;
+            RAISE WARNING 'FALHOU % (%): esperado %, obtido %', test_case.description, test_case.login, expected, actual;
+        END IF;
+    END LOOP;
+
+    IF failures > 0 THEN
+        RAISE EXCEPTION '% de % verificações de RLS falharam.', failures, checks;
+    END IF;
+    RAISE NOTICE '% verificações de RLS passaram.', checks;
+END;
+$$;
+
+ROLLBACK;
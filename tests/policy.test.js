@@ -0,0 +1,203 @@
+// Policy engine tests
+// Table-driven matrix of every predefined role × tab × access level for checkTabAccess and explainTabAccess,
+// plus the per-user overrides, custom roles and the role groups (coordinator_* ⇒ coordinator,
+// PROFESSIONAL_ROLES ⇒ professional). The expected access is written out by hand, not derived from
+// DEFAULT_TAB_ACCESS, so a change to the defaults has to be made here as well.
+import {describe, test, expect, vi, beforeEach, afterEach} from 'vitest';
+
+// The real client needs the .env keys and opens an auth listener when auth.js loads
+vi.mock('../js/supabase.js', () => ({
+    supabase: {auth: {onAuthStateChange: () => ({data: {subscription: {unsubscribe() {}}}}), signOut: async () => ({error: null})}},
+    createDetachedAuthClient: () => ({}),
+    getUserFuncionario: async () => null
+}));
+
+const {checkTabAccess, explainTabAccess, explainPermission, hasPermission, getRoleAncestors} = await import('../js/policy.js');
+const {db} = await import('../js/database.js');
+const {SYSTEM_TABS, PROFESSIONAL_ROLES, PREDEFINED_ROLE_NAMES} = await import('../js/roles.js');
+const {buildSessionUser, getCurrentUser, logout} = await import('../js/auth.js');
+
+const TABS = ['cadastro', 'agenda', 'historico', 'meus-pacientes', 'financeiro', 'relatorios', 'estoque', 'funcionarios', 'documentos'];
+
+// Access of each predefined role, in the order of TABS
+const COORDINATOR = ['edit', 'edit', 'edit', 'none', 'none', 'view', 'edit', 'view', 'edit'];
+const PROFESSIONAL = ['view', 'edit', 'view', 'edit', 'none', 'none', 'none', 'none', 'none'];
+const EXPECTED_ACCESS = {
+    director: ['edit', 'edit', 'edit', 'edit', 'edit', 'edit', 'edit', 'edit', 'edit'],
+    coordinator_madre: COORDINATOR,
+    coordinator_floresta: COORDINATOR,
+    receptionist: ['edit', 'edit', 'view', 'edit', 'none', 'none', 'none', 'none', 'none'],
+    staff: ['view', 'edit', 'view', 'edit', 'none', 'none', 'view', 'none', 'none'],
+    intern: PROFESSIONAL,
+    musictherapist: PROFESSIONAL,
+    psychologist: PROFESSIONAL,
+    psychopedagogue: PROFESSIONAL,
+    speech_therapist: PROFESSIONAL,
+    nutritionist: PROFESSIONAL,
+    physiotherapist: PROFESSIONAL,
+    financeiro: ['none', 'none', 'none', 'none', 'edit', 'view', 'edit', 'none', 'none']
+};
+
+const LEVELS = {none: 0, view: 1, edit: 2};
+
+const matrix = Object.entries(EXPECTED_ACCESS).flatMap(([role, accesses]) =>
+    TABS.flatMap((tab, index) => ['view', 'edit'].map(level => ({role, tab, level, access: accesses[index]}))));
+
+describe('matrix coverage', () => {
+    test('covers every predefined role and every tab', () => {
+        expect(Object.keys(EXPECTED_ACCESS).sort()).toEqual(Object.keys(PREDEFINED_ROLE_NAMES).sort());
+        expect([...TABS].sort()).toEqual(SYSTEM_TABS.map(tab => tab.id).sort());
+    });
+});
+
+describe('checkTabAccess', () => {
+    test.each(matrix)('$role › $tab › $level (tab access: $access)', ({role, tab, level, access}) => {
+        expect(checkTabAccess(tab, level, {role})).toBe(LEVELS[access] >= LEVELS[level]);
+    });
+});
+
+describe('explainTabAccess', () => {
+    const rows = Object.entries(EXPECTED_ACCESS).flatMap(([role, accesses]) =>
+        TABS.map((tab, index) => ({role, tab, access: accesses[index]})));
+
+    test.each(rows)('$role › $tab is $access', ({role, tab, access}) => {
+        const explanation = explainTabAccess(tab, {role});
+        expect(explanation.access).toBe(access);
+        const expectedSource = role === 'director' ? 'director' : access === 'none' ? 'default' : 'role';
+        expect(explanation.source).toBe(expectedSource);
+        expect(explanation.reason).toEqual(expect.any(String));
+    });
+});
+
+describe('role groups', () => {
+    test.each(['coordinator_madre', 'coordinator_floresta'])('%s inherits from coordinator', (role) => {
+        expect(getRoleAncestors(role)).toEqual([role, 'coordinator']);
+        // relatorios lists only the 'coordinator' group
+        expect(explainTabAccess('relatorios', {role}).reason).toContain('Padrão do grupo Coordenação');
+        // CLINICAL_ROLES lists the group, not the coordinator roles
+        expect(hasPermission('client.clinical.view', {role})).toBe(true);
+    });
+
+    test.each(PROFESSIONAL_ROLES)('%s inherits from professional', (role) => {
+        expect(getRoleAncestors(role)).toEqual([role, 'professional']);
+        expect(explainTabAccess('meus-pacientes', {role}).reason).toContain('Padrão do grupo Profissionais');
+    });
+
+    test('a role listed by itself is explained by its own default', () => {
+        expect(explainTabAccess('cadastro', {role: 'receptionist'}).reason).toBe('Padrão do cargo Recepcionista');
+        expect(explainTabAccess('financeiro', {role: 'financeiro'}).reason).toBe('Padrão do cargo Financeiro');
+    });
+
+    test('an action granted through a tab it includes', () => {
+        const explanation = explainPermission('schedule.create', {role: 'psychologist'});
+        expect(explanation).toMatchObject({allowed: true, source: 'inherited'});
+        expect(hasPermission('schedule.create', {role: 'financeiro'})).toBe(false);
+    });
+});
+
+describe('user overrides', () => {
+    test('the access set for the user replaces the role default, both ways', () => {
+        const user = {role: 'psychologist', tabAccess: {financeiro: 'view', agenda: 'none', historico: 'edit'}};
+        expect(checkTabAccess('financeiro', 'view', user)).toBe(true);
+        expect(checkTabAccess('financeiro', 'edit', user)).toBe(false);
+        expect(checkTabAccess('agenda', 'view', user)).toBe(false);
+        expect(checkTabAccess('historico', 'edit', user)).toBe(true);
+        expect(explainTabAccess('financeiro', user)).toMatchObject({access: 'view', source: 'user'});
+        expect(explainTabAccess('agenda', user)).toMatchObject({access: 'none', source: 'user'});
+        // Tabs without an override keep the role default
+        expect(explainTabAccess('meus-pacientes', user)).toMatchObject({access: 'edit', source: 'role'});
+    });
+
+    test('a permission set for the user beats the tab access', () => {
+        const user = {role: 'financeiro', permissions: {'tab.financeiro.edit': false}};
+        expect(explainTabAccess('financeiro', user)).toMatchObject({access: 'view', source: 'role'});
+        expect(checkTabAccess('financeiro', 'edit', user)).toBe(false);
+    });
+
+    test('the director keeps full access whatever is set for the user', () => {
+        const user = {role: 'director', tabAccess: {financeiro: 'none'}, permissions: {'tab.agenda.view': false}};
+        expect(checkTabAccess('financeiro', 'edit', user)).toBe(true);
+        expect(checkTabAccess('agenda', 'view', user)).toBe(true);
+    });
+});
+
+describe('session user', () => {
+    // As loaded by auth.js: the Supabase Auth user spread with the funcionarios row, overrides inside extra_data
+    const funcionario = {
+        id: 7,
+        email: 'psicologa@clinica.test',
+        role_id: 'psychologist',
+        unit: 'madre',
+        is_active: true,
+        extra_data: {tabAccess: {financeiro: 'view', agenda: 'none'}, permissions: {'stock.item.delete': true}}
+    };
+
+    afterEach(async () => {
+        await logout();
+    });
+
+    test('applies the overrides stored in extra_data', () => {
+        const user = buildSessionUser({id: 'auth-uuid', email: funcionario.email}, funcionario);
+        expect(checkTabAccess('financeiro', 'view', user)).toBe(true);
+        expect(checkTabAccess('agenda', 'view', user)).toBe(false);
+        expect(explainTabAccess('financeiro', user)).toMatchObject({access: 'view', source: 'user'});
+        expect(explainPermission('stock.item.delete', user)).toMatchObject({allowed: true, source: 'user'});
+        // Tabs without an override keep the role default
+        expect(explainTabAccess('meus-pacientes', user)).toMatchObject({access: 'edit', source: 'role'});
+    });
+
+    test('applies them to the logged-in user', () => {
+        localStorage.setItem('currentUser', JSON.stringify(buildSessionUser({id: 'auth-uuid'}, funcionario)));
+        expect(getCurrentUser().role).toBe('psychologist');
+        expect(checkTabAccess('financeiro', 'view')).toBe(true);
+        expect(checkTabAccess('agenda', 'view')).toBe(false);
+    });
+});
+
+describe('custom roles', () => {
+    let savedRoles;
+
+    beforeEach(() => {
+        savedRoles = db.roles;
+        db.roles = [{
+            id: 'custom_estoque',
+            name: 'Almoxarifado',
+            isCustom: true,
+            tabAccess: {estoque: 'edit', agenda: 'view'},
+            permissions: {'stock.item.delete': true}
+        }];
+    });
+
+    afterEach(() => {
+        db.roles = savedRoles;
+    });
+
+    test.each(TABS.flatMap(tab => ['view', 'edit'].map(level => ({tab, level}))))('custom role › $tab › $level', ({tab, level}) => {
+        const access = {estoque: 'edit', agenda: 'view'}[tab] || 'none';
+        expect(checkTabAccess(tab, level, {role: 'custom_estoque'})).toBe(LEVELS[access] >= LEVELS[level]);
+    });
+
+    test('explains the grants of the custom role', () => {
+        expect(explainTabAccess('estoque', {role: 'custom_estoque'})).toMatchObject({access: 'edit', source: 'customRole'});
+        expect(explainTabAccess('estoque', {role: 'custom_estoque'}).reason).toContain('Almoxarifado');
+        expect(explainTabAccess('financeiro', {role: 'custom_estoque'})).toMatchObject({access: 'none', source: 'default'});
+        expect(explainPermission('stock.item.delete', {role: 'custom_estoque'})).toMatchObject({allowed: true, source: 'customRole'});
+    });
+
+    test('the user override beats the custom role', () => {
+        const user = {role: 'custom_estoque', tabAccess: {estoque: 'view'}};
+        expect(explainTabAccess('estoque', user)).toMatchObject({access: 'view', source: 'user'});
+    });
+
+    test('predefined roles ignore the custom roles', () => {
+        expect(explainTabAccess('estoque', {role: 'staff'})).toMatchObject({access: 'view', source: 'role'});
+    });
+});
+
+describe('without a user', () => {
+    test('denies every tab', () => {
+        TABS.forEach(tab => {
+            expect(explainTabAccess(tab, null)).toMatchObject({access: 'none', source: 'anonymous'});
+        });
+    });
+});
@@ -13,4 +13,9 @@ export default defineConfig({
   // Carrega as variáveis de ambiente do arquivo .env
   envDir: '.',
   envPrefix: 'VITE_',
+  // Testes (vitest): os módulos do app usam window, document e localStorage
+  test: {
+    environment: 'jsdom',
+    include: ['tests/**/*.test.js'],
+  },
 });